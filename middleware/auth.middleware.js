@@ -1,4 +1,9 @@
 import jwt from 'jsonwebtoken';
+import apiKeyService from '../services/apiKey.service.js';
+import organizationService from '../services/organization.service.js';
+import sessionService from '../services/session.service.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 // Em produção, JWT_SECRET deve ser definido - falha rápido se não estiver
 const isProduction = process.env.NODE_ENV === 'production';
@@ -12,10 +17,13 @@ if (isProduction && !JWT_SECRET) {
 const SECRET = JWT_SECRET || 'dev-only-secret-key';
 
 /**
- * Middleware de autenticação obrigatória
- * Retorna 401 se não houver token válido
+ * Valida o token e identifica o usuário (sem organização)
+ * Usado nas rotas pessoais: perfil, organizações e convites
+ *
+ * O access token carrega o id da sessão (sid); sessões revogadas (logout)
+ * ou expiradas invalidam o token antes do vencimento do JWT.
  */
-export function authMiddleware(req, res, next) {
+export async function authenticate(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader) {
@@ -28,14 +36,137 @@ export function authMiddleware(req, res, next) {
     return res.status(401).json({ error: 'Token mal formatado' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, SECRET);
-    req.userId = decoded.id;
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, SECRET);
   } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      // Cliente deve renovar em POST /api/auth/refresh
+      return res.status(401).json({ error: 'Token expirado', code: 'TOKEN_EXPIRED' });
+    }
     return res.status(401).json({ error: 'Token inválido' });
   }
+
+  try {
+    const session = await sessionService.findActive(decoded.sid);
+
+    if (!session || session.userId !== decoded.id) {
+      return res.status(401).json({ error: 'Sessão encerrada. Faça login novamente', code: 'SESSION_REVOKED' });
+    }
+  } catch (error) {
+    console.error('Erro ao verificar sessão:', error);
+    return res.status(500).json({ error: 'Erro ao verificar sessão' });
+  }
+
+  req.userId = decoded.id;
+  req.actorId = decoded.id;
+  req.sessionId = decoded.sid;
+  req.user = decoded;
+  next();
+}
+
+/**
+ * Valida a chave de API (cabeçalho X-API-Key) e identifica o usuário dono da chave
+ * Os escopos são verificados no authMiddleware, depois de resolver a organização.
+ */
+export async function authenticateApiKey(req, res, next) {
+  let apiKey;
+  try {
+    apiKey = await apiKeyService.authenticate(req.get('x-api-key'), req);
+  } catch (error) {
+    console.error('Erro ao verificar chave de API:', error);
+    return res.status(500).json({ error: 'Erro ao verificar chave de API' });
+  }
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Chave de API inválida, expirada ou revogada' });
+  }
+
+  req.userId = apiKey.userId;
+  req.actorId = apiKey.userId;
+  req.sessionId = null;
+  req.apiKey = apiKey;
+  req.user = { id: apiKey.userId };
+  next();
+}
+
+/**
+ * Middleware de autenticação obrigatória
+ * Retorna 401 se não houver token (ou chave de API) válido
+ *
+ * Resolve a organização ativa (cabeçalho X-Organization-Id ou a escolhida pelo usuário):
+ * - req.userId passa a ser o dono dos dados da organização
+ * - req.actorId continua sendo o usuário logado
+ * - req.orgRole é o papel dele (admin, agent, viewer, owner, cohost)
+ * - req.propertyIds são os imóveis liberados para owner/cohost (null = todos)
+ * Viewers e proprietários só podem fazer leituras; coanfitriões, leituras e mensagens.
+ * Organizações que exigem 2FA recusam membros sem 2FA ativo (code TWO_FACTOR_REQUIRED).
+ *
+ * Com X-API-Key, a organização é a da chave e a rota precisa estar nos escopos dela.
+ */
+export function authMiddleware(req, res, next) {
+  const authenticateRequest = req.get('x-api-key') ? authenticateApiKey : authenticate;
+
+  authenticateRequest(req, res, async () => {
+    try {
+      const context = req.apiKey
+        ? await organizationService.resolveContext(req.actorId, req.apiKey.organizationId, { useActive: false })
+        : await organizationService.resolveContext(req.actorId, req.get('x-organization-id'));
+
+      if (!context) {
+        return res.status(403).json({ error: 'Você não participa desta organização' });
+      }
+
+      if (context.twoFactorRequired) {
+        // Cadastro do 2FA continua disponível em /api/auth/2fa (fora deste middleware)
+        return res.status(403).json({
+          error: 'Esta organização exige autenticação em dois fatores. Ative o 2FA para continuar',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
+      req.userId = context.ownerId;
+      req.organizationId = context.organizationId;
+      req.orgRole = context.role;
+      req.propertyIds = context.propertyIds;
+
+      if (!organizationService.canAccessArea(context.propertyIds, req.baseUrl)) {
+        return res.status(403).json({ error: 'Acesso restrito aos imóveis compartilhados com você' });
+      }
+
+      const path = req.originalUrl.split('?')[0];
+      if (!READ_METHODS.includes(req.method) && !organizationService.canWrite(context.role, path)) {
+        return res.status(403).json({ error: 'Acesso somente leitura nesta organização' });
+      }
+
+      if (req.apiKey && !apiKeyService.hasScope(req.apiKey.scopes, req.method, req.baseUrl, path)) {
+        return res.status(403).json({
+          error: 'Chave de API sem permissão para esta rota',
+          code: 'INSUFFICIENT_SCOPE',
+          requiredScope: apiKeyService.requiredScope(req.method, req.baseUrl, path)
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Erro ao resolver organização:', error);
+      res.status(500).json({ error: 'Erro ao verificar permissões' });
+    }
+  });
+}
+
+/**
+ * Restringe a rota a alguns papéis da organização
+ * Deve ser usado após authMiddleware
+ * @example router.use(requireOrgRole(ORGANIZATION_ROLES.ADMIN))
+ */
+export function requireOrgRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.orgRole)) {
+      return res.status(403).json({ error: 'Acesso negado para o seu papel nesta organização' });
+    }
+    next();
+  };
 }
 
 /**
@@ -55,6 +186,7 @@ export function optionalAuth(req, res, next) {
   try {
     const decoded = jwt.verify(token, SECRET);
     req.userId = decoded.id;
+    req.actorId = decoded.id;
     req.user = decoded;
   } catch (err) {
     // Token inválido, mas continua sem autenticação
@@ -29,6 +29,14 @@ async function main() {
     {
       key: 'timezone',
       value: 'America/Sao_Paulo'
+    },
+    {
+      key: 'ical_missing_syncs_to_cancel',
+      value: '3'
+    },
+    {
+      key: 'cleaning_confirmation_minutes',
+      value: '60'
     }
   ];
 
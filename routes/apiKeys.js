@@ -0,0 +1,133 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import apiKeyService from '../services/apiKey.service.js';
+import organizationService from '../services/organization.service.js';
+import auditService from '../services/audit.service.js';
+import { API_KEY_SCOPE_LIST, DEFAULTS } from '../utils/constants.js';
+
+const router = Router();
+
+// Chaves são pessoais: gerenciadas só com login (uma chave não cria outras)
+router.use(authenticate);
+
+// GET /api/api-keys - Chaves do usuário (sem o valor da chave)
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.userId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      apiKeys: apiKeys.map(apiKey => apiKeyService.format(apiKey)),
+      availableScopes: API_KEY_SCOPE_LIST
+    });
+  } catch (error) {
+    console.error('Erro ao listar chaves de API:', error);
+    res.status(500).json({ error: 'Erro ao listar chaves de API' });
+  }
+});
+
+// POST /api/api-keys - Cria uma chave
+// { name, scopes: [...], expiresAt?, organizationId? (padrão: conta própria) }
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresAt, organizationId } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Nome é obrigatório' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'Informe ao menos um escopo', availableScopes: API_KEY_SCOPE_LIST });
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPE_LIST.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        error: `Escopos inválidos: ${invalidScopes.join(', ')}`,
+        availableScopes: API_KEY_SCOPE_LIST
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry) || expiry <= new Date()) {
+        return res.status(400).json({ error: 'expiresAt deve ser uma data futura (ISO)' });
+      }
+    }
+
+    // A chave opera na organização informada; o usuário precisa participar dela
+    let keyOrganizationId = null;
+    if (organizationId) {
+      const context = await organizationService.resolveContext(req.userId, organizationId);
+      if (!context) {
+        return res.status(403).json({ error: 'Você não participa desta organização' });
+      }
+      keyOrganizationId = context.organizationId;
+    }
+
+    const activeCount = await prisma.apiKey.count({
+      where: {
+        userId: req.userId,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+      }
+    });
+
+    if (activeCount >= DEFAULTS.MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({ error: `Limite de ${DEFAULTS.MAX_API_KEYS_PER_USER} chaves ativas atingido` });
+    }
+
+    const { key, prefix, keyHash } = apiKeyService.generateKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiry,
+        organizationId: keyOrganizationId,
+        userId: req.userId
+      }
+    });
+
+    const formatted = apiKeyService.format(apiKey);
+
+    await auditService.log(req, { action: 'create', entity: 'api_key', after: formatted });
+
+    // O valor da chave só é exibido agora
+    res.status(201).json({ ...formatted, key });
+  } catch (error) {
+    console.error('Erro ao criar chave de API:', error);
+    res.status(500).json({ error: 'Erro ao criar chave de API' });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoga a chave
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const { count } = await prisma.apiKey.updateMany({
+      where: { id, userId: req.userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Chave de API não encontrada' });
+    }
+
+    await auditService.log(req, { action: 'delete', entity: 'api_key', entityId: id, data: { revoked: true } });
+
+    res.json({ message: 'Chave de API revogada' });
+  } catch (error) {
+    console.error('Erro ao revogar chave de API:', error);
+    res.status(500).json({ error: 'Erro ao revogar chave de API' });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import auditService from '../services/audit.service.js';
+import { ORGANIZATION_ROLES } from '../utils/constants.js';
+
+const router = Router();
+
+// Proteger todas as rotas
+router.use(authMiddleware);
+
+// GET /api/audit - Histórico de alterações
+// ?entity, ?entityId, ?action, ?userId (apenas admins), ?from, ?to, ?limit, ?offset
+router.get('/', async (req, res) => {
+  try {
+    const { entity, entityId, action, userId, from, to, limit = 50, offset = 0 } = req.query;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.actorId },
+      select: { role: true }
+    });
+
+    // Admin do sistema vê tudo; admin da organização vê o que a equipe fez nela; os demais, só as próprias ações
+    const where = {};
+    if (user?.role === 'admin') {
+      if (userId) where.userId = parseInt(userId);
+    } else if (req.organizationId && req.orgRole === ORGANIZATION_ROLES.ADMIN) {
+      where.organizationId = req.organizationId;
+      if (userId) where.userId = parseInt(userId);
+    } else {
+      where.userId = req.actorId;
+    }
+
+    if (entity) where.entity = entity;
+    if (entityId) where.entityId = parseInt(entityId);
+    if (action) where.action = action;
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ error: 'Período inválido. Use datas ISO (YYYY-MM-DD)' });
+      }
+
+      // Data sem horário inclui o dia inteiro: até o início do dia seguinte
+      const toDateOnly = toDate && /^\d{4}-\d{2}-\d{2}$/.test(to);
+
+      where.createdAt = {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && (toDateOnly
+          ? { lt: new Date(toDate.getTime() + 24 * 60 * 60 * 1000) }
+          : { lte: toDate }))
+      };
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(parseInt(limit) || 50, 200),
+        skip: parseInt(offset) || 0
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json({
+      entries: entries.map(entry => auditService.format(entry)),
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Erro ao listar auditoria:', error);
+    res.status(500).json({ error: 'Erro ao listar auditoria' });
+  }
+});
+
+export default router;
@@ -1,15 +1,39 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '../lib/prisma.js';
-import { JWT_SECRET, authMiddleware } from '../middleware/auth.middleware.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { DEFAULTS } from '../utils/constants.js';
+import accountService from '../services/account.service.js';
+import auditService from '../services/audit.service.js';
+import sessionService from '../services/session.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
 
 const router = Router();
 
+/**
+ * Cria a sessão e monta a resposta de login
+ */
+async function buildLoginResponse(user, req) {
+  const tokens = await sessionService.createSession(user.id, req);
+
+  return {
+    ...tokens,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: !!user.emailVerifiedAt,
+      phoneVerified: !!user.phoneVerifiedAt,
+      twoFactorEnabled: !!user.twoFactorEnabledAt
+    }
+  };
+}
+
 // POST /api/auth/register - Criar nova conta
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, phone } = req.body;
 
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Nome, email e senha sao obrigatorios' });
@@ -26,6 +50,12 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Senha deve ter no minimo 6 caracteres' });
     }
 
+    // Telefone (opcional) para WhatsApp; confirmado por código
+    const cleanPhone = phone ? accountService.normalizePhone(phone) : null;
+    if (phone && !cleanPhone) {
+      return res.status(400).json({ error: 'Telefone invalido. Informe DDD e numero' });
+    }
+
     // Verificar se email ja existe
     const existingUser = await prisma.user.findUnique({ where: { email } });
     if (existingUser) {
@@ -39,21 +69,34 @@ router.post('/register', async (req, res) => {
         email,
         passwordHash,
         name,
+        phone: cleanPhone,
         role: 'user'
       }
     });
 
-    // Gerar token
-    const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    await auditService.log(req, { action: 'create', entity: 'user', after: user, userId: user.id });
+
+    // Verificação de email e telefone (falha no envio não impede o cadastro)
+    const verification = { email: await accountService.sendEmailVerification(user) };
+    if (cleanPhone) {
+      verification.phone = await accountService.sendPhoneVerification(user, cleanPhone);
+    }
+
+    // Gerar tokens (access + refresh)
+    const tokens = await sessionService.createSession(user.id, req);
 
     res.status(201).json({
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
-        role: user.role
-      }
+        role: user.role,
+        phone: user.phone,
+        emailVerified: false,
+        phoneVerified: false
+      },
+      verification
     });
   } catch (error) {
     console.error('Erro no registro:', error);
@@ -75,34 +118,461 @@ router.post('/login', async (req, res) => {
     });
 
     if (!user) {
+      await auditService.log(req, { action: 'login_failed', entity: 'user', data: { email, reason: 'unknown_email' } });
       return res.status(401).json({ error: 'Credenciais invalidas' });
     }
 
     const passwordMatch = bcrypt.compareSync(password, user.passwordHash);
 
     if (!passwordMatch) {
+      await auditService.log(req, {
+        action: 'login_failed',
+        entity: 'user',
+        entityId: user.id,
+        data: { email, reason: 'invalid_password' },
+        userId: user.id
+      });
       return res.status(401).json({ error: 'Credenciais invalidas' });
     }
 
-    const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    // Conta desativada não recebe sessão nem token pendente de 2FA (como em /login/2fa e /refresh)
+    if (!user.isActive) {
+      await auditService.log(req, {
+        action: 'login_failed',
+        entity: 'user',
+        entityId: user.id,
+        data: { email, reason: 'inactive_user' },
+        userId: user.id
+      });
+      return res.status(403).json({ error: 'Conta desativada' });
+    }
+
+    // Com 2FA, a sessão só é criada em POST /api/auth/login/2fa
+    if (user.twoFactorEnabledAt) {
+      return res.json({
+        twoFactorRequired: true,
+        pendingToken: twoFactorService.signPendingToken(user.id),
+        expiresIn: DEFAULTS.TWO_FACTOR_PENDING_EXPIRY
+      });
+    }
+
+    await auditService.log(req, { action: 'login', entity: 'user', entityId: user.id, userId: user.id });
+
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    console.error('Erro no login:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/login/2fa - Segunda etapa do login (código do app ou de recuperação)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { pendingToken, code, recoveryCode } = req.body;
+
+    if (!pendingToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Token pendente e código sao obrigatorios' });
+    }
+
+    const userId = twoFactorService.verifyPendingToken(pendingToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login expirado. Informe email e senha novamente' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    const result = user?.isActive ? await twoFactorService.verify(user, { code, recoveryCode }) : null;
+
+    if (!result) {
+      await auditService.log(req, {
+        action: 'login_failed',
+        entity: 'user',
+        entityId: userId,
+        data: { reason: 'invalid_2fa_code' },
+        userId
+      });
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    await auditService.log(req, { action: 'login', entity: 'user', entityId: user.id, userId: user.id, data: { twoFactor: result.method } });
 
     res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+      ...await buildLoginResponse(user, req),
+      ...(result.method === 'recovery_code' && { remainingRecoveryCodes: result.remainingRecoveryCodes })
     });
   } catch (error) {
-    console.error('Erro no login:', error);
+    console.error('Erro na verificação 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/refresh - Troca o refresh token por um novo par de tokens
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token é obrigatório' });
+    }
+
+    const result = await sessionService.rotate(refreshToken, req);
+
+    if (result.error === 'reused') {
+      // Token antigo reapresentado: possível vazamento, a sessão foi encerrada
+      await auditService.log(req, {
+        action: 'logout',
+        entity: 'session',
+        entityId: result.session.id,
+        userId: result.session.userId,
+        data: { reason: 'refresh_token_reused' }
+      });
+      return res.status(401).json({ error: 'Sessão encerrada. Faça login novamente', code: 'SESSION_REVOKED' });
+    }
+
+    if (result.error === 'inactive') {
+      return res.status(401).json({ error: 'Conta desativada', code: 'SESSION_REVOKED' });
+    }
+
+    if (result.error) {
+      return res.status(401).json({ error: 'Refresh token inválido ou expirado', code: 'SESSION_REVOKED' });
+    }
+
+    res.json(result.tokens);
+  } catch (error) {
+    console.error('Erro ao renovar sessão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/forgot-password - Envia o link de redefinição de senha
+// channel: 'email' (padrão) ou 'whatsapp' (telefone verificado)
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email, channel = 'email' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email é obrigatório' });
+    }
+
+    if (!['email', 'whatsapp'].includes(channel)) {
+      return res.status(400).json({ error: 'Canal inválido. Use email ou whatsapp' });
+    }
+
+    const result = await accountService.requestPasswordReset(email, channel);
+
+    if (result.user) {
+      await auditService.log(req, {
+        action: 'password_reset_request',
+        entity: 'user',
+        entityId: result.user.id,
+        userId: result.user.id,
+        data: { channel: result.channel || channel, error: result.error || undefined }
+      });
+    }
+
+    if (result.error && result.error !== 'not_found' && result.error !== 'too_soon') {
+      console.error('Erro ao enviar redefinição de senha:', result.error);
+    }
+
+    // Mesma resposta para qualquer email (não revela contas cadastradas)
+    res.json({ message: 'Se o email estiver cadastrado, enviaremos as instruções para redefinir a senha' });
+  } catch (error) {
+    console.error('Erro ao solicitar redefinição de senha:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/reset-password - Define a nova senha com o token recebido
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token e nova senha sao obrigatorios' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Senha deve ter no minimo 6 caracteres' });
+    }
+
+    const user = await accountService.resetPassword(token, password);
+
+    if (!user) {
+      return res.status(400).json({ error: 'Link inválido ou expirado. Solicite uma nova redefinição' });
+    }
+
+    await auditService.log(req, { action: 'password_reset', entity: 'user', entityId: user.id, userId: user.id });
+
+    res.json({ message: 'Senha redefinida com sucesso. Faça login novamente' });
+  } catch (error) {
+    console.error('Erro ao redefinir senha:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/verify-email - Confirma o email pelo token do link
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await accountService.verifyEmail(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({ error: 'Link inválido ou expirado' });
+    }
+
+    await auditService.log(req, { action: 'verify_email', entity: 'user', entityId: user.id, userId: user.id });
+
+    res.json({ message: 'Email confirmado com sucesso' });
+  } catch (error) {
+    console.error('Erro ao verificar email:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/verify-email/resend - Reenvia o link de confirmação
+router.post('/verify-email/resend', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email ja confirmado' });
+    }
+
+    const result = await accountService.sendEmailVerification(user);
+
+    if (result.error === 'too_soon') {
+      return res.status(429).json({ error: 'Aguarde um minuto para reenviar' });
+    }
+
+    if (!result.sent) {
+      return res.status(502).json({ error: 'Falha ao enviar email', details: result.error });
+    }
+
+    res.json({ message: 'Link de confirmação enviado' });
+  } catch (error) {
+    console.error('Erro ao reenviar verificação de email:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/verify-phone/send - Envia o código pelo WhatsApp (phone opcional: troca o número)
+router.post('/verify-phone/send', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    const phone = accountService.normalizePhone(req.body.phone || user.phone);
+
+    if (!phone) {
+      return res.status(400).json({ error: 'Telefone invalido. Informe DDD e numero' });
+    }
+
+    const result = await accountService.sendPhoneVerification(user, phone);
+
+    if (result.error === 'too_soon') {
+      return res.status(429).json({ error: 'Aguarde um minuto para reenviar' });
+    }
+
+    if (!result.sent) {
+      return res.status(502).json({ error: 'Falha ao enviar código pelo WhatsApp', details: result.error });
+    }
+
+    res.json({ message: 'Código enviado pelo WhatsApp', phone });
+  } catch (error) {
+    console.error('Erro ao enviar código de verificação:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/verify-phone - Confirma o telefone com o código recebido
+router.post('/verify-phone', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Código é obrigatório' });
+    }
+
+    const result = await accountService.verifyPhone(req.userId, code);
+
+    if (result.error === 'expired') {
+      return res.status(400).json({ error: 'Código expirado. Solicite um novo código' });
+    }
+
+    if (result.error) {
+      return res.status(400).json({ error: 'Código incorreto' });
+    }
+
+    await auditService.log(req, { action: 'verify_phone', entity: 'user', entityId: req.userId, data: { phone: result.user.phone } });
+
+    res.json({ message: 'Telefone confirmado com sucesso', phone: result.user.phone });
+  } catch (error) {
+    console.error('Erro ao verificar telefone:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/logout - Encerra a sessão atual
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await sessionService.revoke(req.userId, req.sessionId);
+    await auditService.log(req, { action: 'logout', entity: 'session', entityId: req.sessionId });
+
+    res.json({ message: 'Logout realizado com sucesso' });
+  } catch (error) {
+    console.error('Erro no logout:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// GET /api/auth/sessions - Dispositivos com sessão ativa
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.userId);
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Erro ao listar sessões:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// DELETE /api/auth/sessions - Encerra todas as sessões (?keepCurrent=true mantém este dispositivo)
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const revoked = await sessionService.revokeAll(req.userId, {
+      exceptSessionId: keepCurrent ? req.sessionId : null
+    });
+
+    await auditService.log(req, { action: 'logout', entity: 'session', data: { allSessions: true, revoked, keepCurrent } });
+
+    res.json({ message: 'Sessões encerradas com sucesso', revoked });
+  } catch (error) {
+    console.error('Erro ao encerrar sessões:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Encerra uma sessão (outro dispositivo)
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const revoked = await sessionService.revoke(req.userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    await auditService.log(req, { action: 'logout', entity: 'session', entityId: sessionId });
+
+    res.json({ message: 'Sessão encerrada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao encerrar sessão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/setup - Inicia o cadastro do 2FA (segredo + URI otpauth para o QR Code)
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: '2FA ja esta ativo. Desative antes de cadastrar outro aparelho' });
+    }
+
+    const { secret, otpauthUri } = await twoFactorService.setup(user);
+
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    console.error('Erro ao iniciar 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirma o cadastro com o primeiro código e devolve os códigos de recuperação
+router.post('/2fa/enable', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: '2FA ja esta ativo' });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ error: 'Inicie o cadastro em POST /api/auth/2fa/setup' });
+    }
+
+    const recoveryCodes = await twoFactorService.enable(user, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Código inválido' });
+    }
+
+    await auditService.log(req, { action: 'two_factor_enable', entity: 'user', entityId: user.id });
+
+    // Códigos de recuperação só são exibidos agora
+    res.json({ message: '2FA ativado com sucesso', recoveryCodes });
+  } catch (error) {
+    console.error('Erro ao ativar 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Desativa o 2FA (senha + código do app ou de recuperação)
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: '2FA nao esta ativo' });
+    }
+
+    if (!password || !bcrypt.compareSync(password, user.passwordHash)) {
+      return res.status(401).json({ error: 'Senha incorreta' });
+    }
+
+    if (!(await twoFactorService.verify(user, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    await twoFactorService.disable(user.id);
+    await auditService.log(req, { action: 'two_factor_disable', entity: 'user', entityId: user.id });
+
+    res.json({ message: '2FA desativado' });
+  } catch (error) {
+    console.error('Erro ao desativar 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Gera novos códigos de recuperação (invalida os anteriores)
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: '2FA nao esta ativo' });
+    }
+
+    if (!(await twoFactorService.verify(user, { code: req.body.code }))) {
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user.id);
+    await auditService.log(req, { action: 'update', entity: 'user', entityId: user.id, data: { recoveryCodesRegenerated: true } });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Erro ao gerar códigos de recuperação:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 // GET /api/auth/me - Dados do usuario logado
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/me', authenticate, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.userId },
@@ -111,6 +581,10 @@ router.get('/me', authMiddleware, async (req, res) => {
         email: true,
         name: true,
         role: true,
+        phone: true,
+        emailVerifiedAt: true,
+        phoneVerifiedAt: true,
+        twoFactorEnabledAt: true,
         createdAt: true
       }
     });
@@ -119,7 +593,7 @@ router.get('/me', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Usuario nao encontrado' });
     }
 
-    res.json(user);
+    res.json({ ...user, twoFactorEnabled: !!user.twoFactorEnabledAt });
   } catch (error) {
     console.error('Erro ao buscar usuario:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
@@ -127,7 +601,7 @@ router.get('/me', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/auth/me - Atualizar perfil
-router.put('/me', authMiddleware, async (req, res) => {
+router.put('/me', authenticate, async (req, res) => {
   try {
     const { name, email, password } = req.body;
     const updateData = {};
@@ -147,6 +621,7 @@ router.put('/me', authMiddleware, async (req, res) => {
         return res.status(400).json({ error: 'Email ja cadastrado' });
       }
       updateData.email = email;
+      updateData.emailVerifiedAt = null;
     }
 
     if (password) {
@@ -156,6 +631,14 @@ router.put('/me', authMiddleware, async (req, res) => {
       updateData.passwordHash = bcrypt.hashSync(password, 10);
     }
 
+    const before = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    // Mesmo email não precisa de nova confirmação
+    if (updateData.email === before?.email) {
+      delete updateData.email;
+      delete updateData.emailVerifiedAt;
+    }
+
     const user = await prisma.user.update({
       where: { id: req.userId },
       data: updateData,
@@ -163,10 +646,29 @@ router.put('/me', authMiddleware, async (req, res) => {
         id: true,
         email: true,
         name: true,
-        role: true
+        role: true,
+        emailVerifiedAt: true
       }
     });
 
+    // Novo email precisa ser confirmado
+    if (updateData.email) {
+      await accountService.sendEmailVerification(user);
+    }
+
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'user',
+      before: { id: before?.id, email: before?.email, name: before?.name },
+      after: user,
+      data: updateData.passwordHash ? { passwordChanged: true } : null
+    });
+
+    // Troca de senha encerra os outros dispositivos
+    if (updateData.passwordHash) {
+      await sessionService.revokeAll(req.userId, { exceptSessionId: req.sessionId });
+    }
+
     res.json(user);
   } catch (error) {
     console.error('Erro ao atualizar usuario:', error);
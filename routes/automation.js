@@ -2,8 +2,24 @@ import { Router } from 'express';
 import prisma from '../lib/prisma.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import schedulerService from '../services/scheduler.service.js';
+import leaderService from '../services/leader.service.js';
+import webhookDispatcherService from '../services/webhookDispatcher.service.js';
 import queueService from '../services/queue.service.js';
+import jobQueueService from '../services/jobQueue.service.js';
 import notificationService from '../services/notification.service.js';
+import auditService from '../services/audit.service.js';
+import deadLetterService from '../services/deadLetter.service.js';
+import organizationService from '../services/organization.service.js';
+import {
+  AUTOMATION_TRIGGERS,
+  AUTOMATION_TRIGGER_LIST,
+  NOTIFICATION_CHANNEL_LIST,
+  SCHEDULED_NOTIFICATION_TYPES,
+  RECURRING_NOTIFICATION_TYPES,
+  DEFAULTS
+} from '../utils/constants.js';
+import { isValidTime, isValidTimeZone } from '../utils/dates.js';
+import { getNextCronRun, getMinCronIntervalMinutes } from '../utils/cron.js';
 
 const router = Router();
 
@@ -16,10 +32,14 @@ router.get('/status', async (req, res) => {
     const schedulerStatus = schedulerService.getStatus();
     const queueStats = await queueService.getStats();
     const notificationProviders = notificationService.getProvidersStatus();
+    const leader = await leaderService.getStatus();
+    const webhookDeliveries = await webhookDispatcherService.getStats();
 
     res.json({
       scheduler: schedulerStatus,
+      leader,
       queues: queueStats,
+      webhooks: webhookDeliveries,
       notifications: notificationProviders
     });
   } catch (error) {
@@ -56,22 +76,42 @@ router.get('/jobs', (req, res) => {
     {
       name: 'checkin-reminders',
       description: 'Envia lembretes de check-in para hóspedes (check-ins de amanhã)',
-      schedule: '08:00 diariamente'
+      schedule: '08:00 no fuso do imóvel'
     },
     {
       name: 'checkout-reminders',
       description: 'Envia lembretes de checkout para hóspedes (checkouts de amanhã)',
-      schedule: '08:00 diariamente'
+      schedule: '08:00 no fuso do imóvel'
     },
     {
       name: 'cleaning-notifications',
       description: 'Notifica funcionários sobre limpezas do dia',
-      schedule: '07:00 diariamente'
+      schedule: '07:00 no fuso do imóvel'
+    },
+    {
+      name: 'cleaning-escalations',
+      description: 'Avisa o anfitrião sobre limpezas não confirmadas pelo funcionário até o prazo',
+      schedule: 'A cada 15 minutos'
+    },
+    {
+      name: 'maintenance-reminders',
+      description: 'Lembra os responsáveis das manutenções que vencem no dia',
+      schedule: '08:00 no fuso do imóvel'
+    },
+    {
+      name: 'maintenance-schedules',
+      description: 'Gera as tarefas das agendas de manutenção preventiva (adiando ou pulando dias com reserva)',
+      schedule: 'Diariamente às 05:00'
     },
     {
       name: 'review-requests',
       description: 'Envia solicitações de avaliação (checkouts de ontem)',
-      schedule: '18:00 diariamente'
+      schedule: '18:00 no fuso do imóvel'
+    },
+    {
+      name: 'automation-rules',
+      description: 'Avalia as regras de automação dos usuários (substitui os lembretes fixos para quem tem regras ativas)',
+      schedule: 'A cada 15 minutos'
     },
     {
       name: 'cleanup',
@@ -81,7 +121,7 @@ router.get('/jobs', (req, res) => {
     {
       name: 'daily-summary',
       description: 'Gera resumo diário de reservas',
-      schedule: '06:00 diariamente'
+      schedule: '06:00 no fuso do imóvel'
     }
   ]);
 });
@@ -250,19 +290,118 @@ router.get('/notifications/stats', async (req, res) => {
   }
 });
 
-// POST /api/automation/schedule - Agendar notificação para data futura
+// POST /api/automation/schedule - Agendar notificação para data futura ou recorrente
+// { type, data, runAt } ou { type, data, cronExpression, timezone?, name? }
 router.post('/schedule', async (req, res) => {
   try {
-    const { type, data, runAt } = req.body;
+    const { type, data, runAt, cronExpression, timezone, name } = req.body;
 
-    if (!type || !data || !runAt) {
+    if (!type || !data || (!runAt && !cronExpression)) {
       return res.status(400).json({
-        error: 'Tipo, dados e data de execução são obrigatórios'
+        error: 'Tipo, dados e data de execução (runAt) ou expressão cron são obrigatórios'
+      });
+    }
+
+    if (runAt && cronExpression) {
+      return res.status(400).json({ error: 'Informe runAt ou cronExpression, não ambos' });
+    }
+
+    // Tipo desconhecido falharia em toda execução e iria para a fila de falhas
+    const validTypes = cronExpression ? RECURRING_NOTIFICATION_TYPES : SCHEDULED_NOTIFICATION_TYPES;
+    if (!validTypes.includes(type)) {
+      return res.status(400).json({ error: 'Tipo de notificação inválido', validTypes });
+    }
+
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return res.status(400).json({ error: 'Dados devem ser um objeto' });
+    }
+
+    if (type !== 'custom' && !data.reservationId) {
+      return res.status(400).json({ error: 'reservationId é obrigatório para este tipo' });
+    }
+
+    // O envio é sempre em nome da conta logada (nunca de um userId vindo do cliente)
+    const jobData = { ...data, userId: req.userId };
+
+    if (data.reservationId !== undefined) {
+      const reservation = await prisma.reservation.findFirst({
+        where: {
+          id: parseInt(data.reservationId) || 0,
+          userId: req.userId,
+          ...organizationService.scopeProperties(req, 'propertyId')
+        }
+      });
+
+      if (!reservation) {
+        return res.status(404).json({ error: 'Reserva não encontrada' });
+      }
+      jobData.reservationId = reservation.id;
+    }
+
+    if (data.propertyId !== undefined) {
+      const property = await prisma.property.findFirst({
+        where: {
+          id: parseInt(data.propertyId) || 0,
+          userId: req.userId,
+          ...organizationService.scopeProperties(req, 'id')
+        }
+      });
+
+      if (!property) {
+        return res.status(404).json({ error: 'Propriedade não encontrada' });
+      }
+      jobData.propertyId = property.id;
+    }
+
+    if (cronExpression) {
+      try {
+        if (!getNextCronRun(cronExpression)) {
+          return res.status(400).json({ error: 'Expressão cron nunca ocorre' });
+        }
+
+        if (getMinCronIntervalMinutes(cronExpression) < DEFAULTS.MIN_RECURRING_INTERVAL_MINUTES) {
+          return res.status(400).json({
+            error: `Jobs recorrentes devem ter intervalo mínimo de ${DEFAULTS.MIN_RECURRING_INTERVAL_MINUTES} minutos`
+          });
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (timezone && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: 'Fuso horário inválido' });
+      }
+
+      const recurringCount = await prisma.scheduledJob.count({
+        where: {
+          userId: req.userId,
+          cronExpression: { not: null },
+          status: { in: ['pending', 'running', 'paused'] }
+        }
+      });
+
+      if (recurringCount >= DEFAULTS.MAX_RECURRING_JOBS_PER_USER) {
+        return res.status(400).json({
+          error: `Limite de ${DEFAULTS.MAX_RECURRING_JOBS_PER_USER} jobs recorrentes atingido`
+        });
+      }
+
+      const job = await queueService.scheduleRecurringJob('notification', { type, data: jobData }, cronExpression, {
+        name: name || `Recurring ${type}`,
+        timezone: timezone || null,
+        userId: req.userId
+      });
+
+      await auditService.log(req, { action: 'create', entity: 'scheduled_job', after: job });
+
+      return res.status(201).json({
+        message: 'Notificação recorrente agendada com sucesso',
+        job
       });
     }
 
     const runAtDate = new Date(runAt);
-    if (runAtDate <= new Date()) {
+    if (isNaN(runAtDate) || runAtDate <= new Date()) {
       return res.status(400).json({
         error: 'Data de execução deve ser no futuro'
       });
@@ -270,20 +409,13 @@ router.post('/schedule', async (req, res) => {
 
     const delay = runAtDate.getTime() - Date.now();
 
-    // Salvar no banco
-    const job = await prisma.scheduledJob.create({
-      data: {
-        name: `Scheduled ${type}`,
-        type: 'send_notification',
-        runAt: runAtDate,
-        payload: JSON.stringify({ type, ...data }),
-        status: 'pending',
-        userId: req.userId
-      }
+    // Gravado na fila do PostgreSQL (durável, executado em runAt)
+    const job = await queueService.scheduleJob('notification', { type, data: jobData }, delay, {
+      name: name || `Scheduled ${type}`,
+      userId: req.userId
     });
 
-    // Agendar na fila
-    await queueService.scheduleJob('notification', { type, data }, delay);
+    await auditService.log(req, { action: 'create', entity: 'scheduled_job', after: job });
 
     res.status(201).json({
       message: 'Notificação agendada com sucesso',
@@ -296,17 +428,20 @@ router.post('/schedule', async (req, res) => {
 });
 
 // GET /api/automation/scheduled - Listar jobs agendados
+// ?status=pending&recurring=true
 router.get('/scheduled', async (req, res) => {
   try {
-    const { status, limit = 50, offset = 0 } = req.query;
+    const { status, recurring, limit = 50, offset = 0 } = req.query;
 
     const where = { userId: req.userId };
     if (status) where.status = status;
+    if (recurring === 'true') where.cronExpression = { not: null };
+    if (recurring === 'false') where.cronExpression = null;
 
     const [jobs, total] = await Promise.all([
       prisma.scheduledJob.findMany({
         where,
-        orderBy: { runAt: 'asc' },
+        orderBy: [{ nextRunAt: 'asc' }, { runAt: 'asc' }],
         take: parseInt(limit),
         skip: parseInt(offset)
       }),
@@ -325,7 +460,61 @@ router.get('/scheduled', async (req, res) => {
   }
 });
 
-// DELETE /api/automation/scheduled/:id - Cancelar job agendado
+// POST /api/automation/scheduled/:id/pause - Pausar job agendado
+router.post('/scheduled/:id/pause', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const job = await prisma.scheduledJob.findFirst({
+      where: { id, userId: req.userId }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job não encontrado' });
+    }
+
+    if (!await jobQueueService.pause(id)) {
+      return res.status(400).json({ error: 'Apenas jobs pendentes podem ser pausados' });
+    }
+
+    await auditService.log(req, { action: 'update', entity: 'scheduled_job', entityId: id, data: { status: 'paused' } });
+
+    res.json({ message: 'Job pausado' });
+  } catch (error) {
+    console.error('Erro ao pausar job:', error);
+    res.status(500).json({ error: 'Erro ao pausar job' });
+  }
+});
+
+// POST /api/automation/scheduled/:id/resume - Retomar job pausado
+router.post('/scheduled/:id/resume', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const job = await prisma.scheduledJob.findFirst({
+      where: { id, userId: req.userId }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job não encontrado' });
+    }
+
+    if (!await jobQueueService.resume(job)) {
+      return res.status(400).json({ error: 'Apenas jobs pausados podem ser retomados' });
+    }
+
+    const resumed = await prisma.scheduledJob.findUnique({ where: { id } });
+
+    await auditService.log(req, { action: 'update', entity: 'scheduled_job', before: job, after: resumed });
+
+    res.json({ message: 'Job retomado', job: resumed });
+  } catch (error) {
+    console.error('Erro ao retomar job:', error);
+    res.status(500).json({ error: 'Erro ao retomar job' });
+  }
+});
+
+// DELETE /api/automation/scheduled/:id - Cancelar job agendado (único ou recorrente)
 router.delete('/scheduled/:id', async (req, res) => {
   try {
     const id = parseInt(req.params.id);
@@ -338,13 +527,20 @@ router.delete('/scheduled/:id', async (req, res) => {
       return res.status(404).json({ error: 'Job não encontrado' });
     }
 
-    if (job.status !== 'pending') {
-      return res.status(400).json({ error: 'Apenas jobs pendentes podem ser cancelados' });
+    // Condicional: um job reservado pelo worker neste instante não é cancelado
+    if (!await jobQueueService.cancel(id)) {
+      return res.status(400).json({
+        error: job.status === 'running'
+          ? 'Job em execução; tente novamente em instantes'
+          : 'Apenas jobs pendentes ou pausados podem ser cancelados'
+      });
     }
 
-    await prisma.scheduledJob.update({
-      where: { id },
-      data: { status: 'cancelled' }
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'scheduled_job',
+      before: job,
+      after: { ...job, status: 'cancelled', nextRunAt: null }
     });
 
     res.json({ message: 'Job cancelado com sucesso' });
@@ -354,4 +550,448 @@ router.delete('/scheduled/:id', async (req, res) => {
   }
 });
 
+// =============================================
+// DEAD-LETTER (JOBS QUE FALHARAM)
+// =============================================
+
+/**
+ * Filtro dos jobs com falha visíveis para o usuário
+ * Admin do sistema vê todos; os demais, só os jobs dos próprios dados
+ */
+async function failedJobScope(req) {
+  const user = await prisma.user.findUnique({
+    where: { id: req.actorId },
+    select: { role: true }
+  });
+
+  return user?.role === 'admin' ? {} : { userId: req.userId };
+}
+
+/**
+ * Seleção das operações em lote: { ids: [...] } ou { all: true, queue?, type? }
+ * Retorna o filtro ou null se a seleção é inválida
+ */
+function bulkSelection(body, scope) {
+  const { ids, all, queue, type } = body || {};
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    if (!ids.every(Number.isInteger)) return null;
+    return { ...scope, id: { in: ids } };
+  }
+
+  if (all === true) {
+    const where = { ...scope };
+    if (queue) where.queue = queue;
+    if (type) where.type = type;
+    return where;
+  }
+
+  return null;
+}
+
+/**
+ * Reenfileira os jobs e registra a auditoria
+ * @returns {Promise<{retried: Object[], errors: Object[]}>}
+ */
+async function retryFailedJobs(req, failedJobs) {
+  const retried = [];
+  const errors = [];
+
+  for (const failedJob of failedJobs) {
+    try {
+      const updated = await queueService.retryFailedJob(failedJob);
+      retried.push(deadLetterService.format(updated));
+
+      await auditService.log(req, {
+        action: 'update',
+        entity: 'failed_job',
+        entityId: failedJob.id,
+        data: { retried: true, retryJobId: updated.retryJobId }
+      });
+    } catch (error) {
+      errors.push({ id: failedJob.id, error: error.message });
+    }
+  }
+
+  return { retried, errors };
+}
+
+// GET /api/automation/failed-jobs - Jobs que esgotaram as tentativas
+router.get('/failed-jobs', async (req, res) => {
+  try {
+    const { status = 'failed', queue, type, limit = 50, offset = 0 } = req.query;
+
+    const where = await failedJobScope(req);
+    if (status !== 'all') where.status = status;
+    if (queue) where.queue = queue;
+    if (type) where.type = type;
+
+    const [failedJobs, total] = await Promise.all([
+      prisma.failedJob.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip: parseInt(offset)
+      }),
+      prisma.failedJob.count({ where })
+    ]);
+
+    res.json({
+      failedJobs: failedJobs.map(failedJob => deadLetterService.format(failedJob)),
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Erro ao listar jobs com falha:', error);
+    res.status(500).json({ error: 'Erro ao listar jobs com falha' });
+  }
+});
+
+// POST /api/automation/failed-jobs/retry - Reenfileira em lote
+// { ids: [...] } ou { all: true, queue?, type? }
+router.post('/failed-jobs/retry', async (req, res) => {
+  try {
+    const where = bulkSelection(req.body, await failedJobScope(req));
+
+    if (!where) {
+      return res.status(400).json({ error: 'Informe ids ou all: true' });
+    }
+
+    const failedJobs = await prisma.failedJob.findMany({
+      where: { ...where, status: 'failed' },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const { retried, errors } = await retryFailedJobs(req, failedJobs);
+
+    res.json({
+      message: `${retried.length} job(s) reenfileirado(s)`,
+      retried: retried.length,
+      errors
+    });
+  } catch (error) {
+    console.error('Erro ao reenfileirar jobs:', error);
+    res.status(500).json({ error: 'Erro ao reenfileirar jobs' });
+  }
+});
+
+// POST /api/automation/failed-jobs/discard - Descarta em lote
+// { ids: [...] } ou { all: true, queue?, type? }
+router.post('/failed-jobs/discard', async (req, res) => {
+  try {
+    const where = bulkSelection(req.body, await failedJobScope(req));
+
+    if (!where) {
+      return res.status(400).json({ error: 'Informe ids ou all: true' });
+    }
+
+    const discarded = await deadLetterService.discard(where);
+
+    await auditService.log(req, {
+      action: 'delete',
+      entity: 'failed_job',
+      data: { discarded, ids: req.body.ids, queue: req.body.queue, type: req.body.type }
+    });
+
+    res.json({ message: `${discarded} job(s) descartado(s)`, discarded });
+  } catch (error) {
+    console.error('Erro ao descartar jobs:', error);
+    res.status(500).json({ error: 'Erro ao descartar jobs' });
+  }
+});
+
+// GET /api/automation/failed-jobs/:id - Detalhes (payload, erro e tentativas)
+router.get('/failed-jobs/:id', async (req, res) => {
+  try {
+    const failedJob = await prisma.failedJob.findFirst({
+      where: { ...(await failedJobScope(req)), id: parseInt(req.params.id) }
+    });
+
+    if (!failedJob) {
+      return res.status(404).json({ error: 'Job não encontrado' });
+    }
+
+    res.json(deadLetterService.format(failedJob));
+  } catch (error) {
+    console.error('Erro ao buscar job com falha:', error);
+    res.status(500).json({ error: 'Erro ao buscar job com falha' });
+  }
+});
+
+// POST /api/automation/failed-jobs/:id/retry - Reenfileira um job
+router.post('/failed-jobs/:id/retry', async (req, res) => {
+  try {
+    const failedJob = await prisma.failedJob.findFirst({
+      where: { ...(await failedJobScope(req)), id: parseInt(req.params.id) }
+    });
+
+    if (!failedJob) {
+      return res.status(404).json({ error: 'Job não encontrado' });
+    }
+
+    if (failedJob.status !== 'failed') {
+      return res.status(400).json({ error: 'Job já foi reenfileirado ou descartado' });
+    }
+
+    const { retried, errors } = await retryFailedJobs(req, [failedJob]);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].error });
+    }
+
+    res.json({ message: 'Job reenfileirado', failedJob: retried[0] });
+  } catch (error) {
+    console.error('Erro ao reenfileirar job:', error);
+    res.status(500).json({ error: 'Erro ao reenfileirar job' });
+  }
+});
+
+// =============================================
+// REGRAS DE AUTOMAÇÃO
+// =============================================
+
+/**
+ * Valida os campos de uma regra
+ * Retorna a mensagem de erro ou null se estiver tudo certo
+ */
+async function validateRule(body, userId) {
+  const { trigger, offsetHours, channel, templateId, propertyIds, quietHoursStart, quietHoursEnd } = body;
+
+  if (trigger !== undefined && !AUTOMATION_TRIGGER_LIST.includes(trigger)) {
+    return 'Gatilho inválido';
+  }
+
+  if (offsetHours !== undefined && (!Number.isInteger(offsetHours) || offsetHours < 0 || offsetHours > 720)) {
+    return 'Antecedência deve ser um número inteiro de horas entre 0 e 720';
+  }
+
+  // Com antecedência 0 a janela antes do check-in é vazia e a regra nunca dispararia
+  if (trigger === AUTOMATION_TRIGGERS.BEFORE_CHECKIN && offsetHours === 0) {
+    return 'Regras antes do check-in precisam de pelo menos 1 hora de antecedência';
+  }
+
+  if (channel !== undefined && !NOTIFICATION_CHANNEL_LIST.includes(channel)) {
+    return 'Canal inválido';
+  }
+
+  if (templateId !== undefined) {
+    const template = await prisma.messageTemplate.findFirst({
+      where: {
+        id: templateId,
+        OR: [{ userId }, { userId: null }]
+      }
+    });
+
+    if (!template) return 'Template não encontrado';
+  }
+
+  if (propertyIds !== undefined) {
+    if (!Array.isArray(propertyIds) || !propertyIds.every(Number.isInteger)) {
+      return 'propertyIds deve ser uma lista de IDs';
+    }
+
+    const owned = await prisma.property.count({
+      where: { id: { in: propertyIds }, userId }
+    });
+
+    if (owned !== new Set(propertyIds).size) return 'Imóvel não encontrado';
+  }
+
+  for (const value of [quietHoursStart, quietHoursEnd]) {
+    if (value !== undefined && value !== null && !isValidTime(value)) {
+      return 'Horário de silêncio deve estar no formato HH:mm';
+    }
+  }
+
+  return null;
+}
+
+// GET /api/automation/rules - Listar regras do usuário
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await prisma.automationRule.findMany({
+      where: { userId: req.userId },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        template: { select: { id: true, name: true, type: true, channel: true } },
+        _count: { select: { executions: true } }
+      }
+    });
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Erro ao listar regras:', error);
+    res.status(500).json({ error: 'Erro ao listar regras' });
+  }
+});
+
+// GET /api/automation/rules/:id - Buscar uma regra (com últimas execuções)
+router.get('/rules/:id', async (req, res) => {
+  try {
+    const rule = await prisma.automationRule.findFirst({
+      where: { id: parseInt(req.params.id), userId: req.userId },
+      include: {
+        template: true,
+        executions: {
+          orderBy: { executedAt: 'desc' },
+          take: 20
+        }
+      }
+    });
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Erro ao buscar regra:', error);
+    res.status(500).json({ error: 'Erro ao buscar regra' });
+  }
+});
+
+// POST /api/automation/rules - Criar regra
+router.post('/rules', async (req, res) => {
+  try {
+    const {
+      name,
+      trigger,
+      offsetHours = 0,
+      channel = 'whatsapp',
+      templateId,
+      propertyIds = [],
+      quietHoursStart = null,
+      quietHoursEnd = null,
+      isActive = true
+    } = req.body;
+
+    if (!name || !trigger || !templateId) {
+      return res.status(400).json({ error: 'Nome, gatilho e template são obrigatórios' });
+    }
+
+    const validationError = await validateRule(
+      { trigger, offsetHours, channel, templateId, propertyIds, quietHoursStart, quietHoursEnd },
+      req.userId
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError, validTriggers: AUTOMATION_TRIGGER_LIST });
+    }
+
+    if (Boolean(quietHoursStart) !== Boolean(quietHoursEnd)) {
+      return res.status(400).json({ error: 'Informe início e fim do horário de silêncio' });
+    }
+
+    const rule = await prisma.automationRule.create({
+      data: {
+        name,
+        trigger,
+        offsetHours,
+        channel,
+        templateId,
+        propertyIds,
+        quietHoursStart,
+        quietHoursEnd,
+        isActive,
+        userId: req.userId
+      }
+    });
+
+    await auditService.log(req, { action: 'create', entity: 'automation_rule', after: rule });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Erro ao criar regra:', error);
+    res.status(500).json({ error: 'Erro ao criar regra' });
+  }
+});
+
+// PUT /api/automation/rules/:id - Atualizar regra
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await prisma.automationRule.findFirst({
+      where: { id, userId: req.userId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+
+    const { name, trigger, offsetHours, channel, templateId, propertyIds, quietHoursStart, quietHoursEnd, isActive } = req.body;
+
+    // Gatilho e antecedência são validados juntos (o que não veio no corpo fica como está)
+    const changesTiming = trigger !== undefined || offsetHours !== undefined;
+
+    const validationError = await validateRule(
+      {
+        trigger: changesTiming ? trigger ?? existing.trigger : undefined,
+        offsetHours: changesTiming ? offsetHours ?? existing.offsetHours : undefined,
+        channel,
+        templateId,
+        propertyIds,
+        quietHoursStart,
+        quietHoursEnd
+      },
+      req.userId
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError, validTriggers: AUTOMATION_TRIGGER_LIST });
+    }
+
+    const nextQuietStart = quietHoursStart !== undefined ? quietHoursStart : existing.quietHoursStart;
+    const nextQuietEnd = quietHoursEnd !== undefined ? quietHoursEnd : existing.quietHoursEnd;
+
+    if (Boolean(nextQuietStart) !== Boolean(nextQuietEnd)) {
+      return res.status(400).json({ error: 'Informe início e fim do horário de silêncio' });
+    }
+
+    const rule = await prisma.automationRule.update({
+      where: { id },
+      data: {
+        name: name || existing.name,
+        trigger: trigger ?? existing.trigger,
+        offsetHours: offsetHours ?? existing.offsetHours,
+        channel: channel ?? existing.channel,
+        templateId: templateId ?? existing.templateId,
+        propertyIds: propertyIds ?? existing.propertyIds,
+        quietHoursStart: nextQuietStart,
+        quietHoursEnd: nextQuietEnd,
+        isActive: isActive ?? existing.isActive
+      }
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'automation_rule', before: existing, after: rule });
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Erro ao atualizar regra:', error);
+    res.status(500).json({ error: 'Erro ao atualizar regra' });
+  }
+});
+
+// DELETE /api/automation/rules/:id - Remover regra
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await prisma.automationRule.findFirst({
+      where: { id, userId: req.userId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+
+    await prisma.automationRule.delete({ where: { id } });
+    await auditService.log(req, { action: 'delete', entity: 'automation_rule', before: existing });
+
+    res.json({ message: 'Regra removida com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover regra:', error);
+    res.status(500).json({ error: 'Erro ao remover regra' });
+  }
+});
+
 export default router;
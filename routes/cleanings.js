@@ -0,0 +1,126 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import cleaningService from '../services/cleaning.service.js';
+import auditService from '../services/audit.service.js';
+import organizationService from '../services/organization.service.js';
+import { CLEANING_STATUS_LIST, DEFAULTS } from '../utils/constants.js';
+import { getLocalDayWindow } from '../utils/dates.js';
+
+const router = Router();
+
+// Proteger todas as rotas
+router.use(authMiddleware);
+
+const taskInclude = {
+  property: { select: { id: true, name: true, timezone: true } },
+  reservation: {
+    select: {
+      id: true,
+      checkoutDate: true,
+      guest: { select: { id: true, name: true } }
+    }
+  }
+};
+
+// GET /api/cleanings - Tarefas de limpeza do dia
+// ?date=YYYY-MM-DD (padrão: hoje), ?propertyId, ?status
+router.get('/', async (req, res) => {
+  try {
+    const { propertyId, status } = req.query;
+    const date = req.query.date || getLocalDayWindow(DEFAULTS.TIMEZONE).date;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Data inválida. Use o formato YYYY-MM-DD' });
+    }
+
+    const where = {
+      property: { userId: req.userId },
+      ...organizationService.scopeProperties(req, 'propertyId', propertyId ? parseInt(propertyId) : null),
+      date: new Date(`${date}T00:00:00.000Z`)
+    };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const tasks = await prisma.cleaningTask.findMany({
+      where,
+      include: taskInclude,
+      orderBy: [{ employeePhone: 'asc' }, { position: 'asc' }]
+    });
+
+    const summary = {};
+    for (const task of tasks) {
+      summary[task.status] = (summary[task.status] || 0) + 1;
+    }
+
+    res.json({ date, tasks, summary });
+  } catch (error) {
+    console.error('Erro ao listar limpezas:', error);
+    res.status(500).json({ error: 'Erro ao listar limpezas' });
+  }
+});
+
+// GET /api/cleanings/:id - Detalhes da tarefa
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await prisma.cleaningTask.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        property: { userId: req.userId },
+        ...organizationService.scopeProperties(req)
+      },
+      include: taskInclude
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa de limpeza não encontrada' });
+    }
+
+    res.json(task);
+  } catch (error) {
+    console.error('Erro ao buscar limpeza:', error);
+    res.status(500).json({ error: 'Erro ao buscar limpeza' });
+  }
+});
+
+// PUT /api/cleanings/:id - Alterar status manualmente (ex: limpeza feita sem resposta no WhatsApp)
+router.put('/:id', async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    const task = await prisma.cleaningTask.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        property: { userId: req.userId }
+      }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa de limpeza não encontrada' });
+    }
+
+    if (!CLEANING_STATUS_LIST.includes(status)) {
+      return res.status(400).json({
+        error: `Status inválido. Use: ${CLEANING_STATUS_LIST.join(', ')}`
+      });
+    }
+
+    await cleaningService.updateStatus(task, status, { source: 'manual', notes });
+
+    const updated = await prisma.cleaningTask.findUnique({
+      where: { id: task.id },
+      include: taskInclude
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'cleaning_task', before: task, after: updated });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Erro ao atualizar limpeza:', error);
+    res.status(500).json({ error: 'Erro ao atualizar limpeza' });
+  }
+});
+
+export default router;
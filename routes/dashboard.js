@@ -3,6 +3,7 @@ import dayjs from 'dayjs';
 import prisma from '../lib/prisma.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import workerService from '../services/worker.service.js';
+import organizationService from '../services/organization.service.js';
 
 const router = Router();
 
@@ -21,16 +22,16 @@ router.get('/stats', async (req, res) => {
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
     const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59);
 
-    // Busca IDs das propriedades do usuário
+    // Busca IDs das propriedades do usuário (apenas as liberadas para owner/cohost)
     const userProperties = await prisma.property.findMany({
-      where: { userId },
+      where: { userId, ...organizationService.scopeProperties(req, 'id') },
       select: { id: true }
     });
     const propertyIds = userProperties.map(p => p.id);
 
-    const [totalProperties, messagesToday, messagesThisMonth, failedMessages] = await Promise.all([
+    const [totalProperties, messagesToday, messagesThisMonth, failedMessages, messageStatuses, notificationStatuses] = await Promise.all([
       prisma.property.count({
-        where: { userId }
+        where: { userId, ...organizationService.scopeProperties(req, 'id') }
       }),
 
       prisma.messageLog.count({
@@ -62,14 +63,61 @@ router.get('/stats', async (req, res) => {
             lt: tomorrow
           }
         }
+      }),
+
+      // Confirmações de entrega/leitura do WhatsApp no mês
+      prisma.messageLog.groupBy({
+        by: ['status'],
+        where: {
+          propertyId: { in: propertyIds },
+          channel: 'whatsapp',
+          sentAt: {
+            gte: startOfMonth,
+            lte: endOfMonth
+          }
+        },
+        _count: { _all: true }
+      }),
+
+      prisma.notificationLog.groupBy({
+        by: ['status'],
+        where: {
+          userId,
+          // NotificationLog não tem propertyId: o imóvel vem da reserva
+          ...(req.propertyIds ? { reservation: { propertyId: { in: req.propertyIds } } } : {}),
+          channel: 'whatsapp',
+          sentAt: {
+            gte: startOfMonth,
+            lte: endOfMonth
+          }
+        },
+        _count: { _all: true }
       })
     ]);
 
+    const statusCounts = {};
+    for (const row of [...messageStatuses, ...notificationStatuses]) {
+      statusCounts[row.status] = (statusCounts[row.status] || 0) + row._count._all;
+    }
+
+    const readCount = statusCounts.read || 0;
+    const deliveredCount = (statusCounts.delivered || 0) + readCount;
+    const sentCount = (statusCounts.sent || 0) + deliveredCount;
+    // Percentual (0-100) sobre as mensagens enviadas
+    const rate = (count) => sentCount > 0 ? Math.round((count / sentCount) * 1000) / 10 : null;
+
     res.json({
       totalProperties,
       messagesToday,
       messagesThisMonth,
-      failedMessages
+      failedMessages,
+      whatsappThisMonth: {
+        sent: sentCount,
+        delivered: deliveredCount,
+        read: readCount
+      },
+      deliveryRate: rate(deliveredCount),
+      readRate: rate(readCount)
     });
   } catch (error) {
     console.error('Erro ao buscar estatísticas:', error);
@@ -84,9 +132,9 @@ router.get('/logs', async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
 
-    // Busca IDs das propriedades do usuário
+    // Busca IDs das propriedades do usuário (apenas as liberadas para owner/cohost)
     const userProperties = await prisma.property.findMany({
-      where: { userId },
+      where: { userId, ...organizationService.scopeProperties(req, 'id') },
       select: { id: true }
     });
     const propertyIds = userProperties.map(p => p.id);
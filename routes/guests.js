@@ -2,18 +2,28 @@ import { Router } from 'express';
 import prisma from '../lib/prisma.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import webhookService from '../services/webhook.service.js';
+import auditService from '../services/audit.service.js';
+import organizationService from '../services/organization.service.js';
+import inboxService from '../services/inbox.service.js';
 
 const router = Router();
 
 // Proteger todas as rotas
 router.use(authMiddleware);
 
+/**
+ * Owner/cohost só veem hóspedes com reservas nos imóveis liberados
+ */
+function scopeGuests(req) {
+  return req.propertyIds ? { reservations: { some: organizationService.scopeProperties(req) } } : {};
+}
+
 // GET /api/guests - Listar hóspedes do usuário
 router.get('/', async (req, res) => {
   try {
     const { search, limit = 50, offset = 0 } = req.query;
 
-    const where = { userId: req.userId };
+    const where = { userId: req.userId, ...scopeGuests(req) };
 
     if (search) {
       where.OR = [
@@ -51,10 +61,12 @@ router.get('/:id', async (req, res) => {
     const guest = await prisma.guest.findFirst({
       where: {
         id: parseInt(req.params.id),
-        userId: req.userId
+        userId: req.userId,
+        ...scopeGuests(req)
       },
       include: {
         reservations: {
+          where: organizationService.scopeProperties(req),
           orderBy: { checkinDate: 'desc' },
           take: 10,
           include: {
@@ -96,27 +108,34 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Nome é obrigatório' });
     }
 
-    const guest = await prisma.guest.create({
-      data: {
-        name,
-        email,
-        phone,
-        whatsapp: whatsapp || phone,
-        document,
-        documentType,
-        nationality,
-        notes,
-        preferredLanguage,
-        userId: req.userId
-      }
+    // Webhook gravado no outbox na mesma transação do cadastro
+    const guest = await prisma.$transaction(async (tx) => {
+      const created = await tx.guest.create({
+        data: {
+          name,
+          email,
+          phone,
+          whatsapp: whatsapp || phone,
+          ...inboxService.guestPhoneColumns({ phone, whatsapp: whatsapp || phone }),
+          document,
+          documentType,
+          nationality,
+          notes,
+          preferredLanguage,
+          userId: req.userId
+        }
+      });
+
+      await webhookService.trigger('guest.created', {
+        id: created.id,
+        name: created.name,
+        email: created.email
+      }, req.userId, tx);
+
+      return created;
     });
 
-    // Disparar webhook
-    await webhookService.trigger('guest.created', {
-      id: guest.id,
-      name: guest.name,
-      email: guest.email
-    }, req.userId);
+    await auditService.log(req, { action: 'create', entity: 'guest', after: guest });
 
     res.status(201).json(guest);
   } catch (error) {
@@ -151,27 +170,38 @@ router.put('/:id', async (req, res) => {
       isActive
     } = req.body;
 
-    const guest = await prisma.guest.update({
-      where: { id },
-      data: {
-        name: name ?? existing.name,
-        email: email ?? existing.email,
-        phone: phone ?? existing.phone,
-        whatsapp: whatsapp ?? existing.whatsapp,
-        document: document ?? existing.document,
-        documentType: documentType ?? existing.documentType,
-        nationality: nationality ?? existing.nationality,
-        notes: notes ?? existing.notes,
-        preferredLanguage: preferredLanguage ?? existing.preferredLanguage,
-        isActive: isActive ?? existing.isActive
-      }
+    const phones = {
+      phone: phone ?? existing.phone,
+      whatsapp: whatsapp ?? existing.whatsapp
+    };
+
+    // Webhook gravado no outbox na mesma transação da alteração
+    const guest = await prisma.$transaction(async (tx) => {
+      const updated = await tx.guest.update({
+        where: { id },
+        data: {
+          name: name ?? existing.name,
+          email: email ?? existing.email,
+          ...phones,
+          ...inboxService.guestPhoneColumns(phones),
+          document: document ?? existing.document,
+          documentType: documentType ?? existing.documentType,
+          nationality: nationality ?? existing.nationality,
+          notes: notes ?? existing.notes,
+          preferredLanguage: preferredLanguage ?? existing.preferredLanguage,
+          isActive: isActive ?? existing.isActive
+        }
+      });
+
+      await webhookService.trigger('guest.updated', {
+        id: updated.id,
+        name: updated.name
+      }, req.userId, tx);
+
+      return updated;
     });
 
-    // Disparar webhook
-    await webhookService.trigger('guest.updated', {
-      id: guest.id,
-      name: guest.name
-    }, req.userId);
+    await auditService.log(req, { action: 'update', entity: 'guest', before: existing, after: guest });
 
     res.json(guest);
   } catch (error) {
@@ -194,6 +224,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await prisma.guest.delete({ where: { id } });
+    await auditService.log(req, { action: 'delete', entity: 'guest', before: existing });
 
     res.json({ message: 'Hóspede removido com sucesso' });
   } catch (error) {
@@ -209,7 +240,7 @@ router.get('/:id/reservations', async (req, res) => {
     const { limit = 20, offset = 0 } = req.query;
 
     const guest = await prisma.guest.findFirst({
-      where: { id: guestId, userId: req.userId }
+      where: { id: guestId, userId: req.userId, ...scopeGuests(req) }
     });
 
     if (!guest) {
@@ -218,7 +249,7 @@ router.get('/:id/reservations', async (req, res) => {
 
     const [reservations, total] = await Promise.all([
       prisma.reservation.findMany({
-        where: { guestId },
+        where: { guestId, ...organizationService.scopeProperties(req) },
         orderBy: { checkinDate: 'desc' },
         take: parseInt(limit),
         skip: parseInt(offset),
@@ -228,7 +259,7 @@ router.get('/:id/reservations', async (req, res) => {
           }
         }
       }),
-      prisma.reservation.count({ where: { guestId } })
+      prisma.reservation.count({ where: { guestId, ...organizationService.scopeProperties(req) } })
     ]);
 
     res.json({
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import icalService from '../services/ical.service.js';
+
+const router = Router();
+
+// GET /ical/:token.ics - Feed iCal público (sem autenticação, protegido pelo token)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const calendar = await icalService.renderExportFeed(req.params.token);
+
+    if (!calendar) {
+      return res.status(404).json({ error: 'Calendario nao encontrado' });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="mevo.ics"',
+      'Cache-Control': 'no-cache'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Erro ao exportar calendário:', error);
+    res.status(500).json({ error: 'Erro ao exportar calendário' });
+  }
+});
+
+export default router;
@@ -0,0 +1,196 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import inboxService from '../services/inbox.service.js';
+import organizationService from '../services/organization.service.js';
+
+const router = Router();
+
+// Proteger todas as rotas
+router.use(authMiddleware);
+
+/**
+ * Owner/cohost só veem conversas ligadas aos imóveis liberados
+ * (funcionário do imóvel ou hóspede com reserva nele)
+ */
+function scopeConversations(req) {
+  if (!req.propertyIds) return {};
+
+  const scope = organizationService.scopeProperties(req);
+  return {
+    AND: [{ OR: [scope, { guest: { reservations: { some: scope } } }] }]
+  };
+}
+
+// GET /api/inbox/conversations - Listar conversas (mais recentes primeiro)
+router.get('/conversations', async (req, res) => {
+  try {
+    const { contactType, unread, search, limit = 50, offset = 0 } = req.query;
+
+    const where = { userId: req.userId, ...scopeConversations(req) };
+
+    if (contactType) {
+      where.contactType = contactType;
+    }
+
+    if (unread === 'true') {
+      where.unreadCount = { gt: 0 };
+    }
+
+    if (search) {
+      where.OR = [
+        { phone: { contains: search.replace(/\D/g, '') || search } },
+        { contactName: { contains: search, mode: 'insensitive' } },
+        { guest: { name: { contains: search, mode: 'insensitive' } } }
+      ];
+    }
+
+    const [conversations, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        orderBy: { lastMessageAt: { sort: 'desc', nulls: 'last' } },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        include: {
+          guest: { select: { id: true, name: true } },
+          property: { select: { id: true, name: true } }
+        }
+      }),
+      prisma.conversation.count({ where })
+    ]);
+
+    res.json({
+      conversations,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Erro ao listar conversas:', error);
+    res.status(500).json({ error: 'Erro ao listar conversas' });
+  }
+});
+
+// GET /api/inbox/conversations/:id - Histórico da conversa (recebidas + enviadas)
+// Use ?before=<ISO> para paginar mensagens mais antigas
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { before, limit = 50 } = req.query;
+    const take = parseInt(limit);
+
+    const conversation = await prisma.conversation.findFirst({
+      where: { id, userId: req.userId, ...scopeConversations(req) },
+      include: {
+        guest: { select: { id: true, name: true, email: true, phone: true, whatsapp: true } },
+        property: { select: { id: true, name: true } }
+      }
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversa não encontrada' });
+    }
+
+    const beforeDate = before ? new Date(before) : null;
+
+    const [inbound, outbound] = await Promise.all([
+      prisma.inboxMessage.findMany({
+        where: {
+          conversationId: id,
+          ...(beforeDate && { receivedAt: { lt: beforeDate } })
+        },
+        orderBy: { receivedAt: 'desc' },
+        take
+      }),
+      prisma.notificationLog.findMany({
+        where: {
+          conversationId: id,
+          ...(beforeDate && { createdAt: { lt: beforeDate } })
+        },
+        orderBy: { createdAt: 'desc' },
+        take
+      })
+    ]);
+
+    const messages = [
+      ...inbound.map(m => ({
+        id: `in-${m.id}`,
+        direction: 'inbound',
+        messageType: m.messageType,
+        body: m.body,
+        at: m.receivedAt,
+        readAt: m.readAt
+      })),
+      ...outbound.map(n => ({
+        id: `out-${n.id}`,
+        direction: 'outbound',
+        messageType: 'text',
+        body: n.message,
+        at: n.createdAt,
+        type: n.type,
+        status: n.status,
+        errorMessage: n.errorMessage,
+        reservationId: n.reservationId
+      }))
+    ]
+      .sort((a, b) => b.at - a.at)
+      .slice(0, take)
+      .reverse();
+
+    // Abrir a conversa marca as mensagens recebidas como lidas
+    if (conversation.unreadCount > 0) {
+      await prisma.$transaction([
+        prisma.inboxMessage.updateMany({
+          where: { conversationId: id, readAt: null },
+          data: { readAt: new Date() }
+        }),
+        prisma.conversation.update({
+          where: { id },
+          data: { unreadCount: 0 }
+        })
+      ]);
+    }
+
+    res.json({
+      conversation: { ...conversation, unreadCount: 0 },
+      messages,
+      hasMore: inbound.length === take || outbound.length === take
+    });
+  } catch (error) {
+    console.error('Erro ao buscar conversa:', error);
+    res.status(500).json({ error: 'Erro ao buscar conversa' });
+  }
+});
+
+// POST /api/inbox/conversations/:id/reply - Responder pelo WhatsApp do usuário
+router.post('/conversations/:id/reply', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ error: 'Mensagem é obrigatória' });
+    }
+
+    const conversation = await prisma.conversation.findFirst({
+      where: { id, userId: req.userId, ...scopeConversations(req) }
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversa não encontrada' });
+    }
+
+    const log = await inboxService.reply(req.userId, conversation, message);
+
+    if (log.status === 'failed') {
+      return res.status(502).json({ error: log.errorMessage || 'Erro ao enviar mensagem', log });
+    }
+
+    res.status(201).json(log);
+  } catch (error) {
+    console.error('Erro ao responder conversa:', error);
+    res.status(500).json({ error: 'Erro ao responder conversa' });
+  }
+});
+
+export default router;
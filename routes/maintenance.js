@@ -0,0 +1,589 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import maintenanceService from '../services/maintenance.service.js';
+import auditService from '../services/audit.service.js';
+import {
+  MAINTENANCE_OCCUPANCY_POLICY_LIST,
+  MAINTENANCE_PRIORITY_LIST,
+  MAINTENANCE_RECURRENCES,
+  MAINTENANCE_RECURRENCE_LIST,
+  MAINTENANCE_STATUS,
+  MAINTENANCE_STATUS_LIST
+} from '../utils/constants.js';
+
+const router = Router();
+
+// Proteger todas as rotas
+router.use(authMiddleware);
+
+const OPEN_STATUSES = [MAINTENANCE_STATUS.PENDING, MAINTENANCE_STATUS.IN_PROGRESS];
+
+/**
+ * Valida prioridade e status enviados no corpo
+ * @returns {string|null} Mensagem de erro
+ */
+function validateTask({ priority, status, dueDate }) {
+  if (priority !== undefined && !MAINTENANCE_PRIORITY_LIST.includes(priority)) {
+    return `Prioridade inválida. Use: ${MAINTENANCE_PRIORITY_LIST.join(', ')}`;
+  }
+
+  if (status !== undefined && !MAINTENANCE_STATUS_LIST.includes(status)) {
+    return `Status inválido. Use: ${MAINTENANCE_STATUS_LIST.join(', ')}`;
+  }
+
+  if (dueDate && isNaN(new Date(dueDate).getTime())) {
+    return 'Data de vencimento inválida';
+  }
+
+  return null;
+}
+
+/**
+ * Valida a agenda já combinada com os valores atuais (no PUT)
+ * @returns {string|null} Mensagem de erro
+ */
+function validateSchedule(schedule) {
+  if (!schedule.title) {
+    return 'Título é obrigatório';
+  }
+
+  if (!MAINTENANCE_RECURRENCE_LIST.includes(schedule.recurrence)) {
+    return `Recorrência inválida. Use: ${MAINTENANCE_RECURRENCE_LIST.join(', ')}`;
+  }
+
+  if (schedule.recurrence === MAINTENANCE_RECURRENCES.INTERVAL &&
+    !(Number.isInteger(schedule.intervalDays) && schedule.intervalDays >= 1)) {
+    return 'intervalDays deve ser um número inteiro de dias (mínimo 1)';
+  }
+
+  if (schedule.recurrence === MAINTENANCE_RECURRENCES.WEEKLY &&
+    !(Array.isArray(schedule.weekdays) && schedule.weekdays.length > 0 &&
+      schedule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    return 'weekdays deve listar os dias da semana (0 = domingo ... 6 = sábado)';
+  }
+
+  if (schedule.recurrence === MAINTENANCE_RECURRENCES.MONTHLY &&
+    !(Number.isInteger(schedule.dayOfMonth) && schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= 31)) {
+    return 'dayOfMonth deve estar entre 1 e 31';
+  }
+
+  if (isNaN(new Date(schedule.startDate).getTime())) {
+    return 'Data de início inválida';
+  }
+
+  if (!MAINTENANCE_OCCUPANCY_POLICY_LIST.includes(schedule.occupancyPolicy)) {
+    return `Política de ocupação inválida. Use: ${MAINTENANCE_OCCUPANCY_POLICY_LIST.join(', ')}`;
+  }
+
+  if (!(Number.isInteger(schedule.leadDays) && schedule.leadDays >= 0 && schedule.leadDays <= 90)) {
+    return 'leadDays deve estar entre 0 e 90';
+  }
+
+  if (!MAINTENANCE_PRIORITY_LIST.includes(schedule.priority)) {
+    return `Prioridade inválida. Use: ${MAINTENANCE_PRIORITY_LIST.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Campos que alteram as datas das ocorrências
+const RECURRENCE_FIELDS = ['recurrence', 'intervalDays', 'weekdays', 'dayOfMonth', 'startDate'];
+
+// =============================================
+// AGENDAS DE MANUTENÇÃO PREVENTIVA
+// (definidas antes de /:id)
+// =============================================
+
+// GET /api/maintenance/schedules - Listar agendas (?propertyId)
+router.get('/schedules', async (req, res) => {
+  try {
+    const { propertyId } = req.query;
+
+    const where = { property: { userId: req.userId } };
+
+    if (propertyId) {
+      where.propertyId = parseInt(propertyId);
+    }
+
+    const schedules = await prisma.maintenanceSchedule.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        property: { select: { id: true, name: true } }
+      }
+    });
+
+    res.json(schedules);
+  } catch (error) {
+    console.error('Erro ao listar agendas de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao listar agendas de manutenção' });
+  }
+});
+
+// GET /api/maintenance/schedules/:id - Buscar agenda
+router.get('/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await prisma.maintenanceSchedule.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        property: { userId: req.userId }
+      },
+      include: {
+        property: { select: { id: true, name: true } },
+        tasks: {
+          orderBy: { scheduledFor: 'desc' },
+          take: 10
+        }
+      }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Agenda de manutenção não encontrada' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Erro ao buscar agenda de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao buscar agenda de manutenção' });
+  }
+});
+
+// GET /api/maintenance/schedules/:id/preview?count=N - Próximas ocorrências
+// Mostra as datas já adiadas/puladas pelas reservas atuais
+router.get('/schedules/:id/preview', async (req, res) => {
+  try {
+    const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 50);
+
+    const schedule = await prisma.maintenanceSchedule.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        property: { userId: req.userId }
+      },
+      include: { property: true }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Agenda de manutenção não encontrada' });
+    }
+
+    const occurrences = await maintenanceService.previewSchedule(schedule, count);
+
+    res.json({ scheduleId: schedule.id, occurrences });
+  } catch (error) {
+    console.error('Erro ao calcular ocorrências:', error);
+    res.status(500).json({ error: 'Erro ao calcular ocorrências' });
+  }
+});
+
+// POST /api/maintenance/schedules - Criar agenda
+router.post('/schedules', async (req, res) => {
+  try {
+    const { propertyId } = req.body;
+
+    if (!propertyId) {
+      return res.status(400).json({ error: 'Propriedade é obrigatória' });
+    }
+
+    const property = await prisma.property.findFirst({
+      where: { id: parseInt(propertyId), userId: req.userId }
+    });
+
+    if (!property) {
+      return res.status(404).json({ error: 'Propriedade não encontrada' });
+    }
+
+    const data = {
+      title: req.body.title,
+      description: req.body.description ?? null,
+      priority: req.body.priority || 'normal',
+      recurrence: req.body.recurrence,
+      intervalDays: req.body.intervalDays ?? null,
+      weekdays: req.body.weekdays || [],
+      dayOfMonth: req.body.dayOfMonth ?? null,
+      startDate: req.body.startDate || new Date(),
+      occupancyPolicy: req.body.occupancyPolicy || 'shift',
+      leadDays: req.body.leadDays ?? 7,
+      assigneeName: req.body.assigneeName ?? null,
+      assigneePhone: req.body.assigneePhone ?? null,
+      isActive: req.body.isActive ?? true
+    };
+
+    const validationError = validateSchedule(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const schedule = await prisma.maintenanceSchedule.create({
+      data: {
+        ...data,
+        startDate: maintenanceService.toDay(data.startDate),
+        propertyId: property.id
+      },
+      include: {
+        property: { select: { id: true, name: true } }
+      }
+    });
+
+    await auditService.log(req, { action: 'create', entity: 'maintenance_schedule', after: schedule });
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Erro ao criar agenda de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao criar agenda de manutenção' });
+  }
+});
+
+// PUT /api/maintenance/schedules/:id - Atualizar agenda
+router.put('/schedules/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await prisma.maintenanceSchedule.findFirst({
+      where: { id, property: { userId: req.userId } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Agenda de manutenção não encontrada' });
+    }
+
+    const fields = [
+      'title', 'description', 'priority', 'recurrence', 'intervalDays', 'weekdays', 'dayOfMonth',
+      'startDate', 'occupancyPolicy', 'leadDays', 'assigneeName', 'assigneePhone', 'isActive'
+    ];
+
+    const data = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+
+    const validationError = validateSchedule({ ...existing, ...data });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (data.startDate) {
+      data.startDate = maintenanceService.toDay(data.startDate);
+    }
+
+    // Nova recorrência: recalcula a partir de hoje (ocorrências já geradas não se repetem)
+    if (RECURRENCE_FIELDS.some(field => field in data)) {
+      data.lastGeneratedDate = null;
+    }
+
+    const schedule = await prisma.maintenanceSchedule.update({
+      where: { id },
+      data,
+      include: {
+        property: { select: { id: true, name: true } }
+      }
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'maintenance_schedule', before: existing, after: schedule });
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Erro ao atualizar agenda de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao atualizar agenda de manutenção' });
+  }
+});
+
+// DELETE /api/maintenance/schedules/:id - Remover agenda (tarefas já geradas são mantidas)
+router.delete('/schedules/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await prisma.maintenanceSchedule.findFirst({
+      where: { id, property: { userId: req.userId } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Agenda de manutenção não encontrada' });
+    }
+
+    await prisma.maintenanceSchedule.delete({ where: { id } });
+    await auditService.log(req, { action: 'delete', entity: 'maintenance_schedule', before: existing });
+
+    res.json({ message: 'Agenda de manutenção removida com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover agenda de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao remover agenda de manutenção' });
+  }
+});
+
+// =============================================
+// TAREFAS DE MANUTENÇÃO
+// =============================================
+
+// GET /api/maintenance - Listar tarefas de manutenção
+router.get('/', async (req, res) => {
+  try {
+    const { propertyId, status, priority, limit = 50, offset = 0 } = req.query;
+
+    const where = { property: { userId: req.userId } };
+
+    if (propertyId) {
+      where.propertyId = parseInt(propertyId);
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (priority) {
+      where.priority = priority;
+    }
+
+    const [tasks, total] = await Promise.all([
+      prisma.maintenanceTask.findMany({
+        where,
+        orderBy: [{ dueDate: { sort: 'asc', nulls: 'last' } }, { createdAt: 'desc' }],
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        include: {
+          property: { select: { id: true, name: true } }
+        }
+      }),
+      prisma.maintenanceTask.count({ where })
+    ]);
+
+    res.json({
+      tasks,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Erro ao listar manutenções:', error);
+    res.status(500).json({ error: 'Erro ao listar manutenções' });
+  }
+});
+
+// GET /api/maintenance/:id - Buscar tarefa
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await prisma.maintenanceTask.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        property: { userId: req.userId }
+      },
+      include: {
+        property: { select: { id: true, name: true } }
+      }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa de manutenção não encontrada' });
+    }
+
+    res.json(task);
+  } catch (error) {
+    console.error('Erro ao buscar manutenção:', error);
+    res.status(500).json({ error: 'Erro ao buscar manutenção' });
+  }
+});
+
+// POST /api/maintenance - Criar tarefa (avisa o responsável, se houver telefone)
+router.post('/', async (req, res) => {
+  try {
+    const {
+      propertyId,
+      title,
+      description,
+      priority,
+      status,
+      dueDate,
+      assigneeName,
+      assigneePhone
+    } = req.body;
+
+    if (!propertyId || !title) {
+      return res.status(400).json({ error: 'Propriedade e título são obrigatórios' });
+    }
+
+    const validationError = validateTask(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const property = await prisma.property.findFirst({
+      where: { id: parseInt(propertyId), userId: req.userId }
+    });
+
+    if (!property) {
+      return res.status(404).json({ error: 'Propriedade não encontrada' });
+    }
+
+    // Webhook gravado no outbox na mesma transação da tarefa
+    const task = await prisma.$transaction(async (tx) => {
+      const created = await tx.maintenanceTask.create({
+        data: {
+          propertyId: property.id,
+          title,
+          description,
+          priority: priority || 'normal',
+          status: status || MAINTENANCE_STATUS.PENDING,
+          dueDate: dueDate ? new Date(dueDate) : null,
+          completedAt: status === MAINTENANCE_STATUS.COMPLETED ? new Date() : null,
+          assigneeName,
+          assigneePhone
+        },
+        include: {
+          property: { select: { id: true, name: true } }
+        }
+      });
+
+      await maintenanceService.triggerCreated(created, property, tx);
+      return created;
+    });
+
+    await auditService.log(req, { action: 'create', entity: 'maintenance_task', after: task });
+
+    let assigneeNotification = null;
+    if (task.assigneePhone && OPEN_STATUSES.includes(task.status)) {
+      assigneeNotification = await maintenanceService.notifyAssignment(task, property);
+    }
+
+    res.status(201).json({ ...task, assigneeNotification });
+  } catch (error) {
+    console.error('Erro ao criar manutenção:', error);
+    res.status(500).json({ error: 'Erro ao criar manutenção' });
+  }
+});
+
+// PUT /api/maintenance/:id - Atualizar tarefa
+// Troca de responsável gera novo aviso; mudança de status dispara maintenance.*
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await prisma.maintenanceTask.findFirst({
+      where: { id, property: { userId: req.userId } },
+      include: { property: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Tarefa de manutenção não encontrada' });
+    }
+
+    const validationError = validateTask(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      title,
+      description,
+      priority,
+      status,
+      dueDate,
+      assigneeName,
+      assigneePhone
+    } = req.body;
+
+    const nextStatus = status ?? existing.status;
+    const nextDueDate = dueDate !== undefined ? (dueDate ? new Date(dueDate) : null) : existing.dueDate;
+    const dueDateChanged = nextDueDate?.getTime() !== existing.dueDate?.getTime();
+
+    let completedAt = existing.completedAt;
+    if (nextStatus !== existing.status) {
+      completedAt = nextStatus === MAINTENANCE_STATUS.COMPLETED ? new Date() : null;
+    }
+
+    // Webhook gravado no outbox na mesma transação da alteração
+    const task = await prisma.$transaction(async (tx) => {
+      const updated = await tx.maintenanceTask.update({
+        where: { id },
+        data: {
+          title: title ?? existing.title,
+          description: description ?? existing.description,
+          priority: priority ?? existing.priority,
+          status: nextStatus,
+          dueDate: nextDueDate,
+          completedAt,
+          assigneeName: assigneeName ?? existing.assigneeName,
+          assigneePhone: assigneePhone !== undefined ? assigneePhone || null : existing.assigneePhone,
+          // Novo vencimento ou novo responsável => novo lembrete
+          reminderSentAt: dueDateChanged || (assigneePhone && assigneePhone !== existing.assigneePhone)
+            ? null
+            : existing.reminderSentAt
+        },
+        include: {
+          property: { select: { id: true, name: true } }
+        }
+      });
+
+      await maintenanceService.triggerStatusChange(updated, existing.status, existing.property, tx);
+      return updated;
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'maintenance_task', before: existing, after: task });
+
+    let assigneeNotification = null;
+    if (task.assigneePhone && task.assigneePhone !== existing.assigneePhone && OPEN_STATUSES.includes(task.status)) {
+      assigneeNotification = await maintenanceService.notifyAssignment(task, existing.property);
+    }
+
+    res.json({ ...task, assigneeNotification });
+  } catch (error) {
+    console.error('Erro ao atualizar manutenção:', error);
+    res.status(500).json({ error: 'Erro ao atualizar manutenção' });
+  }
+});
+
+// POST /api/maintenance/:id/notify - Reenviar aviso ao responsável
+router.post('/:id/notify', async (req, res) => {
+  try {
+    const task = await prisma.maintenanceTask.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        property: { userId: req.userId }
+      },
+      include: { property: true }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa de manutenção não encontrada' });
+    }
+
+    if (!task.assigneePhone) {
+      return res.status(400).json({ error: 'Tarefa sem telefone do responsável' });
+    }
+
+    const result = await maintenanceService.notifyAssignment(task, task.property);
+
+    if (!result.success) {
+      return res.status(502).json({ error: result.error || 'Erro ao enviar aviso' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erro ao avisar responsável:', error);
+    res.status(500).json({ error: 'Erro ao avisar responsável' });
+  }
+});
+
+// DELETE /api/maintenance/:id - Remover tarefa
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await prisma.maintenanceTask.findFirst({
+      where: { id, property: { userId: req.userId } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Tarefa de manutenção não encontrada' });
+    }
+
+    await prisma.maintenanceTask.delete({ where: { id } });
+    await auditService.log(req, { action: 'delete', entity: 'maintenance_task', before: existing });
+
+    res.json({ message: 'Tarefa de manutenção removida com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir manutenção:', error);
+    res.status(500).json({ error: 'Erro ao excluir manutenção' });
+  }
+});
+
+export default router;
@@ -0,0 +1,458 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import organizationService from '../services/organization.service.js';
+import auditService from '../services/audit.service.js';
+import { ORGANIZATION_ROLES, ORGANIZATION_ROLE_LIST, PROPERTY_SCOPED_ROLES } from '../utils/constants.js';
+
+const router = Router();
+
+// Rotas pessoais: valem para o usuário logado, independente da organização ativa
+router.use(authenticate);
+
+const memberUserSelect = { id: true, name: true, email: true, phone: true, twoFactorEnabledAt: true };
+
+/**
+ * Participação do usuário logado; envia 404/403 e retorna null se não puder continuar
+ */
+async function loadMembership(req, res, { adminOnly = false } = {}) {
+  const membership = await organizationService.getMembership(parseInt(req.params.id), req.userId);
+
+  if (!membership) {
+    res.status(404).json({ error: 'Organização não encontrada' });
+    return null;
+  }
+
+  if (adminOnly && membership.role !== ORGANIZATION_ROLES.ADMIN) {
+    res.status(403).json({ error: 'Apenas administradores da organização podem fazer isso' });
+    return null;
+  }
+
+  return membership;
+}
+
+/**
+ * Valida papel e imóveis liberados; owner/cohost exigem ao menos um imóvel do dono
+ * @returns {Promise<{error: string}|{propertyIds: number[]}>}
+ */
+async function validateRoleGrants(organization, role, propertyIds) {
+  if (!ORGANIZATION_ROLE_LIST.includes(role)) {
+    return { error: `Papel inválido. Use: ${ORGANIZATION_ROLE_LIST.join(', ')}` };
+  }
+
+  if (!PROPERTY_SCOPED_ROLES.includes(role)) {
+    return { propertyIds: [] };
+  }
+
+  if (!Array.isArray(propertyIds) || propertyIds.length === 0) {
+    return { error: 'Informe os imóveis liberados (propertyIds) para proprietários e coanfitriões' };
+  }
+
+  const ids = await organizationService.validatePropertyIds(organization.ownerId, propertyIds);
+  return ids ? { propertyIds: ids } : { error: 'Imóvel não encontrado na organização' };
+}
+
+// GET /api/organizations - Organizações das quais o usuário participa
+router.get('/', async (req, res) => {
+  try {
+    const [memberships, user] = await Promise.all([
+      prisma.organizationMember.findMany({
+        where: { userId: req.userId },
+        include: { organization: { select: { id: true, name: true, ownerId: true } } },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: req.userId },
+        select: { activeOrganizationId: true }
+      })
+    ]);
+
+    res.json({
+      activeOrganizationId: user?.activeOrganizationId ?? null,
+      organizations: memberships.map(membership => ({
+        ...membership.organization,
+        role: membership.role,
+        isOwner: membership.organization.ownerId === req.userId
+      }))
+    });
+  } catch (error) {
+    console.error('Erro ao listar organizações:', error);
+    res.status(500).json({ error: 'Erro ao listar organizações' });
+  }
+});
+
+// POST /api/organizations - Cria a organização do usuário (dono dos dados compartilhados)
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Nome é obrigatório' });
+    }
+
+    const existing = await prisma.organization.findUnique({ where: { ownerId: req.userId } });
+    if (existing) {
+      return res.status(409).json({ error: 'Você já possui uma organização', organizationId: existing.id });
+    }
+
+    const organization = await organizationService.createOrganization(req.userId, name);
+    await auditService.log(req, { action: 'create', entity: 'organization', after: organization });
+
+    res.status(201).json(organization);
+  } catch (error) {
+    console.error('Erro ao criar organização:', error);
+    res.status(500).json({ error: 'Erro ao criar organização' });
+  }
+});
+
+// PUT /api/organizations/active - Escolhe a organização usada nas demais rotas (null = conta própria)
+router.put('/active', async (req, res) => {
+  try {
+    const organizationId = req.body.organizationId ? parseInt(req.body.organizationId) : null;
+
+    if (organizationId && !(await organizationService.getMembership(organizationId, req.userId))) {
+      return res.status(404).json({ error: 'Organização não encontrada' });
+    }
+
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: { activeOrganizationId: organizationId }
+    });
+
+    res.json({ activeOrganizationId: organizationId });
+  } catch (error) {
+    console.error('Erro ao trocar organização:', error);
+    res.status(500).json({ error: 'Erro ao trocar organização' });
+  }
+});
+
+// POST /api/organizations/invitations/:token/accept - Aceita um convite
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const invitation = await organizationService.findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Convite inválido ou expirado' });
+    }
+
+    if (invitation.organization.ownerId === req.userId) {
+      return res.status(400).json({ error: 'Você já é o dono desta organização' });
+    }
+
+    const membership = await organizationService.acceptInvitation(invitation, req.userId);
+
+    await auditService.log(req, {
+      action: 'create',
+      entity: 'organization_member',
+      after: membership,
+      data: { invitationId: invitation.id }
+    });
+
+    res.json({
+      organization: { id: invitation.organization.id, name: invitation.organization.name },
+      role: membership.role,
+      propertyIds: PROPERTY_SCOPED_ROLES.includes(membership.role) ? invitation.propertyIds : null
+    });
+  } catch (error) {
+    console.error('Erro ao aceitar convite:', error);
+    res.status(500).json({ error: 'Erro ao aceitar convite' });
+  }
+});
+
+// GET /api/organizations/:id - Detalhes, membros e convites pendentes (convites só para admins)
+router.get('/:id', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const isAdmin = membership.role === ORGANIZATION_ROLES.ADMIN;
+
+    const [members, invitations] = await Promise.all([
+      prisma.organizationMember.findMany({
+        where: { organizationId: membership.organizationId },
+        include: {
+          user: { select: memberUserSelect },
+          propertyGrants: { select: { propertyId: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      isAdmin
+        ? prisma.organizationInvitation.findMany({
+          where: {
+            organizationId: membership.organizationId,
+            acceptedAt: null,
+            revokedAt: null,
+            expiresAt: { gt: new Date() }
+          },
+          select: { id: true, email: true, phone: true, role: true, propertyIds: true, expiresAt: true, createdAt: true },
+          orderBy: { createdAt: 'desc' }
+        })
+        : []
+    ]);
+
+    res.json({
+      ...membership.organization,
+      role: membership.role,
+      members: members.map(member => ({
+        userId: member.userId,
+        role: member.role,
+        isOwner: member.userId === membership.organization.ownerId,
+        propertyIds: PROPERTY_SCOPED_ROLES.includes(member.role)
+          ? member.propertyGrants.map(grant => grant.propertyId)
+          : null,
+        joinedAt: member.createdAt,
+        twoFactorEnabled: !!member.user.twoFactorEnabledAt,
+        user: member.user
+      })),
+      invitations
+    });
+  } catch (error) {
+    console.error('Erro ao buscar organização:', error);
+    res.status(500).json({ error: 'Erro ao buscar organização' });
+  }
+});
+
+// PUT /api/organizations/:id - Renomeia a organização e define se o 2FA é obrigatório
+router.put('/:id', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+
+    const { name, requireTwoFactor } = req.body;
+    const data = {};
+
+    if (name !== undefined) {
+      if (!name) {
+        return res.status(400).json({ error: 'Nome é obrigatório' });
+      }
+      data.name = name;
+    }
+
+    if (requireTwoFactor !== undefined) {
+      if (typeof requireTwoFactor !== 'boolean') {
+        return res.status(400).json({ error: 'requireTwoFactor deve ser true ou false' });
+      }
+
+      // Evita que o admin bloqueie o próprio acesso
+      if (requireTwoFactor) {
+        const admin = await prisma.user.findUnique({
+          where: { id: req.userId },
+          select: { twoFactorEnabledAt: true }
+        });
+
+        if (!admin?.twoFactorEnabledAt) {
+          return res.status(400).json({ error: 'Ative o 2FA na sua conta antes de exigi-lo da equipe' });
+        }
+      }
+
+      data.requireTwoFactor = requireTwoFactor;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'Informe name ou requireTwoFactor' });
+    }
+
+    const organization = await prisma.organization.update({
+      where: { id: membership.organizationId },
+      data
+    });
+
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'organization',
+      before: membership.organization,
+      after: organization
+    });
+
+    res.json(organization);
+  } catch (error) {
+    console.error('Erro ao atualizar organização:', error);
+    res.status(500).json({ error: 'Erro ao atualizar organização' });
+  }
+});
+
+// POST /api/organizations/:id/invitations - Convida por email e/ou WhatsApp
+router.post('/:id/invitations', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+
+    const { email, phone, role = ORGANIZATION_ROLES.AGENT, propertyIds } = req.body;
+
+    if (!email && !phone) {
+      return res.status(400).json({ error: 'Informe o email ou o WhatsApp do convidado' });
+    }
+
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Email inválido' });
+    }
+
+    if (phone && String(phone).replace(/\D/g, '').length < 10) {
+      return res.status(400).json({ error: 'Telefone inválido' });
+    }
+
+    const grants = await validateRoleGrants(membership.organization, role, propertyIds);
+    if (grants.error) {
+      return res.status(400).json({ error: grants.error });
+    }
+
+    const inviter = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { id: true, name: true }
+    });
+
+    const result = await organizationService.createInvitation(membership.organization, inviter, {
+      email,
+      phone,
+      role,
+      propertyIds: grants.propertyIds
+    });
+
+    await auditService.log(req, {
+      action: 'create',
+      entity: 'organization_invitation',
+      after: result.invitation,
+      data: { delivery: result.delivery }
+    });
+
+    res.status(201).json({
+      id: result.invitation.id,
+      email: result.invitation.email,
+      phone: result.invitation.phone,
+      role: result.invitation.role,
+      propertyIds: result.invitation.propertyIds,
+      expiresAt: result.invitation.expiresAt,
+      link: result.link,
+      whatsappLink: result.whatsappLink,
+      delivery: result.delivery
+    });
+  } catch (error) {
+    console.error('Erro ao criar convite:', error);
+    res.status(500).json({ error: 'Erro ao criar convite' });
+  }
+});
+
+// DELETE /api/organizations/:id/invitations/:invitationId - Revoga um convite pendente
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+
+    const existing = await prisma.organizationInvitation.findFirst({
+      where: {
+        id: parseInt(req.params.invitationId),
+        organizationId: membership.organizationId,
+        acceptedAt: null,
+        revokedAt: null
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Convite não encontrado' });
+    }
+
+    const invitation = await prisma.organizationInvitation.update({
+      where: { id: existing.id },
+      data: { revokedAt: new Date() }
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'organization_invitation', before: existing, after: invitation });
+
+    res.json({ message: 'Convite revogado com sucesso' });
+  } catch (error) {
+    console.error('Erro ao revogar convite:', error);
+    res.status(500).json({ error: 'Erro ao revogar convite' });
+  }
+});
+
+// PUT /api/organizations/:id/members/:userId - Altera o papel e/ou os imóveis liberados de um membro
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+
+    const memberUserId = parseInt(req.params.userId);
+
+    if (memberUserId === membership.organization.ownerId) {
+      return res.status(400).json({ error: 'O papel do dono da organização não pode ser alterado' });
+    }
+
+    const existing = await organizationService.getMembership(membership.organizationId, memberUserId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Membro não encontrado' });
+    }
+
+    const role = req.body.role ?? existing.role;
+    const currentPropertyIds = existing.propertyGrants.map(grant => grant.propertyId);
+
+    const grants = await validateRoleGrants(
+      membership.organization,
+      role,
+      req.body.propertyIds ?? currentPropertyIds
+    );
+    if (grants.error) {
+      return res.status(400).json({ error: grants.error });
+    }
+
+    const member = await prisma.organizationMember.update({
+      where: { id: existing.id },
+      data: { role }
+    });
+
+    await organizationService.setPropertyGrants(member.id, grants.propertyIds);
+
+    const grantsChanged = JSON.stringify([...currentPropertyIds].sort()) !== JSON.stringify([...grants.propertyIds].sort());
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'organization_member',
+      before: existing,
+      after: member,
+      data: grantsChanged ? { propertyIds: grants.propertyIds } : null
+    });
+
+    res.json({ ...member, propertyIds: PROPERTY_SCOPED_ROLES.includes(role) ? grants.propertyIds : null });
+  } catch (error) {
+    console.error('Erro ao alterar membro:', error);
+    res.status(500).json({ error: 'Erro ao alterar membro' });
+  }
+});
+
+// DELETE /api/organizations/:id/members/:userId - Remove um membro (ou sai da organização)
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const memberUserId = parseInt(req.params.userId);
+    const isSelf = memberUserId === req.userId;
+
+    const membership = await loadMembership(req, res, { adminOnly: !isSelf });
+    if (!membership) return;
+
+    if (memberUserId === membership.organization.ownerId) {
+      return res.status(400).json({ error: 'O dono não pode ser removido da organização' });
+    }
+
+    const existing = isSelf
+      ? membership
+      : await organizationService.getMembership(membership.organizationId, memberUserId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Membro não encontrado' });
+    }
+
+    await prisma.$transaction([
+      prisma.organizationMember.delete({ where: { id: existing.id } }),
+      prisma.user.updateMany({
+        where: { id: memberUserId, activeOrganizationId: membership.organizationId },
+        data: { activeOrganizationId: null }
+      })
+    ]);
+
+    await auditService.log(req, { action: 'delete', entity: 'organization_member', before: existing });
+
+    res.json({ message: isSelf ? 'Você saiu da organização' : 'Membro removido com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover membro:', error);
+    res.status(500).json({ error: 'Erro ao remover membro' });
+  }
+});
+
+export default router;
@@ -1,17 +1,35 @@
 import { Router } from 'express';
 import prisma from '../lib/prisma.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
+import { CALENDAR_PLATFORM_LIST } from '../utils/constants.js';
+import icalService from '../services/ical.service.js';
+import auditService from '../services/audit.service.js';
+import organizationService from '../services/organization.service.js';
+import inboxService from '../services/inbox.service.js';
+import { isValidTimeZone } from '../utils/dates.js';
 
 const router = Router();
 
+const DUPLICATE_CALENDAR_ERROR = 'Calendario ja cadastrado para este imovel';
+
 // Proteger todas as rotas de propriedades
 router.use(authMiddleware);
 
+/**
+ * Monta a URL pública do feed iCal exportado
+ */
+function buildExportUrl(req, token) {
+  if (!token) return null;
+
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}/ical/${token}.ics`;
+}
+
 // GET /api/properties - Listar imoveis do usuario
 router.get('/', async (req, res) => {
   try {
     const properties = await prisma.property.findMany({
-      where: { userId: req.userId },
+      where: { userId: req.userId, ...organizationService.scopeProperties(req, 'id') },
       orderBy: { createdAt: 'desc' }
     });
 
@@ -24,6 +42,7 @@ router.get('/', async (req, res) => {
       employee_name: p.employeeName,
       employee_phone: p.employeePhone,
       checkout_time: p.checkoutTime,
+      timezone: p.timezone,
       created_at: p.createdAt
     }));
 
@@ -34,11 +53,66 @@ router.get('/', async (req, res) => {
   }
 });
 
+// =============================================
+// FEED iCAL COMBINADO (todos os imóveis)
+// =============================================
+
+// GET /api/properties/ical-export - URL do feed combinado
+router.get('/ical-export', async (req, res) => {
+  try {
+    // O feed combinado inclui todos os imóveis do dono
+    if (req.propertyIds) {
+      return res.status(403).json({ error: 'Acesso restrito aos imóveis compartilhados com você' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    res.json({ ical_export_url: buildExportUrl(req, user?.icalExportToken) });
+  } catch (error) {
+    console.error('Erro ao buscar feed iCal:', error);
+    res.status(500).json({ error: 'Erro ao buscar feed iCal' });
+  }
+});
+
+// POST /api/properties/ical-export - Gerar (ou trocar) o token do feed combinado
+router.post('/ical-export', async (req, res) => {
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.userId },
+      data: { icalExportToken: icalService.generateExportToken() }
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'user', entityId: user.id, data: { icalExport: 'generated' } });
+
+    res.json({ ical_export_url: buildExportUrl(req, user.icalExportToken) });
+  } catch (error) {
+    console.error('Erro ao gerar feed iCal:', error);
+    res.status(500).json({ error: 'Erro ao gerar feed iCal' });
+  }
+});
+
+// DELETE /api/properties/ical-export - Revogar o feed combinado
+router.delete('/ical-export', async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: { icalExportToken: null }
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'user', entityId: req.userId, data: { icalExport: 'revoked' } });
+
+    res.json({ message: 'Feed iCal revogado com sucesso' });
+  } catch (error) {
+    console.error('Erro ao revogar feed iCal:', error);
+    res.status(500).json({ error: 'Erro ao revogar feed iCal' });
+  }
+});
+
 // GET /api/properties/:id - Buscar um imovel
 router.get('/:id', async (req, res) => {
   try {
     const property = await prisma.property.findFirst({
-      where: { id: parseInt(req.params.id), userId: req.userId }
+      where: { id: parseInt(req.params.id), userId: req.userId, ...organizationService.scopeProperties(req, 'id') }
     });
 
     if (!property) {
@@ -53,6 +127,9 @@ router.get('/:id', async (req, res) => {
       employee_name: property.employeeName,
       employee_phone: property.employeePhone,
       checkout_time: property.checkoutTime,
+      timezone: property.timezone,
+      ical_export_url: buildExportUrl(req, property.icalExportToken),
+      ical_export_maintenance: property.icalExportMaintenance,
       created_at: property.createdAt
     });
   } catch (error) {
@@ -64,12 +141,16 @@ router.get('/:id', async (req, res) => {
 // POST /api/properties - Criar novo imovel
 router.post('/', async (req, res) => {
   try {
-    const { name, ical_airbnb, ical_booking, employee_name, employee_phone, checkout_time } = req.body;
+    const { name, ical_airbnb, ical_booking, employee_name, employee_phone, checkout_time, timezone } = req.body;
 
     if (!name || !employee_name || !employee_phone) {
       return res.status(400).json({ error: 'Nome, funcionaria e telefone sao obrigatorios' });
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Fuso horario invalido (use o formato IANA, ex: America/Sao_Paulo)' });
+    }
+
     const property = await prisma.property.create({
       data: {
         name,
@@ -77,11 +158,15 @@ router.post('/', async (req, res) => {
         icalBooking: ical_booking || null,
         employeeName: employee_name,
         employeePhone: employee_phone,
+        employeePhoneNormalized: inboxService.normalizePhone(employee_phone),
         checkoutTime: checkout_time || null,
+        ...(timezone && { timezone }),
         userId: req.userId
       }
     });
 
+    await auditService.log(req, { action: 'create', entity: 'property', after: property });
+
     res.status(201).json({
       id: property.id,
       name: property.name,
@@ -90,6 +175,7 @@ router.post('/', async (req, res) => {
       employee_name: property.employeeName,
       employee_phone: property.employeePhone,
       checkout_time: property.checkoutTime,
+      timezone: property.timezone,
       created_at: property.createdAt
     });
   } catch (error) {
@@ -101,9 +187,13 @@ router.post('/', async (req, res) => {
 // PUT /api/properties/:id - Atualizar imovel
 router.put('/:id', async (req, res) => {
   try {
-    const { name, ical_airbnb, ical_booking, employee_name, employee_phone, checkout_time } = req.body;
+    const { name, ical_airbnb, ical_booking, employee_name, employee_phone, checkout_time, timezone, ical_export_maintenance } = req.body;
     const id = parseInt(req.params.id);
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Fuso horario invalido (use o formato IANA, ex: America/Sao_Paulo)' });
+    }
+
     const existing = await prisma.property.findFirst({ where: { id, userId: req.userId } });
     if (!existing) {
       return res.status(404).json({ error: 'Imovel nao encontrado' });
@@ -117,10 +207,15 @@ router.put('/:id', async (req, res) => {
         icalBooking: ical_booking !== undefined ? ical_booking : existing.icalBooking,
         employeeName: employee_name || existing.employeeName,
         employeePhone: employee_phone || existing.employeePhone,
-        checkoutTime: checkout_time !== undefined ? checkout_time : existing.checkoutTime
+        employeePhoneNormalized: inboxService.normalizePhone(employee_phone || existing.employeePhone),
+        checkoutTime: checkout_time !== undefined ? checkout_time : existing.checkoutTime,
+        timezone: timezone || existing.timezone,
+        icalExportMaintenance: ical_export_maintenance !== undefined ? Boolean(ical_export_maintenance) : existing.icalExportMaintenance
       }
     });
 
+    await auditService.log(req, { action: 'update', entity: 'property', before: existing, after: property });
+
     res.json({
       id: property.id,
       name: property.name,
@@ -129,6 +224,9 @@ router.put('/:id', async (req, res) => {
       employee_name: property.employeeName,
       employee_phone: property.employeePhone,
       checkout_time: property.checkoutTime,
+      timezone: property.timezone,
+      ical_export_url: buildExportUrl(req, property.icalExportToken),
+      ical_export_maintenance: property.icalExportMaintenance,
       created_at: property.createdAt
     });
   } catch (error) {
@@ -148,6 +246,8 @@ router.delete('/:id', async (req, res) => {
     }
 
     await prisma.property.delete({ where: { id } });
+    await auditService.log(req, { action: 'delete', entity: 'property', before: existing });
+
     res.json({ message: 'Imovel removido com sucesso' });
   } catch (error) {
     console.error('Erro ao remover imóvel:', error);
@@ -155,4 +255,286 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// =============================================
+// EXPORTAÇÃO iCAL DO IMÓVEL
+// =============================================
+
+// POST /api/properties/:id/ical-export - Gerar (ou trocar) o token do feed do imovel
+router.post('/:id/ical-export', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { include_maintenance } = req.body;
+
+    const existing = await prisma.property.findFirst({ where: { id, userId: req.userId } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Imovel nao encontrado' });
+    }
+
+    const property = await prisma.property.update({
+      where: { id },
+      data: {
+        icalExportToken: icalService.generateExportToken(),
+        icalExportMaintenance: include_maintenance !== undefined ? Boolean(include_maintenance) : existing.icalExportMaintenance
+      }
+    });
+
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'property',
+      before: existing,
+      after: property,
+      data: { icalExport: 'generated' }
+    });
+
+    res.json({
+      ical_export_url: buildExportUrl(req, property.icalExportToken),
+      ical_export_maintenance: property.icalExportMaintenance
+    });
+  } catch (error) {
+    console.error('Erro ao gerar feed iCal:', error);
+    res.status(500).json({ error: 'Erro ao gerar feed iCal' });
+  }
+});
+
+// DELETE /api/properties/:id/ical-export - Revogar o feed do imovel
+router.delete('/:id/ical-export', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await prisma.property.findFirst({ where: { id, userId: req.userId } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Imovel nao encontrado' });
+    }
+
+    const property = await prisma.property.update({
+      where: { id },
+      data: { icalExportToken: null }
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'property', before: existing, after: property });
+
+    res.json({ message: 'Feed iCal revogado com sucesso' });
+  } catch (error) {
+    console.error('Erro ao revogar feed iCal:', error);
+    res.status(500).json({ error: 'Erro ao revogar feed iCal' });
+  }
+});
+
+// =============================================
+// CALENDÁRIOS iCAL DO IMÓVEL
+// =============================================
+
+/**
+ * Valida os campos de um calendário
+ * Retorna a mensagem de erro ou null se estiver tudo certo
+ */
+function validateCalendar({ platform, url }) {
+  if (platform !== undefined && !CALENDAR_PLATFORM_LIST.includes(platform)) {
+    return 'Plataforma invalida';
+  }
+
+  if (url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:', 'webcal:'].includes(parsed.protocol)) {
+        return 'URL do calendario invalida';
+      }
+    } catch {
+      return 'URL do calendario invalida';
+    }
+  }
+
+  return null;
+}
+
+// Colunas antigas espelhadas em property_calendars
+const LEGACY_CALENDAR_COLUMNS = ['icalAirbnb', 'icalBooking', 'icalOther'];
+const LEGACY_SELECT = Object.fromEntries(LEGACY_CALENDAR_COLUMNS.map(column => [column, true]));
+
+/**
+ * Colunas antigas do imovel com a URL do calendario, para limpar junto com ele
+ * Sem isso, a proxima sincronizacao recria o espelho removido ou alterado
+ */
+function legacyColumnsToClear(property, url) {
+  const data = {};
+
+  for (const column of LEGACY_CALENDAR_COLUMNS) {
+    if (property[column] === url) data[column] = null;
+  }
+
+  return data;
+}
+
+// GET /api/properties/:id/calendars - Listar calendarios do imovel
+router.get('/:id/calendars', async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+
+    const property = await prisma.property.findFirst({
+      where: { id: propertyId, userId: req.userId, ...organizationService.scopeProperties(req, 'id') }
+    });
+    if (!property) {
+      return res.status(404).json({ error: 'Imovel nao encontrado' });
+    }
+
+    const calendars = await prisma.propertyCalendar.findMany({
+      where: { propertyId },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(calendars);
+  } catch (error) {
+    console.error('Erro ao listar calendários:', error);
+    res.status(500).json({ error: 'Erro ao listar calendários' });
+  }
+});
+
+// POST /api/properties/:id/calendars - Adicionar calendario ao imovel
+router.post('/:id/calendars', async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+    const { platform, url, label, isEnabled } = req.body;
+
+    if (!platform || !url) {
+      return res.status(400).json({ error: 'Plataforma e URL sao obrigatorias' });
+    }
+
+    const validationError = validateCalendar({ platform, url });
+    if (validationError) {
+      return res.status(400).json({ error: validationError, validPlatforms: CALENDAR_PLATFORM_LIST });
+    }
+
+    const property = await prisma.property.findFirst({ where: { id: propertyId, userId: req.userId } });
+    if (!property) {
+      return res.status(404).json({ error: 'Imovel nao encontrado' });
+    }
+
+    const duplicate = await prisma.propertyCalendar.findFirst({ where: { propertyId, url } });
+    if (duplicate) {
+      return res.status(409).json({ error: DUPLICATE_CALENDAR_ERROR });
+    }
+
+    const calendar = await prisma.propertyCalendar.create({
+      data: {
+        propertyId,
+        platform,
+        url,
+        label: label || null,
+        isEnabled: isEnabled ?? true
+      }
+    });
+
+    await auditService.log(req, { action: 'create', entity: 'property_calendar', after: calendar });
+
+    res.status(201).json(calendar);
+  } catch (error) {
+    // Cadastro simultâneo da mesma URL (@@unique([propertyId, url]))
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: DUPLICATE_CALENDAR_ERROR });
+    }
+    console.error('Erro ao criar calendário:', error);
+    res.status(500).json({ error: 'Erro ao criar calendário' });
+  }
+});
+
+// PUT /api/properties/:id/calendars/:calendarId - Atualizar calendario
+router.put('/:id/calendars/:calendarId', async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+    const calendarId = parseInt(req.params.calendarId);
+    const { platform, url, label, isEnabled } = req.body;
+
+    const validationError = validateCalendar({ platform, url });
+    if (validationError) {
+      return res.status(400).json({ error: validationError, validPlatforms: CALENDAR_PLATFORM_LIST });
+    }
+
+    const existing = await prisma.propertyCalendar.findFirst({
+      where: { id: calendarId, propertyId, property: { userId: req.userId } },
+      include: { property: { select: LEGACY_SELECT } }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Calendario nao encontrado' });
+    }
+
+    const urlChanged = url !== undefined && url !== existing.url;
+
+    if (urlChanged) {
+      const duplicate = await prisma.propertyCalendar.findFirst({ where: { propertyId, url } });
+      if (duplicate) {
+        return res.status(409).json({ error: DUPLICATE_CALENDAR_ERROR });
+      }
+    }
+
+    const legacyColumns = urlChanged ? legacyColumnsToClear(existing.property, existing.url) : {};
+
+    const calendar = await prisma.$transaction(async (tx) => {
+      if (Object.keys(legacyColumns).length > 0) {
+        await tx.property.update({ where: { id: propertyId }, data: legacyColumns });
+      }
+
+      return tx.propertyCalendar.update({
+        where: { id: calendarId },
+        data: {
+          platform: platform ?? existing.platform,
+          url: url ?? existing.url,
+          label: label !== undefined ? label : existing.label,
+          isEnabled: isEnabled ?? existing.isEnabled,
+          // Nova URL invalida o cache condicional e desvincula da coluna antiga
+          ...(urlChanged && {
+            legacySource: null,
+            etag: null,
+            lastModified: null,
+            contentHash: null,
+            lastStatus: null,
+            lastError: null
+          })
+        }
+      });
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'property_calendar', before: existing, after: calendar });
+
+    res.json(calendar);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: DUPLICATE_CALENDAR_ERROR });
+    }
+    console.error('Erro ao atualizar calendário:', error);
+    res.status(500).json({ error: 'Erro ao atualizar calendário' });
+  }
+});
+
+// DELETE /api/properties/:id/calendars/:calendarId - Remover calendario
+router.delete('/:id/calendars/:calendarId', async (req, res) => {
+  try {
+    const propertyId = parseInt(req.params.id);
+    const calendarId = parseInt(req.params.calendarId);
+
+    const existing = await prisma.propertyCalendar.findFirst({
+      where: { id: calendarId, propertyId, property: { userId: req.userId } },
+      include: { property: { select: LEGACY_SELECT } }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Calendario nao encontrado' });
+    }
+
+    const legacyColumns = legacyColumnsToClear(existing.property, existing.url);
+
+    await prisma.$transaction(async (tx) => {
+      if (Object.keys(legacyColumns).length > 0) {
+        await tx.property.update({ where: { id: propertyId }, data: legacyColumns });
+      }
+
+      await tx.propertyCalendar.delete({ where: { id: calendarId } });
+    });
+    await auditService.log(req, { action: 'delete', entity: 'property_calendar', before: existing });
+
+    res.json({ message: 'Calendario removido com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover calendário:', error);
+    res.status(500).json({ error: 'Erro ao remover calendário' });
+  }
+});
+
 export default router;
@@ -3,6 +3,10 @@ import prisma from '../lib/prisma.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import webhookService from '../services/webhook.service.js';
 import queueService from '../services/queue.service.js';
+import auditService from '../services/audit.service.js';
+import organizationService from '../services/organization.service.js';
+import automationService from '../services/automation.service.js';
+import { AUTOMATION_TRIGGERS } from '../utils/constants.js';
 
 const router = Router();
 
@@ -21,11 +25,10 @@ router.get('/', async (req, res) => {
       offset = 0
     } = req.query;
 
-    const where = { userId: req.userId };
-
-    if (propertyId) {
-      where.propertyId = parseInt(propertyId);
-    }
+    const where = {
+      userId: req.userId,
+      ...organizationService.scopeProperties(req, 'propertyId', propertyId ? parseInt(propertyId) : null)
+    };
 
     if (status) {
       where.status = status;
@@ -89,6 +92,7 @@ router.get('/upcoming', async (req, res) => {
     const reservations = await prisma.reservation.findMany({
       where: {
         userId: req.userId,
+        ...organizationService.scopeProperties(req),
         status: { in: ['pending', 'confirmed'] },
         checkinDate: {
           gte: today,
@@ -126,6 +130,7 @@ router.get('/today', async (req, res) => {
       prisma.reservation.findMany({
         where: {
           userId: req.userId,
+          ...organizationService.scopeProperties(req),
           status: 'confirmed',
           checkinDate: {
             gte: today,
@@ -140,6 +145,7 @@ router.get('/today', async (req, res) => {
       prisma.reservation.findMany({
         where: {
           userId: req.userId,
+          ...organizationService.scopeProperties(req),
           status: 'confirmed',
           checkoutDate: {
             gte: today,
@@ -160,13 +166,155 @@ router.get('/today', async (req, res) => {
   }
 });
 
+// GET /api/reservations/conflicts - Conflitos de datas entre reservas (overbooking)
+router.get('/conflicts', async (req, res) => {
+  try {
+    const { propertyId, status = 'open', limit = 50, offset = 0 } = req.query;
+
+    const where = {
+      property: { userId: req.userId },
+      ...organizationService.scopeProperties(req, 'propertyId', propertyId ? parseInt(propertyId) : null)
+    };
+
+    if (status !== 'all') {
+      where.status = status;
+    }
+
+    const reservationSelect = {
+      select: {
+        id: true,
+        source: true,
+        externalId: true,
+        status: true,
+        checkinDate: true,
+        checkoutDate: true,
+        guest: { select: { id: true, name: true, phone: true } }
+      }
+    };
+
+    const [conflicts, total] = await Promise.all([
+      prisma.reservationConflict.findMany({
+        where,
+        orderBy: { overlapStart: 'asc' },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        include: {
+          property: { select: { id: true, name: true } },
+          reservation: reservationSelect,
+          conflictingReservation: reservationSelect
+        }
+      }),
+      prisma.reservationConflict.count({ where })
+    ]);
+
+    res.json({
+      conflicts,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Erro ao listar conflitos:', error);
+    res.status(500).json({ error: 'Erro ao listar conflitos' });
+  }
+});
+
+// POST /api/reservations/conflicts/:id/resolve - Resolver conflito
+// action: 'cancel' (cancela cancelReservationId) ou 'ignore' (mantém as duas reservas)
+router.post('/conflicts/:id/resolve', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { action, cancelReservationId, notes } = req.body;
+
+    if (!['cancel', 'ignore'].includes(action)) {
+      return res.status(400).json({ error: 'Ação inválida', validActions: ['cancel', 'ignore'] });
+    }
+
+    const conflict = await prisma.reservationConflict.findFirst({
+      where: { id, property: { userId: req.userId } },
+      include: { property: { select: { id: true, name: true } } }
+    });
+
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflito não encontrado' });
+    }
+
+    if (conflict.status !== 'open') {
+      return res.status(400).json({ error: 'Conflito já está resolvido' });
+    }
+
+    if (action === 'cancel') {
+      const reservationId = parseInt(cancelReservationId);
+
+      if (![conflict.reservationId, conflict.conflictingReservationId].includes(reservationId)) {
+        return res.status(400).json({ error: 'Informe qual reserva do conflito deve ser cancelada' });
+      }
+
+      const existing = await prisma.reservation.findUnique({ where: { id: reservationId } });
+      const reason = notes || 'Conflito de datas com outra reserva';
+
+      if (existing.status !== 'cancelled') {
+        // Webhook gravado no outbox na mesma transação do cancelamento
+        const cancelled = await prisma.$transaction(async (tx) => {
+          const updated = await tx.reservation.update({
+            where: { id: reservationId },
+            data: {
+              status: 'cancelled',
+              internalNotes: existing.internalNotes
+                ? `${existing.internalNotes}\n\nCancelamento: ${reason}`
+                : `Cancelamento: ${reason}`
+            }
+          });
+
+          await webhookService.trigger('reservation.cancelled', {
+            id: reservationId,
+            propertyId: conflict.propertyId,
+            propertyName: conflict.property.name,
+            reason
+          }, req.userId, tx);
+
+          return updated;
+        });
+
+        await queueService.cancelReservationJobs(reservationId);
+
+        await auditService.log(req, {
+          action: 'update',
+          entity: 'reservation',
+          before: existing,
+          after: cancelled,
+          data: { conflictId: id }
+        });
+      }
+    }
+
+    const resolved = await prisma.reservationConflict.update({
+      where: { id },
+      data: {
+        status: 'resolved',
+        resolution: action === 'cancel' ? 'cancelled_reservation' : 'ignored',
+        resolutionNotes: notes || null,
+        resolvedAt: new Date()
+      }
+    });
+
+    await auditService.log(req, { action: 'update', entity: 'reservation_conflict', before: conflict, after: resolved });
+
+    res.json(resolved);
+  } catch (error) {
+    console.error('Erro ao resolver conflito:', error);
+    res.status(500).json({ error: 'Erro ao resolver conflito' });
+  }
+});
+
 // GET /api/reservations/:id - Buscar uma reserva
 router.get('/:id', async (req, res) => {
   try {
     const reservation = await prisma.reservation.findFirst({
       where: {
         id: parseInt(req.params.id),
-        userId: req.userId
+        userId: req.userId,
+        ...organizationService.scopeProperties(req)
       },
       include: {
         property: true,
@@ -255,49 +403,64 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const reservation = await prisma.reservation.create({
-      data: {
-        propertyId,
-        guestId,
-        checkinDate: new Date(checkinDate),
-        checkoutDate: new Date(checkoutDate),
-        checkinTime: checkinTime || property.checkinTime || '15:00',
-        checkoutTime: checkoutTime || property.checkoutTime || '11:00',
-        source: source || 'manual',
-        externalId,
-        totalAmount: totalAmount ? parseFloat(totalAmount) : null,
-        currency: currency || 'BRL',
-        adults: adults || 1,
-        children: children || 0,
-        infants: infants || 0,
-        status: 'confirmed',
-        guestNotes,
-        internalNotes,
-        userId: req.userId
-      },
-      include: {
-        property: { select: { id: true, name: true } },
-        guest: { select: { id: true, name: true } }
-      }
+    // Webhook gravado no outbox na mesma transação da reserva
+    const reservation = await prisma.$transaction(async (tx) => {
+      const created = await tx.reservation.create({
+        data: {
+          propertyId,
+          guestId,
+          checkinDate: new Date(checkinDate),
+          checkoutDate: new Date(checkoutDate),
+          checkinTime: checkinTime || property.checkinTime || '15:00',
+          checkoutTime: checkoutTime || property.checkoutTime || '11:00',
+          source: source || 'manual',
+          externalId,
+          totalAmount: totalAmount ? parseFloat(totalAmount) : null,
+          currency: currency || 'BRL',
+          adults: adults || 1,
+          children: children || 0,
+          infants: infants || 0,
+          status: 'confirmed',
+          guestNotes,
+          internalNotes,
+          userId: req.userId
+        },
+        include: {
+          property: { select: { id: true, name: true } },
+          guest: { select: { id: true, name: true } }
+        }
+      });
+
+      await webhookService.trigger('reservation.created', {
+        id: created.id,
+        propertyId: created.propertyId,
+        propertyName: created.property?.name,
+        guestId: created.guestId,
+        guestName: created.guest?.name,
+        checkinDate: created.checkinDate,
+        checkoutDate: created.checkoutDate
+      }, req.userId, tx);
+
+      return created;
     });
 
-    // Disparar webhook
-    await webhookService.trigger('reservation.created', {
-      id: reservation.id,
-      propertyId: reservation.propertyId,
-      propertyName: reservation.property?.name,
-      guestId: reservation.guestId,
-      guestName: reservation.guest?.name,
-      checkinDate: reservation.checkinDate,
-      checkoutDate: reservation.checkoutDate
-    }, req.userId);
+    await auditService.log(req, { action: 'create', entity: 'reservation', after: reservation });
 
     // Enviar mensagem de boas-vindas se solicitado
+    // (uma regra "reserva criada" ativa já envia a própria mensagem)
     if (sendWelcomeMessage && guestId) {
-      await queueService.addNotificationJob('welcome', {
-        reservationId: reservation.id,
-        channel: 'whatsapp'
-      });
+      const welcomeByRule = await automationService.hasActiveRule(
+        req.userId,
+        AUTOMATION_TRIGGERS.BOOKING_CREATED,
+        reservation.propertyId
+      );
+
+      if (!welcomeByRule) {
+        await queueService.addNotificationJob('welcome', {
+          reservationId: reservation.id,
+          channel: 'whatsapp'
+        });
+      }
     }
 
     res.status(201).json(reservation);
@@ -336,35 +499,41 @@ router.put('/:id', async (req, res) => {
       internalNotes
     } = req.body;
 
-    const reservation = await prisma.reservation.update({
-      where: { id },
-      data: {
-        checkinDate: checkinDate ? new Date(checkinDate) : existing.checkinDate,
-        checkoutDate: checkoutDate ? new Date(checkoutDate) : existing.checkoutDate,
-        checkinTime: checkinTime ?? existing.checkinTime,
-        checkoutTime: checkoutTime ?? existing.checkoutTime,
-        guestId: guestId ?? existing.guestId,
-        totalAmount: totalAmount !== undefined ? parseFloat(totalAmount) : existing.totalAmount,
-        currency: currency ?? existing.currency,
-        adults: adults ?? existing.adults,
-        children: children ?? existing.children,
-        infants: infants ?? existing.infants,
-        status: status ?? existing.status,
-        guestNotes: guestNotes ?? existing.guestNotes,
-        internalNotes: internalNotes ?? existing.internalNotes
-      },
-      include: {
-        property: { select: { id: true, name: true } },
-        guest: { select: { id: true, name: true } }
-      }
+    // Webhook gravado no outbox na mesma transação da alteração
+    const reservation = await prisma.$transaction(async (tx) => {
+      const updated = await tx.reservation.update({
+        where: { id },
+        data: {
+          checkinDate: checkinDate ? new Date(checkinDate) : existing.checkinDate,
+          checkoutDate: checkoutDate ? new Date(checkoutDate) : existing.checkoutDate,
+          checkinTime: checkinTime ?? existing.checkinTime,
+          checkoutTime: checkoutTime ?? existing.checkoutTime,
+          guestId: guestId ?? existing.guestId,
+          totalAmount: totalAmount !== undefined ? parseFloat(totalAmount) : existing.totalAmount,
+          currency: currency ?? existing.currency,
+          adults: adults ?? existing.adults,
+          children: children ?? existing.children,
+          infants: infants ?? existing.infants,
+          status: status ?? existing.status,
+          guestNotes: guestNotes ?? existing.guestNotes,
+          internalNotes: internalNotes ?? existing.internalNotes
+        },
+        include: {
+          property: { select: { id: true, name: true } },
+          guest: { select: { id: true, name: true } }
+        }
+      });
+
+      await webhookService.trigger('reservation.updated', {
+        id: updated.id,
+        status: updated.status,
+        changes: Object.keys(req.body)
+      }, req.userId, tx);
+
+      return updated;
     });
 
-    // Disparar webhook
-    await webhookService.trigger('reservation.updated', {
-      id: reservation.id,
-      status: reservation.status,
-      changes: Object.keys(req.body)
-    }, req.userId);
+    await auditService.log(req, { action: 'update', entity: 'reservation', before: existing, after: reservation });
 
     res.json(reservation);
   } catch (error) {
@@ -391,27 +560,39 @@ router.patch('/:id/cancel', async (req, res) => {
       return res.status(400).json({ error: 'Reserva já está cancelada' });
     }
 
-    const reservation = await prisma.reservation.update({
-      where: { id },
-      data: {
-        status: 'cancelled',
-        internalNotes: existing.internalNotes
-          ? `${existing.internalNotes}\n\nCancelamento: ${reason || 'Sem motivo informado'}`
-          : `Cancelamento: ${reason || 'Sem motivo informado'}`
-      },
-      include: {
-        property: { select: { id: true, name: true } },
-        guest: { select: { id: true, name: true } }
-      }
+    // Webhook gravado no outbox na mesma transação do cancelamento
+    const reservation = await prisma.$transaction(async (tx) => {
+      const updated = await tx.reservation.update({
+        where: { id },
+        data: {
+          status: 'cancelled',
+          internalNotes: existing.internalNotes
+            ? `${existing.internalNotes}\n\nCancelamento: ${reason || 'Sem motivo informado'}`
+            : `Cancelamento: ${reason || 'Sem motivo informado'}`
+        },
+        include: {
+          property: { select: { id: true, name: true } },
+          guest: { select: { id: true, name: true } }
+        }
+      });
+
+      await webhookService.trigger('reservation.cancelled', {
+        id: updated.id,
+        propertyId: updated.propertyId,
+        propertyName: updated.property?.name,
+        reason
+      }, req.userId, tx);
+
+      return updated;
     });
 
-    // Disparar webhook
-    await webhookService.trigger('reservation.cancelled', {
-      id: reservation.id,
-      propertyId: reservation.propertyId,
-      propertyName: reservation.property?.name,
-      reason
-    }, req.userId);
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'reservation',
+      before: existing,
+      after: reservation,
+      data: reason ? { reason } : null
+    });
 
     res.json(reservation);
   } catch (error) {
@@ -439,7 +620,7 @@ router.post('/:id/send-notification', async (req, res) => {
     }
 
     const reservation = await prisma.reservation.findFirst({
-      where: { id, userId: req.userId },
+      where: { id, userId: req.userId, ...organizationService.scopeProperties(req) },
       include: { guest: true }
     });
 
@@ -477,6 +658,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await prisma.reservation.delete({ where: { id } });
+    await auditService.log(req, { action: 'delete', entity: 'reservation', before: existing });
 
     res.json({ message: 'Reserva removida com sucesso' });
   } catch (error) {
@@ -493,6 +675,7 @@ router.get('/stats/summary', async (req, res) => {
 
     const thisMonth = new Date(today.getFullYear(), today.getMonth(), 1);
     const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+    const scope = organizationService.scopeProperties(req);
 
     const [
       totalReservations,
@@ -503,11 +686,12 @@ router.get('/stats/summary', async (req, res) => {
       upcomingWeek
     ] = await Promise.all([
       prisma.reservation.count({
-        where: { userId: req.userId }
+        where: { userId: req.userId, ...scope }
       }),
       prisma.reservation.count({
         where: {
           userId: req.userId,
+          ...scope,
           status: 'confirmed',
           createdAt: { gte: thisMonth, lt: nextMonth }
         }
@@ -515,6 +699,7 @@ router.get('/stats/summary', async (req, res) => {
       prisma.reservation.count({
         where: {
           userId: req.userId,
+          ...scope,
           status: 'cancelled',
           updatedAt: { gte: thisMonth, lt: nextMonth }
         }
@@ -522,6 +707,7 @@ router.get('/stats/summary', async (req, res) => {
       prisma.reservation.count({
         where: {
           userId: req.userId,
+          ...scope,
           status: 'confirmed',
           checkinDate: {
             gte: today,
@@ -532,6 +718,7 @@ router.get('/stats/summary', async (req, res) => {
       prisma.reservation.count({
         where: {
           userId: req.userId,
+          ...scope,
           status: 'confirmed',
           checkoutDate: {
             gte: today,
@@ -542,6 +729,7 @@ router.get('/stats/summary', async (req, res) => {
       prisma.reservation.count({
         where: {
           userId: req.userId,
+          ...scope,
           status: 'confirmed',
           checkinDate: {
             gte: today,
@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import prisma from '../lib/prisma.js';
-import { authMiddleware } from '../middleware/auth.middleware.js';
+import { authMiddleware, requireOrgRole } from '../middleware/auth.middleware.js';
+import auditService from '../services/audit.service.js';
+import { ORGANIZATION_ROLES } from '../utils/constants.js';
 
 const router = Router();
 
@@ -26,7 +28,8 @@ router.get('/', async (req, res) => {
 });
 
 // PUT /api/settings/:key - Atualiza uma configuração
-router.put('/:key', async (req, res) => {
+// Configurações (inclusive cobrança) são exclusivas de admins
+router.put('/:key', requireOrgRole(ORGANIZATION_ROLES.ADMIN), async (req, res) => {
   try {
     const { key } = req.params;
     const { value } = req.body;
@@ -35,6 +38,8 @@ router.put('/:key', async (req, res) => {
       return res.status(400).json({ error: 'Valor é obrigatório' });
     }
 
+    const existing = await prisma.setting.findUnique({ where: { key } });
+
     // Upsert: insere ou atualiza
     const setting = await prisma.setting.upsert({
       where: { key },
@@ -42,6 +47,11 @@ router.put('/:key', async (req, res) => {
       create: { key, value }
     });
 
+    // Configurações usam a chave (texto) como identificador
+    await auditService.log(req, existing
+      ? { action: 'update', entity: 'setting', before: existing, after: setting, data: { key } }
+      : { action: 'create', entity: 'setting', after: setting });
+
     res.json({ key: setting.key, value: setting.value });
   } catch (error) {
     console.error('Erro ao atualizar configuração:', error);
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import prisma from '../lib/prisma.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
+import auditService from '../services/audit.service.js';
 
 const router = Router();
 
@@ -43,10 +44,10 @@ router.get('/', async (req, res) => {
 router.get('/types', (req, res) => {
   res.json([
     { value: 'welcome', label: 'Mensagem de boas-vindas', description: 'Enviada ao criar reserva' },
-    { value: 'checkin_reminder', label: 'Lembrete de check-in', description: 'Enviada 1 dia antes do check-in' },
-    { value: 'checkout_reminder', label: 'Lembrete de checkout', description: 'Enviada 1 dia antes do checkout' },
+    { value: 'checkin_reminder', label: 'Lembrete de check-in', description: 'Padrão: 1 dia antes do check-in (ajustável em /api/automation/rules)' },
+    { value: 'checkout_reminder', label: 'Lembrete de checkout', description: 'Padrão: 1 dia antes do checkout (ajustável em /api/automation/rules)' },
     { value: 'cleaning', label: 'Notificação de limpeza', description: 'Enviada para funcionários no dia do checkout' },
-    { value: 'review_request', label: 'Solicitação de avaliação', description: 'Enviada 1 dia após o checkout' },
+    { value: 'review_request', label: 'Solicitação de avaliação', description: 'Padrão: 1 dia após o checkout (ajustável em /api/automation/rules)' },
     { value: 'custom', label: 'Personalizada', description: 'Template customizado para uso manual' }
   ]);
 });
@@ -125,6 +126,8 @@ router.post('/', async (req, res) => {
       }
     });
 
+    await auditService.log(req, { action: 'create', entity: 'template', after: template });
+
     res.status(201).json(template);
   } catch (error) {
     console.error('Erro ao criar template:', error);
@@ -159,6 +162,8 @@ router.put('/:id', async (req, res) => {
       }
     });
 
+    await auditService.log(req, { action: 'update', entity: 'template', before: existing, after: template });
+
     res.json(template);
   } catch (error) {
     console.error('Erro ao atualizar template:', error);
@@ -180,6 +185,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await prisma.messageTemplate.delete({ where: { id } });
+    await auditService.log(req, { action: 'delete', entity: 'template', before: existing });
 
     res.json({ message: 'Template removido com sucesso' });
   } catch (error) {
@@ -270,6 +276,13 @@ router.post('/:id/duplicate', async (req, res) => {
       }
     });
 
+    await auditService.log(req, {
+      action: 'create',
+      entity: 'template',
+      after: duplicate,
+      data: { duplicatedFrom: original.id }
+    });
+
     res.status(201).json(duplicate);
   } catch (error) {
     console.error('Erro ao duplicar template:', error);
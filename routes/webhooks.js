@@ -1,12 +1,15 @@
 import { Router } from 'express';
 import prisma from '../lib/prisma.js';
-import { authMiddleware } from '../middleware/auth.middleware.js';
+import { authMiddleware, requireOrgRole } from '../middleware/auth.middleware.js';
 import webhookService from '../services/webhook.service.js';
+import auditService from '../services/audit.service.js';
+import { ORGANIZATION_ROLES } from '../utils/constants.js';
 
 const router = Router();
 
-// Proteger todas as rotas
+// Proteger todas as rotas (webhooks expõem segredos: apenas admins da organização)
 router.use(authMiddleware);
+router.use(requireOrgRole(ORGANIZATION_ROLES.ADMIN));
 
 // GET /api/webhooks - Listar webhooks do usuário
 router.get('/', async (req, res) => {
@@ -82,6 +85,8 @@ router.post('/', async (req, res) => {
       userId: req.userId
     });
 
+    await auditService.log(req, { action: 'create', entity: 'webhook', after: webhook });
+
     res.status(201).json(webhook);
   } catch (error) {
     console.error('Erro ao criar webhook:', error);
@@ -104,6 +109,8 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    const existing = await prisma.webhook.findFirst({ where: { id, userId: req.userId } });
+
     const webhook = await webhookService.update(id, {
       name,
       url,
@@ -111,6 +118,8 @@ router.put('/:id', async (req, res) => {
       isActive
     }, req.userId);
 
+    await auditService.log(req, { action: 'update', entity: 'webhook', before: existing, after: webhook });
+
     res.json(webhook);
   } catch (error) {
     console.error('Erro ao atualizar webhook:', error);
@@ -121,7 +130,9 @@ router.put('/:id', async (req, res) => {
 // DELETE /api/webhooks/:id - Remover webhook
 router.delete('/:id', async (req, res) => {
   try {
-    await webhookService.delete(parseInt(req.params.id), req.userId);
+    const webhook = await webhookService.delete(parseInt(req.params.id), req.userId);
+    await auditService.log(req, { action: 'delete', entity: 'webhook', before: webhook });
+
     res.json({ message: 'Webhook removido com sucesso' });
   } catch (error) {
     console.error('Erro ao remover webhook:', error);
@@ -144,6 +155,13 @@ router.post('/:id/test', async (req, res) => {
 router.post('/:id/regenerate-secret', async (req, res) => {
   try {
     const webhook = await webhookService.regenerateSecret(parseInt(req.params.id), req.userId);
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'webhook',
+      entityId: webhook.id,
+      data: { secretRegenerated: true }
+    });
+
     res.json({ secret: webhook.secret });
   } catch (error) {
     console.error('Erro ao regenerar secret:', error);
@@ -167,4 +185,94 @@ router.get('/:id/logs', async (req, res) => {
   }
 });
 
+// POST /api/webhooks/:id/logs/replay - Reenviar em lote as entregas que falharam
+// { since, until? } (ISO); entregues em segundo plano pelo outbox
+router.post('/:id/logs/replay', async (req, res) => {
+  try {
+    const { since, until } = req.body;
+
+    const sinceDate = since ? new Date(since) : null;
+    const untilDate = until ? new Date(until) : new Date();
+
+    if (!sinceDate || isNaN(sinceDate) || isNaN(untilDate) || sinceDate > untilDate) {
+      return res.status(400).json({ error: 'Informe since (e until opcional) como datas ISO válidas' });
+    }
+
+    const webhook = await prisma.webhook.findFirst({
+      where: { id: parseInt(req.params.id), userId: req.userId }
+    });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(400).json({ error: 'Ative o webhook antes de reenviar as entregas' });
+    }
+
+    const result = await webhookService.replayFailed(webhook, sinceDate, untilDate);
+
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'webhook',
+      entityId: webhook.id,
+      data: { replay: { since: sinceDate, until: untilDate, queued: result.queued } }
+    });
+
+    res.status(202).json({
+      message: `${result.queued} entrega(s) reenfileirada(s)`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Erro ao reenviar entregas:', error);
+    res.status(500).json({ error: 'Erro ao reenviar entregas' });
+  }
+});
+
+// POST /api/webhooks/:id/logs/:logId/redeliver - Reenviar uma entrega agora
+// Mesmo payload do log, com assinatura nova; a tentativa fica ligada ao log original
+router.post('/:id/logs/:logId/redeliver', async (req, res) => {
+  try {
+    const webhook = await prisma.webhook.findFirst({
+      where: { id: parseInt(req.params.id), userId: req.userId }
+    });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(400).json({ error: 'Ative o webhook antes de reenviar as entregas' });
+    }
+
+    const log = await prisma.webhookLog.findFirst({
+      where: { id: parseInt(req.params.logId), webhookId: webhook.id }
+    });
+
+    if (!log) {
+      return res.status(404).json({ error: 'Log não encontrado' });
+    }
+
+    const result = await webhookService.redeliver(webhook, log);
+
+    await auditService.log(req, {
+      action: 'update',
+      entity: 'webhook',
+      entityId: webhook.id,
+      data: { redeliveredLogId: log.id, newLogId: result.log?.id, success: result.success }
+    });
+
+    res.json({
+      success: result.success,
+      statusCode: result.statusCode,
+      error: result.error,
+      redeliveredFromId: log.id,
+      log: result.log
+    });
+  } catch (error) {
+    console.error('Erro ao reenviar entrega:', error);
+    res.status(500).json({ error: 'Erro ao reenviar entrega' });
+  }
+});
+
 export default router;
@@ -1,6 +1,10 @@
 import { Router } from 'express';
-import { authMiddleware } from '../middleware/auth.middleware.js';
+import { authMiddleware, requireOrgRole } from '../middleware/auth.middleware.js';
 import whatsappService from '../services/whatsapp.service.js';
+import inboxService from '../services/inbox.service.js';
+import notificationService from '../services/notification.service.js';
+import auditService from '../services/audit.service.js';
+import { ORGANIZATION_ROLES } from '../utils/constants.js';
 
 const router = Router();
 
@@ -9,6 +13,11 @@ const router = Router();
 // =============================================
 
 router.post('/webhook', async (req, res) => {
+  // Só a Evolution conhece o segredo: rejeita antes de gravar qualquer coisa
+  if (!whatsappService.verifyWebhook(req.headers)) {
+    return res.status(401).json({ error: 'Webhook não autorizado' });
+  }
+
   try {
     const event = req.body;
     const eventType = event.event || event.type;
@@ -21,6 +30,16 @@ router.post('/webhook', async (req, res) => {
       await whatsappService.handleConnectionWebhook(instanceName, event.data || event);
     }
 
+    // Mensagens recebidas vão para o inbox
+    if (eventType === 'MESSAGES_UPSERT' || eventType === 'messages.upsert') {
+      await inboxService.handleMessagesUpsert(instanceName, event.data);
+    }
+
+    // Confirmações de entrega/leitura das mensagens enviadas
+    if (eventType === 'MESSAGES_UPDATE' || eventType === 'messages.update') {
+      await notificationService.handleDeliveryReceipts(instanceName, event.data);
+    }
+
     res.json({ received: true });
   } catch (error) {
     console.error('Erro no webhook:', error);
@@ -34,10 +53,13 @@ router.post('/webhook', async (req, res) => {
 
 router.use(authMiddleware);
 
-// GET /api/whatsapp/status - Status do WhatsApp do usuário logado
+// Conectar/desconectar o número da organização é exclusivo de admins
+const requireAdminRole = requireOrgRole(ORGANIZATION_ROLES.ADMIN);
+
+// GET /api/whatsapp/status - Status do WhatsApp do usuário (ou da organização ativa)
 router.get('/status', async (req, res) => {
   try {
-    const status = await whatsappService.getUserStatus(req.user.id);
+    const status = await whatsappService.getUserStatus(req.userId);
     res.json(status);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -45,9 +67,9 @@ router.get('/status', async (req, res) => {
 });
 
 // GET /api/whatsapp/qr - Gera QR Code para o usuário conectar
-router.get('/qr', async (req, res) => {
+router.get('/qr', requireAdminRole, async (req, res) => {
   try {
-    const result = await whatsappService.getUserQRCode(req.user.id);
+    const result = await whatsappService.getUserQRCode(req.userId);
 
     if (result.connected) {
       return res.json({
@@ -72,9 +94,16 @@ router.get('/qr', async (req, res) => {
 });
 
 // POST /api/whatsapp/disconnect - Desconecta WhatsApp do usuário
-router.post('/disconnect', async (req, res) => {
+router.post('/disconnect', requireAdminRole, async (req, res) => {
   try {
-    await whatsappService.disconnectUser(req.user.id);
+    await whatsappService.disconnectUser(req.userId);
+    await auditService.log(req, {
+      action: 'whatsapp_disconnect',
+      entity: 'user',
+      entityId: req.userId,
+      data: { manual: true }
+    });
+
     res.json({ success: true, message: 'WhatsApp desconectado' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -82,13 +111,13 @@ router.post('/disconnect', async (req, res) => {
 });
 
 // POST /api/whatsapp/reconnect - Força reconexão (gera novo QR)
-router.post('/reconnect', async (req, res) => {
+router.post('/reconnect', requireAdminRole, async (req, res) => {
   try {
     // Desconecta primeiro
-    await whatsappService.disconnectUser(req.user.id);
+    await whatsappService.disconnectUser(req.userId);
 
     // Gera novo QR
-    const result = await whatsappService.getUserQRCode(req.user.id);
+    const result = await whatsappService.getUserQRCode(req.userId);
 
     res.json({
       success: true,
@@ -113,7 +142,7 @@ router.post('/send', async (req, res) => {
       return res.status(400).json({ error: 'Telefone e mensagem são obrigatórios' });
     }
 
-    const result = await whatsappService.sendMessageForUser(req.user.id, phone, message);
+    const result = await whatsappService.sendMessageForUser(req.userId, phone, message);
     res.json({ success: true, ...result });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -129,7 +158,7 @@ router.post('/send-media', async (req, res) => {
       return res.status(400).json({ error: 'Telefone e mídia (url) são obrigatórios' });
     }
 
-    const result = await whatsappService.sendMediaForUser(req.user.id, phone, media);
+    const result = await whatsappService.sendMediaForUser(req.userId, phone, media);
     res.json({ success: true, ...result });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -146,7 +175,7 @@ router.post('/test', async (req, res) => {
     }
 
     const testMessage = message || '✅ Teste do Mevo! Se você recebeu esta mensagem, seu WhatsApp está configurado corretamente.';
-    await whatsappService.sendMessageForUser(req.user.id, phone, testMessage);
+    await whatsappService.sendMessageForUser(req.userId, phone, testMessage);
 
     res.json({ success: true, message: 'Mensagem de teste enviada' });
   } catch (error) {
@@ -15,12 +15,22 @@ import reservationsRoutes from './routes/reservations.js';
 import templatesRoutes from './routes/templates.js';
 import webhooksRoutes from './routes/webhooks.js';
 import automationRoutes from './routes/automation.js';
+import icalRoutes from './routes/ical.js';
+import inboxRoutes from './routes/inbox.js';
+import cleaningsRoutes from './routes/cleanings.js';
+import maintenanceRoutes from './routes/maintenance.js';
+import auditRoutes from './routes/audit.js';
+import organizationsRoutes from './routes/organizations.js';
+import apiKeysRoutes from './routes/apiKeys.js';
 
 // Importa serviços
 import whatsappService from './services/whatsapp.service.js';
 import notificationService from './services/notification.service.js';
 import queueService from './services/queue.service.js';
 import schedulerService from './services/scheduler.service.js';
+import leaderService from './services/leader.service.js';
+import webhookDispatcherService from './services/webhookDispatcher.service.js';
+import inboxService from './services/inbox.service.js';
 
 // Importa utilitários
 import { errorHandler } from './utils/errors.js';
@@ -56,6 +66,24 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter para renovação de sessão - 30 req/min (clientes renovam automaticamente, às vezes em várias abas)
+const refreshLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: { error: 'Muitas renovações de sessão. Aguarde 1 minuto.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter para recuperação de senha e verificação - 5 req/15min (evita envio em massa e força bruta de códigos)
+const accountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5,
+  message: { error: 'Muitas tentativas. Aguarde 15 minutos.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiter para WhatsApp - 10 req/min (proteção contra spam)
 const whatsappLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -95,7 +123,7 @@ const corsOptions = {
     callback(new Error('Não permitido por CORS'));
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Organization-Id', 'X-API-Key'],
   credentials: true,
   maxAge: 86400, // Cache preflight por 24h
 };
@@ -136,6 +164,11 @@ app.use((req, res, next) => {
 // Autenticação (com rate limiting específico para login/register)
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/refresh', refreshLimiter);
+app.use('/api/auth/forgot-password', accountLimiter);
+app.use('/api/auth/reset-password', accountLimiter);
+app.use('/api/auth/verify-email', accountLimiter);
+app.use('/api/auth/verify-phone', accountLimiter);
 app.use('/api/auth', authRoutes);
 
 // Gestão de Propriedades
@@ -163,10 +196,32 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/whatsapp/send', whatsappLimiter);
 app.use('/api/whatsapp', whatsappRoutes);
 
+// Inbox de conversas do WhatsApp (respostas com o mesmo limite de envio)
+app.use('/api/inbox/conversations/:id/reply', whatsappLimiter);
+app.use('/api/inbox', inboxRoutes);
+
+// Tarefas de limpeza (confirmação pelo WhatsApp)
+app.use('/api/cleanings', cleaningsRoutes);
+
+// Tarefas de manutenção
+app.use('/api/maintenance', maintenanceRoutes);
+
+// Auditoria
+app.use('/api/audit', auditRoutes);
+
+// Organizações, equipe e convites
+app.use('/api/organizations', organizationsRoutes);
+
+// Chaves de API para integrações (X-API-Key)
+app.use('/api/api-keys', apiKeysRoutes);
+
 // Dashboard e Logs
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/logs', dashboardRoutes);
 
+// Feeds iCal públicos (acesso via token)
+app.use('/ical', icalRoutes);
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -184,7 +239,11 @@ app.get('/api/health', async (req, res) => {
       whatsapp: whatsappService.getStatus(),
       notifications: notificationProviders,
       queues: queueStats,
-      scheduler: schedulerStatus
+      scheduler: schedulerStatus,
+      leader: {
+        nodeId: leaderService.nodeId,
+        isLeader: leaderService.isLeader
+      }
     }
   });
 });
@@ -204,15 +263,40 @@ app.get('/', (req, res) => {
       auth: [
         'POST /api/auth/register',
         'POST /api/auth/login',
+        'POST /api/auth/login/2fa',
+        'POST /api/auth/refresh',
+        'POST /api/auth/logout',
+        'POST /api/auth/forgot-password',
+        'POST /api/auth/reset-password',
+        'POST /api/auth/verify-email',
+        'POST /api/auth/verify-email/resend',
+        'POST /api/auth/verify-phone/send',
+        'POST /api/auth/verify-phone',
+        'POST /api/auth/2fa/setup',
+        'POST /api/auth/2fa/enable',
+        'POST /api/auth/2fa/disable',
+        'POST /api/auth/2fa/recovery-codes',
         'GET /api/auth/me',
-        'PUT /api/auth/me'
+        'PUT /api/auth/me',
+        'GET /api/auth/sessions',
+        'DELETE /api/auth/sessions',
+        'DELETE /api/auth/sessions/:id'
       ],
       properties: [
         'GET /api/properties',
         'POST /api/properties',
         'GET /api/properties/:id',
         'PUT /api/properties/:id',
-        'DELETE /api/properties/:id'
+        'DELETE /api/properties/:id',
+        'GET /api/properties/:id/calendars',
+        'POST /api/properties/:id/calendars',
+        'PUT /api/properties/:id/calendars/:calendarId',
+        'DELETE /api/properties/:id/calendars/:calendarId',
+        'POST /api/properties/:id/ical-export',
+        'DELETE /api/properties/:id/ical-export',
+        'GET /api/properties/ical-export',
+        'POST /api/properties/ical-export',
+        'DELETE /api/properties/ical-export'
       ],
       guests: [
         'GET /api/guests',
@@ -229,6 +313,8 @@ app.get('/', (req, res) => {
         'DELETE /api/reservations/:id',
         'GET /api/reservations/upcoming',
         'GET /api/reservations/today',
+        'GET /api/reservations/conflicts',
+        'POST /api/reservations/conflicts/:id/resolve',
         'PATCH /api/reservations/:id/cancel',
         'POST /api/reservations/:id/send-notification'
       ],
@@ -247,7 +333,9 @@ app.get('/', (req, res) => {
         'PUT /api/webhooks/:id',
         'DELETE /api/webhooks/:id',
         'POST /api/webhooks/:id/test',
-        'GET /api/webhooks/:id/logs'
+        'GET /api/webhooks/:id/logs',
+        'POST /api/webhooks/:id/logs/:logId/redeliver',
+        'POST /api/webhooks/:id/logs/replay'
       ],
       automation: [
         'GET /api/automation/status',
@@ -258,17 +346,77 @@ app.get('/', (req, res) => {
         'GET /api/automation/notifications',
         'GET /api/automation/notifications/stats',
         'POST /api/automation/schedule',
-        'GET /api/automation/scheduled'
+        'GET /api/automation/scheduled',
+        'POST /api/automation/scheduled/:id/pause',
+        'POST /api/automation/scheduled/:id/resume',
+        'DELETE /api/automation/scheduled/:id',
+        'GET /api/automation/failed-jobs',
+        'GET /api/automation/failed-jobs/:id',
+        'POST /api/automation/failed-jobs/:id/retry',
+        'POST /api/automation/failed-jobs/retry',
+        'POST /api/automation/failed-jobs/discard',
+        'GET /api/automation/rules',
+        'POST /api/automation/rules',
+        'GET /api/automation/rules/:id',
+        'PUT /api/automation/rules/:id',
+        'DELETE /api/automation/rules/:id'
       ],
       whatsapp: [
         'GET /api/whatsapp/status',
         'GET /api/whatsapp/qr'
       ],
+      inbox: [
+        'GET /api/inbox/conversations',
+        'GET /api/inbox/conversations/:id',
+        'POST /api/inbox/conversations/:id/reply'
+      ],
+      cleanings: [
+        'GET /api/cleanings?date=YYYY-MM-DD',
+        'GET /api/cleanings/:id',
+        'PUT /api/cleanings/:id'
+      ],
+      maintenance: [
+        'GET /api/maintenance/schedules',
+        'GET /api/maintenance/schedules/:id',
+        'GET /api/maintenance/schedules/:id/preview?count=N',
+        'POST /api/maintenance/schedules',
+        'PUT /api/maintenance/schedules/:id',
+        'DELETE /api/maintenance/schedules/:id',
+        'GET /api/maintenance',
+        'GET /api/maintenance/:id',
+        'POST /api/maintenance',
+        'PUT /api/maintenance/:id',
+        'POST /api/maintenance/:id/notify',
+        'DELETE /api/maintenance/:id'
+      ],
+      organizations: [
+        'GET /api/organizations',
+        'POST /api/organizations',
+        'PUT /api/organizations/active',
+        'GET /api/organizations/:id',
+        'PUT /api/organizations/:id',
+        'POST /api/organizations/:id/invitations',
+        'DELETE /api/organizations/:id/invitations/:invitationId',
+        'POST /api/organizations/invitations/:token/accept',
+        'PUT /api/organizations/:id/members/:userId',
+        'DELETE /api/organizations/:id/members/:userId'
+      ],
+      apiKeys: [
+        'GET /api/api-keys',
+        'POST /api/api-keys',
+        'DELETE /api/api-keys/:id'
+      ],
+      audit: [
+        'GET /api/audit?entity=&entityId=&userId=&from=&to='
+      ],
       dashboard: [
         'GET /api/dashboard/stats',
         'GET /api/logs',
         'POST /api/dashboard/run-worker'
       ],
+      ical: [
+        'GET /ical/:token.ics'
+      ],
       health: [
         'GET /api/health'
       ]
@@ -311,6 +459,9 @@ async function startServer() {
     console.log('📦 Inicializando serviço de filas...');
     await queueService.initialize();
 
+    // Entregas de webhook em segundo plano (outbox)
+    webhookDispatcherService.start();
+
     // 2. Inicializar serviço de notificações
     console.log('📬 Inicializando serviço de notificações...');
     await notificationService.initialize();
@@ -325,9 +476,17 @@ async function startServer() {
       console.log('   Acesse /api/whatsapp/qr para escanear o QR Code.');
     }
 
-    // 4. Iniciar scheduler de automação
+    // Telefones normalizados de cadastros antigos (identificação de contatos no inbox)
+    inboxService.backfillNormalizedPhones().catch(error => {
+      console.error('Erro ao normalizar telefones:', error.message);
+    });
+
+    // 4. Iniciar scheduler de automação (só na instância líder)
     console.log('⏰ Iniciando scheduler de automação...');
-    schedulerService.start();
+    await leaderService.start({
+      onElected: () => schedulerService.start(),
+      onDemoted: () => schedulerService.stop()
+    });
 
     // 5. Iniciar servidor HTTP
     app.listen(PORT, () => {
@@ -349,13 +508,19 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🛑 Recebido SIGTERM, encerrando gracefully...');
+  await leaderService.stop();
   schedulerService.stop();
+  queueService.stop();
+  webhookDispatcherService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('🛑 Recebido SIGINT, encerrando gracefully...');
+  await leaderService.stop();
   schedulerService.stop();
+  queueService.stop();
+  webhookDispatcherService.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,318 @@
+/**
+ * Serviço de Conta (recuperação de senha e verificação de email/telefone)
+ *
+ * Tokens de uso único guardados apenas como hash (AccountToken):
+ * - password_reset: link enviado por email ou WhatsApp (User.phone verificado)
+ * - email_verification: link enviado para o email cadastrado
+ * - phone_verification: código de 6 dígitos enviado pelo WhatsApp
+ *
+ * Mensagens de conta saem pela instância da plataforma (EVOLUTION_INSTANCE_NAME)
+ * e não gravam o conteúdo no NotificationLog.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from '../lib/prisma.js';
+import notificationService from './notification.service.js';
+import sessionService from './session.service.js';
+import { ACCOUNT_TOKEN_PURPOSES, DEFAULTS } from '../utils/constants.js';
+
+const { PASSWORD_RESET, EMAIL_VERIFICATION, PHONE_VERIFICATION } = ACCOUNT_TOKEN_PURPOSES;
+
+class AccountService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  normalizePhone(phone) {
+    const cleaned = phone ? String(phone).replace(/\D/g, '') : '';
+    return cleaned.length >= 10 ? cleaned : null;
+  }
+
+  /**
+   * Validade de cada tipo de token
+   */
+  getExpiry(purpose, now = new Date()) {
+    const minutes = {
+      [PASSWORD_RESET]: DEFAULTS.PASSWORD_RESET_EXPIRY_MINUTES,
+      [EMAIL_VERIFICATION]: DEFAULTS.EMAIL_VERIFICATION_EXPIRY_HOURS * 60,
+      [PHONE_VERIFICATION]: DEFAULTS.PHONE_VERIFICATION_EXPIRY_MINUTES
+    }[purpose];
+
+    return new Date(now.getTime() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Link do frontend com o token
+   */
+  buildLink(path, token) {
+    const baseUrl = (process.env.FRONTEND_URL || '').split(',')[0].trim() || 'http://localhost:3000';
+    return `${baseUrl.replace(/\/$/, '')}/${path}/${token}`;
+  }
+
+  /**
+   * Gera um token (ou código numérico) e invalida os anteriores da mesma finalidade
+   * @returns {Promise<{token?: string, error?: string}>} error 'too_soon' se houve envio recente
+   */
+  async issue(userId, purpose, { channel, target = null, numeric = false }, now = new Date()) {
+    const last = await prisma.accountToken.findFirst({
+      where: { userId, purpose },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (last && now - last.createdAt < DEFAULTS.ACCOUNT_TOKEN_RESEND_SECONDS * 1000) {
+      return { error: 'too_soon' };
+    }
+
+    const token = numeric
+      ? String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+      : crypto.randomBytes(32).toString('hex');
+
+    await prisma.$transaction([
+      prisma.accountToken.updateMany({
+        where: { userId, purpose, usedAt: null },
+        data: { usedAt: now }
+      }),
+      prisma.accountToken.create({
+        data: {
+          userId,
+          purpose,
+          channel,
+          target,
+          tokenHash: this.hashToken(token),
+          expiresAt: this.getExpiry(purpose, now)
+        }
+      })
+    ]);
+
+    return { token };
+  }
+
+  /**
+   * Marca o token como usado (a condição em usedAt impede o uso duplo em requisições simultâneas)
+   * @returns {Promise<boolean>}
+   */
+  async markUsed(accountToken, now = new Date()) {
+    const { count } = await prisma.accountToken.updateMany({
+      where: { id: accountToken.id, usedAt: null },
+      data: { usedAt: now }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Consome um token de link (reset de senha / verificação de email)
+   * @returns {Promise<Object|null>} AccountToken com o usuário, ou null se inválido/expirado/usado
+   */
+  async consume(token, purpose, now = new Date()) {
+    if (!token) return null;
+
+    const accountToken = await prisma.accountToken.findFirst({
+      where: {
+        tokenHash: this.hashToken(String(token)),
+        purpose,
+        usedAt: null,
+        expiresAt: { gt: now }
+      },
+      include: { user: true }
+    });
+
+    if (!accountToken || !(await this.markUsed(accountToken, now))) return null;
+
+    return accountToken;
+  }
+
+  /**
+   * Consome o código enviado ao usuário; erros contam tentativas até invalidar o código
+   * @returns {Promise<{accountToken?: Object, error?: string}>} error 'invalid' ou 'expired'
+   */
+  async consumeCode(userId, code, purpose, now = new Date()) {
+    const accountToken = await prisma.accountToken.findFirst({
+      where: { userId, purpose, usedAt: null },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!accountToken || accountToken.expiresAt <= now || accountToken.attempts >= DEFAULTS.ACCOUNT_TOKEN_MAX_ATTEMPTS) {
+      return { error: 'expired' };
+    }
+
+    const expected = Buffer.from(accountToken.tokenHash);
+    const received = Buffer.from(this.hashToken(String(code || '').trim()));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      await prisma.accountToken.update({
+        where: { id: accountToken.id },
+        data: { attempts: { increment: 1 } }
+      });
+      return { error: 'invalid' };
+    }
+
+    if (!(await this.markUsed(accountToken, now))) return { error: 'expired' };
+
+    return { accountToken };
+  }
+
+  // =============================================
+  // RECUPERAÇÃO DE SENHA
+  // =============================================
+
+  /**
+   * Envia o link de redefinição de senha
+   * WhatsApp só para telefone verificado; caso contrário o link vai por email.
+   * Não revela se o email existe: a rota responde igual em todos os casos.
+   * @returns {Promise<{user?: Object, channel?: string, error?: string}>}
+   */
+  async requestPasswordReset(email, channel = 'email') {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive) return { error: 'not_found' };
+
+    const useWhatsApp = channel === 'whatsapp' && user.phone && user.phoneVerifiedAt;
+    const deliveryChannel = useWhatsApp ? 'whatsapp' : 'email';
+
+    const { token, error } = await this.issue(user.id, PASSWORD_RESET, { channel: deliveryChannel });
+    if (error) return { user, error };
+
+    const link = this.buildLink('redefinir-senha', token);
+    const message = 'Recebemos um pedido para redefinir a senha da sua conta Mevo.\n\n' +
+      `Crie uma nova senha em: ${link}\n\n` +
+      `O link expira em ${DEFAULTS.PASSWORD_RESET_EXPIRY_MINUTES} minutos. Se não foi você, ignore esta mensagem.`;
+
+    const result = await notificationService.send({
+      channel: deliveryChannel,
+      recipient: useWhatsApp ? user.phone : user.email,
+      subject: 'Redefinição de senha',
+      message: useWhatsApp ? message : message.replace(/\n/g, '<br>'),
+      type: 'password_reset',
+      sensitive: true
+    });
+
+    return { user, channel: deliveryChannel, error: result.success ? null : result.error };
+  }
+
+  /**
+   * Troca a senha com o token de redefinição e encerra todas as sessões
+   * @returns {Promise<Object|null>} Usuário, ou null se o token for inválido
+   */
+  async resetPassword(token, password) {
+    const accountToken = await this.consume(token, PASSWORD_RESET);
+    if (!accountToken) return null;
+
+    const now = new Date();
+
+    await prisma.user.update({
+      where: { id: accountToken.userId },
+      data: {
+        passwordHash: bcrypt.hashSync(password, 10),
+        // Receber o link comprova o acesso ao canal
+        ...(accountToken.channel === 'email' && !accountToken.user.emailVerifiedAt && { emailVerifiedAt: now })
+      }
+    });
+
+    await sessionService.revokeAll(accountToken.userId, { now });
+
+    return accountToken.user;
+  }
+
+  // =============================================
+  // VERIFICAÇÃO DE EMAIL E TELEFONE
+  // =============================================
+
+  /**
+   * Envia o link de confirmação para o email atual do usuário
+   * @returns {Promise<{sent: boolean, error?: string}>}
+   */
+  async sendEmailVerification(user) {
+    const { token, error } = await this.issue(user.id, EMAIL_VERIFICATION, { channel: 'email', target: user.email });
+    if (error) return { sent: false, error };
+
+    const link = this.buildLink('verificar-email', token);
+    const message = `Olá${user.name ? `, ${user.name}` : ''}!<br><br>` +
+      `Confirme seu email no Mevo em: ${link}<br><br>` +
+      `O link expira em ${DEFAULTS.EMAIL_VERIFICATION_EXPIRY_HOURS} horas.`;
+
+    const result = await notificationService.send({
+      channel: 'email',
+      recipient: user.email,
+      subject: 'Confirme seu email',
+      message,
+      type: 'email_verification',
+      sensitive: true
+    });
+
+    return result.success ? { sent: true } : { sent: false, error: result.error };
+  }
+
+  /**
+   * Envia o código de confirmação pelo WhatsApp
+   * @returns {Promise<{sent: boolean, error?: string}>}
+   */
+  async sendPhoneVerification(user, phone) {
+    const { token, error } = await this.issue(user.id, PHONE_VERIFICATION, {
+      channel: 'whatsapp',
+      target: phone,
+      numeric: true
+    });
+    if (error) return { sent: false, error };
+
+    const result = await notificationService.send({
+      channel: 'whatsapp',
+      recipient: phone,
+      message: `Seu código de verificação do Mevo é *${token}*.\n\n` +
+        `Ele expira em ${DEFAULTS.PHONE_VERIFICATION_EXPIRY_MINUTES} minutos.`,
+      type: 'phone_verification',
+      sensitive: true
+    });
+
+    return result.success ? { sent: true } : { sent: false, error: result.error };
+  }
+
+  /**
+   * Confirma o email pelo token do link
+   * @returns {Promise<Object|null>} Usuário, ou null se o token for inválido ou o email mudou desde o envio
+   */
+  async verifyEmail(token) {
+    const accountToken = await this.consume(token, EMAIL_VERIFICATION);
+    if (!accountToken || accountToken.target !== accountToken.user.email) return null;
+
+    return prisma.user.update({
+      where: { id: accountToken.userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+  }
+
+  /**
+   * Confirma o telefone pelo código e grava o número em User.phone
+   * @returns {Promise<{user?: Object, error?: string}>}
+   */
+  async verifyPhone(userId, code) {
+    const { accountToken, error } = await this.consumeCode(userId, code, PHONE_VERIFICATION);
+    if (error) return { error };
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { phone: accountToken.target, phoneVerifiedAt: new Date() }
+    });
+
+    return { user };
+  }
+
+  /**
+   * Remove tokens expirados há mais de N dias
+   */
+  async cleanup(daysToKeep = 7) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - daysToKeep);
+
+    const { count } = await prisma.accountToken.deleteMany({
+      where: { expiresAt: { lt: cutoff } }
+    });
+
+    return count;
+  }
+}
+
+// Singleton
+const accountService = new AccountService();
+
+export default accountService;
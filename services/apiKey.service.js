@@ -0,0 +1,134 @@
+/**
+ * Serviço de Chaves de API
+ *
+ * Integrações enviam a chave no cabeçalho X-API-Key no lugar do JWT.
+ * A chave opera como o usuário que a criou, na organização escolhida na criação,
+ * com as mesmas restrições do papel dele e limitada aos escopos da chave.
+ *
+ * Formato: mevo_<prefixo>_<segredo>; só o hash SHA-256 é guardado.
+ */
+
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import { API_KEY_SCOPES } from '../utils/constants.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Área da API => prefixo do escopo (áreas fora da lista não aceitam chaves)
+const AREA_SCOPES = {
+  '/api/properties': 'properties',
+  '/api/reservations': 'reservations',
+  '/api/guests': 'guests',
+  '/api/inbox': 'inbox',
+  '/api/templates': 'templates',
+  '/api/cleanings': 'cleanings',
+  '/api/maintenance': 'maintenance',
+  '/api/automation': 'automation',
+  '/api/webhooks': 'webhooks',
+  '/api/dashboard': 'dashboard',
+  '/api/logs': 'dashboard',
+  '/api/audit': 'audit'
+};
+
+// Envios ao hóspede exigem messages:send em vez do escopo de escrita da área
+const MESSAGE_ROUTES = [
+  /^\/api\/reservations\/\d+\/send-notification$/,
+  /^\/api\/inbox\/conversations\/\d+\/reply$/,
+  /^\/api\/whatsapp\/send(-media)?$/
+];
+
+// Registro de uso no máximo uma vez por minuto por chave
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Gera uma nova chave (o valor completo só é exibido na criação)
+   * @returns {{key: string, prefix: string, keyHash: string}}
+   */
+  generateKey() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `mevo_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    return { key, prefix, keyHash: this.hashKey(key) };
+  }
+
+  /**
+   * Escopo exigido pela requisição
+   * @param {string} method
+   * @param {string} baseUrl - Prefixo da rota (req.baseUrl)
+   * @param {string} path - URL completa sem query string
+   * @returns {string|null} null = área não disponível para chaves de API
+   */
+  requiredScope(method, baseUrl, path) {
+    if (!READ_METHODS.includes(method) && MESSAGE_ROUTES.some(route => route.test(path))) {
+      return API_KEY_SCOPES.MESSAGES_SEND;
+    }
+
+    const area = AREA_SCOPES[baseUrl];
+    if (!area) return null;
+
+    return `${area}:${READ_METHODS.includes(method) ? 'read' : 'write'}`;
+  }
+
+  /**
+   * Verifica se a chave pode acessar a rota
+   */
+  hasScope(scopes, method, baseUrl, path) {
+    const scope = this.requiredScope(method, baseUrl, path);
+    return !!scope && scopes.includes(scope);
+  }
+
+  /**
+   * Busca a chave válida (não revogada, não expirada e de usuário ativo) e registra o uso
+   * @returns {Promise<Object|null>}
+   */
+  async authenticate(key, req = null, now = new Date()) {
+    if (!key || !key.startsWith('mevo_')) return null;
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: this.hashKey(key) },
+      include: { user: { select: { isActive: true } } }
+    });
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+      return null;
+    }
+
+    // Usuário desativado: a chave para de funcionar junto com as sessões
+    if (!apiKey.user?.isActive) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_INTERVAL_MS) {
+      await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: now, lastUsedIp: req?.ip || null }
+      });
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Dados exibidos na listagem (sem o hash)
+   */
+  format(apiKey, now = new Date()) {
+    const data = { ...apiKey };
+    delete data.keyHash;
+
+    return {
+      ...data,
+      preview: `mevo_${apiKey.prefix}_…`,
+      active: !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > now)
+    };
+  }
+}
+
+// Singleton
+const apiKeyService = new ApiKeyService();
+
+export default apiKeyService;
@@ -0,0 +1,148 @@
+/**
+ * Serviço de Auditoria
+ *
+ * Registra em AuditLog as alterações feitas pela API:
+ * - create: newData com o registro criado
+ * - update: oldData/newData apenas com os campos alterados
+ * - delete: oldData com o registro removido
+ * - demais ações (login, login_failed, whatsapp_connect...): newData com os detalhes
+ *
+ * Relacionamentos incluídos (objetos aninhados) são descartados e campos
+ * sensíveis (senhas, segredos, tokens) são mascarados.
+ */
+
+import prisma from '../lib/prisma.js';
+import { AUDIT_ACTIONS } from '../utils/constants.js';
+
+const SENSITIVE_FIELDS = ['password', 'secret', 'token', 'twoFactorRecoveryCodes'];
+// Hashes de tokens/chaves, segredos e senhas também são mascarados pelo sufixo
+// (tokenHash, keyHash, refreshTokenHash, twoFactorSecret, icalExportToken, wifiPassword...)
+const SENSITIVE_SUFFIX = /(Hash|Secret|Token|Password)$/;
+const IGNORED_FIELDS = ['updatedAt'];
+const MASK = '[oculto]';
+
+class AuditService {
+  /**
+   * Campo que nunca vai para o log em claro
+   */
+  isSensitive(key) {
+    return SENSITIVE_FIELDS.includes(key) || SENSITIVE_SUFFIX.test(key);
+  }
+
+  /**
+   * Converte o registro em um objeto plano (sem relacionamentos) e mascara campos sensíveis
+   */
+  sanitize(record) {
+    if (!record) return null;
+
+    const plain = JSON.parse(JSON.stringify(record));
+    const result = {};
+
+    for (const [key, value] of Object.entries(plain)) {
+      const isRelation = (value && typeof value === 'object' && !Array.isArray(value)) ||
+        (Array.isArray(value) && value.some(item => item && typeof item === 'object'));
+
+      if (isRelation) continue;
+
+      result[key] = this.isSensitive(key) && value !== null ? MASK : value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Campos alterados entre duas versões do registro
+   * @returns {{ before: Object, after: Object }|null} null se nada mudou
+   */
+  diff(before, after) {
+    const old = this.sanitize(before) || {};
+    const current = this.sanitize(after) || {};
+    const changes = { before: {}, after: {} };
+
+    for (const key of new Set([...Object.keys(old), ...Object.keys(current)])) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+      if (JSON.stringify(old[key]) === JSON.stringify(current[key])) continue;
+
+      changes.before[key] = old[key] ?? null;
+      changes.after[key] = current[key] ?? null;
+    }
+
+    return Object.keys(changes.after).length > 0 ? changes : null;
+  }
+
+  /**
+   * Registra uma entrada de auditoria. Nunca lança erro.
+   * @param {Object} req - Requisição Express (IP, user agent e usuário logado); pode ser null
+   * @param {Object} entry
+   * @param {string} entry.action - create, update, delete, login, ...
+   * @param {string} entry.entity - property, reservation, guest, ...
+   * @param {number} [entry.entityId]
+   * @param {Object} [entry.before] - Registro antes da alteração (update/delete)
+   * @param {Object} [entry.after] - Registro depois da alteração (create/update)
+   * @param {Object} [entry.data] - Detalhes de ações que não são CRUD
+   * @param {number} [entry.userId] - Padrão: usuário logado (req.actorId)
+   */
+  async log(req, { action, entity, entityId = null, before = null, after = null, data = null, userId }) {
+    try {
+      let oldData = null;
+      let newData = null;
+
+      if (action === AUDIT_ACTIONS.UPDATE) {
+        const changes = this.diff(before, after);
+        if (!changes && !data) return null;
+
+        oldData = changes?.before || null;
+        newData = { ...changes?.after, ...data };
+      } else if (action === AUDIT_ACTIONS.DELETE) {
+        oldData = this.sanitize(before);
+        newData = data;
+      } else if (action === AUDIT_ACTIONS.CREATE) {
+        newData = { ...this.sanitize(after), ...data };
+      } else {
+        newData = data;
+      }
+
+      return await prisma.auditLog.create({
+        data: {
+          action,
+          entity,
+          entityId: entityId ?? after?.id ?? before?.id ?? null,
+          oldData: oldData ? JSON.stringify(oldData) : null,
+          newData: newData ? JSON.stringify(newData) : null,
+          ipAddress: req?.ip || null,
+          userAgent: req?.get?.('user-agent') || null,
+          userId: userId ?? req?.actorId ?? req?.userId ?? null,
+          organizationId: req?.organizationId ?? null
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao registrar auditoria:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Converte uma entrada para a resposta da API (JSON já decodificado)
+   */
+  format(entry) {
+    const parse = (value) => {
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    };
+
+    return {
+      ...entry,
+      oldData: parse(entry.oldData),
+      newData: parse(entry.newData)
+    };
+  }
+}
+
+// Singleton
+const auditService = new AuditService();
+
+export default auditService;
@@ -0,0 +1,249 @@
+/**
+ * Serviço de Regras de Automação
+ *
+ * Avalia as regras configuradas por cada usuário em /api/automation/rules:
+ * - booking_created: reserva criada depois da regra
+ * - before_checkin: N horas antes do check-in
+ * - after_checkout: N horas depois do checkout
+ *
+ * Horários são calculados no fuso do imóvel. Cada regra dispara no máximo
+ * uma vez por reserva (AutomationRuleExecution) e envios em horário de
+ * silêncio ficam para a próxima avaliação fora dele.
+ */
+
+import prisma from '../lib/prisma.js';
+import notificationService from './notification.service.js';
+import { AUTOMATION_TRIGGERS } from '../utils/constants.js';
+import { getLocalDateTime, isWithinQuietHours } from '../utils/dates.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Atraso máximo tolerado após o gatilho (evita disparos para reservas antigas)
+const CATCH_UP_HOURS = 24;
+
+class AutomationService {
+  /**
+   * Imóveis atendidos por regras ativas de um gatilho, por usuário
+   * (null = todos os imóveis do usuário). Para essas reservas o lembrete fixo
+   * equivalente do scheduler não é enviado.
+   * @param {string} trigger - AUTOMATION_TRIGGERS
+   * @param {number} [userId] - Restringe a um usuário
+   * @returns {Promise<Map<number, Set<number>|null>>}
+   */
+  async getRuleCoverage(trigger, userId = null) {
+    const rules = await prisma.automationRule.findMany({
+      where: { isActive: true, trigger, ...(userId ? { userId } : {}) },
+      select: { userId: true, propertyIds: true }
+    });
+
+    const coverage = new Map();
+    for (const rule of rules) {
+      if (rule.propertyIds.length === 0) {
+        coverage.set(rule.userId, null);
+      } else if (coverage.get(rule.userId) !== null) {
+        const propertyIds = coverage.get(rule.userId) || new Set();
+        rule.propertyIds.forEach(id => propertyIds.add(id));
+        coverage.set(rule.userId, propertyIds);
+      }
+    }
+
+    return coverage;
+  }
+
+  /**
+   * Verifica se o imóvel está coberto (resultado de getRuleCoverage)
+   */
+  isCovered(coverage, userId, propertyId) {
+    if (!coverage.has(userId)) return false;
+
+    const propertyIds = coverage.get(userId);
+    return propertyIds === null || propertyIds.has(propertyId);
+  }
+
+  /**
+   * Verifica se o usuário tem regra ativa do gatilho para o imóvel
+   */
+  async hasActiveRule(userId, trigger, propertyId) {
+    const coverage = await this.getRuleCoverage(trigger, userId);
+    return this.isCovered(coverage, userId, propertyId);
+  }
+
+  /**
+   * Avalia todas as regras ativas, agrupadas por usuário
+   */
+  async evaluateAllRules(now = new Date()) {
+    const rules = await prisma.automationRule.findMany({
+      where: { isActive: true },
+      include: { template: true },
+      orderBy: { id: 'asc' }
+    });
+
+    const byUser = new Map();
+    for (const rule of rules) {
+      if (!byUser.has(rule.userId)) byUser.set(rule.userId, []);
+      byUser.get(rule.userId).push(rule);
+    }
+
+    const summary = { users: byUser.size, rules: rules.length, sent: 0, failed: 0, deferred: 0 };
+
+    for (const [userId, userRules] of byUser) {
+      try {
+        const result = await this.evaluateUserRules(userRules, now);
+        summary.sent += result.sent;
+        summary.failed += result.failed;
+        summary.deferred += result.deferred;
+      } catch (error) {
+        console.error(`Erro ao avaliar regras do usuário ${userId}:`, error.message);
+      }
+    }
+
+    console.log(`🤖 Regras de automação: ${summary.sent} enviadas, ${summary.failed} falharam, ${summary.deferred} adiadas`);
+
+    return summary;
+  }
+
+  /**
+   * Avalia as regras de um usuário
+   */
+  async evaluateUserRules(rules, now = new Date()) {
+    const result = { sent: 0, failed: 0, deferred: 0 };
+
+    for (const rule of rules) {
+      const reservations = await this.findDueReservations(rule, now);
+
+      for (const reservation of reservations) {
+        if (isWithinQuietHours(rule.quietHoursStart, rule.quietHoursEnd, reservation.property.timezone, now)) {
+          result.deferred++;
+          continue;
+        }
+
+        const execution = await this.executeRule(rule, reservation);
+        if (execution.status === 'sent') {
+          result.sent++;
+        } else {
+          result.failed++;
+        }
+      }
+
+      await prisma.automationRule.update({
+        where: { id: rule.id },
+        data: { lastRunAt: now }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Reservas cujo gatilho da regra já passou e que ainda não foram atendidas
+   */
+  async findDueReservations(rule, now = new Date()) {
+    const offset = rule.offsetHours * HOUR;
+
+    const where = {
+      property: { userId: rule.userId },
+      status: { in: ['pending', 'confirmed'] },
+      automationRuleExecutions: { none: { ruleId: rule.id } }
+    };
+
+    if (rule.propertyIds.length > 0) {
+      where.propertyId = { in: rule.propertyIds };
+    }
+
+    // Pré-filtro por data; o horário exato é conferido abaixo, no fuso do imóvel
+    if (rule.trigger === AUTOMATION_TRIGGERS.BOOKING_CREATED) {
+      const since = Math.max(rule.createdAt.getTime(), now.getTime() - CATCH_UP_HOURS * HOUR);
+      where.createdAt = { gte: new Date(since) };
+    } else if (rule.trigger === AUTOMATION_TRIGGERS.BEFORE_CHECKIN) {
+      where.checkinDate = {
+        gte: new Date(now.getTime() - 2 * DAY),
+        lte: new Date(now.getTime() + offset + 2 * DAY)
+      };
+    } else if (rule.trigger === AUTOMATION_TRIGGERS.AFTER_CHECKOUT) {
+      // Solicitações pós-checkout também valem para reservas já concluídas
+      where.status = { in: ['confirmed', 'completed'] };
+      where.checkoutDate = {
+        gte: new Date(now.getTime() - offset - CATCH_UP_HOURS * HOUR - 2 * DAY),
+        lte: new Date(now.getTime() + DAY)
+      };
+    } else {
+      return [];
+    }
+
+    const reservations = await prisma.reservation.findMany({
+      where,
+      include: { guest: true, property: true }
+    });
+
+    if (rule.trigger === AUTOMATION_TRIGGERS.BOOKING_CREATED) {
+      return reservations;
+    }
+
+    return reservations.filter(reservation => {
+      const { timezone } = reservation.property;
+
+      if (rule.trigger === AUTOMATION_TRIGGERS.BEFORE_CHECKIN) {
+        const checkinAt = getLocalDateTime(
+          reservation.checkinDate,
+          reservation.checkinTime || reservation.property.checkinTime || '15:00',
+          timezone
+        );
+        return now >= new Date(checkinAt.getTime() - offset) && now < checkinAt;
+      }
+
+      const checkoutAt = getLocalDateTime(
+        reservation.checkoutDate,
+        reservation.checkoutTime || reservation.property.checkoutTime || '11:00',
+        timezone
+      );
+      const triggerAt = new Date(checkoutAt.getTime() + offset);
+      return now >= triggerAt && now < new Date(triggerAt.getTime() + CATCH_UP_HOURS * HOUR);
+    });
+  }
+
+  /**
+   * Envia a mensagem da regra para o hóspede e registra a execução
+   */
+  async executeRule(rule, reservation) {
+    const { guest, property } = reservation;
+    const recipient = rule.channel === 'email' ? guest?.email : (guest?.whatsapp || guest?.phone);
+
+    let status = 'failed';
+    let errorMessage = null;
+
+    if (!recipient) {
+      errorMessage = guest ? `Hóspede não possui ${rule.channel} cadastrado` : 'Reserva sem hóspede associado';
+    } else {
+      const data = notificationService.buildTemplateData(reservation, guest, property);
+
+      const result = await notificationService.send({
+        channel: rule.channel,
+        recipient,
+        message: notificationService.processTemplate(rule.template.content, data),
+        subject: rule.template.subject ? notificationService.processTemplate(rule.template.subject, data) : null,
+        type: rule.template.type,
+        propertyId: property.id,
+        reservationId: reservation.id,
+        userId: rule.userId
+      });
+
+      status = result.success ? 'sent' : 'failed';
+      errorMessage = result.error || null;
+    }
+
+    return prisma.automationRuleExecution.create({
+      data: {
+        ruleId: rule.id,
+        reservationId: reservation.id,
+        status,
+        errorMessage
+      }
+    });
+  }
+}
+
+// Singleton
+const automationService = new AutomationService();
+
+export default automationService;
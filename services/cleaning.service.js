@@ -0,0 +1,334 @@
+/**
+ * Serviço de Tarefas de Limpeza
+ *
+ * - Cria uma tarefa por imóvel/dia quando o funcionário recebe a mensagem da manhã
+ * - Interpreta as respostas do funcionário no WhatsApp ("ok", "1 ok", "2 feito")
+ * - Avisa o anfitrião quando uma limpeza não é confirmada até o prazo
+ *
+ * Prazo: checkout do imóvel menos `cleaning_confirmation_minutes` (Setting),
+ * garantindo ao funcionário ao menos esse mesmo intervalo após a notificação.
+ */
+
+import prisma from '../lib/prisma.js';
+import notificationService from './notification.service.js';
+import whatsappService from './whatsapp.service.js';
+import { CLEANING_STATUS, DEFAULTS } from '../utils/constants.js';
+import { getLocalDateTime } from '../utils/dates.js';
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const { PENDING, NOTIFIED, CONFIRMED, COMPLETED } = CLEANING_STATUS;
+
+// Status que ainda aceitam resposta do funcionário
+const OPEN_STATUSES = [PENDING, NOTIFIED, CONFIRMED];
+
+// Palavras-chave das respostas (sem acentos)
+const CONFIRM_WORDS = ['ok', 'okay', 'confirmo', 'confirmado', 'confirmada', 'sim'];
+const COMPLETE_WORDS = ['feito', 'feita', 'pronto', 'pronta', 'concluido', 'concluida', 'terminei', 'finalizado', 'finalizada'];
+
+// Negação logo antes da palavra (até duas palavras no meio): "não ok", "n feito", "ainda não está pronto"
+const NEGATION_PATTERN = '(?<!\\b(?:nao|n|nem)\\s+(?:[a-z]+\\s+){0,2})';
+
+// "<número opcional> <palavra>" - ex: "ok", "1 ok", "2- feito", "3.pronto"
+const REPLY_PATTERN = new RegExp(
+  `(?:(\\d{1,2})\\s*[-.):]?\\s*)?(?<![a-z])${NEGATION_PATTERN}(${[...CONFIRM_WORDS, ...COMPLETE_WORDS].join('|')})(?![a-z])`,
+  'g'
+);
+
+class CleaningService {
+  /**
+   * Cria (ou renumera) as tarefas do dia para um funcionário
+   * Tarefas já existentes mantêm o status atual.
+   * @param {Date} date - Dia civil (meia-noite UTC)
+   * @param {{ phone: string, employeeName: string }} employee
+   * @param {Array} checkouts - [{ propertyId, reservationId, checkoutTime }] na ordem da mensagem
+   * @returns {Promise<Array>} Tarefas na mesma ordem de `checkouts`
+   */
+  async createTasks(date, employee, checkouts) {
+    const tasks = [];
+
+    for (const [index, checkout] of checkouts.entries()) {
+      const task = await prisma.cleaningTask.upsert({
+        where: { propertyId_date: { propertyId: checkout.propertyId, date } },
+        update: {
+          position: index + 1,
+          employeeName: employee.employeeName,
+          employeePhone: employee.phone,
+          checkoutTime: checkout.checkoutTime
+        },
+        create: {
+          date,
+          position: index + 1,
+          employeeName: employee.employeeName,
+          employeePhone: employee.phone,
+          checkoutTime: checkout.checkoutTime,
+          propertyId: checkout.propertyId,
+          reservationId: checkout.reservationId || null
+        }
+      });
+
+      tasks.push(task);
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Marca as tarefas como notificadas após o envio da mensagem da manhã
+   */
+  async markNotified(taskIds) {
+    if (!taskIds?.length) return 0;
+
+    const result = await prisma.cleaningTask.updateMany({
+      where: { id: { in: taskIds }, status: PENDING },
+      data: { status: NOTIFIED, notifiedAt: new Date() }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Extrai as ações de uma resposta do funcionário
+   * @returns {Array<{ position: number|null, action: 'confirm'|'complete' }>}
+   */
+  parseReply(body) {
+    if (!body) return [];
+
+    const text = body
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/👍/gu, ' ok ')
+      .toLowerCase();
+
+    return [...text.matchAll(REPLY_PATTERN)].map(([, position, word]) => ({
+      position: position ? parseInt(position) : null,
+      action: CONFIRM_WORDS.includes(word) ? 'confirm' : 'complete'
+    }));
+  }
+
+  /**
+   * Tarefas em aberto do funcionário na mensagem mais recente
+   */
+  async findOpenTasks(userId, phone, now = new Date()) {
+    const tasks = await prisma.cleaningTask.findMany({
+      where: {
+        status: { in: OPEN_STATUSES },
+        property: { userId },
+        date: {
+          gte: new Date(now.getTime() - 36 * HOUR),
+          lte: new Date(now.getTime() + 24 * HOUR)
+        }
+      },
+      include: { property: { select: { id: true, name: true } } },
+      orderBy: [{ date: 'desc' }, { position: 'asc' }]
+    });
+
+    const own = tasks.filter(task => this.normalizePhone(task.employeePhone) === phone);
+    if (own.length === 0) return [];
+
+    const latest = own[0].date.getTime();
+    return own.filter(task => task.date.getTime() === latest);
+  }
+
+  /**
+   * Processa a resposta de um funcionário de limpeza
+   * @returns {Promise<{ updated: Array, reply: string|null }>} reply é a confirmação a enviar de volta
+   */
+  async handleCleanerReply(userId, phone, body, now = new Date()) {
+    const actions = this.parseReply(body);
+    if (actions.length === 0) return { updated: [], reply: null };
+
+    const tasks = await this.findOpenTasks(userId, phone, now);
+    if (tasks.length === 0) return { updated: [], reply: null };
+
+    const updated = [];
+    const lines = [];
+
+    for (const { position, action } of actions) {
+      let targets;
+
+      if (position !== null) {
+        targets = tasks.filter(task => task.position === position);
+
+        if (targets.length === 0) {
+          lines.push(`❓ Limpeza ${position} não encontrada`);
+          continue;
+        }
+      } else if (action === 'confirm' || tasks.length === 1) {
+        targets = tasks;
+      } else {
+        lines.push('Qual limpeza foi concluída? Responda com o número (ex.: 1 feito)');
+        continue;
+      }
+
+      for (const task of targets) {
+        const status = action === 'confirm' ? CONFIRMED : COMPLETED;
+        const result = await this.updateStatus(task, status, { source: 'whatsapp', now });
+
+        if (result) {
+          Object.assign(task, result);
+          updated.push(result);
+          lines.push(status === CONFIRMED
+            ? `✅ Confirmada: ${task.property.name}`
+            : `🧹 Concluída: ${task.property.name}`);
+        }
+      }
+    }
+
+    if (updated.length > 0) {
+      console.log(`🧹 ${updated.length} tarefa(s) de limpeza atualizada(s) por ${phone}`);
+    }
+
+    return { updated, reply: lines.length > 0 ? lines.join('\n') : null };
+  }
+
+  /**
+   * Altera o status de uma tarefa registrando os horários
+   * Respostas do WhatsApp só avançam o status (não desfazem uma conclusão);
+   * a alteração manual (source = manual) aceita qualquer status.
+   * @returns {Promise<Object|null>} Tarefa atualizada ou null se nada mudou
+   */
+  async updateStatus(task, status, { source = 'manual', notes, now = new Date() } = {}) {
+    if (source === 'whatsapp') {
+      const allowed = status === CONFIRMED ? [PENDING, NOTIFIED] : OPEN_STATUSES;
+      if (!allowed.includes(task.status)) return null;
+    }
+
+    const data = { status, statusSource: source };
+
+    if (status === CONFIRMED || status === COMPLETED) {
+      data.confirmedAt = task.confirmedAt || now;
+    }
+
+    if (status === COMPLETED) {
+      data.completedAt = task.completedAt || now;
+    }
+
+    if (notes !== undefined) {
+      data.notes = notes;
+    }
+
+    return prisma.cleaningTask.update({
+      where: { id: task.id },
+      data
+    });
+  }
+
+  /**
+   * Minutos antes do checkout em que a limpeza deve estar confirmada
+   */
+  async getConfirmationMinutes() {
+    const setting = await prisma.setting.findUnique({
+      where: { key: 'cleaning_confirmation_minutes' }
+    });
+
+    const value = parseInt(setting?.value);
+    return value >= 0 ? value : DEFAULTS.CLEANING_CONFIRMATION_MINUTES;
+  }
+
+  /**
+   * Prazo de confirmação da tarefa
+   */
+  getDeadline(task, minutes) {
+    const checkoutAt = getLocalDateTime(
+      task.date,
+      task.checkoutTime || task.property.checkoutTime || DEFAULTS.CHECKOUT_TIME,
+      task.property.timezone
+    );
+
+    const deadline = checkoutAt.getTime() - minutes * MINUTE;
+    const minimum = (task.notifiedAt || task.createdAt).getTime() + minutes * MINUTE;
+
+    return new Date(Math.max(deadline, minimum));
+  }
+
+  /**
+   * Avisa os anfitriões sobre limpezas não confirmadas dentro do prazo
+   * Cada tarefa gera no máximo um aviso (escalatedAt).
+   */
+  async escalateUnconfirmedTasks(now = new Date()) {
+    const minutes = await this.getConfirmationMinutes();
+
+    const tasks = await prisma.cleaningTask.findMany({
+      where: {
+        status: { in: [PENDING, NOTIFIED] },
+        escalatedAt: null,
+        date: {
+          gte: new Date(now.getTime() - 36 * HOUR),
+          lte: new Date(now.getTime() + 24 * HOUR)
+        }
+      },
+      include: {
+        property: {
+          include: { user: { select: { id: true, phone: true, whatsappPhone: true } } }
+        }
+      },
+      orderBy: [{ date: 'asc' }, { position: 'asc' }]
+    });
+
+    const byUser = new Map();
+
+    for (const task of tasks) {
+      const { user } = task.property;
+      if (!user || now < this.getDeadline(task, minutes)) continue;
+
+      if (!byUser.has(user.id)) byUser.set(user.id, { user, tasks: [] });
+      byUser.get(user.id).tasks.push(task);
+    }
+
+    let escalated = 0;
+
+    for (const { user, tasks: userTasks } of byUser.values()) {
+      const recipient = user.phone || user.whatsappPhone;
+
+      if (recipient) {
+        const list = userTasks.map(task =>
+          `• ${task.property.name} às ${task.checkoutTime || task.property.checkoutTime || DEFAULTS.CHECKOUT_TIME} - ${task.employeeName || task.employeePhone}`
+        ).join('\n');
+
+        await notificationService.send({
+          channel: 'whatsapp',
+          recipient,
+          message: `⚠️ Limpeza(s) ainda sem confirmação do funcionário:\n\n${list}\n\nVerifique com a equipe ou atualize o status no painel.`,
+          type: 'cleaning_escalation',
+          propertyId: userTasks[0].propertyId,
+          userId: user.id
+        });
+      } else {
+        console.warn(`⚠️ Usuário ${user.id} sem telefone para aviso de limpeza não confirmada`);
+      }
+
+      await prisma.cleaningTask.updateMany({
+        where: { id: { in: userTasks.map(task => task.id) } },
+        data: { escalatedAt: now }
+      });
+
+      escalated += userTasks.length;
+    }
+
+    if (escalated > 0) {
+      console.log(`⚠️ ${escalated} limpeza(s) sem confirmação escalada(s) para ${byUser.size} anfitrião(ões)`);
+    }
+
+    return { escalated, hosts: byUser.size };
+  }
+
+  /**
+   * Normaliza telefone para somente dígitos com DDI (null se inválido)
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    try {
+      return whatsappService.formatPhoneNumber(String(phone));
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Singleton
+const cleaningService = new CleaningService();
+
+export default cleaningService;
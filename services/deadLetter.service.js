@@ -0,0 +1,153 @@
+/**
+ * Serviço de Dead-Letter (jobs que falharam de vez)
+ *
+ * Quando um job esgota as tentativas (Bull ou fila no PostgreSQL), o payload,
+ * o erro e o histórico de tentativas vão para FailedJob. Pela API o usuário
+ * reenfileira (queueService.retryFailedJob) ou descarta os jobs.
+ */
+
+import prisma from '../lib/prisma.js';
+
+class DeadLetterService {
+  /**
+   * Dono dos dados do job (para listar só os jobs do usuário)
+   * @returns {Promise<number|null>}
+   */
+  async resolveOwner(payload = {}) {
+    if (payload.userId) return payload.userId;
+
+    if (payload.reservationId) {
+      const reservation = await prisma.reservation.findUnique({
+        where: { id: payload.reservationId },
+        select: { userId: true, property: { select: { userId: true } } }
+      });
+      return reservation?.userId ?? reservation?.property?.userId ?? null;
+    }
+
+    if (payload.propertyId) {
+      const property = await prisma.property.findUnique({
+        where: { id: payload.propertyId },
+        select: { userId: true }
+      });
+      return property?.userId ?? null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Registra o job na dead-letter. Nunca lança erro (chamado nos handlers de falha).
+   * @param {Object} entry
+   * @param {string} entry.queue - notification, calendar-sync, cleanup
+   * @param {string} entry.type
+   * @param {Object} entry.payload
+   * @param {string} entry.source - redis, database
+   * @param {string|number} [entry.sourceJobId]
+   * @param {string} entry.errorMessage
+   * @param {number} entry.attempts
+   * @param {Array} [entry.attemptHistory] - [{ attempt, error, at }]
+   * @param {number} [entry.userId]
+   */
+  async record({ queue, type, payload, source, sourceJobId = null, errorMessage, attempts, attemptHistory = [], userId = null }) {
+    try {
+      return await prisma.failedJob.create({
+        data: {
+          queue,
+          type,
+          payload: JSON.stringify(payload || {}),
+          source,
+          sourceJobId: sourceJobId !== null ? String(sourceJobId) : null,
+          errorMessage: errorMessage || 'Erro desconhecido',
+          attempts,
+          attemptHistory: JSON.stringify(attemptHistory),
+          userId: userId ?? await this.resolveOwner(payload || {})
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao registrar job na dead-letter:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Histórico de tentativas a partir dos stacktraces do Bull (um por falha)
+   */
+  historyFromBull(job) {
+    return (job.stacktrace || []).map((stack, index) => ({
+      attempt: index + 1,
+      error: String(stack).split('\n')[0]
+    }));
+  }
+
+  /**
+   * Formata para a API (payload e histórico como objetos)
+   */
+  format(failedJob) {
+    const parse = (value, fallback) => {
+      try {
+        return value ? JSON.parse(value) : fallback;
+      } catch {
+        return fallback;
+      }
+    };
+
+    return {
+      ...failedJob,
+      payload: parse(failedJob.payload, {}),
+      attemptHistory: parse(failedJob.attemptHistory, [])
+    };
+  }
+
+  /**
+   * Reserva o job para reenvio (a condição no status impede reenvio duplicado
+   * em requisições simultâneas)
+   * @returns {Promise<boolean>}
+   */
+  async claimForRetry(id) {
+    const { count } = await prisma.failedJob.updateMany({
+      where: { id, status: 'failed' },
+      data: { status: 'retried', retriedAt: new Date() }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Devolve o job para a dead-letter quando o reenfileiramento falha
+   */
+  async releaseRetry(id) {
+    await prisma.failedJob.update({
+      where: { id },
+      data: { status: 'failed', retriedAt: null }
+    });
+  }
+
+  async markRetried(id, retryJobId) {
+    return prisma.failedJob.update({
+      where: { id },
+      data: { retryJobId: retryJobId ? String(retryJobId) : null }
+    });
+  }
+
+  /**
+   * Descarta jobs ainda não tratados
+   * @returns {Promise<number>}
+   */
+  async discard(where) {
+    const { count } = await prisma.failedJob.updateMany({
+      where: { ...where, status: 'failed' },
+      data: { status: 'discarded', discardedAt: new Date() }
+    });
+
+    return count;
+  }
+
+  async countPending() {
+    return prisma.failedJob.count({ where: { status: 'failed' } });
+  }
+}
+
+// Singleton
+const deadLetterService = new DeadLetterService();
+
+export default deadLetterService;
@@ -1,32 +1,122 @@
+import crypto from 'crypto';
 import ical from 'node-ical';
 import dayjs from 'dayjs';
 import prisma from '../lib/prisma.js';
+import { DEFAULTS } from '../utils/constants.js';
+import webhookService from './webhook.service.js';
+import inboxService from './inbox.service.js';
+
+// Colunas antigas da propriedade que viram calendários em property_calendars
+const LEGACY_CALENDAR_FIELDS = [
+  { field: 'icalAirbnb', platform: 'airbnb' },
+  { field: 'icalBooking', platform: 'booking' },
+  { field: 'icalOther', platform: 'other' }
+];
 
 class ICalService {
   constructor() {
     this.syncInterval = 30; // minutos
+    this.fetchTimeout = 30000; // 30 segundos
   }
 
   /**
-   * Busca eventos de um calendário iCal
+   * Busca um feed iCal com requisição condicional
+   * Envia If-None-Match/If-Modified-Since a partir do cache salvo e compara
+   * o hash do corpo para evitar reprocessar feeds que não mudaram.
    * @param {string} url - URL do iCal
-   * @returns {Promise<Array>} Lista de eventos
+   * @param {Object} [cache] - Estado salvo do feed ({ etag, lastModified, contentHash })
+   * @returns {Promise<Object>} { status, events, etag, lastModified, contentHash }
+   *   status: 'not_modified' (304), 'unchanged' (mesmo hash) ou 'updated'
    */
-  async fetchEvents(url) {
-    if (!url) return [];
+  async fetchFeed(url, cache = {}) {
+    const headers = {
+      'User-Agent': 'Mevo-Calendar/1.0',
+      'Accept': 'text/calendar, */*'
+    };
 
-    try {
-      const events = await ical.async.fromURL(url);
-      return Object.values(events).filter(event => event.type === 'VEVENT');
-    } catch (error) {
-      console.error(`Erro ao buscar iCal: ${url}`, error);
-      return [];
+    if (cache.etag) {
+      headers['If-None-Match'] = cache.etag;
+    }
+    if (cache.lastModified) {
+      headers['If-Modified-Since'] = cache.lastModified;
+    }
+
+    const response = await fetch(url.replace(/^webcal:/i, 'https:'), {
+      headers,
+      signal: AbortSignal.timeout(this.fetchTimeout)
+    });
+
+    const etag = response.headers.get('etag') || cache.etag || null;
+    const lastModified = response.headers.get('last-modified') || cache.lastModified || null;
+
+    if (response.status === 304) {
+      return { status: 'not_modified', events: [], etag, lastModified, contentHash: cache.contentHash || null };
+    }
+
+    if (!response.ok) {
+      throw new Error(`Falha ao buscar iCal: HTTP ${response.status}`);
+    }
+
+    const raw = await response.text();
+    const contentHash = crypto.createHash('sha256').update(raw).digest('hex');
+
+    if (cache.contentHash && cache.contentHash === contentHash) {
+      return { status: 'unchanged', events: [], etag, lastModified, contentHash };
+    }
+
+    const parsed = ical.sync.parseICS(raw);
+    const events = Object.values(parsed).filter(event => event.type === 'VEVENT');
+
+    return { status: 'updated', events, etag, lastModified, contentHash };
+  }
+
+  /**
+   * Garante que as colunas antigas (icalAirbnb/icalBooking/icalOther) tenham
+   * uma linha em property_calendars, para que o cache do feed seja persistido.
+   * Remove espelhos cuja URL não corresponde mais à coluna.
+   * @returns {Promise<Array>} Calendários atualizados da propriedade
+   */
+  async ensureLegacyCalendars(property) {
+    const calendars = property.calendars || await prisma.propertyCalendar.findMany({
+      where: { propertyId: property.id }
+    });
+
+    let changed = false;
+
+    for (const { field, platform } of LEGACY_CALENDAR_FIELDS) {
+      const url = property[field];
+
+      const stale = calendars.filter(c => c.legacySource === field && c.url !== url);
+      if (stale.length > 0) {
+        await prisma.propertyCalendar.deleteMany({
+          where: { id: { in: stale.map(c => c.id) } }
+        });
+        changed = true;
+      }
+
+      if (url && !calendars.some(c => c.url === url)) {
+        await prisma.propertyCalendar.create({
+          data: {
+            propertyId: property.id,
+            platform,
+            url,
+            legacySource: field
+          }
+        });
+        changed = true;
+      }
     }
+
+    if (!changed) return calendars;
+
+    return prisma.propertyCalendar.findMany({
+      where: { propertyId: property.id }
+    });
   }
 
   /**
    * Extrai informações de um evento iCal
-   * Airbnb e Booking têm formatos diferentes
+   * Airbnb, Booking e VRBO têm formatos diferentes; feeds 'other' usam o SUMMARY como nome
    */
   parseEvent(event, source) {
     const uid = event.uid || `${source}-${Date.now()}`;
@@ -72,14 +162,34 @@ class ICalService {
       if (confMatch) {
         confirmationCode = confMatch[1];
       }
+    } else {
+      // VRBO: "Reserved - Nome do Hóspede"; sites de reserva direta variam
+      const match = summary.match(/^(?:Reserved|Reservado|Booked)\s*-\s*(.+)$/i);
+      if (match) {
+        guestName = match[1].trim();
+      } else if (summary && !/^(reserved|reservado|booked)$/i.test(summary.trim())) {
+        guestName = summary.trim();
+      }
+
+      const phoneMatch = description.match(/(?:Phone|Telefone):\s*(\+?[\d\s-]+)/i);
+      if (phoneMatch) {
+        guestPhone = phoneMatch[1].replace(/\s/g, '');
+      }
     }
 
+    // Airbnb e Booking só exportam o nome em reservas reais; nos demais
+    // feeds um "Reserved" sem nome também é uma reserva
+    const requiresGuestName = source === 'airbnb' || source === 'booking';
+
     // Detecta se é bloqueio (não é reserva real)
     const isBlocked =
       summary.toLowerCase().includes('blocked') ||
       summary.toLowerCase().includes('not available') ||
       summary.toLowerCase().includes('unavailable') ||
-      guestName === 'Hóspede';
+      (requiresGuestName && guestName === 'Hóspede');
+
+    // Reserva cancelada explicitamente no feed (STATUS:CANCELLED)
+    const isCancelled = String(event.status || '').toUpperCase() === 'CANCELLED';
 
     return {
       uid,
@@ -93,13 +203,50 @@ class ICalService {
       summary,
       description,
       isBlocked,
+      isCancelled,
       raw: event
     };
   }
 
+  /**
+   * Monta a lista de feeds iCal de uma propriedade
+   * Combina os calendários cadastrados (property_calendars) com as colunas
+   * legadas icalAirbnb/icalBooking/icalOther, sem repetir URLs
+   */
+  getPropertyFeeds(property) {
+    const feeds = [];
+    const seenUrls = new Set();
+
+    for (const calendar of property.calendars || []) {
+      if (seenUrls.has(calendar.url)) continue;
+
+      // Calendários desativados também bloqueiam a coluna antiga com a mesma URL
+      seenUrls.add(calendar.url);
+      if (!calendar.isEnabled) continue;
+
+      feeds.push({
+        calendar,
+        url: calendar.url,
+        source: calendar.platform,
+        label: calendar.label
+      });
+    }
+
+    for (const { field, platform } of LEGACY_CALENDAR_FIELDS) {
+      const url = property[field];
+      if (!url || seenUrls.has(url)) continue;
+
+      seenUrls.add(url);
+      feeds.push({ calendar: null, url, source: platform, label: null });
+    }
+
+    return feeds;
+  }
+
   /**
    * Sincroniza calendário de uma propriedade
    * Cria/atualiza reservas no banco
+   * @param {Object} property - Propriedade (com `calendars` incluídos, se houver)
    */
   async syncProperty(property) {
     const results = {
@@ -108,25 +255,57 @@ class ICalService {
       created: 0,
       updated: 0,
       skipped: 0,
+      notModified: 0,
+      cancelled: 0,
+      conflicts: 0,
       errors: []
     };
 
-    const sources = [
-      { url: property.icalAirbnb, source: 'airbnb' },
-      { url: property.icalBooking, source: 'booking' }
-    ];
-
-    for (const { url, source } of sources) {
-      if (!url) continue;
+    const calendars = await this.ensureLegacyCalendars(property);
+    const feeds = this.getPropertyFeeds({ ...property, calendars });
 
+    for (const { calendar, url, source, label } of feeds) {
       try {
-        console.log(`📅 Sincronizando ${source} para ${property.name}...`);
-        const events = await this.fetchEvents(url);
+        console.log(`📅 Sincronizando ${label || source} para ${property.name}...`);
+        const feed = await this.fetchFeed(url, calendar || {});
 
-        for (const event of events) {
+        // 304 ou corpo idêntico: nada mudou desde a última sincronização
+        if (feed.status !== 'updated') {
+          results.notModified++;
+          results.cancelled += await this.reconcileMissingReservations(property, calendar, source, null, feeds);
+          await this.saveFeedState(calendar, feed);
+          continue;
+        }
+
+        const seenUids = new Set();
+        const createdBefore = results.created;
+
+        for (const event of feed.events) {
           try {
             const parsed = this.parseEvent(event, source);
 
+            // Cancelamento explícito: encerra a reserva importada, se existir
+            if (parsed.isCancelled) {
+              const cancelled = await prisma.reservation.findFirst({
+                where: {
+                  propertyId: property.id,
+                  externalId: parsed.uid,
+                  source,
+                  status: { in: ['pending', 'confirmed'] }
+                }
+              });
+
+              if (cancelled) {
+                await this.cancelImportedReservation(cancelled, property, 'Cancelada na plataforma de origem');
+                results.cancelled++;
+              } else {
+                results.skipped++;
+              }
+              continue;
+            }
+
+            seenUids.add(parsed.uid);
+
             // Pula bloqueios
             if (parsed.isBlocked) {
               results.skipped++;
@@ -145,58 +324,76 @@ class ICalService {
               continue;
             }
 
-            // Verifica se evento já foi processado
-            const existingEvent = await prisma.processedEvent.findUnique({
-              where: { eventUid: parsed.uid }
+            // Atualiza reserva existente se as datas mudaram
+            const reservation = await prisma.reservation.findFirst({
+              where: {
+                propertyId: property.id,
+                externalId: parsed.uid,
+                source
+              }
             });
 
-            if (existingEvent) {
-              // Atualiza reserva existente se dados mudaram
-              const reservation = await prisma.reservation.findFirst({
-                where: { externalId: parsed.uid }
-              });
+            if (reservation) {
+              // Datas gravadas à meia-noite UTC: compara o dia em UTC, não no fuso do servidor
+              const datesChanged =
+                reservation.checkinDate.toISOString().slice(0, 10) !== parsed.checkIn ||
+                reservation.checkoutDate.toISOString().slice(0, 10) !== parsed.checkOut;
 
-              if (reservation) {
-                const needsUpdate =
-                  reservation.checkIn.toISOString().split('T')[0] !== parsed.checkIn ||
-                  reservation.checkOut.toISOString().split('T')[0] !== parsed.checkOut;
-
-                if (needsUpdate) {
-                  await prisma.reservation.update({
-                    where: { id: reservation.id },
-                    data: {
-                      checkIn: new Date(parsed.checkIn),
-                      checkOut: new Date(parsed.checkOut)
-                    }
-                  });
-                  results.updated++;
-                } else {
-                  results.skipped++;
-                }
+              const data = {};
+
+              if (datesChanged) {
+                data.checkinDate = new Date(parsed.checkIn);
+                data.checkoutDate = new Date(parsed.checkOut);
+              }
+
+              // Vincula reservas antigas ao calendário e zera a contagem de ausências
+              if (calendar && reservation.calendarId !== calendar.id) {
+                data.calendarId = calendar.id;
+              }
+              if (reservation.missingSyncCount > 0) {
+                data.missingSyncCount = 0;
+              }
+
+              if (Object.keys(data).length > 0) {
+                await prisma.reservation.update({
+                  where: { id: reservation.id },
+                  data
+                });
+              }
+
+              if (datesChanged) {
+                results.updated++;
+              } else {
+                results.skipped++;
               }
               continue;
             }
 
-            // Busca ou cria hóspede
-            let guest = await prisma.guest.findFirst({
-              where: {
-                userId: property.userId,
-                OR: [
-                  { name: parsed.guestName },
-                  ...(parsed.guestPhone ? [{ phone: parsed.guestPhone }] : [])
-                ]
-              }
-            });
+            // Busca ou cria hóspede (apenas quando o feed informa um nome)
+            let guest = null;
 
-            if (!guest) {
-              guest = await prisma.guest.create({
-                data: {
+            if (parsed.guestName !== 'Hóspede') {
+              guest = await prisma.guest.findFirst({
+                where: {
                   userId: property.userId,
-                  name: parsed.guestName,
-                  phone: parsed.guestPhone,
-                  source: parsed.platform
+                  OR: [
+                    { name: parsed.guestName },
+                    ...(parsed.guestPhone ? [{ phone: parsed.guestPhone }] : [])
+                  ]
                 }
               });
+
+              if (!guest) {
+                guest = await prisma.guest.create({
+                  data: {
+                    userId: property.userId,
+                    name: parsed.guestName,
+                    phone: parsed.guestPhone,
+                    whatsapp: parsed.guestPhone,
+                    ...inboxService.guestPhoneColumns({ phone: parsed.guestPhone, whatsapp: parsed.guestPhone })
+                  }
+                });
+              }
             }
 
             // Cria reserva
@@ -204,29 +401,24 @@ class ICalService {
               data: {
                 userId: property.userId,
                 propertyId: property.id,
-                guestId: guest.id,
+                guestId: guest?.id ?? null,
+                calendarId: calendar?.id ?? null,
                 externalId: parsed.uid,
-                platform: parsed.platform,
-                confirmationCode: parsed.confirmationCode,
-                checkIn: new Date(parsed.checkIn),
-                checkOut: new Date(parsed.checkOut),
-                status: 'CONFIRMED',
-                notes: parsed.description
-              }
-            });
-
-            // Marca evento como processado
-            await prisma.processedEvent.create({
-              data: {
-                eventUid: parsed.uid,
-                propertyId: property.id,
-                source: parsed.source,
-                processedAt: new Date()
+                source,
+                checkinDate: new Date(parsed.checkIn),
+                checkoutDate: new Date(parsed.checkOut),
+                checkinTime: property.checkinTime,
+                checkoutTime: property.checkoutTime,
+                status: 'confirmed',
+                guestNotes: parsed.summary || 'Reserva importada',
+                internalNotes: parsed.confirmationCode
+                  ? `Código de confirmação: ${parsed.confirmationCode}`
+                  : null
               }
             });
 
             results.created++;
-            console.log(`  ✅ Nova reserva: ${parsed.guestName} (${parsed.checkIn} - ${parsed.checkOut})`);
+            console.log(`  ✅ Nova reserva (${source}): ${parsed.guestName} (${parsed.checkIn} - ${parsed.checkOut})`);
 
           } catch (eventError) {
             results.errors.push({
@@ -235,23 +427,299 @@ class ICalService {
             });
           }
         }
+
+        results.cancelled += await this.reconcileMissingReservations(property, calendar, source, seenUids, feeds);
+
+        const imported = results.created - createdBefore;
+        if (imported > 0) {
+          // Webhook gravado no outbox na mesma transação do estado do feed
+          await prisma.$transaction(async (tx) => {
+            await this.saveFeedState(calendar, feed, tx);
+            await webhookService.trigger('calendar.synced', {
+              propertyId: property.id,
+              propertyName: property.name,
+              calendarId: calendar?.id ?? null,
+              source,
+              imported
+            }, property.userId, tx);
+          });
+        } else {
+          await this.saveFeedState(calendar, feed);
+        }
       } catch (sourceError) {
         results.errors.push({
           source,
+          url,
           error: sourceError.message
         });
+
+        await this.saveFeedState(calendar, { status: 'error', error: sourceError.message });
       }
     }
 
-    // Atualiza última sincronização
-    await prisma.property.update({
-      where: { id: property.id },
-      data: { lastSync: new Date() }
-    });
+    try {
+      results.conflicts = await this.detectConflicts(property);
+    } catch (conflictError) {
+      results.errors.push({
+        source: 'conflicts',
+        error: conflictError.message
+      });
+    }
 
     return results;
   }
 
+  /**
+   * Detecta reservas sobrepostas no mesmo imóvel (overbooking entre canais)
+   * Registra um conflito por par de reservas, dispara `reservation.conflict` para
+   * conflitos novos e resolve automaticamente os que deixaram de existir.
+   * @returns {Promise<number>} Quantidade de conflitos novos
+   */
+  async detectConflicts(property) {
+    const reservations = await prisma.reservation.findMany({
+      where: {
+        propertyId: property.id,
+        status: { in: ['pending', 'confirmed'] },
+        checkoutDate: { gte: dayjs().startOf('day').toDate() }
+      },
+      include: { guest: { select: { name: true } } },
+      orderBy: { checkinDate: 'asc' }
+    });
+
+    // Pares sobrepostos (checkout no mesmo dia do check-in seguinte não conflita)
+    const overlaps = [];
+    for (let i = 0; i < reservations.length; i++) {
+      for (let j = i + 1; j < reservations.length; j++) {
+        const a = reservations[i];
+        const b = reservations[j];
+        if (b.checkinDate >= a.checkoutDate) break;
+
+        const [first, second] = a.id < b.id ? [a, b] : [b, a];
+        overlaps.push({
+          first,
+          second,
+          overlapStart: b.checkinDate,
+          overlapEnd: a.checkoutDate < b.checkoutDate ? a.checkoutDate : b.checkoutDate
+        });
+      }
+    }
+
+    const openConflicts = await prisma.reservationConflict.findMany({
+      where: { propertyId: property.id, status: 'open' }
+    });
+
+    const pairKey = (firstId, secondId) => `${firstId}:${secondId}`;
+    const currentKeys = new Set(overlaps.map(o => pairKey(o.first.id, o.second.id)));
+    let created = 0;
+
+    for (const { first, second, overlapStart, overlapEnd } of overlaps) {
+      const existing = await prisma.reservationConflict.findUnique({
+        where: {
+          reservationId_conflictingReservationId: {
+            reservationId: first.id,
+            conflictingReservationId: second.id
+          }
+        }
+      });
+
+      // Conflitos ignorados manualmente não são reabertos
+      if (existing && (existing.status === 'open' || existing.resolution !== 'auto')) {
+        if (existing.status === 'open') {
+          await prisma.reservationConflict.update({
+            where: { id: existing.id },
+            data: { overlapStart, overlapEnd }
+          });
+        }
+        continue;
+      }
+
+      // Webhook gravado no outbox na mesma transação do conflito
+      await prisma.$transaction(async (tx) => {
+        const conflict = existing
+          ? await tx.reservationConflict.update({
+            where: { id: existing.id },
+            data: { status: 'open', resolution: null, resolutionNotes: null, resolvedAt: null, overlapStart, overlapEnd }
+          })
+          : await tx.reservationConflict.create({
+            data: {
+              propertyId: property.id,
+              reservationId: first.id,
+              conflictingReservationId: second.id,
+              overlapStart,
+              overlapEnd
+            }
+          });
+
+        await webhookService.trigger('reservation.conflict', {
+          conflictId: conflict.id,
+          propertyId: property.id,
+          propertyName: property.name,
+          overlapStart,
+          overlapEnd,
+          reservations: [first, second].map(r => ({
+            id: r.id,
+            source: r.source,
+            externalId: r.externalId,
+            guestName: r.guest?.name || null,
+            checkinDate: r.checkinDate,
+            checkoutDate: r.checkoutDate
+          }))
+        }, property.userId, tx);
+      });
+
+      created++;
+      console.log(`  ⚠️ Conflito de reservas em ${property.name}: #${first.id} x #${second.id}`);
+    }
+
+    // Sobreposições que sumiram (reserva cancelada ou datas alteradas)
+    const staleIds = openConflicts
+      .filter(c => !currentKeys.has(pairKey(c.reservationId, c.conflictingReservationId)))
+      .map(c => c.id);
+
+    if (staleIds.length > 0) {
+      await prisma.reservationConflict.updateMany({
+        where: { id: { in: staleIds } },
+        data: { status: 'resolved', resolution: 'auto', resolvedAt: new Date() }
+      });
+    }
+
+    return created;
+  }
+
+  /**
+   * Reconcilia reservas importadas de um feed com os UIDs presentes nele
+   * Reservas futuras cujo UID sumiu do feed por N sincronizações seguidas
+   * (setting `ical_missing_syncs_to_cancel`) são canceladas.
+   * Feed sem mudanças (304 ou mesmo hash) conta como mais uma ausência para as
+   * reservas que já estavam ausentes: sem isso, feeds com ETag nunca cancelariam.
+   * @param {Set<string>|null} seenUids - UIDs do feed; null quando o feed não mudou
+   * @returns {Promise<number>} Quantidade de reservas canceladas
+   */
+  async reconcileMissingReservations(property, calendar, source, seenUids, feeds) {
+    if (!calendar) return 0;
+
+    // Reservas importadas antes do vínculo com o calendário só são atribuídas
+    // a este feed quando ele é o único da plataforma na propriedade
+    const isOnlyFeedOfSource = feeds.filter(f => f.source === source).length === 1;
+
+    const missing = await prisma.reservation.findMany({
+      where: {
+        propertyId: property.id,
+        status: { in: ['pending', 'confirmed'] },
+        ...(seenUids
+          ? { externalId: { not: null, notIn: [...seenUids] } }
+          : { externalId: { not: null }, missingSyncCount: { gt: 0 } }),
+        checkoutDate: { gte: dayjs().startOf('day').toDate() },
+        OR: [
+          { calendarId: calendar.id },
+          ...(isOnlyFeedOfSource ? [{ calendarId: null, source }] : [])
+        ]
+      }
+    });
+
+    if (missing.length === 0) return 0;
+
+    const threshold = await this.getMissingSyncThreshold();
+    let cancelled = 0;
+
+    for (const reservation of missing) {
+      const missingSyncCount = reservation.missingSyncCount + 1;
+
+      if (missingSyncCount >= threshold) {
+        await this.cancelImportedReservation(
+          { ...reservation, missingSyncCount },
+          property,
+          `Reserva removida do calendário ${source} (ausente em ${missingSyncCount} sincronizações)`
+        );
+        cancelled++;
+      } else {
+        await prisma.reservation.update({
+          where: { id: reservation.id },
+          data: { missingSyncCount }
+        });
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Número de sincronizações sem o UID antes de cancelar a reserva
+   */
+  async getMissingSyncThreshold() {
+    const setting = await prisma.setting.findUnique({
+      where: { key: 'ical_missing_syncs_to_cancel' }
+    });
+
+    const value = parseInt(setting?.value);
+    return value > 0 ? value : DEFAULTS.ICAL_MISSING_SYNCS_TO_CANCEL;
+  }
+
+  /**
+   * Cancela uma reserva importada que saiu do feed
+   * Dispara o webhook reservation.cancelled e interrompe lembretes pendentes
+   */
+  async cancelImportedReservation(reservation, property, reason) {
+    // Webhook gravado no outbox na mesma transação do cancelamento
+    await prisma.$transaction(async (tx) => {
+      await tx.reservation.update({
+        where: { id: reservation.id },
+        data: {
+          status: 'cancelled',
+          missingSyncCount: reservation.missingSyncCount,
+          internalNotes: reservation.internalNotes
+            ? `${reservation.internalNotes}\n\nCancelamento automático: ${reason}`
+            : `Cancelamento automático: ${reason}`
+        }
+      });
+
+      await webhookService.trigger('reservation.cancelled', {
+        id: reservation.id,
+        propertyId: property.id,
+        propertyName: property.name,
+        source: reservation.source,
+        externalId: reservation.externalId,
+        reason
+      }, property.userId, tx);
+    });
+
+    // Remove os jobs no Redis e na fila do PostgreSQL (import dinâmico: queue.service importa este serviço)
+    const queueService = (await import('./queue.service.js')).default;
+    await queueService.cancelReservationJobs(reservation.id);
+
+    console.log(`  🚫 Reserva ${reservation.id} cancelada (${reason})`);
+  }
+
+  /**
+   * Persiste o cache e o status da última busca de um feed
+   */
+  async saveFeedState(calendar, feed, client = prisma) {
+    if (!calendar) return;
+
+    const data = {
+      lastSyncedAt: new Date(),
+      lastStatus: feed.status,
+      lastError: feed.error || null
+    };
+
+    if (feed.status !== 'error') {
+      data.etag = feed.etag;
+      data.lastModified = feed.lastModified;
+      data.contentHash = feed.contentHash;
+    }
+
+    try {
+      await client.propertyCalendar.update({
+        where: { id: calendar.id },
+        data
+      });
+    } catch (error) {
+      // Dentro de uma transação o erro precisa desfazer o restante
+      if (client !== prisma) throw error;
+      console.error(`Erro ao salvar estado do calendário ${calendar.id}:`, error.message);
+    }
+  }
+
   /**
    * Sincroniza todas as propriedades de um usuário
    */
@@ -261,12 +729,15 @@ class ICalService {
     const properties = await prisma.property.findMany({
       where: {
         ...where,
-        active: true,
+        isActive: true,
         OR: [
           { icalAirbnb: { not: null } },
-          { icalBooking: { not: null } }
+          { icalBooking: { not: null } },
+          { icalOther: { not: null } },
+          { calendars: { some: { isEnabled: true } } }
         ]
-      }
+      },
+      include: { calendars: true }
     });
 
     console.log(`📅 Sincronizando ${properties.length} propriedades...`);
@@ -282,6 +753,9 @@ class ICalService {
       created: results.reduce((sum, r) => sum + r.created, 0),
       updated: results.reduce((sum, r) => sum + r.updated, 0),
       skipped: results.reduce((sum, r) => sum + r.skipped, 0),
+      notModified: results.reduce((sum, r) => sum + r.notModified, 0),
+      cancelled: results.reduce((sum, r) => sum + r.cancelled, 0),
+      conflicts: results.reduce((sum, r) => sum + r.conflicts, 0),
       errors: results.flatMap(r => r.errors)
     };
 
@@ -394,6 +868,184 @@ class ICalService {
       orderBy: { checkIn: 'asc' }
     });
   }
+
+  // ============================================
+  // EXPORTAÇÃO (feed iCal publicado pelo Mevo)
+  // ============================================
+
+  /**
+   * Gera um token aleatório para a URL pública do feed
+   */
+  generateExportToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Resolve o token de exportação e monta o calendário correspondente
+   * Tokens de propriedade exportam um imóvel; tokens de usuário exportam todos os imóveis ativos
+   * @returns {Promise<string|null>} Conteúdo .ics ou null se o token não existir
+   */
+  async renderExportFeed(token) {
+    const property = await prisma.property.findUnique({
+      where: { icalExportToken: token },
+      include: { user: { select: { isActive: true } } }
+    });
+
+    if (property) {
+      // Imóvel ou conta desativados deixam de publicar o calendário (como no feed do usuário)
+      if (!property.isActive || !property.user?.isActive) return null;
+
+      const entries = await this.getExportEntries([property]);
+      return this.buildCalendar(property.name, entries);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { icalExportToken: token },
+      include: { properties: { where: { isActive: true } } }
+    });
+
+    if (!user || !user.isActive) return null;
+
+    const entries = await this.getExportEntries(user.properties, { prefixPropertyName: true });
+    return this.buildCalendar(user.name ? `Mevo - ${user.name}` : 'Mevo', entries);
+  }
+
+  /**
+   * Lista os períodos ocupados das propriedades
+   * Inclui reservas ativas e, quando habilitado no imóvel, tarefas de manutenção como bloqueio
+   */
+  async getExportEntries(properties, { prefixPropertyName = false } = {}) {
+    if (properties.length === 0) return [];
+
+    const propertiesById = new Map(properties.map(p => [p.id, p]));
+    const since = dayjs().subtract(30, 'day').startOf('day').toDate();
+    const label = (property, text) => (prefixPropertyName ? `${property.name} - ${text}` : text);
+
+    const reservations = await prisma.reservation.findMany({
+      where: {
+        propertyId: { in: [...propertiesById.keys()] },
+        status: { in: ['pending', 'confirmed'] },
+        checkoutDate: { gte: since }
+      },
+      orderBy: { checkinDate: 'asc' }
+    });
+
+    const entries = reservations.map(reservation => ({
+      uid: `reservation-${reservation.id}@mevo`,
+      start: reservation.checkinDate,
+      end: reservation.checkoutDate,
+      summary: label(propertiesById.get(reservation.propertyId), 'Reservado'),
+      updatedAt: reservation.updatedAt
+    }));
+
+    const maintenanceIds = properties.filter(p => p.icalExportMaintenance).map(p => p.id);
+
+    if (maintenanceIds.length > 0) {
+      const tasks = await prisma.maintenanceTask.findMany({
+        where: {
+          propertyId: { in: maintenanceIds },
+          status: { in: ['pending', 'in_progress'] },
+          dueDate: { gte: since }
+        }
+      });
+
+      for (const task of tasks) {
+        entries.push({
+          uid: `maintenance-${task.id}@mevo`,
+          start: task.dueDate,
+          end: dayjs(task.dueDate).add(1, 'day').toDate(),
+          summary: label(propertiesById.get(task.propertyId), 'Bloqueado - Manutenção'),
+          updatedAt: task.updatedAt
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Monta um VCALENDAR (RFC 5545) com eventos de dia inteiro
+   * @param {string} name - Nome exibido do calendário
+   * @param {Array<{uid, start, end, summary, updatedAt}>} entries
+   */
+  buildCalendar(name, entries) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Mevo//Mevo Calendar Export//PT',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`
+    ];
+
+    const now = this.formatDateTime(new Date());
+
+    for (const entry of entries) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${entry.uid}`,
+        `DTSTAMP:${now}`,
+        `DTSTART;VALUE=DATE:${this.formatDate(entry.start)}`,
+        `DTEND;VALUE=DATE:${this.formatDate(entry.end)}`,
+        `SUMMARY:${this.escapeText(entry.summary)}`,
+        ...(entry.updatedAt ? [`LAST-MODIFIED:${this.formatDateTime(entry.updatedAt)}`] : []),
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+      );
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Data (dia inteiro) no formato YYYYMMDD
+   * Datas de reserva são gravadas à meia-noite UTC, então usa a data UTC
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  /**
+   * Data/hora UTC no formato YYYYMMDDTHHmmssZ
+   */
+  formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escapa caracteres especiais de campos TEXT
+   */
+  escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Quebra linhas com mais de 75 octetos (continuação inicia com espaço)
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
 }
 
 const icalService = new ICalService();
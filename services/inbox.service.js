@@ -0,0 +1,348 @@
+/**
+ * Serviço de Inbox (conversas do WhatsApp)
+ *
+ * - Persiste mensagens recebidas (MESSAGES_UPSERT da Evolution)
+ * - Agrupa mensagens em uma conversa por contato (telefone) de cada usuário
+ * - Identifica o contato como hóspede (Guest) ou funcionário de limpeza (Property.employeePhone)
+ * - Vincula as mensagens enviadas (NotificationLog) à conversa
+ * - Repassa as respostas dos funcionários de limpeza para as tarefas do dia
+ */
+
+import prisma from '../lib/prisma.js';
+import whatsappService from './whatsapp.service.js';
+import cleaningService from './cleaning.service.js';
+
+const PREVIEW_LENGTH = 120;
+
+// Tipos de mensagem da Evolution/Baileys => [messageType, extrator do texto]
+const MESSAGE_CONTENT_TYPES = [
+  ['conversation', 'text', m => m.conversation],
+  ['extendedTextMessage', 'text', m => m.extendedTextMessage.text],
+  ['imageMessage', 'image', m => m.imageMessage.caption],
+  ['videoMessage', 'video', m => m.videoMessage.caption],
+  ['audioMessage', 'audio', () => null],
+  ['documentMessage', 'document', m => m.documentMessage.fileName || m.documentMessage.caption],
+  ['stickerMessage', 'sticker', () => null],
+  ['locationMessage', 'location', m => m.locationMessage.name || `${m.locationMessage.degreesLatitude},${m.locationMessage.degreesLongitude}`]
+];
+
+class InboxService {
+  /**
+   * Normaliza telefone para somente dígitos com DDI
+   * Retorna null se o número for inválido
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    try {
+      return whatsappService.formatPhoneNumber(String(phone).split('@')[0]);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Extrai tipo e texto de uma mensagem do WhatsApp
+   */
+  extractContent(message = {}) {
+    for (const [key, messageType, getBody] of MESSAGE_CONTENT_TYPES) {
+      if (message[key]) {
+        return { messageType, body: getBody(message) || null };
+      }
+    }
+
+    return { messageType: 'other', body: null };
+  }
+
+  /**
+   * Texto curto exibido na lista de conversas
+   */
+  buildPreview(body, messageType = 'text') {
+    const text = body || `[${messageType}]`;
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+  }
+
+  /**
+   * Colunas normalizadas do hóspede (gravar junto com phone/whatsapp)
+   */
+  guestPhoneColumns({ phone, whatsapp }) {
+    return {
+      phoneNormalized: this.normalizePhone(phone),
+      whatsappNormalized: this.normalizePhone(whatsapp)
+    };
+  }
+
+  /**
+   * Identifica o contato pelo telefone: hóspede, funcionário de limpeza ou desconhecido
+   * Busca pelas colunas normalizadas (indexadas), sem carregar os cadastros do usuário
+   */
+  async matchContact(userId, phone) {
+    const guest = await prisma.guest.findFirst({
+      where: {
+        userId,
+        OR: [{ whatsappNormalized: phone }, { phoneNormalized: phone }]
+      },
+      select: { id: true },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    if (guest) {
+      return { contactType: 'guest', guestId: guest.id, propertyId: null };
+    }
+
+    const property = await prisma.property.findFirst({
+      where: { userId, employeePhoneNormalized: phone },
+      select: { id: true },
+      orderBy: { id: 'asc' }
+    });
+
+    if (property) {
+      return { contactType: 'cleaner', guestId: null, propertyId: property.id };
+    }
+
+    return { contactType: 'unknown', guestId: null, propertyId: null };
+  }
+
+  /**
+   * Preenche as colunas normalizadas de cadastros anteriores a elas
+   * Idempotente: só processa registros com telefone e sem a coluna preenchida.
+   * @returns {Promise<{guests: number, properties: number}>}
+   */
+  async backfillNormalizedPhones() {
+    const guests = await prisma.guest.findMany({
+      where: {
+        OR: [
+          { phone: { not: null }, phoneNormalized: null },
+          { whatsapp: { not: null }, whatsappNormalized: null }
+        ]
+      },
+      select: { id: true, phone: true, whatsapp: true }
+    });
+
+    let updatedGuests = 0;
+    for (const guest of guests) {
+      const columns = this.guestPhoneColumns(guest);
+      if (!columns.phoneNormalized && !columns.whatsappNormalized) continue;
+
+      await prisma.guest.update({ where: { id: guest.id }, data: columns });
+      updatedGuests++;
+    }
+
+    const properties = await prisma.property.findMany({
+      where: { employeePhoneNormalized: null },
+      select: { id: true, employeePhone: true }
+    });
+
+    let updatedProperties = 0;
+    for (const property of properties) {
+      const employeePhoneNormalized = this.normalizePhone(property.employeePhone);
+      if (!employeePhoneNormalized) continue;
+
+      await prisma.property.update({ where: { id: property.id }, data: { employeePhoneNormalized } });
+      updatedProperties++;
+    }
+
+    if (updatedGuests + updatedProperties > 0) {
+      console.log(`📇 Telefones normalizados: ${updatedGuests} hóspede(s), ${updatedProperties} imóvel(is)`);
+    }
+
+    return { guests: updatedGuests, properties: updatedProperties };
+  }
+
+  /**
+   * Busca a conversa do contato ou cria uma nova
+   * Contatos ainda não identificados são conferidos de novo a cada chamada
+   */
+  async getOrCreateConversation(userId, phone, { contactName } = {}) {
+    const existing = await prisma.conversation.findUnique({
+      where: { userId_phone: { userId, phone } }
+    });
+
+    if (existing && existing.contactType !== 'unknown') {
+      return existing;
+    }
+
+    const match = await this.matchContact(userId, phone);
+
+    if (existing) {
+      if (match.contactType === 'unknown') return existing;
+
+      return prisma.conversation.update({
+        where: { id: existing.id },
+        data: match
+      });
+    }
+
+    return prisma.conversation.create({
+      data: {
+        userId,
+        phone,
+        contactName: contactName || null,
+        ...match
+      }
+    });
+  }
+
+  /**
+   * Processa evento MESSAGES_UPSERT da Evolution
+   * @returns {Promise<number>} Quantidade de mensagens novas salvas
+   */
+  async handleMessagesUpsert(instanceName, data) {
+    const userId = whatsappService.getUserIdFromInstance(instanceName);
+    if (!userId) return 0;
+
+    const items = Array.isArray(data) ? data : (Array.isArray(data?.messages) ? data.messages : [data]);
+    let stored = 0;
+
+    for (const item of items) {
+      const key = item?.key;
+
+      // Ignora mensagens enviadas pelo próprio usuário, grupos e status
+      if (!key?.id || key.fromMe) continue;
+
+      const jid = key.remoteJid?.endsWith('@lid') ? (key.senderPn || key.remoteJidAlt) : key.remoteJid;
+      if (!jid?.endsWith('@s.whatsapp.net')) continue;
+
+      const phone = this.normalizePhone(jid);
+      if (!phone) continue;
+
+      const conversation = await this.getOrCreateConversation(userId, phone, { contactName: item.pushName });
+      const { messageType, body } = this.extractContent(item.message);
+      const receivedAt = item.messageTimestamp
+        ? new Date(Number(item.messageTimestamp) * 1000)
+        : new Date();
+
+      try {
+        await prisma.inboxMessage.create({
+          data: {
+            conversationId: conversation.id,
+            externalId: key.id,
+            messageType,
+            body,
+            receivedAt
+          }
+        });
+      } catch (error) {
+        // Reentrega da mesma mensagem pela Evolution
+        if (error.code === 'P2002') continue;
+        throw error;
+      }
+
+      await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: {
+          contactName: item.pushName || conversation.contactName,
+          lastMessageAt: receivedAt,
+          lastMessagePreview: this.buildPreview(body, messageType),
+          unreadCount: { increment: 1 }
+        }
+      });
+
+      stored++;
+
+      // Respostas do funcionário de limpeza ("1 ok", "2 feito") atualizam as tarefas do dia
+      if (conversation.contactType === 'cleaner' && body) {
+        await this.handleCleanerReply(userId, conversation, body, receivedAt);
+      }
+    }
+
+    if (stored > 0) {
+      console.log(`📨 ${stored} mensagem(ns) recebida(s) para usuário ${userId}`);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Encaminha a resposta do funcionário para as tarefas de limpeza e confirma o recebimento
+   * Nunca lança erro (a mensagem já foi salva no inbox).
+   */
+  async handleCleanerReply(userId, conversation, body, receivedAt) {
+    try {
+      const { reply } = await cleaningService.handleCleanerReply(userId, conversation.phone, body, receivedAt);
+
+      if (reply) {
+        await this.reply(userId, conversation, reply);
+      }
+    } catch (error) {
+      console.error('Erro ao processar resposta de limpeza:', error.message);
+    }
+  }
+
+  /**
+   * Vincula uma mensagem enviada à conversa do destinatário
+   * Usado ao registrar NotificationLog de WhatsApp. Nunca lança erro.
+   * @returns {Promise<number|null>} ID da conversa
+   */
+  async recordOutbound(userId, recipient, message) {
+    try {
+      const phone = this.normalizePhone(recipient);
+      if (!userId || !phone) return null;
+
+      const conversation = await this.getOrCreateConversation(userId, phone);
+
+      await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: {
+          lastMessageAt: new Date(),
+          lastMessagePreview: this.buildPreview(message)
+        }
+      });
+
+      return conversation.id;
+    } catch (error) {
+      console.error('Erro ao vincular mensagem à conversa:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Responde uma conversa pelo WhatsApp do usuário
+   * O envio é registrado em NotificationLog (type inbox_reply) vinculado à conversa
+   */
+  async reply(userId, conversation, message) {
+    let status = 'sent';
+    let errorMessage = null;
+    let externalId = null;
+
+    try {
+      const result = await whatsappService.sendMessageForUser(userId, conversation.phone, message);
+      externalId = result.messageId;
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+    }
+
+    const log = await prisma.notificationLog.create({
+      data: {
+        type: 'inbox_reply',
+        channel: 'whatsapp',
+        recipient: conversation.phone,
+        message,
+        status,
+        errorMessage,
+        externalId,
+        sentAt: status === 'sent' ? new Date() : null,
+        userId,
+        conversationId: conversation.id
+      }
+    });
+
+    if (status === 'sent') {
+      await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: {
+          lastMessageAt: log.sentAt,
+          lastMessagePreview: this.buildPreview(message)
+        }
+      });
+    }
+
+    return log;
+  }
+}
+
+// Singleton
+const inboxService = new InboxService();
+
+export default inboxService;
@@ -0,0 +1,404 @@
+/**
+ * Fila de Jobs no PostgreSQL (sem Redis)
+ *
+ * Usa a tabela scheduled_jobs como fila durável:
+ * - enqueue: grava o job com nextRunAt (execução imediata ou atrasada)
+ * - claim: reserva jobs prontos com SELECT ... FOR UPDATE SKIP LOCKED, então
+ *   várias instâncias podem processar a mesma fila sem executar um job duas vezes
+ * - falhas voltam para a fila com backoff exponencial até maxAttempts
+ * - status, resultado, erro e histórico de tentativas ficam no próprio ScheduledJob
+ * - jobs que esgotam as tentativas são entregues ao onFailed (dead-letter)
+ *
+ * Jobs recorrentes (cronExpression) usam a mesma fila: após cada execução, com
+ * sucesso ou falha definitiva, voltam para pending com nextRunAt na próxima
+ * ocorrência. Pausados (paused) e cancelados não são reservados.
+ */
+
+import os from 'os';
+import prisma from '../lib/prisma.js';
+import { DEFAULTS } from '../utils/constants.js';
+import { getNextCronRun } from '../utils/cron.js';
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.handler = null;
+    this.onFailed = null;
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Grava um job na fila
+   * @param {string} type - send_notification, sync_calendar, cleanup, ...
+   * @param {Object} payload - Dados do job (serializados em JSON)
+   * @param {Object} [options]
+   * @param {Date} [options.runAt] - Execução atrasada (padrão: agora)
+   * @param {string} [options.cronExpression] - Job recorrente (primeira execução na próxima ocorrência)
+   * @param {string} [options.timezone] - Fuso da expressão cron
+   * payload.reservationId também é gravado em coluna própria (cancelReservationJobs)
+   * @returns {Promise<Object>} ScheduledJob criado
+   */
+  async enqueue(type, payload, { runAt = null, cronExpression = null, timezone = null, name = null, userId = null, maxAttempts = 3 } = {}) {
+    return prisma.scheduledJob.create({
+      data: {
+        name: name || type,
+        type,
+        runAt,
+        cronExpression,
+        timezone: cronExpression ? timezone : null,
+        nextRunAt: cronExpression ? getNextCronRun(cronExpression, new Date(), timezone) : runAt || new Date(),
+        payload: JSON.stringify(payload),
+        reservationId: Number.isInteger(payload?.reservationId) ? payload.reservationId : null,
+        status: 'pending',
+        maxAttempts,
+        userId
+      }
+    });
+  }
+
+  /**
+   * Próxima ocorrência de um job recorrente a partir de agora
+   */
+  getNextRun(job, now = new Date()) {
+    return getNextCronRun(job.cronExpression, now, job.timezone);
+  }
+
+  /**
+   * Job recorrente volta para a fila na próxima ocorrência (tentativas zeradas)
+   */
+  rescheduleData(job, now) {
+    const nextRunAt = this.getNextRun(job, now);
+
+    return {
+      status: nextRunAt ? 'pending' : 'completed',
+      attempts: 0,
+      lockedAt: null,
+      lockedBy: null,
+      nextRunAt
+    };
+  }
+
+  /**
+   * Reserva jobs prontos para este worker (status running, tentativa contabilizada)
+   * Usa o relógio da aplicação, como o restante da fila (nextRunAt, recoverStale),
+   * e não o NOW() do banco: as datas gravadas são comparadas na mesma referência.
+   * @returns {Promise<Object[]>}
+   */
+  async claim(limit = DEFAULTS.JOB_BATCH_SIZE, now = new Date()) {
+    const rows = await prisma.$queryRaw`
+      UPDATE scheduled_jobs
+      SET status = 'running',
+          locked_at = ${now},
+          locked_by = ${this.workerId},
+          attempts = attempts + 1,
+          last_run_at = ${now},
+          updated_at = ${now}
+      WHERE id IN (
+        SELECT id FROM scheduled_jobs
+        WHERE status = 'pending'
+          AND (next_run_at IS NULL OR next_run_at <= ${now})
+        ORDER BY next_run_at ASC NULLS FIRST, id ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `;
+
+    if (rows.length === 0) return [];
+
+    return prisma.scheduledJob.findMany({
+      where: { id: { in: rows.map(row => row.id) } },
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  /**
+   * Atraso até a próxima tentativa (dobra a cada falha, com teto)
+   * @param {number} attempts - Tentativas já feitas
+   */
+  getBackoffMs(attempts) {
+    const seconds = DEFAULTS.JOB_RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(seconds, DEFAULTS.JOB_RETRY_MAX_SECONDS) * 1000;
+  }
+
+  async complete(job, result, now = new Date()) {
+    let serialized = null;
+    try {
+      serialized = result === undefined ? null : JSON.stringify(result);
+    } catch {
+      serialized = String(result);
+    }
+
+    if (job.cronExpression) {
+      return prisma.scheduledJob.update({
+        where: { id: job.id },
+        data: {
+          ...this.rescheduleData(job, now),
+          result: serialized,
+          errorMessage: null,
+          attemptHistory: null
+        }
+      });
+    }
+
+    return prisma.scheduledJob.update({
+      where: { id: job.id },
+      data: {
+        status: 'completed',
+        result: serialized,
+        errorMessage: null,
+        lockedAt: null,
+        lockedBy: null,
+        nextRunAt: null
+      }
+    });
+  }
+
+  /**
+   * Registra a falha: volta para a fila com backoff ou falha de vez em maxAttempts
+   * (jobs recorrentes seguem para a próxima ocorrência)
+   */
+  async fail(job, error, now = new Date()) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const errorMessage = error?.message || String(error);
+
+    let history = [];
+    try {
+      history = job.attemptHistory ? JSON.parse(job.attemptHistory) : [];
+    } catch {
+      history = [];
+    }
+    history.push({ attempt: job.attempts, error: errorMessage, at: now.toISOString() });
+
+    if (exhausted && job.cronExpression) {
+      return prisma.scheduledJob.update({
+        where: { id: job.id },
+        data: {
+          ...this.rescheduleData(job, now),
+          errorMessage,
+          attemptHistory: JSON.stringify(history)
+        }
+      });
+    }
+
+    return prisma.scheduledJob.update({
+      where: { id: job.id },
+      data: {
+        status: exhausted ? 'failed' : 'pending',
+        errorMessage,
+        attemptHistory: JSON.stringify(history),
+        lockedAt: null,
+        lockedBy: null,
+        nextRunAt: exhausted ? null : new Date(now.getTime() + this.getBackoffMs(job.attempts))
+      }
+    });
+  }
+
+  /**
+   * Devolve à fila jobs presos em running (worker reiniciado no meio da execução)
+   * @returns {Promise<number>}
+   */
+  async recoverStale(now = new Date()) {
+    const cutoff = new Date(now.getTime() - DEFAULTS.JOB_LOCK_TIMEOUT_MINUTES * 60 * 1000);
+
+    const { count } = await prisma.scheduledJob.updateMany({
+      where: { status: 'running', lockedAt: { lt: cutoff } },
+      data: { status: 'pending', lockedAt: null, lockedBy: null, nextRunAt: now }
+    });
+
+    if (count > 0) {
+      console.warn(`♻️ ${count} job(s) presos devolvidos à fila`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Executa um job reservado com o handler registrado
+   */
+  async run(job) {
+    try {
+      const payload = job.payload ? JSON.parse(job.payload) : {};
+      const result = await this.handler(job, payload);
+      await this.complete(job, result);
+      return { id: job.id, status: 'completed' };
+    } catch (error) {
+      console.error(`❌ Job ${job.id} (${job.type}) falhou na tentativa ${job.attempts}/${job.maxAttempts}:`, error.message);
+      const updated = await this.fail(job, error);
+
+      if (job.attempts >= job.maxAttempts && this.onFailed) {
+        await this.onFailed({ ...job, ...updated }, error);
+      }
+
+      return { id: job.id, status: updated.status };
+    }
+  }
+
+  /**
+   * Processa um lote de jobs prontos
+   * @returns {Promise<Array<{id: number, status: string}>>}
+   */
+  async tick() {
+    if (this.isProcessing || !this.handler) return [];
+    this.isProcessing = true;
+
+    try {
+      await this.recoverStale();
+      const jobs = await this.claim();
+      const results = [];
+
+      for (const job of jobs) {
+        results.push(await this.run(job));
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Erro ao processar fila de jobs:', error.message);
+      return [];
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Retoma a fila ao iniciar o servidor: jobs recorrentes sem próxima execução
+   * (criados antes do suporte a cron ou com dados inconsistentes) recebem nextRunAt.
+   * Execuções perdidas enquanto o servidor estava parado rodam uma vez no primeiro tick.
+   * @returns {Promise<{pending: number, recurring: number}>}
+   */
+  async rehydrate(now = new Date()) {
+    const missing = await prisma.scheduledJob.findMany({
+      where: { status: 'pending', cronExpression: { not: null }, nextRunAt: null }
+    });
+
+    for (const job of missing) {
+      try {
+        await prisma.scheduledJob.update({
+          where: { id: job.id },
+          data: { nextRunAt: this.getNextRun(job, now) }
+        });
+      } catch (error) {
+        // Expressão inválida gravada direto no banco: não bloqueia os demais
+        await prisma.scheduledJob.update({
+          where: { id: job.id },
+          data: { status: 'failed', errorMessage: error.message }
+        });
+      }
+    }
+
+    const [pending, recurring] = await Promise.all([
+      prisma.scheduledJob.count({ where: { status: 'pending' } }),
+      prisma.scheduledJob.count({ where: { status: { in: ['pending', 'paused'] }, cronExpression: { not: null } } })
+    ]);
+
+    console.log(`📥 ${pending} job(s) pendentes retomados (${recurring} recorrente(s))`);
+    return { pending, recurring };
+  }
+
+  /**
+   * Pausa um job pendente
+   * @returns {Promise<boolean>} false se o job não está pendente (em execução, concluído...)
+   */
+  async pause(id) {
+    const { count } = await prisma.scheduledJob.updateMany({
+      where: { id, status: 'pending' },
+      data: { status: 'paused' }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Retoma um job pausado (recorrentes seguem da próxima ocorrência a partir de agora;
+   * únicos com runAt já passado executam em seguida)
+   * @returns {Promise<boolean>}
+   */
+  async resume(job, now = new Date()) {
+    const { count } = await prisma.scheduledJob.updateMany({
+      where: { id: job.id, status: 'paused' },
+      data: {
+        status: 'pending',
+        nextRunAt: job.cronExpression ? this.getNextRun(job, now) : job.nextRunAt || now
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Cancela um job pendente ou pausado (a condição impede cancelar um job
+   * reservado por um worker no mesmo instante)
+   * @returns {Promise<boolean>}
+   */
+  async cancel(id) {
+    const { count } = await prisma.scheduledJob.updateMany({
+      where: { id, status: { in: ['pending', 'paused'] } },
+      data: { status: 'cancelled', nextRunAt: null }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Cancela os jobs pendentes ou pausados de uma reserva (coluna reservationId)
+   * @returns {Promise<number>} Quantidade cancelada
+   */
+  async cancelReservationJobs(reservationId) {
+    const { count } = await prisma.scheduledJob.updateMany({
+      where: { reservationId, status: { in: ['pending', 'paused'] } },
+      data: { status: 'cancelled', nextRunAt: null }
+    });
+
+    return count;
+  }
+
+  /**
+   * Inicia o worker
+   * @param {Function} handler - async (job, payload) => resultado; erros geram nova tentativa
+   * @param {Object} [options]
+   * @param {Function} [options.onFailed] - async (job, error) quando o job esgota as tentativas
+   */
+  async start(handler, { onFailed = null } = {}) {
+    if (this.timer) return;
+
+    this.handler = handler;
+    this.onFailed = onFailed;
+
+    try {
+      await this.rehydrate();
+    } catch (error) {
+      console.error('Erro ao retomar jobs pendentes:', error.message);
+    }
+
+    this.timer = setInterval(() => this.tick(), DEFAULTS.JOB_POLL_INTERVAL_SECONDS * 1000);
+    console.log(`✅ Fila de jobs no PostgreSQL iniciada (worker ${this.workerId})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Quantidade de jobs da fila por status
+   */
+  async getStats() {
+    const groups = await prisma.scheduledJob.groupBy({
+      by: ['status'],
+      _count: true
+    });
+
+    return groups.reduce((acc, group) => {
+      acc[group.status] = group._count;
+      return acc;
+    }, { pending: 0, running: 0, paused: 0, completed: 0, failed: 0, cancelled: 0 });
+  }
+}
+
+// Singleton
+const jobQueueService = new JobQueueService();
+
+export default jobQueueService;
@@ -0,0 +1,166 @@
+/**
+ * Eleição de Líder entre Instâncias
+ *
+ * Com várias réplicas, os cron jobs do scheduler devem rodar em uma só. Cada
+ * instância tenta a cada LEADER_RENEW_SECONDS gravar o lease na tabela
+ * leader_leases; o UPDATE só acontece se ela já é a dona ou se o lease expirou,
+ * então há no máximo um líder por vez. Se o líder cair, o lease expira após
+ * LEADER_LEASE_SECONDS e a próxima instância a tentar assume.
+ *
+ * Lease em tabela (e não advisory lock) porque o Prisma não garante a mesma
+ * conexão entre consultas. A fila de jobs no PostgreSQL roda em todas as
+ * instâncias: ela já se protege com FOR UPDATE SKIP LOCKED.
+ */
+
+import os from 'os';
+import prisma from '../lib/prisma.js';
+import { DEFAULTS } from '../utils/constants.js';
+
+const LEASE_NAME = 'scheduler';
+
+class LeaderService {
+  constructor() {
+    this.nodeId = `${os.hostname()}-${process.pid}`;
+    this.isLeader = false;
+    this.onElected = null;
+    this.onDemoted = null;
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  /**
+   * Assume ou renova o lease (usa o relógio do banco, comum a todas as instâncias)
+   * @returns {Promise<boolean>} true se esta instância é a dona do lease
+   */
+  async tryAcquire() {
+    const rows = await prisma.$queryRaw`
+      INSERT INTO leader_leases (name, holder, acquired_at, renewed_at, expires_at)
+      VALUES (${LEASE_NAME}, ${this.nodeId}, NOW(), NOW(), NOW() + ${DEFAULTS.LEADER_LEASE_SECONDS} * INTERVAL '1 second')
+      ON CONFLICT (name) DO UPDATE
+      SET holder = EXCLUDED.holder,
+          acquired_at = CASE
+            WHEN leader_leases.holder = EXCLUDED.holder THEN leader_leases.acquired_at
+            ELSE NOW()
+          END,
+          renewed_at = NOW(),
+          expires_at = EXCLUDED.expires_at
+      WHERE leader_leases.holder = EXCLUDED.holder
+         OR leader_leases.expires_at < NOW()
+      RETURNING holder
+    `;
+
+    return rows.length > 0 && rows[0].holder === this.nodeId;
+  }
+
+  /**
+   * Renova o lease e dispara onElected/onDemoted quando a liderança muda
+   * Erro no banco conta como perda da liderança: sem renovar, outra instância assume.
+   * @returns {Promise<boolean>}
+   */
+  async tick() {
+    if (this.isTicking) return this.isLeader;
+    this.isTicking = true;
+
+    try {
+      let acquired = false;
+      try {
+        acquired = await this.tryAcquire();
+      } catch (error) {
+        console.error('Erro ao renovar lease de líder:', error.message);
+      }
+
+      if (acquired && !this.isLeader) {
+        this.isLeader = true;
+        console.log(`👑 Instância ${this.nodeId} assumiu a liderança`);
+        await this.runHook(this.onElected);
+      } else if (!acquired && this.isLeader) {
+        this.isLeader = false;
+        console.warn(`⚠️ Instância ${this.nodeId} perdeu a liderança`);
+        await this.runHook(this.onDemoted);
+      }
+
+      return this.isLeader;
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  async runHook(hook) {
+    if (!hook) return;
+
+    try {
+      await hook();
+    } catch (error) {
+      console.error('Erro ao trocar de papel na eleição de líder:', error.message);
+    }
+  }
+
+  /**
+   * Participa da eleição
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onElected] - Esta instância virou líder (iniciar cron jobs)
+   * @param {Function} [hooks.onDemoted] - Esta instância deixou de ser líder (parar cron jobs)
+   */
+  async start({ onElected = null, onDemoted = null } = {}) {
+    if (this.timer) return;
+
+    this.onElected = onElected;
+    this.onDemoted = onDemoted;
+
+    await this.tick();
+    this.timer = setInterval(() => this.tick(), DEFAULTS.LEADER_RENEW_SECONDS * 1000);
+
+    if (!this.isLeader) {
+      console.log(`⏸️ Instância ${this.nodeId} aguardando liderança (cron jobs rodam no líder)`);
+    }
+  }
+
+  /**
+   * Sai da eleição e libera o lease (outra instância assume sem esperar a expiração)
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (!this.isLeader) return;
+
+    this.isLeader = false;
+    await this.runHook(this.onDemoted);
+
+    try {
+      await prisma.leaderLease.deleteMany({
+        where: { name: LEASE_NAME, holder: this.nodeId }
+      });
+    } catch (error) {
+      console.error('Erro ao liberar lease de líder:', error.message);
+    }
+  }
+
+  /**
+   * Dono atual do lease e papel desta instância
+   */
+  async getStatus(now = new Date()) {
+    const lease = await prisma.leaderLease.findUnique({ where: { name: LEASE_NAME } });
+
+    return {
+      nodeId: this.nodeId,
+      isLeader: this.isLeader,
+      lease: lease
+        ? {
+          holder: lease.holder,
+          acquiredAt: lease.acquiredAt,
+          renewedAt: lease.renewedAt,
+          expiresAt: lease.expiresAt,
+          active: lease.expiresAt > now
+        }
+        : null
+    };
+  }
+}
+
+// Singleton
+const leaderService = new LeaderService();
+
+export default leaderService;
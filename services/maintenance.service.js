@@ -0,0 +1,433 @@
+/**
+ * Serviço de Manutenção
+ *
+ * - Avisa o responsável (assigneePhone) pelo WhatsApp ao ser atribuído a uma tarefa
+ * - Envia lembrete no dia do vencimento (dueDate) no fuso do imóvel
+ * - Dispara os webhooks maintenance.* nas mudanças de status
+ * - Gera tarefas das agendas preventivas (MaintenanceSchedule), adiando ou
+ *   pulando ocorrências que caem em dias ocupados por reservas
+ *
+ * Datas de ocorrência são dias civis à meia-noite UTC, como as datas de reserva.
+ * Uma reserva ocupa [checkin, checkout): o dia do checkout fica livre.
+ */
+
+import prisma from '../lib/prisma.js';
+import notificationService from './notification.service.js';
+import webhookService from './webhook.service.js';
+import {
+  MAINTENANCE_OCCUPANCY_POLICIES,
+  MAINTENANCE_RECURRENCES,
+  MAINTENANCE_STATUS,
+  WEBHOOK_EVENTS
+} from '../utils/constants.js';
+import { getLocalDayWindow } from '../utils/dates.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Máximo de dias que uma ocorrência pode ser adiada antes de ser pulada
+const MAX_SHIFT_DAYS = 30;
+
+// Limite de busca de ocorrências (evita laço infinito em agendas sem dias válidos)
+const MAX_SEARCH_DAYS = 3 * 366;
+
+// Status de destino => evento de webhook
+const STATUS_EVENTS = {
+  [MAINTENANCE_STATUS.IN_PROGRESS]: WEBHOOK_EVENTS.MAINTENANCE_STARTED,
+  [MAINTENANCE_STATUS.COMPLETED]: WEBHOOK_EVENTS.MAINTENANCE_COMPLETED,
+  [MAINTENANCE_STATUS.CANCELLED]: WEBHOOK_EVENTS.MAINTENANCE_CANCELLED,
+  [MAINTENANCE_STATUS.PENDING]: WEBHOOK_EVENTS.MAINTENANCE_REOPENED
+};
+
+const PRIORITY_LABELS = {
+  low: 'Baixa',
+  normal: 'Normal',
+  high: 'Alta',
+  urgent: 'Urgente 🚨'
+};
+
+class MaintenanceService {
+  /**
+   * Dados enviados nos webhooks maintenance.*
+   */
+  buildWebhookPayload(task, property) {
+    return {
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      completedAt: task.completedAt,
+      assigneeName: task.assigneeName,
+      assigneePhone: task.assigneePhone,
+      propertyId: task.propertyId,
+      propertyName: property?.name
+    };
+  }
+
+  /**
+   * Dispara maintenance.created
+   * @param {Object} [client] - Transação em que a tarefa foi gravada
+   */
+  async triggerCreated(task, property, client = prisma) {
+    await webhookService.trigger(
+      WEBHOOK_EVENTS.MAINTENANCE_CREATED,
+      this.buildWebhookPayload(task, property),
+      property.userId,
+      client
+    );
+  }
+
+  /**
+   * Dispara o evento do novo status (started, completed, cancelled, reopened)
+   * @param {Object} [client] - Transação em que a tarefa foi gravada
+   */
+  async triggerStatusChange(task, previousStatus, property, client = prisma) {
+    const event = STATUS_EVENTS[task.status];
+    if (!event || task.status === previousStatus) return;
+
+    await webhookService.trigger(event, {
+      ...this.buildWebhookPayload(task, property),
+      previousStatus
+    }, property.userId, client);
+  }
+
+  /**
+   * Formata a data de vencimento (dia civil, como as datas de reserva)
+   */
+  formatDueDate(date) {
+    if (!date) return null;
+    const [year, month, day] = new Date(date).toISOString().slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Avisa o responsável sobre a tarefa atribuída
+   * @returns {Promise<Object>} Resultado do envio
+   */
+  async notifyAssignment(task, property) {
+    if (!task.assigneePhone) {
+      return { success: false, error: 'Tarefa sem telefone do responsável' };
+    }
+
+    const lines = [
+      `Olá${task.assigneeName ? ` ${task.assigneeName}` : ''}! 🔧`,
+      '',
+      `Nova manutenção no ${property.name}: *${task.title}*`,
+      `Prioridade: ${PRIORITY_LABELS[task.priority] || task.priority}`
+    ];
+
+    if (task.dueDate) lines.push(`Prazo: ${this.formatDueDate(task.dueDate)}`);
+    if (property.address) lines.push(`Endereço: ${property.address}`);
+    if (task.description) lines.push('', task.description);
+
+    const result = await notificationService.send({
+      channel: 'whatsapp',
+      recipient: task.assigneePhone,
+      message: lines.join('\n'),
+      type: 'maintenance_assigned',
+      propertyId: property.id,
+      userId: property.userId
+    });
+
+    if (result.success) {
+      await prisma.maintenanceTask.update({
+        where: { id: task.id },
+        data: { assignedAt: new Date() }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Envia lembretes das tarefas que vencem no dia local [start, end)
+   * Cada tarefa recebe no máximo um lembrete (reminderSentAt).
+   */
+  async sendDueReminders({ propertyIds, start, end }) {
+    const tasks = await prisma.maintenanceTask.findMany({
+      where: {
+        propertyId: { in: propertyIds },
+        status: { in: [MAINTENANCE_STATUS.PENDING, MAINTENANCE_STATUS.IN_PROGRESS] },
+        assigneePhone: { not: null },
+        reminderSentAt: null,
+        dueDate: {
+          gte: start,
+          lt: end
+        }
+      },
+      include: { property: true }
+    });
+
+    let sent = 0;
+
+    for (const task of tasks) {
+      const { property } = task;
+
+      const result = await notificationService.send({
+        channel: 'whatsapp',
+        recipient: task.assigneePhone,
+        message: `Lembrete 🔧\n\nA manutenção *${task.title}* no ${property.name} vence hoje (${this.formatDueDate(task.dueDate)}).${task.status === MAINTENANCE_STATUS.IN_PROGRESS ? '' : '\n\nAinda não foi iniciada.'}`,
+        type: 'maintenance_reminder',
+        propertyId: property.id,
+        userId: property.userId
+      });
+
+      if (result.success) {
+        await prisma.maintenanceTask.update({
+          where: { id: task.id },
+          data: { reminderSentAt: new Date() }
+        });
+        sent++;
+      }
+    }
+
+    return { sent, total: tasks.length };
+  }
+
+  // =============================================
+  // AGENDAS RECORRENTES
+  // =============================================
+
+  /**
+   * Normaliza para o dia civil (meia-noite UTC)
+   */
+  toDay(date) {
+    return new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+  }
+
+  /**
+   * Verifica se o dia é uma ocorrência de agenda semanal/mensal
+   */
+  matchesDay(schedule, day) {
+    if (schedule.recurrence === MAINTENANCE_RECURRENCES.WEEKLY) {
+      return schedule.weekdays.includes(day.getUTCDay());
+    }
+
+    if (schedule.recurrence === MAINTENANCE_RECURRENCES.MONTHLY) {
+      const lastDay = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+      return day.getUTCDate() === Math.min(schedule.dayOfMonth, lastDay);
+    }
+
+    return false;
+  }
+
+  /**
+   * Ocorrências da agenda a partir de `from` (inclusive)
+   * @param {Object} options
+   * @param {Date} options.from
+   * @param {Date} [options.until] - Último dia (inclusive)
+   * @param {number} [options.count] - Quantidade máxima
+   * @returns {Date[]}
+   */
+  getOccurrences(schedule, { from, until = null, count = null }) {
+    const start = this.toDay(schedule.startDate);
+    let day = new Date(Math.max(this.toDay(from).getTime(), start.getTime()));
+    const limit = day.getTime() + MAX_SEARCH_DAYS * DAY;
+    const occurrences = [];
+
+    const done = () => (count !== null && occurrences.length >= count) ||
+      (until !== null && day > until) ||
+      day.getTime() > limit;
+
+    if (schedule.recurrence === MAINTENANCE_RECURRENCES.INTERVAL) {
+      const step = schedule.intervalDays * DAY;
+      const elapsed = Math.ceil((day.getTime() - start.getTime()) / step);
+      day = new Date(start.getTime() + elapsed * step);
+
+      while (!done()) {
+        occurrences.push(day);
+        day = new Date(day.getTime() + step);
+      }
+
+      return occurrences;
+    }
+
+    while (!done()) {
+      if (this.matchesDay(schedule, day)) occurrences.push(day);
+      day = new Date(day.getTime() + DAY);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Reservas ativas que ocupam algum dia do intervalo (incluindo a margem de adiamento)
+   */
+  async getOccupyingReservations(propertyId, from, until) {
+    return prisma.reservation.findMany({
+      where: {
+        propertyId,
+        status: { in: ['pending', 'confirmed'] },
+        checkinDate: { lte: new Date(until.getTime() + MAX_SHIFT_DAYS * DAY) },
+        checkoutDate: { gt: from }
+      },
+      select: { id: true, checkinDate: true, checkoutDate: true },
+      orderBy: { checkinDate: 'asc' }
+    });
+  }
+
+  /**
+   * Aplica a política de ocupação a uma ocorrência
+   * @returns {{ scheduledFor: Date, dueDate: Date|null, shifted: boolean, skipped: boolean, reservationId: number|null }}
+   */
+  resolveOccurrence(occurrence, reservations, policy) {
+    const occupiedBy = (day) => reservations.find(r =>
+      this.toDay(r.checkinDate) <= day && day < this.toDay(r.checkoutDate)
+    );
+
+    const reservation = occupiedBy(occurrence);
+    const result = {
+      scheduledFor: occurrence,
+      dueDate: occurrence,
+      shifted: false,
+      skipped: false,
+      reservationId: reservation?.id ?? null
+    };
+
+    if (!reservation || policy === MAINTENANCE_OCCUPANCY_POLICIES.IGNORE) {
+      return result;
+    }
+
+    if (policy === MAINTENANCE_OCCUPANCY_POLICIES.SKIP) {
+      return { ...result, dueDate: null, skipped: true };
+    }
+
+    // shift: adia para o checkout, encadeando reservas seguidas (check-in no mesmo dia)
+    let day = occurrence;
+    let current = reservation;
+
+    while (current) {
+      day = this.toDay(current.checkoutDate);
+
+      if (day.getTime() - occurrence.getTime() > MAX_SHIFT_DAYS * DAY) {
+        return { ...result, dueDate: null, skipped: true };
+      }
+
+      current = occupiedBy(day);
+    }
+
+    return { ...result, dueDate: day, shifted: true };
+  }
+
+  /**
+   * Próximas N ocorrências da agenda, já com a política de ocupação aplicada
+   * @param {Object} schedule - Agenda com `property` (fuso do imóvel)
+   */
+  async previewSchedule(schedule, count = 5, now = new Date()) {
+    const { start: today } = getLocalDayWindow(schedule.property.timezone, 0, now);
+    const occurrences = this.getOccurrences(schedule, { from: today, count });
+
+    if (occurrences.length === 0) return [];
+
+    const reservations = await this.getOccupyingReservations(
+      schedule.propertyId,
+      occurrences[0],
+      occurrences[occurrences.length - 1]
+    );
+
+    return occurrences.map(day => this.resolveOccurrence(day, reservations, schedule.occupancyPolicy));
+  }
+
+  /**
+   * Gera as tarefas das agendas ativas que vencem nos próximos `leadDays` dias
+   * Cada ocorrência gera no máximo uma tarefa (scheduleId + scheduledFor).
+   */
+  async generateScheduledTasks(now = new Date()) {
+    const schedules = await prisma.maintenanceSchedule.findMany({
+      where: { isActive: true, property: { isActive: true } },
+      include: { property: true }
+    });
+
+    const summary = { schedules: schedules.length, created: 0, shifted: 0, skipped: 0 };
+
+    for (const schedule of schedules) {
+      try {
+        const result = await this.generateForSchedule(schedule, now);
+        summary.created += result.created;
+        summary.shifted += result.shifted;
+        summary.skipped += result.skipped;
+      } catch (error) {
+        console.error(`Erro ao gerar manutenções da agenda ${schedule.id}:`, error.message);
+      }
+    }
+
+    if (summary.created > 0 || summary.skipped > 0) {
+      console.log(`🔧 Manutenção preventiva: ${summary.created} tarefa(s) criada(s), ${summary.shifted} adiada(s), ${summary.skipped} pulada(s)`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Gera as tarefas pendentes de uma agenda
+   */
+  async generateForSchedule(schedule, now = new Date()) {
+    const { property } = schedule;
+    const { start: today } = getLocalDayWindow(property.timezone, 0, now);
+    const until = new Date(today.getTime() + schedule.leadDays * DAY);
+
+    // Nunca gera ocorrências passadas (ex: agenda reativada)
+    const next = schedule.lastGeneratedDate
+      ? new Date(this.toDay(schedule.lastGeneratedDate).getTime() + DAY)
+      : today;
+    const from = new Date(Math.max(next.getTime(), today.getTime()));
+
+    const result = { created: 0, shifted: 0, skipped: 0 };
+    const occurrences = this.getOccurrences(schedule, { from, until });
+
+    if (occurrences.length === 0) return result;
+
+    const reservations = await this.getOccupyingReservations(property.id, from, until);
+
+    for (const occurrence of occurrences) {
+      const resolved = this.resolveOccurrence(occurrence, reservations, schedule.occupancyPolicy);
+
+      if (resolved.skipped) {
+        result.skipped++;
+        continue;
+      }
+
+      let task;
+      try {
+        task = await prisma.maintenanceTask.create({
+          data: {
+            propertyId: property.id,
+            scheduleId: schedule.id,
+            scheduledFor: resolved.scheduledFor,
+            dueDate: resolved.dueDate,
+            title: schedule.title,
+            description: schedule.description,
+            priority: schedule.priority,
+            assigneeName: schedule.assigneeName,
+            assigneePhone: schedule.assigneePhone
+          }
+        });
+      } catch (error) {
+        // Ocorrência já gerada
+        if (error.code === 'P2002') continue;
+        throw error;
+      }
+
+      result.created++;
+      if (resolved.shifted) result.shifted++;
+
+      await this.triggerCreated(task, property);
+
+      if (task.assigneePhone) {
+        await this.notifyAssignment(task, property);
+      }
+    }
+
+    await prisma.maintenanceSchedule.update({
+      where: { id: schedule.id },
+      data: { lastGeneratedDate: occurrences[occurrences.length - 1] }
+    });
+
+    return result;
+  }
+}
+
+// Singleton
+const maintenanceService = new MaintenanceService();
+
+export default maintenanceService;
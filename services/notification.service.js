@@ -19,6 +19,8 @@
 
 import prisma from '../lib/prisma.js';
 import whatsappService from './whatsapp.service.js';
+import inboxService from './inbox.service.js';
+import { MESSAGE_STATUS } from '../utils/constants.js';
 
 // Placeholders para provedores externos (serão inicializados quando credenciais forem fornecidas)
 let emailTransporter = null;
@@ -97,6 +99,7 @@ class NotificationService {
    * @param {number} [options.reservationId] - ID da reserva (para log)
    * @param {number} [options.userId] - ID do usuário
    * @param {string} [options.type] - Tipo da notificação (welcome, checkin_reminder, etc)
+   * @param {boolean} [options.sensitive] - Não grava o conteúdo no log (links com token)
    * @returns {Promise<Object>} Resultado do envio
    */
   async send(options) {
@@ -108,15 +111,18 @@ class NotificationService {
       propertyId,
       reservationId,
       userId,
-      type = 'custom'
+      type = 'custom',
+      sensitive = false
     } = options;
 
+    const loggedMessage = sensitive ? '[conteúdo oculto]' : message;
+
     try {
       let result;
 
       switch (channel) {
         case 'whatsapp':
-          result = await this.sendWhatsApp(recipient, message);
+          result = await this.sendWhatsApp(recipient, message, userId);
           break;
         case 'email':
           result = await this.sendEmail(recipient, subject, message);
@@ -134,8 +140,9 @@ class NotificationService {
         channel,
         recipient,
         subject,
-        message,
+        message: loggedMessage,
         status: 'sent',
+        externalId: result.messageId,
         userId,
         reservationId,
         propertyId
@@ -149,7 +156,7 @@ class NotificationService {
         channel,
         recipient,
         subject,
-        message,
+        message: loggedMessage,
         status: 'failed',
         errorMessage: error.message,
         userId,
@@ -163,16 +170,23 @@ class NotificationService {
 
   /**
    * Envia mensagem via WhatsApp
+   * Com userId, usa a instância conectada do usuário; sem userId, a instância
+   * da plataforma (EVOLUTION_INSTANCE_NAME), usada em mensagens da conta
    */
-  async sendWhatsApp(phone, message) {
-    const status = whatsappService.getStatus();
+  async sendWhatsApp(phone, message, userId) {
+    if (userId) {
+      const result = await whatsappService.sendMessageForUser(userId, phone, message);
+      return { channel: 'whatsapp', recipient: phone, messageId: result.messageId };
+    }
+
+    const instanceName = process.env.EVOLUTION_INSTANCE_NAME;
 
-    if (status.status !== 'connected') {
-      throw new Error('WhatsApp não está conectado');
+    if (!whatsappService.isConfigured || !instanceName) {
+      throw new Error('WhatsApp da plataforma não configurado. Adicione EVOLUTION_INSTANCE_NAME no .env');
     }
 
-    await whatsappService.sendMessage(phone, message);
-    return { channel: 'whatsapp', recipient: phone };
+    const result = await whatsappService.sendMessage(phone, message, instanceName);
+    return { channel: 'whatsapp', recipient: phone, messageId: result.messageId };
   }
 
   /**
@@ -246,6 +260,11 @@ class NotificationService {
    */
   async logNotification(data) {
     try {
+      // Mensagens de WhatsApp entram na conversa do destinatário no inbox
+      const conversationId = data.channel === 'whatsapp'
+        ? await inboxService.recordOutbound(data.userId, data.recipient, data.message)
+        : null;
+
       await prisma.notificationLog.create({
         data: {
           type: data.type,
@@ -255,9 +274,11 @@ class NotificationService {
           message: data.message,
           status: data.status,
           errorMessage: data.errorMessage,
+          externalId: data.externalId || null,
           sentAt: data.status === 'sent' ? new Date() : null,
           userId: data.userId,
-          reservationId: data.reservationId
+          reservationId: data.reservationId,
+          conversationId
         }
       });
     } catch (error) {
@@ -265,6 +286,65 @@ class NotificationService {
     }
   }
 
+  /**
+   * Processa confirmações de entrega/leitura (MESSAGES_UPDATE da Evolution)
+   * @returns {Promise<number>} Quantidade de logs atualizados
+   */
+  async handleDeliveryReceipts(instanceName, data) {
+    const userId = whatsappService.getUserIdFromInstance(instanceName);
+    let updated = 0;
+
+    for (const { messageId, status } of whatsappService.parseStatusUpdates(data)) {
+      updated += await this.applyDeliveryStatus(messageId, status, userId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Avança o status dos logs da mensagem (MessageLog e NotificationLog)
+   * O status só anda para frente: sent → delivered → read.
+   * Confirmações fora de ordem ou repetidas não regridem o log.
+   */
+  async applyDeliveryStatus(externalId, status, userId = null) {
+    const now = new Date();
+    const { PENDING, SENT, DELIVERED, READ, FAILED } = MESSAGE_STATUS;
+
+    // [status atuais aceitos, dados atualizados]
+    let transitions;
+    if (status === DELIVERED) {
+      transitions = [[[PENDING, SENT], { status: DELIVERED, deliveredAt: now }]];
+    } else if (status === READ) {
+      transitions = [
+        [[PENDING, SENT], { status: READ, deliveredAt: now, readAt: now }],
+        [[DELIVERED], { status: READ, readAt: now }]
+      ];
+    } else if (status === FAILED) {
+      transitions = [[[PENDING, SENT], { status: FAILED, errorMessage: 'Falha na entrega informada pelo WhatsApp' }]];
+    } else {
+      return 0;
+    }
+
+    let updated = 0;
+
+    for (const [fromStatus, data] of transitions) {
+      const [notificationLogs, messageLogs] = await Promise.all([
+        prisma.notificationLog.updateMany({
+          where: { externalId, status: { in: fromStatus }, ...(userId && { userId }) },
+          data
+        }),
+        prisma.messageLog.updateMany({
+          where: { externalId, status: { in: fromStatus }, ...(userId && { property: { userId } }) },
+          data
+        })
+      ]);
+
+      updated += notificationLogs.count + messageLogs.count;
+    }
+
+    return updated;
+  }
+
   /**
    * Processa um template substituindo placeholders
    * Placeholders suportados:
@@ -359,6 +439,28 @@ class NotificationService {
     };
   }
 
+  /**
+   * Monta os dados de todos os placeholders a partir da reserva
+   */
+  buildTemplateData(reservation, guest, property) {
+    return {
+      guestName: guest?.name,
+      propertyName: property.name,
+      checkinDate: reservation.checkinDate,
+      checkoutDate: reservation.checkoutDate,
+      checkinTime: reservation.checkinTime || property.checkinTime || '15:00',
+      checkoutTime: reservation.checkoutTime || property.checkoutTime || '11:00',
+      wifiName: property.wifiName,
+      wifiPassword: property.wifiPassword,
+      accessInstructions: property.accessInstructions,
+      employeeName: property.employeeName,
+      totalAmount: reservation.totalAmount,
+      reservationId: String(reservation.id),
+      adults: String(reservation.adults ?? 1),
+      children: String(reservation.children ?? 0)
+    };
+  }
+
   /**
    * Envia notificação de boas-vindas para hóspede
    */
@@ -487,26 +589,35 @@ class NotificationService {
       checkoutTime: checkouts[0]?.checkoutTime || property.checkoutTime || '11:00'
     };
 
-    let template = await this.getTemplateAndProcess('cleaning', channel, property.userId, data);
+    const template = await this.getTemplateAndProcess('cleaning', channel, property.userId, data);
+    const hasTasks = checkouts.some(c => c.position);
+    const propertyList = checkouts
+      .map(c => `${c.position ? `${c.position}.` : '•'} ${c.propertyName} às ${c.checkoutTime}`)
+      .join('\n');
+    let content;
+
+    if (template) {
+      // Templates personalizados recebem a lista numerada para as respostas
+      content = hasTasks && checkouts.length > 1
+        ? `${template.content}\n\n${propertyList}`
+        : template.content;
+    } else if (checkouts.length === 1) {
+      content = `Olá ${data.employeeName}! 🧹\n\nHoje tem limpeza no ${data.propertyName} às ${data.checkoutTime}.\n\nBom trabalho! 💪`;
+    } else {
+      content = `Olá ${data.employeeName}! 🧹\n\nHoje você tem ${checkouts.length} limpezas:\n\n${propertyList}\n\nBom trabalho! 💪`;
+    }
 
-    if (!template) {
-      if (checkouts.length === 1) {
-        template = {
-          content: `Olá ${data.employeeName}! 🧹\n\nHoje tem limpeza no ${data.propertyName} às ${data.checkoutTime}.\n\nBom trabalho! 💪`
-        };
-      } else {
-        const propertyList = checkouts.map(c => `• ${c.propertyName} às ${c.checkoutTime}`).join('\n');
-        template = {
-          content: `Olá ${data.employeeName}! 🧹\n\nHoje você tem ${checkouts.length} limpezas:\n\n${propertyList}\n\nBom trabalho! 💪`
-        };
-      }
+    if (hasTasks) {
+      content += checkouts.length === 1
+        ? '\n\nResponda *ok* para confirmar e *feito* quando terminar.'
+        : '\n\nResponda com o número: *1 ok* para confirmar, *1 feito* quando terminar.';
     }
 
     return this.send({
       channel,
       recipient: property.employeePhone,
-      message: template.content,
-      subject: template.subject,
+      message: content,
+      subject: template?.subject,
       type: 'cleaning',
       propertyId: property.id,
       userId: property.userId
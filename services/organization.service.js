@@ -0,0 +1,319 @@
+/**
+ * Serviço de Organizações (equipes)
+ *
+ * Uma organização compartilha os dados do dono (ownerId) com os membros:
+ * - admin: tudo, inclusive equipe, webhooks e configurações
+ * - agent: opera reservas, hóspedes e mensagens
+ * - viewer: somente leitura
+ * - owner: proprietário, somente leitura dos imóveis liberados (PropertyGrant)
+ * - cohost: coanfitrião, leitura e mensagens dos imóveis liberados
+ *
+ * O authMiddleware resolve a organização ativa e troca req.userId pelo dono,
+ * então as rotas continuam filtrando por userId normalmente. Para owner/cohost
+ * ele também preenche req.propertyIds, aplicado com scopeProperties().
+ *
+ * Organizações com requireTwoFactor bloqueiam membros (inclusive o dono) sem 2FA ativo.
+ */
+
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import notificationService from './notification.service.js';
+import { DEFAULTS, ORGANIZATION_ROLES, PROPERTY_SCOPED_ROLES } from '../utils/constants.js';
+
+// Únicas alterações permitidas ao coanfitrião: mensagens para hóspedes
+const MESSAGING_ROUTES = [
+  /^\/api\/reservations\/\d+\/send-notification$/,
+  /^\/api\/inbox\/conversations\/\d+\/reply$/
+];
+
+// Áreas da API liberadas para owner/cohost (o restante é da equipe)
+const PROPERTY_SCOPED_AREAS = [
+  '/api/properties',
+  '/api/reservations',
+  '/api/guests',
+  '/api/dashboard',
+  '/api/logs',
+  '/api/cleanings',
+  '/api/inbox'
+];
+
+class OrganizationService {
+  /**
+   * Hash do token de convite (o token em texto só vai no link)
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Viewers e proprietários não alteram nada; coanfitriões só enviam mensagens
+   * @param {string} role
+   * @param {string} path - URL da requisição (sem query string)
+   */
+  canWrite(role, path = '') {
+    if (role === ORGANIZATION_ROLES.VIEWER || role === ORGANIZATION_ROLES.OWNER) return false;
+    if (role === ORGANIZATION_ROLES.COHOST) return MESSAGING_ROUTES.some(route => route.test(path));
+    return true;
+  }
+
+  /**
+   * Owner/cohost só acessam as áreas ligadas aos imóveis
+   * @param {number[]|null} propertyIds - Imóveis liberados (null = acesso da equipe)
+   * @param {string} baseUrl - Prefixo da rota (req.baseUrl)
+   */
+  canAccessArea(propertyIds, baseUrl) {
+    return !propertyIds || PROPERTY_SCOPED_AREAS.includes(baseUrl);
+  }
+
+  /**
+   * Filtro Prisma pelos imóveis liberados ({} quando o acesso não é restrito)
+   * @param {Object} req - Requisição com req.propertyIds (authMiddleware)
+   * @param {string} [field] - Campo com o id do imóvel (id no próprio Property)
+   * @param {number} [requestedId] - Imóvel pedido no filtro da rota (?propertyId)
+   * @example prisma.reservation.findMany({ where: { userId: req.userId, ...organizationService.scopeProperties(req) } })
+   */
+  scopeProperties(req, field = 'propertyId', requestedId = null) {
+    if (requestedId) {
+      return { [field]: this.canAccessProperty(req, requestedId) ? requestedId : { in: [] } };
+    }
+
+    return req.propertyIds ? { [field]: { in: req.propertyIds } } : {};
+  }
+
+  /**
+   * Verifica se o imóvel está liberado para a requisição
+   */
+  canAccessProperty(req, propertyId) {
+    return !req.propertyIds || req.propertyIds.includes(propertyId);
+  }
+
+  /**
+   * Contexto da conta própria do usuário (dono dos próprios dados e admin da própria organização)
+   */
+  personalContext(userId, ownedOrganizationId = null, twoFactorRequired = false) {
+    return {
+      organizationId: ownedOrganizationId,
+      ownerId: userId,
+      role: ORGANIZATION_ROLES.ADMIN,
+      propertyIds: null,
+      twoFactorRequired
+    };
+  }
+
+  /**
+   * Resolve em nome de quem o usuário está operando
+   * @param {number} userId - Usuário autenticado
+   * @param {string|number} [requestedId] - Cabeçalho X-Organization-Id
+   * @param {Object} [options]
+   * @param {boolean} [options.useActive] - Sem requestedId, usar a organização ativa (false = conta própria)
+   * @returns {Promise<{organizationId: number|null, ownerId: number, role: string, propertyIds: number[]|null, twoFactorRequired: boolean}|null>}
+   *   null se o usuário não participa da organização pedida; propertyIds null = todos os imóveis;
+   *   twoFactorRequired = a organização exige 2FA e o usuário ainda não ativou
+   */
+  async resolveContext(userId, requestedId = null, { useActive = true } = {}) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        activeOrganizationId: true,
+        twoFactorEnabledAt: true,
+        ownedOrganization: { select: { id: true, requireTwoFactor: true } }
+      }
+    });
+
+    if (!user) return null;
+
+    const missingTwoFactor = !user.twoFactorEnabledAt;
+    const personal = this.personalContext(
+      userId,
+      user.ownedOrganization?.id ?? null,
+      missingTwoFactor && !!user.ownedOrganization?.requireTwoFactor
+    );
+
+    const organizationId = requestedId ? parseInt(requestedId) : (useActive ? user.activeOrganizationId : null);
+    if (!organizationId || organizationId === personal.organizationId) return personal;
+
+    const membership = await this.getMembership(organizationId, userId);
+
+    if (!membership) {
+      // Organização pedida explicitamente => negado; ativa removida => volta para a conta própria
+      return requestedId ? null : personal;
+    }
+
+    return {
+      organizationId,
+      ownerId: membership.organization.ownerId,
+      role: membership.role,
+      propertyIds: PROPERTY_SCOPED_ROLES.includes(membership.role)
+        ? membership.propertyGrants.map(grant => grant.propertyId)
+        : null,
+      twoFactorRequired: missingTwoFactor && !!membership.organization.requireTwoFactor
+    };
+  }
+
+  /**
+   * Participação do usuário na organização (com a organização e os imóveis liberados)
+   */
+  async getMembership(organizationId, userId) {
+    return prisma.organizationMember.findUnique({
+      where: { organizationId_userId: { organizationId, userId } },
+      include: {
+        organization: true,
+        propertyGrants: { select: { propertyId: true } }
+      }
+    });
+  }
+
+  /**
+   * Filtra os ids para os imóveis que pertencem ao dono da organização
+   * @returns {Promise<number[]|null>} null se algum imóvel não pertence ao dono
+   */
+  async validatePropertyIds(ownerId, propertyIds) {
+    if (!Array.isArray(propertyIds)) return null;
+
+    const ids = [...new Set(propertyIds.map(id => parseInt(id)))];
+    const count = await prisma.property.count({ where: { id: { in: ids }, userId: ownerId } });
+
+    return count === ids.length ? ids : null;
+  }
+
+  /**
+   * Substitui os imóveis liberados de um membro (lista vazia remove todos)
+   */
+  async setPropertyGrants(memberId, propertyIds = []) {
+    await prisma.$transaction([
+      prisma.propertyGrant.deleteMany({ where: { memberId } }),
+      prisma.propertyGrant.createMany({
+        data: propertyIds.map(propertyId => ({ memberId, propertyId })),
+        skipDuplicates: true
+      })
+    ]);
+  }
+
+  /**
+   * Cria a organização do usuário; ele vira dono e admin
+   */
+  async createOrganization(userId, name) {
+    return prisma.organization.create({
+      data: {
+        name,
+        ownerId: userId,
+        members: {
+          create: { userId, role: ORGANIZATION_ROLES.ADMIN }
+        }
+      }
+    });
+  }
+
+  /**
+   * Link de aceite do convite
+   */
+  buildInvitationLink(token) {
+    const baseUrl = (process.env.FRONTEND_URL || '').split(',')[0].trim() || 'http://localhost:3000';
+    return `${baseUrl.replace(/\/$/, '')}/convite/${token}`;
+  }
+
+  /**
+   * Cria um convite e envia por email e/ou WhatsApp
+   * @returns {Promise<{invitation: Object, link: string, whatsappLink: string|null, delivery: Object}>}
+   */
+  async createInvitation(organization, inviter, { email, phone, role, propertyIds = [] }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + DEFAULTS.INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    const cleanPhone = phone ? String(phone).replace(/\D/g, '') : null;
+
+    const invitation = await prisma.organizationInvitation.create({
+      data: {
+        organizationId: organization.id,
+        email: email || null,
+        phone: cleanPhone,
+        role,
+        propertyIds: PROPERTY_SCOPED_ROLES.includes(role) ? propertyIds : [],
+        tokenHash: this.hashToken(token),
+        expiresAt,
+        invitedById: inviter.id
+      }
+    });
+
+    const link = this.buildInvitationLink(token);
+    const message = `${inviter.name || 'Um anfitrião'} convidou você para a equipe "${organization.name}" no Mevo.\n\n` +
+      `Aceite o convite em: ${link}\n\nO link expira em ${DEFAULTS.INVITATION_EXPIRY_DAYS} dias.`;
+
+    const delivery = {};
+
+    if (email) {
+      const result = await notificationService.send({
+        channel: 'email',
+        recipient: email,
+        subject: `Convite para ${organization.name}`,
+        message: message.replace(/\n/g, '<br>'),
+        userId: organization.ownerId,
+        type: 'organization_invitation'
+      });
+      delivery.email = result.success ? 'sent' : result.error;
+    }
+
+    if (cleanPhone) {
+      const result = await notificationService.send({
+        channel: 'whatsapp',
+        recipient: cleanPhone,
+        message,
+        userId: organization.ownerId,
+        type: 'organization_invitation'
+      });
+      delivery.whatsapp = result.success ? 'sent' : result.error;
+    }
+
+    return {
+      invitation,
+      link,
+      // Link para o admin compartilhar pelo próprio WhatsApp, se o envio automático falhar
+      whatsappLink: cleanPhone ? `https://wa.me/${cleanPhone}?text=${encodeURIComponent(message)}` : null,
+      delivery
+    };
+  }
+
+  /**
+   * Busca um convite válido (não aceito, não revogado, não expirado) pelo token
+   */
+  async findPendingInvitation(token) {
+    return prisma.organizationInvitation.findFirst({
+      where: {
+        tokenHash: this.hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      include: { organization: true }
+    });
+  }
+
+  /**
+   * Aceita o convite: cria (ou atualiza) a participação e ativa a organização para o usuário
+   */
+  async acceptInvitation(invitation, userId) {
+    const [membership] = await prisma.$transaction([
+      prisma.organizationMember.upsert({
+        where: { organizationId_userId: { organizationId: invitation.organizationId, userId } },
+        update: { role: invitation.role },
+        create: { organizationId: invitation.organizationId, userId, role: invitation.role }
+      }),
+      prisma.organizationInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: new Date(), acceptedById: userId }
+      }),
+      prisma.user.update({
+        where: { id: userId },
+        data: { activeOrganizationId: invitation.organizationId }
+      })
+    ]);
+
+    await this.setPropertyGrants(membership.id, invitation.propertyIds || []);
+
+    return membership;
+  }
+}
+
+// Singleton
+const organizationService = new OrganizationService();
+
+export default organizationService;
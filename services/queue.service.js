@@ -3,17 +3,34 @@
  *
  * Suporta dois modos:
  * 1. Com Redis (Bull) - Para produção com alta disponibilidade
- * 2. Sem Redis (in-memory) - Para desenvolvimento ou quando Redis não está disponível
+ * 2. Sem Redis (PostgreSQL) - Fila durável na tabela scheduled_jobs (jobQueueService),
+ *    com jobs atrasados, novas tentativas e resultado gravado; sobrevive a reinícios
  *
  * CREDENCIAIS NECESSÁRIAS (opcional):
  *   - REDIS_URL ou REDIS_HOST, REDIS_PORT, REDIS_PASSWORD
  *
- * Se Redis não estiver configurado, usa processamento síncrono
+ * Agendamentos (scheduleJob e scheduleRecurringJob) sempre usam a fila no PostgreSQL, com ou sem Redis:
+ * ficam em ScheduledJob para listagem e cancelamento e não se perdem em reinícios.
+ *
+ * Jobs que esgotam as tentativas, nos dois modos, vão para a dead-letter (FailedJob)
+ * e podem ser reenfileirados com retryFailedJob.
  */
 
 import prisma from '../lib/prisma.js';
 import notificationService from './notification.service.js';
 import icalService from './ical.service.js';
+import cleaningService from './cleaning.service.js';
+import sessionService from './session.service.js';
+import accountService from './account.service.js';
+import jobQueueService from './jobQueue.service.js';
+import deadLetterService from './deadLetter.service.js';
+
+// Fila => tipo do ScheduledJob
+const QUEUE_JOB_TYPES = {
+  notification: 'send_notification',
+  'calendar-sync': 'sync_calendar',
+  cleanup: 'cleanup'
+};
 
 // Queue será inicializado dinamicamente
 let Queue = null;
@@ -25,7 +42,6 @@ class QueueService {
   constructor() {
     this.isInitialized = false;
     this.useRedis = false;
-    this.pendingJobs = []; // Para modo in-memory
   }
 
   /**
@@ -62,18 +78,30 @@ class QueueService {
         this.useRedis = true;
         console.log('✅ Filas (Bull + Redis) configuradas');
       } catch (error) {
-        console.warn('⚠️ Bull/Redis não disponível. Usando modo in-memory.');
+        console.warn('⚠️ Bull/Redis não disponível. Usando fila no PostgreSQL.');
         console.warn('   Para usar filas, execute: npm install bull');
         this.useRedis = false;
       }
     } else {
-      console.log('ℹ️ Redis não configurado. Usando processamento síncrono.');
+      console.log('ℹ️ Redis não configurado. Usando fila no PostgreSQL.');
       this.useRedis = false;
     }
 
+    // Agendamentos (e todos os jobs, sem Redis)
+    await jobQueueService.start((job, payload) => this.processDatabaseJob(job, payload), {
+      onFailed: (job, error) => this.recordDatabaseFailure(job, error)
+    });
+
     this.isInitialized = true;
   }
 
+  /**
+   * Para o worker da fila no PostgreSQL
+   */
+  stop() {
+    jobQueueService.stop();
+  }
+
   /**
    * Configura os processadores das filas
    */
@@ -134,17 +162,133 @@ class QueueService {
     });
 
     // Event handlers
-    [notificationQueue, calendarSyncQueue, cleanupQueue].forEach((queue) => {
+    [
+      [notificationQueue, 'notification'],
+      [calendarSyncQueue, 'calendar-sync'],
+      [cleanupQueue, 'cleanup']
+    ].forEach(([queue, queueName]) => {
       queue.on('completed', (job, result) => {
         console.log(`✅ Job ${job.id} concluído`);
       });
 
-      queue.on('failed', (job, err) => {
+      queue.on('failed', async (job, err) => {
         console.error(`❌ Job ${job.id} falhou:`, err.message);
+
+        // Última tentativa: vai para a dead-letter
+        if (job.attemptsMade >= (job.opts?.attempts || 1)) {
+          await this.recordRedisFailure(queueName, job, err);
+        }
       });
     });
   }
 
+  /**
+   * Payload no formato da fila no PostgreSQL (notificações: { type, ...dados })
+   */
+  toPayload(queueName, jobData) {
+    return queueName === 'notification' ? { type: jobData.type, ...jobData.data } : jobData;
+  }
+
+  /**
+   * Registra na dead-letter um job do Bull que esgotou as tentativas
+   */
+  async recordRedisFailure(queueName, job, error) {
+    const payload = this.toPayload(queueName, job.data);
+
+    return deadLetterService.record({
+      queue: queueName,
+      type: queueName === 'notification' ? payload.type : queueName,
+      payload,
+      source: 'redis',
+      sourceJobId: job.id,
+      errorMessage: error?.message || job.failedReason,
+      attempts: job.attemptsMade,
+      attemptHistory: deadLetterService.historyFromBull(job)
+    });
+  }
+
+  /**
+   * Registra na dead-letter um job da fila no PostgreSQL que esgotou as tentativas
+   */
+  async recordDatabaseFailure(job, error) {
+    const queueName = Object.keys(QUEUE_JOB_TYPES).find(name => QUEUE_JOB_TYPES[name] === job.type) || job.type;
+
+    let payload = {};
+    let history = [];
+    try {
+      payload = job.payload ? JSON.parse(job.payload) : {};
+      history = job.attemptHistory ? JSON.parse(job.attemptHistory) : [];
+    } catch {
+      // Payload inválido: registra mesmo assim para inspeção
+    }
+
+    return deadLetterService.record({
+      queue: queueName,
+      type: queueName === 'notification' ? payload.type || job.type : queueName,
+      payload,
+      source: 'database',
+      sourceJobId: job.id,
+      errorMessage: error?.message || job.errorMessage,
+      attempts: job.attempts,
+      attemptHistory: history,
+      userId: job.userId
+    });
+  }
+
+  /**
+   * Reenfileira um job da dead-letter (Bull com Redis, PostgreSQL sem Redis)
+   * @returns {Promise<Object>} FailedJob atualizado
+   */
+  async retryFailedJob(failedJob) {
+    if (!QUEUE_JOB_TYPES[failedJob.queue]) {
+      throw new Error(`Fila desconhecida: ${failedJob.queue}`);
+    }
+
+    if (!await deadLetterService.claimForRetry(failedJob.id)) {
+      throw new Error('Job já foi reenfileirado ou descartado');
+    }
+
+    let job;
+    try {
+      const payload = JSON.parse(failedJob.payload || '{}');
+
+      if (failedJob.queue === 'notification') {
+        const { type, ...data } = payload;
+        job = await this.addNotificationJob(type, data);
+      } else if (failedJob.queue === 'calendar-sync') {
+        job = await this.addCalendarSyncJob(payload.propertyId);
+      } else {
+        job = await this.addCleanupJob();
+      }
+    } catch (error) {
+      await deadLetterService.releaseRetry(failedJob.id);
+      throw error;
+    }
+
+    return deadLetterService.markRetried(failedJob.id, job?.id);
+  }
+
+  /**
+   * Executa um job da fila no PostgreSQL
+   * Payload de notificação: { type, ...dados }
+   */
+  async processDatabaseJob(job, payload) {
+    if (job.type === QUEUE_JOB_TYPES['calendar-sync']) {
+      return this.syncPropertyCalendar(payload.propertyId);
+    }
+
+    if (job.type === QUEUE_JOB_TYPES.cleanup) {
+      return this.cleanupOldData(payload);
+    }
+
+    if (job.type === QUEUE_JOB_TYPES.notification) {
+      const { type, ...data } = payload;
+      return this.processNotificationSync(type, data);
+    }
+
+    throw new Error(`Tipo de job desconhecido: ${job.type}`);
+  }
+
   /**
    * Adiciona job à fila de notificações
    */
@@ -164,8 +308,7 @@ class QueueService {
       });
     }
 
-    // Modo síncrono (fallback)
-    return this.processNotificationSync(type, data);
+    return jobQueueService.enqueue(QUEUE_JOB_TYPES.notification, { type, ...data }, { name: type });
   }
 
   /**
@@ -186,8 +329,7 @@ class QueueService {
       });
     }
 
-    // Modo síncrono
-    return this.syncPropertyCalendar(propertyId);
+    return jobQueueService.enqueue(QUEUE_JOB_TYPES['calendar-sync'], jobData, { name: `calendar-sync ${propertyId}` });
   }
 
   /**
@@ -201,28 +343,64 @@ class QueueService {
       });
     }
 
-    return this.cleanupOldData({});
+    return jobQueueService.enqueue(QUEUE_JOB_TYPES.cleanup, {}, { name: 'cleanup', maxAttempts: 1 });
   }
 
   /**
-   * Agenda job para execução futura
+   * Agenda job para execução futura na fila do PostgreSQL
+   * @param {string} queue - notification, calendar-sync ou cleanup
+   * @param {Object} data - Notificação: { type, data }
+   * @param {number} delay - Atraso em ms
+   * @param {Object} [options] - name, userId, maxAttempts
+   * @returns {Promise<Object>} ScheduledJob criado
    */
-  async scheduleJob(queue, data, delay) {
-    if (this.useRedis) {
-      const targetQueue =
-        queue === 'notification' ? notificationQueue :
-        queue === 'calendar-sync' ? calendarSyncQueue :
-        cleanupQueue;
-
-      return targetQueue.add(data, { delay });
+  async scheduleJob(queue, data, delay, options = {}) {
+    const type = QUEUE_JOB_TYPES[queue] || QUEUE_JOB_TYPES.cleanup;
+    const payload = queue === 'notification' ? { ...data.data, type: data.type } : data;
+
+    return jobQueueService.enqueue(type, payload, {
+      ...options,
+      runAt: new Date(Date.now() + delay)
+    });
+  }
+
+  /**
+   * Agenda job recorrente (expressão cron) na fila do PostgreSQL
+   * @param {string} queue - notification, calendar-sync ou cleanup
+   * @param {Object} data - Notificação: { type, data }
+   * @param {string} cronExpression - Ex: "0 9 * * FRI"
+   * @param {Object} [options] - name, userId, timezone, maxAttempts
+   * @returns {Promise<Object>} ScheduledJob criado
+   */
+  async scheduleRecurringJob(queue, data, cronExpression, options = {}) {
+    const type = QUEUE_JOB_TYPES[queue] || QUEUE_JOB_TYPES.cleanup;
+    const payload = queue === 'notification' ? { ...data.data, type: data.type } : data;
+
+    return jobQueueService.enqueue(type, payload, { ...options, cronExpression });
+  }
+
+  /**
+   * Cancela notificações pendentes de uma reserva
+   * Remove jobs aguardando na fila (Redis) e marca ScheduledJobs pendentes como cancelados
+   * (a fila no PostgreSQL só executa jobs pendentes).
+   */
+  async cancelReservationJobs(reservationId) {
+    let removed = 0;
+
+    if (this.useRedis && notificationQueue) {
+      const jobs = await notificationQueue.getJobs(['waiting', 'delayed']);
+
+      for (const job of jobs) {
+        if (job.data?.data?.reservationId === reservationId) {
+          await job.remove();
+          removed++;
+        }
+      }
     }
 
-    // Para modo sem Redis, agendar com setTimeout
-    setTimeout(() => {
-      this.processNotificationSync(data.type, data.data);
-    }, delay);
+    const scheduledCancelled = await jobQueueService.cancelReservationJobs(reservationId);
 
-    return { id: Date.now(), delayed: true };
+    return { removed, scheduledCancelled };
   }
 
   /**
@@ -265,6 +443,10 @@ class QueueService {
       throw new Error('Reserva ou hóspede não encontrado');
     }
 
+    if (reservation.status === 'cancelled') {
+      return { success: false, skipped: true, reason: 'reservation_cancelled' };
+    }
+
     const result = await notificationService.sendWelcomeMessage(
       reservation,
       reservation.guest,
@@ -299,6 +481,10 @@ class QueueService {
       throw new Error('Reserva ou hóspede não encontrado');
     }
 
+    if (reservation.status === 'cancelled') {
+      return { success: false, skipped: true, reason: 'reservation_cancelled' };
+    }
+
     const result = await notificationService.sendCheckinReminder(
       reservation,
       reservation.guest,
@@ -332,6 +518,10 @@ class QueueService {
       throw new Error('Reserva ou hóspede não encontrado');
     }
 
+    if (reservation.status === 'cancelled') {
+      return { success: false, skipped: true, reason: 'reservation_cancelled' };
+    }
+
     const result = await notificationService.sendCheckoutReminder(
       reservation,
       reservation.guest,
@@ -361,7 +551,13 @@ class QueueService {
       throw new Error('Propriedade não encontrada');
     }
 
-    return notificationService.sendCleaningNotification(property, checkouts);
+    const result = await notificationService.sendCleaningNotification(property, checkouts);
+
+    if (result.success) {
+      await cleaningService.markNotified(checkouts.map(c => c.taskId).filter(Boolean));
+    }
+
+    return result;
   }
 
   /**
@@ -382,6 +578,10 @@ class QueueService {
       throw new Error('Reserva ou hóspede não encontrado');
     }
 
+    if (reservation.status === 'cancelled') {
+      return { success: false, skipped: true, reason: 'reservation_cancelled' };
+    }
+
     const result = await notificationService.sendReviewRequest(
       reservation,
       reservation.guest,
@@ -399,68 +599,25 @@ class QueueService {
 
   /**
    * Sincroniza calendário de uma propriedade
+   * Percorre todos os feeds (Airbnb, Booking, VRBO e extras) via icalService
    */
   async syncPropertyCalendar(propertyId) {
     const property = await prisma.property.findUnique({
-      where: { id: propertyId }
+      where: { id: propertyId },
+      include: { calendars: true }
     });
 
     if (!property) {
       throw new Error('Propriedade não encontrada');
     }
 
-    const sources = [];
-
-    if (property.icalAirbnb) {
-      sources.push({ url: property.icalAirbnb, source: 'airbnb' });
-    }
-    if (property.icalBooking) {
-      sources.push({ url: property.icalBooking, source: 'booking' });
-    }
-    if (property.icalOther) {
-      sources.push({ url: property.icalOther, source: 'other' });
-    }
-
-    const allReservations = [];
+    const result = await icalService.syncProperty(property);
 
-    for (const { url, source } of sources) {
-      try {
-        const events = await icalService.fetchEvents(url);
-
-        for (const event of events) {
-          if (!event.start || !event.end) continue;
-
-          const existingReservation = await prisma.reservation.findFirst({
-            where: {
-              propertyId,
-              externalId: event.uid,
-              source
-            }
-          });
-
-          if (!existingReservation) {
-            // Criar nova reserva
-            const reservation = await prisma.reservation.create({
-              data: {
-                propertyId,
-                checkinDate: new Date(event.start),
-                checkoutDate: new Date(event.end),
-                source,
-                externalId: event.uid,
-                status: 'confirmed',
-                guestNotes: event.summary || 'Reserva importada',
-                userId: property.userId
-              }
-            });
-            allReservations.push(reservation);
-          }
-        }
-      } catch (error) {
-        console.error(`Erro ao sincronizar ${source}:`, error.message);
-      }
+    for (const error of result.errors) {
+      console.error(`Erro ao sincronizar ${error.source || error.event}:`, error.error);
     }
 
-    return { imported: allReservations.length };
+    return { imported: result.created, ...result };
   }
 
   /**
@@ -474,8 +631,12 @@ class QueueService {
     const results = {
       messageLogs: 0,
       webhookLogs: 0,
+      webhookOutbox: 0,
       processedEvents: 0,
-      auditLogs: 0
+      auditLogs: 0,
+      scheduledJobs: 0,
+      sessions: 0,
+      accountTokens: 0
     };
 
     // Limpar logs de mensagens antigos
@@ -490,6 +651,15 @@ class QueueService {
     });
     results.webhookLogs = deletedWebhookLogs.count;
 
+    // Entregas de webhook encerradas (entregues, falhas definitivas, canceladas)
+    const deletedOutbox = await prisma.webhookOutbox.deleteMany({
+      where: {
+        status: { in: ['delivered', 'failed', 'cancelled'] },
+        updatedAt: { lt: cutoffDate }
+      }
+    });
+    results.webhookOutbox = deletedOutbox.count;
+
     // Limpar eventos processados antigos
     const deletedProcessedEvents = await prisma.processedEvent.deleteMany({
       where: { processedAt: { lt: cutoffDate } }
@@ -504,6 +674,21 @@ class QueueService {
     });
     results.auditLogs = deletedAuditLogs.count;
 
+    // Jobs da fila concluídos ou cancelados
+    const deletedJobs = await prisma.scheduledJob.deleteMany({
+      where: {
+        status: { in: ['completed', 'cancelled'] },
+        updatedAt: { lt: cutoffDate }
+      }
+    });
+    results.scheduledJobs = deletedJobs.count;
+
+    // Sessões expiradas/revogadas
+    results.sessions = await sessionService.cleanup();
+
+    // Tokens de redefinição/verificação expirados
+    results.accountTokens = await accountService.cleanup();
+
     console.log('🧹 Limpeza concluída:', results);
     return results;
   }
@@ -512,10 +697,16 @@ class QueueService {
    * Retorna estatísticas das filas
    */
   async getStats() {
+    const [databaseJobs, deadLetter] = await Promise.all([
+      jobQueueService.getStats(),
+      deadLetterService.countPending()
+    ]);
+
     if (!this.useRedis) {
       return {
-        mode: 'in-memory',
-        pendingJobs: this.pendingJobs.length
+        mode: 'database',
+        jobs: databaseJobs,
+        deadLetter
       };
     }
 
@@ -548,7 +739,9 @@ class QueueService {
       },
       cleanup: {
         waiting: cleanupWaiting
-      }
+      },
+      scheduled: databaseJobs,
+      deadLetter
     };
   }
 
@@ -556,10 +749,12 @@ class QueueService {
    * Limpa todas as filas (para testes)
    */
   async clearAllQueues() {
-    if (!this.useRedis) {
-      this.pendingJobs = [];
-      return;
-    }
+    await prisma.scheduledJob.updateMany({
+      where: { status: 'pending', cronExpression: null },
+      data: { status: 'cancelled' }
+    });
+
+    if (!this.useRedis) return;
 
     await Promise.all([
       notificationQueue.empty(),
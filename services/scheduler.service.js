@@ -3,20 +3,26 @@
  *
  * Gerencia tarefas automáticas:
  * - Envio de lembretes de check-in/checkout
- * - Notificações de limpeza
+ * - Notificações de limpeza (com confirmação pelo funcionário e aviso ao anfitrião)
  * - Sincronização de calendários
  * - Limpeza de dados antigos
  * - Solicitações de avaliação
+ * - Lembretes de manutenção e geração das manutenções preventivas
+ * - Regras de automação configuradas pelos usuários
  */
 
 import cron from 'node-cron';
-import dayjs from 'dayjs';
 import prisma from '../lib/prisma.js';
+import { getLocalDayWindow, getLocalHour, resolveTimeZone } from '../utils/dates.js';
 import queueService from './queue.service.js';
 import notificationService from './notification.service.js';
 import icalService from './ical.service.js';
-import webhookService from './webhook.service.js';
+import automationService from './automation.service.js';
+import cleaningService from './cleaning.service.js';
 import whatsappService from './whatsapp.service.js';
+import maintenanceService from './maintenance.service.js';
+import leaderService from './leader.service.js';
+import { AUTOMATION_TRIGGERS } from '../utils/constants.js';
 
 class SchedulerService {
   constructor() {
@@ -37,24 +43,48 @@ class SchedulerService {
       await this.syncAllCalendars();
     });
 
-    // Job: Enviar lembretes de check-in (08:00 diariamente)
-    this.addJob('checkin-reminders', '0 8 * * *', async () => {
-      await this.sendCheckinReminders();
+    // Jobs diários rodam a cada hora e atendem os imóveis cujo horário local
+    // coincide com o horário do job (ver getLocalDayWindows)
+
+    // Job: Enviar lembretes de check-in (08:00 no fuso do imóvel)
+    this.addJob('checkin-reminders', '0 * * * *', async () => {
+      await this.sendCheckinReminders({ hour: 8 });
+    });
+
+    // Job: Enviar lembretes de checkout (08:00 no fuso do imóvel)
+    this.addJob('checkout-reminders', '0 * * * *', async () => {
+      await this.sendCheckoutReminders({ hour: 8 });
+    });
+
+    // Job: Notificar funcionários sobre limpezas (07:00 no fuso do imóvel)
+    this.addJob('cleaning-notifications', '0 * * * *', async () => {
+      await this.sendCleaningNotifications({ hour: 7 });
+    });
+
+    // Job: Avisar o anfitrião sobre limpezas não confirmadas (a cada 15 minutos)
+    this.addJob('cleaning-escalations', '*/15 * * * *', async () => {
+      await cleaningService.escalateUnconfirmedTasks();
     });
 
-    // Job: Enviar lembretes de checkout (08:00 diariamente)
-    this.addJob('checkout-reminders', '0 8 * * *', async () => {
-      await this.sendCheckoutReminders();
+    // Job: Lembrar responsáveis das manutenções que vencem hoje (08:00 no fuso do imóvel)
+    this.addJob('maintenance-reminders', '0 * * * *', async () => {
+      await this.sendMaintenanceReminders({ hour: 8 });
     });
 
-    // Job: Notificar funcionários sobre limpezas (07:00 diariamente)
-    this.addJob('cleaning-notifications', '0 7 * * *', async () => {
-      await this.sendCleaningNotifications();
+    // Job: Gerar tarefas das agendas de manutenção preventiva (diário, 05:00)
+    this.addJob('maintenance-schedules', '0 5 * * *', async () => {
+      await maintenanceService.generateScheduledTasks();
     });
 
-    // Job: Enviar solicitações de avaliação (18:00 diariamente)
-    this.addJob('review-requests', '0 18 * * *', async () => {
-      await this.sendReviewRequests();
+    // Job: Enviar solicitações de avaliação (18:00 no fuso do imóvel)
+    this.addJob('review-requests', '0 * * * *', async () => {
+      await this.sendReviewRequests({ hour: 18 });
+    });
+
+    // Job: Avaliar regras de automação dos usuários (a cada 15 minutos)
+    // Usuários com regras ativas deixam de receber os lembretes fixos acima
+    this.addJob('automation-rules', '*/15 * * * *', async () => {
+      await automationService.evaluateAllRules();
     });
 
     // Job: Limpeza de dados antigos (03:00 aos domingos)
@@ -62,9 +92,9 @@ class SchedulerService {
       await queueService.addCleanupJob();
     });
 
-    // Job: Verificar reservas do dia (06:00 diariamente)
-    this.addJob('daily-summary', '0 6 * * *', async () => {
-      await this.generateDailySummary();
+    // Job: Verificar reservas do dia (06:00 no fuso do imóvel)
+    this.addJob('daily-summary', '0 * * * *', async () => {
+      await this.generateDailySummary({ hour: 6 });
     });
 
     this.isRunning = true;
@@ -88,6 +118,9 @@ class SchedulerService {
    */
   addJob(name, schedule, handler) {
     const job = cron.schedule(schedule, async () => {
+      // Instância rebaixada (lease perdido) não executa mais, mesmo antes do stop()
+      if (!leaderService.isLeader) return;
+
       console.log(`🔄 Executando job '${name}'...`);
       const start = Date.now();
 
@@ -125,8 +158,16 @@ class SchedulerService {
         return this.sendCheckoutReminders();
       case 'cleaning-notifications':
         return this.sendCleaningNotifications();
+      case 'cleaning-escalations':
+        return cleaningService.escalateUnconfirmedTasks();
+      case 'maintenance-reminders':
+        return this.sendMaintenanceReminders();
+      case 'maintenance-schedules':
+        return maintenanceService.generateScheduledTasks();
       case 'review-requests':
         return this.sendReviewRequests();
+      case 'automation-rules':
+        return automationService.evaluateAllRules();
       case 'cleanup':
         return queueService.addCleanupJob();
       case 'daily-summary':
@@ -136,6 +177,37 @@ class SchedulerService {
     }
   }
 
+  /**
+   * Agrupa os imóveis por fuso e calcula a janela do dia local de cada grupo
+   * Sem `hour` (execução manual) retorna todos os fusos.
+   * @param {Object} options
+   * @param {number} [options.hour] - Só inclui fusos cuja hora local atual é esta
+   * @param {number} [options.dayOffset=0] - Dia relativo ao dia local (1 = amanhã, -1 = ontem)
+   * @returns {Promise<Array<{timezone, propertyIds, date, start, end}>>}
+   */
+  async getLocalDayWindows({ hour, dayOffset = 0 } = {}) {
+    const properties = await prisma.property.findMany({
+      select: { id: true, timezone: true }
+    });
+
+    const byZone = new Map();
+
+    for (const property of properties) {
+      const timezone = resolveTimeZone(property.timezone);
+      if (!byZone.has(timezone)) byZone.set(timezone, []);
+      byZone.get(timezone).push(property.id);
+    }
+
+    const windows = [];
+
+    for (const [timezone, propertyIds] of byZone) {
+      if (hour !== undefined && getLocalHour(timezone) !== hour) continue;
+      windows.push({ timezone, propertyIds, ...getLocalDayWindow(timezone, dayOffset) });
+    }
+
+    return windows;
+  }
+
   /**
    * Sincroniza calendários de todas as propriedades
    */
@@ -146,7 +218,8 @@ class SchedulerService {
         OR: [
           { icalAirbnb: { not: null } },
           { icalBooking: { not: null } },
-          { icalOther: { not: null } }
+          { icalOther: { not: null } },
+          { calendars: { some: { isEnabled: true } } }
         ]
       }
     });
@@ -157,17 +230,9 @@ class SchedulerService {
 
     for (const property of properties) {
       try {
+        // calendar.synced é gravado pelo icalService junto com o estado de cada feed
         const result = await queueService.syncPropertyCalendar(property.id);
         totalImported += result.imported || 0;
-
-        // Disparar webhook
-        if (result.imported > 0) {
-          await webhookService.trigger('calendar.synced', {
-            propertyId: property.id,
-            propertyName: property.name,
-            imported: result.imported
-          }, property.userId);
-        }
       } catch (error) {
         console.error(`Erro ao sincronizar propriedade ${property.id}:`, error.message);
       }
@@ -178,18 +243,18 @@ class SchedulerService {
 
   /**
    * Envia lembretes de check-in para hóspedes
-   * (Para check-ins que ocorrem amanhã)
+   * (Para check-ins que ocorrem amanhã no fuso do imóvel)
    */
-  async sendCheckinReminders() {
-    const tomorrow = dayjs().add(1, 'day').startOf('day').toDate();
-    const dayAfter = dayjs().add(2, 'day').startOf('day').toDate();
+  async sendCheckinReminders({ hour } = {}) {
+    const windows = await this.getLocalDayWindows({ hour, dayOffset: 1 });
+    if (windows.length === 0) return { sent: 0, failed: 0 };
 
     const reservations = await prisma.reservation.findMany({
       where: {
-        checkinDate: {
-          gte: tomorrow,
-          lt: dayAfter
-        },
+        OR: windows.map(({ propertyIds, start, end }) => ({
+          propertyId: { in: propertyIds },
+          checkinDate: { gte: start, lt: end }
+        })),
         status: 'confirmed',
         checkinReminderSent: false
       },
@@ -201,11 +266,14 @@ class SchedulerService {
 
     console.log(`📬 Enviando ${reservations.length} lembrete(s) de check-in`);
 
+    // Reservas atendidas por regras "antes do check-in" não recebem o lembrete fixo
+    const coverage = await automationService.getRuleCoverage(AUTOMATION_TRIGGERS.BEFORE_CHECKIN);
     let sent = 0;
     let failed = 0;
 
     for (const reservation of reservations) {
       if (!reservation.guest) continue;
+      if (automationService.isCovered(coverage, reservation.property.userId, reservation.propertyId)) continue;
 
       try {
         await queueService.addNotificationJob('checkin_reminder', {
@@ -224,18 +292,18 @@ class SchedulerService {
 
   /**
    * Envia lembretes de checkout para hóspedes
-   * (Para checkouts que ocorrem amanhã)
+   * (Para checkouts que ocorrem amanhã no fuso do imóvel)
    */
-  async sendCheckoutReminders() {
-    const tomorrow = dayjs().add(1, 'day').startOf('day').toDate();
-    const dayAfter = dayjs().add(2, 'day').startOf('day').toDate();
+  async sendCheckoutReminders({ hour } = {}) {
+    const windows = await this.getLocalDayWindows({ hour, dayOffset: 1 });
+    if (windows.length === 0) return { sent: 0 };
 
     const reservations = await prisma.reservation.findMany({
       where: {
-        checkoutDate: {
-          gte: tomorrow,
-          lt: dayAfter
-        },
+        OR: windows.map(({ propertyIds, start, end }) => ({
+          propertyId: { in: propertyIds },
+          checkoutDate: { gte: start, lt: end }
+        })),
         status: 'confirmed',
         checkoutReminderSent: false
       },
@@ -268,73 +336,95 @@ class SchedulerService {
 
   /**
    * Envia notificações de limpeza para funcionários
-   * (Para checkouts de hoje)
+   * (Para checkouts de hoje no fuso do imóvel)
    */
-  async sendCleaningNotifications() {
-    // Verificar se WhatsApp está conectado
-    const whatsappStatus = whatsappService.getStatus();
-    if (whatsappStatus.status !== 'connected') {
-      console.log('⚠️ WhatsApp não conectado. Pulando notificações de limpeza.');
-      return { sent: 0, reason: 'whatsapp_disconnected' };
-    }
+  async sendCleaningNotifications({ hour } = {}) {
+    const windows = await this.getLocalDayWindows({ hour });
 
-    const today = dayjs().startOf('day').toDate();
-    const tomorrow = dayjs().add(1, 'day').startOf('day').toDate();
+    // Agrupar por funcionário (e dia local, caso atenda imóveis em fusos diferentes)
+    const byEmployee = new Map();
 
-    // Buscar propriedades com checkout hoje
-    const properties = await prisma.property.findMany({
-      where: {
-        isActive: true,
-        reservations: {
-          some: {
-            checkoutDate: {
-              gte: today,
-              lt: tomorrow
-            },
-            status: 'confirmed'
+    for (const { propertyIds, start: today, end: tomorrow } of windows) {
+      // Buscar propriedades com checkout hoje
+      const properties = await prisma.property.findMany({
+        where: {
+          id: { in: propertyIds },
+          isActive: true,
+          reservations: {
+            some: {
+              checkoutDate: {
+                gte: today,
+                lt: tomorrow
+              },
+              status: 'confirmed'
+            }
           }
-        }
-      },
-      include: {
-        reservations: {
-          where: {
-            checkoutDate: {
-              gte: today,
-              lt: tomorrow
+        },
+        include: {
+          reservations: {
+            where: {
+              checkoutDate: {
+                gte: today,
+                lt: tomorrow
+              },
+              status: 'confirmed'
             },
-            status: 'confirmed'
+            select: { id: true, checkoutTime: true },
+            take: 1
           }
         }
-      }
-    });
+      });
 
-    // Agrupar por funcionário
-    const byEmployee = new Map();
+      for (const property of properties) {
+        const phone = property.employeePhone;
+        if (!phone) continue;
 
-    for (const property of properties) {
-      const phone = property.employeePhone;
-      if (!phone) continue;
+        const key = `${property.userId}:${phone}:${today.toISOString()}`;
 
-      if (!byEmployee.has(phone)) {
-        byEmployee.set(phone, {
-          employeeName: property.employeeName,
-          checkouts: []
+        if (!byEmployee.has(key)) {
+          byEmployee.set(key, {
+            phone,
+            today,
+            userId: property.userId,
+            employeeName: property.employeeName,
+            checkouts: []
+          });
+        }
+
+        const [reservation] = property.reservations;
+
+        byEmployee.get(key).checkouts.push({
+          propertyId: property.id,
+          propertyName: property.name,
+          reservationId: reservation?.id,
+          checkoutTime: reservation?.checkoutTime || property.checkoutTime || '11:00'
         });
       }
-
-      byEmployee.get(phone).checkouts.push({
-        propertyId: property.id,
-        propertyName: property.name,
-        checkoutTime: property.checkoutTime || '11:00'
-      });
     }
 
     console.log(`🧹 Enviando notificações de limpeza para ${byEmployee.size} funcionário(s)`);
 
     let sent = 0;
+    let skipped = 0;
+
+    // Status da instância de WhatsApp de cada anfitrião (consultado uma vez por execução)
+    const connected = new Map();
 
-    for (const [phone, data] of byEmployee) {
+    for (const { phone, today, userId, ...data } of byEmployee.values()) {
       try {
+        // WhatsApp do anfitrião desconectado: não cria as tarefas nem marca o dia,
+        // senão o anfitrião seria avisado de limpezas que o funcionário nunca recebeu
+        if (!connected.has(userId)) {
+          const status = await whatsappService.getUserStatus(userId);
+          connected.set(userId, status.connected);
+        }
+
+        if (!connected.get(userId)) {
+          console.log(`⚠️ WhatsApp do usuário ${userId} não conectado. Pulando notificação de limpeza para ${phone}`);
+          skipped++;
+          continue;
+        }
+
         // Verificar se já foi notificado hoje
         const alreadySent = await prisma.processedEvent.findFirst({
           where: {
@@ -349,9 +439,16 @@ class SchedulerService {
           continue;
         }
 
+        // Tarefas numeradas para o funcionário confirmar pelo WhatsApp ("1 ok", "2 feito")
+        const tasks = await cleaningService.createTasks(today, { phone, employeeName: data.employeeName }, data.checkouts);
+
         await queueService.addNotificationJob('cleaning', {
           propertyId: data.checkouts[0].propertyId,
-          checkouts: data.checkouts
+          checkouts: data.checkouts.map((checkout, index) => ({
+            ...checkout,
+            taskId: tasks[index].id,
+            position: tasks[index].position
+          }))
         });
 
         // Marcar como processado
@@ -381,23 +478,47 @@ class SchedulerService {
       }
     }
 
+    return { sent, skipped };
+  }
+
+  /**
+   * Envia lembretes de manutenção aos responsáveis
+   * (Para tarefas que vencem hoje no fuso do imóvel)
+   */
+  async sendMaintenanceReminders({ hour } = {}) {
+    const windows = await this.getLocalDayWindows({ hour });
+    let sent = 0;
+
+    for (const window of windows) {
+      try {
+        const result = await maintenanceService.sendDueReminders(window);
+        sent += result.sent;
+      } catch (error) {
+        console.error(`Erro ao enviar lembretes de manutenção (${window.timezone}):`, error.message);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`🔧 ${sent} lembrete(s) de manutenção enviado(s)`);
+    }
+
     return { sent };
   }
 
   /**
    * Envia solicitações de avaliação
-   * (Para checkouts que ocorreram ontem)
+   * (Para checkouts que ocorreram ontem no fuso do imóvel)
    */
-  async sendReviewRequests() {
-    const yesterday = dayjs().subtract(1, 'day').startOf('day').toDate();
-    const today = dayjs().startOf('day').toDate();
+  async sendReviewRequests({ hour } = {}) {
+    const windows = await this.getLocalDayWindows({ hour, dayOffset: -1 });
+    if (windows.length === 0) return { sent: 0 };
 
     const reservations = await prisma.reservation.findMany({
       where: {
-        checkoutDate: {
-          gte: yesterday,
-          lt: today
-        },
+        OR: windows.map(({ propertyIds, start, end }) => ({
+          propertyId: { in: propertyIds },
+          checkoutDate: { gte: start, lt: end }
+        })),
         status: 'confirmed',
         reviewRequestSent: false
       },
@@ -409,16 +530,22 @@ class SchedulerService {
 
     console.log(`⭐ Enviando ${reservations.length} solicitação(ões) de avaliação`);
 
+    const coverage = await automationService.getRuleCoverage(AUTOMATION_TRIGGERS.AFTER_CHECKOUT);
     let sent = 0;
 
     for (const reservation of reservations) {
       if (!reservation.guest) continue;
 
+      // Reserva atendida por regra "após o checkout": só conclui, o envio fica com a regra
+      const useRules = automationService.isCovered(coverage, reservation.property.userId, reservation.propertyId);
+
       try {
-        await queueService.addNotificationJob('review_request', {
-          reservationId: reservation.id,
-          channel: reservation.guest.email ? 'email' : 'whatsapp'
-        });
+        if (!useRules) {
+          await queueService.addNotificationJob('review_request', {
+            reservationId: reservation.id,
+            channel: reservation.guest.email ? 'email' : 'whatsapp'
+          });
+        }
 
         // Marcar como completada
         await prisma.reservation.update({
@@ -426,7 +553,7 @@ class SchedulerService {
           data: { status: 'completed' }
         });
 
-        sent++;
+        if (!useRules) sent++;
       } catch (error) {
         console.error(`Erro ao enviar solicitação para reserva ${reservation.id}:`, error.message);
       }
@@ -437,38 +564,47 @@ class SchedulerService {
 
   /**
    * Gera resumo diário de reservas
+   * (Check-ins e checkouts de hoje no fuso de cada imóvel)
    */
-  async generateDailySummary() {
-    const today = dayjs().startOf('day').toDate();
-    const tomorrow = dayjs().add(1, 'day').startOf('day').toDate();
+  async generateDailySummary({ hour } = {}) {
+    const windows = await this.getLocalDayWindows({ hour });
 
-    const [checkinsToday, checkoutsToday, totalReservations] = await Promise.all([
-      prisma.reservation.count({
-        where: {
-          checkinDate: { gte: today, lt: tomorrow },
-          status: 'confirmed'
-        }
-      }),
-      prisma.reservation.count({
-        where: {
-          checkoutDate: { gte: today, lt: tomorrow },
-          status: 'confirmed'
-        }
-      }),
-      prisma.reservation.count({
-        where: {
-          status: { in: ['pending', 'confirmed'] }
-        }
-      })
-    ]);
+    const zones = [];
+
+    for (const { timezone, date, propertyIds, start, end } of windows) {
+      const [checkinsToday, checkoutsToday, totalReservations] = await Promise.all([
+        prisma.reservation.count({
+          where: {
+            propertyId: { in: propertyIds },
+            checkinDate: { gte: start, lt: end },
+            status: 'confirmed'
+          }
+        }),
+        prisma.reservation.count({
+          where: {
+            propertyId: { in: propertyIds },
+            checkoutDate: { gte: start, lt: end },
+            status: 'confirmed'
+          }
+        }),
+        prisma.reservation.count({
+          where: {
+            propertyId: { in: propertyIds },
+            status: { in: ['pending', 'confirmed'] }
+          }
+        })
+      ]);
+
+      console.log(`📊 Resumo do dia ${date} (${timezone}): ${checkinsToday} check-ins, ${checkoutsToday} checkouts, ${totalReservations} reservas ativas`);
 
-    console.log(`📊 Resumo do dia: ${checkinsToday} check-ins, ${checkoutsToday} checkouts, ${totalReservations} reservas ativas`);
+      zones.push({ timezone, date, checkinsToday, checkoutsToday, totalReservations });
+    }
 
     return {
-      date: today,
-      checkinsToday,
-      checkoutsToday,
-      totalReservations
+      zones,
+      checkinsToday: zones.reduce((sum, z) => sum + z.checkinsToday, 0),
+      checkoutsToday: zones.reduce((sum, z) => sum + z.checkoutsToday, 0),
+      totalReservations: zones.reduce((sum, z) => sum + z.totalReservations, 0)
     };
   }
 
@@ -0,0 +1,206 @@
+/**
+ * Serviço de Sessões
+ *
+ * Login gera um access token curto (JWT com o id da sessão) e um refresh token
+ * guardado apenas como hash. Cada renovação troca o refresh token; apresentar
+ * um token já trocado indica vazamento e revoga a sessão inteira.
+ *
+ * O authMiddleware rejeita access tokens de sessões revogadas ou expiradas.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import { JWT_SECRET } from '../middleware/auth.middleware.js';
+import { DEFAULTS } from '../utils/constants.js';
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  getExpiry(now = new Date()) {
+    return new Date(now.getTime() + DEFAULTS.REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  signAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, { expiresIn: DEFAULTS.TOKEN_EXPIRY });
+  }
+
+  /**
+   * Resposta padrão de login/renovação
+   */
+  buildTokens(session, refreshToken) {
+    return {
+      token: this.signAccessToken(session.userId, session.id),
+      refreshToken,
+      expiresIn: DEFAULTS.TOKEN_EXPIRY,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Cria uma sessão para o dispositivo da requisição
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: string, sessionId: number}>}
+   */
+  async createSession(userId, req) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await prisma.session.create({
+      data: {
+        userId,
+        refreshTokenHash: this.hashToken(refreshToken),
+        userAgent: req?.get?.('user-agent') || null,
+        ipAddress: req?.ip || null,
+        expiresAt: this.getExpiry()
+      }
+    });
+
+    return this.buildTokens(session, refreshToken);
+  }
+
+  /**
+   * Troca o refresh token por um novo par de tokens
+   * @returns {Promise<{tokens?: Object, error?: string, session?: Object}>}
+   *   error: 'invalid' (desconhecido/expirado/revogado), 'reused' (token antigo reapresentado)
+   *   ou 'inactive' (usuário desativado; a sessão é revogada)
+   */
+  async rotate(refreshToken, req, now = new Date()) {
+    const hash = this.hashToken(refreshToken);
+
+    const session = await prisma.session.findUnique({
+      where: { refreshTokenHash: hash },
+      include: { user: { select: { isActive: true } } }
+    });
+
+    if (!session) {
+      const reused = await prisma.session.findFirst({
+        where: { previousTokenHash: hash, revokedAt: null }
+      });
+
+      if (reused) {
+        await this.revoke(reused.userId, reused.id, now);
+        return { error: 'reused', session: reused };
+      }
+
+      return { error: 'invalid' };
+    }
+
+    if (session.revokedAt || session.expiresAt <= now) {
+      return { error: 'invalid' };
+    }
+
+    if (!session.user?.isActive) {
+      await this.revoke(session.userId, session.id, now);
+      return { error: 'inactive', session };
+    }
+
+    const nextToken = this.generateRefreshToken();
+
+    // Condicional no hash atual: duas renovações simultâneas com o mesmo token não geram duas sessões válidas
+    const { count } = await prisma.session.updateMany({
+      where: { id: session.id, refreshTokenHash: hash },
+      data: {
+        refreshTokenHash: this.hashToken(nextToken),
+        previousTokenHash: hash,
+        lastUsedAt: now,
+        expiresAt: this.getExpiry(now),
+        userAgent: req?.get?.('user-agent') || session.userAgent,
+        ipAddress: req?.ip || session.ipAddress
+      }
+    });
+
+    if (count === 0) {
+      return { error: 'invalid' };
+    }
+
+    return { tokens: this.buildTokens(session, nextToken), session };
+  }
+
+  /**
+   * Sessão válida (não revogada e não expirada)
+   */
+  async findActive(sessionId, now = new Date()) {
+    if (!sessionId) return null;
+
+    return prisma.session.findFirst({
+      where: { id: sessionId, revokedAt: null, expiresAt: { gt: now } }
+    });
+  }
+
+  /**
+   * Sessões ativas do usuário (dispositivos conectados)
+   */
+  async list(userId, now = new Date()) {
+    return prisma.session.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: now } },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoga uma sessão do usuário
+   * @returns {Promise<boolean>} false se a sessão não existe ou já estava revogada
+   */
+  async revoke(userId, sessionId, now = new Date()) {
+    const { count } = await prisma.session.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: now }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Revoga todas as sessões do usuário (opcionalmente mantendo uma)
+   * @returns {Promise<number>} quantidade de sessões revogadas
+   */
+  async revokeAll(userId, { exceptSessionId = null, now = new Date() } = {}) {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { not: exceptSessionId } })
+      },
+      data: { revokedAt: now }
+    });
+
+    return count;
+  }
+
+  /**
+   * Remove sessões expiradas ou revogadas há mais de N dias
+   */
+  async cleanup(daysToKeep = 30) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - daysToKeep);
+
+    const { count } = await prisma.session.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lt: cutoff } },
+          { revokedAt: { lt: cutoff } }
+        ]
+      }
+    });
+
+    return count;
+  }
+}
+
+// Singleton
+const sessionService = new SessionService();
+
+export default sessionService;
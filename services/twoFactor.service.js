@@ -0,0 +1,293 @@
+/**
+ * Serviço de Autenticação em Dois Fatores (TOTP - RFC 6238)
+ *
+ * Fluxo:
+ * 1. setup: gera o segredo (guardado criptografado) e o URI otpauth:// para o app autenticador
+ * 2. enable: confirma o primeiro código e devolve os códigos de recuperação (uma única vez)
+ * 3. login: após a senha, a API devolve um token pendente; a sessão só é criada
+ *    em POST /api/auth/login/2fa com um código válido ou um código de recuperação
+ *
+ * Organizações com requireTwoFactor bloqueiam membros sem 2FA (authMiddleware).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import { JWT_SECRET } from '../middleware/auth.middleware.js';
+import { DEFAULTS } from '../utils/constants.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // Aceita um intervalo antes/depois (relógio do celular adiantado/atrasado)
+const ISSUER = 'Mevo';
+const PENDING_PURPOSE = '2fa_pending';
+
+class TwoFactorService {
+  // =============================================
+  // TOTP
+  // =============================================
+
+  base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Segredo base32 inválido');
+      bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Código HOTP de um intervalo
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  getStep(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+  }
+
+  /**
+   * Verifica o código dentro da janela de tolerância
+   * @param {number|null} lastStep - Último intervalo aceito; códigos até ele são recusados
+   * @returns {number|null} Intervalo aceito, ou null se o código é inválido
+   */
+  verifyCode(secret, code, lastStep = null, now = new Date()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = this.getStep(now);
+
+    for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+      if (lastStep !== null && step <= lastStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+      `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  }
+
+  // =============================================
+  // SEGREDO CRIPTOGRAFADO
+  // =============================================
+
+  getEncryptionKey() {
+    return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // =============================================
+  // CÓDIGOS DE RECUPERAÇÃO
+  // =============================================
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Gera códigos no formato xxxxx-xxxxx
+   * @returns {{codes: string[], hashes: string[]}}
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: DEFAULTS.TWO_FACTOR_RECOVERY_CODES }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  // =============================================
+  // CADASTRO
+  // =============================================
+
+  /**
+   * Inicia o cadastro (substitui um cadastro pendente)
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   */
+  async setup(user) {
+    const secret = this.base32Encode(crypto.randomBytes(20));
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: this.encryptSecret(secret),
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+
+    return { secret, otpauthUri: this.buildOtpauthUri(secret, user.email) };
+  }
+
+  /**
+   * Confirma o cadastro com o primeiro código do app
+   * @returns {Promise<string[]|null>} Códigos de recuperação, ou null se o código é inválido
+   */
+  async enable(user, code) {
+    if (!user.twoFactorSecret) return null;
+
+    const step = this.verifyCode(this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) return null;
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: hashes
+      }
+    });
+
+    return codes;
+  }
+
+  async disable(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+  }
+
+  /**
+   * Substitui os códigos de recuperação
+   * @returns {Promise<string[]>}
+   */
+  async regenerateRecoveryCodes(userId) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorRecoveryCodes: hashes }
+    });
+
+    return codes;
+  }
+
+  // =============================================
+  // VERIFICAÇÃO
+  // =============================================
+
+  /**
+   * Valida o código do app ou um código de recuperação (que é descartado)
+   * A condição no último intervalo / na lista impede o reuso em requisições simultâneas.
+   * @returns {Promise<{method: string, remainingRecoveryCodes?: number}|null>}
+   */
+  async verify(user, { code, recoveryCode }, now = new Date()) {
+    if (!user.twoFactorEnabledAt || !user.twoFactorSecret) return null;
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      if (!user.twoFactorRecoveryCodes.includes(hash)) return null;
+
+      const remaining = user.twoFactorRecoveryCodes.filter(item => item !== hash);
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, twoFactorRecoveryCodes: { has: hash } },
+        data: { twoFactorRecoveryCodes: remaining }
+      });
+
+      return count > 0 ? { method: 'recovery_code', remainingRecoveryCodes: remaining.length } : null;
+    }
+
+    const step = this.verifyCode(this.decryptSecret(user.twoFactorSecret), code, user.twoFactorLastStep, now);
+    if (step === null) return null;
+
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+      },
+      data: { twoFactorLastStep: step }
+    });
+
+    return count > 0 ? { method: 'totp' } : null;
+  }
+
+  // =============================================
+  // LOGIN EM DUAS ETAPAS
+  // =============================================
+
+  /**
+   * Token entregue após a senha; não dá acesso à API (não tem sessão)
+   */
+  signPendingToken(userId) {
+    return jwt.sign({ id: userId, purpose: PENDING_PURPOSE }, JWT_SECRET, {
+      expiresIn: DEFAULTS.TWO_FACTOR_PENDING_EXPIRY
+    });
+  }
+
+  /**
+   * @returns {number|null} id do usuário, ou null se o token é inválido/expirado
+   */
+  verifyPendingToken(token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      return decoded.purpose === PENDING_PURPOSE ? decoded.id : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Singleton
+const twoFactorService = new TwoFactorService();
+
+export default twoFactorService;
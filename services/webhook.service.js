@@ -2,12 +2,15 @@
  * Serviço de Webhooks
  *
  * Dispara eventos para URLs externas quando ações ocorrem no sistema.
+ * Os eventos passam pelo outbox (webhook_outbox) e são entregues em segundo
+ * plano com novas tentativas (ver webhookDispatcher.service.js).
  *
  * Eventos suportados:
  * - reservation.created
  * - reservation.updated
  * - reservation.cancelled
  * - reservation.completed
+ * - reservation.conflict
  * - guest.created
  * - guest.updated
  * - message.sent
@@ -15,24 +18,31 @@
  * - property.created
  * - property.updated
  * - calendar.synced
+ * - maintenance.created
+ * - maintenance.started
+ * - maintenance.completed
+ * - maintenance.cancelled
+ * - maintenance.reopened
  */
 
 import crypto from 'crypto';
 import prisma from '../lib/prisma.js';
+import { DEFAULTS } from '../utils/constants.js';
 
 class WebhookService {
-  constructor() {
-    this.maxRetries = 3;
-    this.retryDelay = 5000; // 5 segundos
-  }
-
   /**
-   * Dispara um evento para todos os webhooks ativos que escutam esse evento
+   * Grava o evento no outbox para todos os webhooks ativos que escutam esse evento
+   * A entrega é feita pelo dispatcher (webhookDispatcher.service.js), fora da requisição.
+   *
+   * Com `client` (transação do Prisma) o outbox é gravado junto com a alteração
+   * que gerou o evento: se a transação falhar, nenhum webhook é enviado.
+   *
    * @param {string} event - Nome do evento (ex: 'reservation.created')
    * @param {Object} payload - Dados do evento
    * @param {number} [userId] - ID do usuário (para filtrar webhooks)
+   * @param {Object} [client] - Cliente Prisma ou transação (tx)
    */
-  async trigger(event, payload, userId = null) {
+  async trigger(event, payload, userId = null, client = prisma) {
     try {
       // Buscar webhooks ativos que escutam este evento
       const whereClause = {
@@ -44,34 +54,51 @@ class WebhookService {
         whereClause.userId = userId;
       }
 
-      const webhooks = await prisma.webhook.findMany({
-        where: whereClause
+      const webhooks = await client.webhook.findMany({
+        where: whereClause,
+        select: { id: true }
       });
 
       if (webhooks.length === 0) {
-        return { triggered: 0 };
+        return { queued: 0 };
       }
 
-      console.log(`🔔 Disparando evento '${event}' para ${webhooks.length} webhook(s)`);
+      const data = JSON.stringify(payload);
 
-      const results = await Promise.allSettled(
-        webhooks.map((webhook) => this.sendWebhook(webhook, event, payload))
-      );
+      await client.webhookOutbox.createMany({
+        data: webhooks.map(webhook => ({
+          event,
+          payload: data,
+          webhookId: webhook.id
+        }))
+      });
 
-      const successful = results.filter((r) => r.status === 'fulfilled' && r.value.success).length;
-      const failed = results.filter((r) => r.status === 'rejected' || !r.value?.success).length;
+      console.log(`🔔 Evento '${event}' enfileirado para ${webhooks.length} webhook(s)`);
 
-      return { triggered: webhooks.length, successful, failed };
+      return { queued: webhooks.length };
     } catch (error) {
-      console.error('Erro ao disparar webhooks:', error);
-      return { triggered: 0, error: error.message };
+      // Dentro de uma transação o erro sobe para desfazer a alteração
+      if (client !== prisma) throw error;
+
+      console.error('Erro ao enfileirar webhooks:', error);
+      return { queued: 0, error: error.message };
     }
   }
 
   /**
-   * Envia um webhook para uma URL específica
+   * Envia o evento para a URL do webhook (uma tentativa, registrada em WebhookLog)
+   * Respostas fora de 2xx contam como falha.
+   * @param {Object} webhook
+   * @param {string} event
+   * @param {Object} payload
+   * @param {Object} [options]
+   * @param {number} [options.outboxId] - Entrega do outbox (enviada em X-Webhook-Delivery)
+   * @param {number} [options.attempt=1] - Número da tentativa
+   * @param {boolean} [options.final=true] - Falha conta em failureCount (última tentativa)
+   * @param {number} [options.redeliveredFromId] - Log original, quando é um reenvio
+   * @returns {Promise<{success: boolean, statusCode?: number, error?: string, log?: Object}>}
    */
-  async sendWebhook(webhook, event, payload, attempt = 1) {
+  async sendWebhook(webhook, event, payload, { outboxId = null, attempt = 1, final = true, redeliveredFromId = null } = {}) {
     const timestamp = Date.now();
     const body = JSON.stringify({
       event,
@@ -84,6 +111,9 @@ class WebhookService {
       ? this.calculateSignature(body, webhook.secret)
       : null;
 
+    let statusCode = null;
+    let responseText = null;
+
     try {
       const response = await fetch(webhook.url, {
         method: 'POST',
@@ -92,16 +122,22 @@ class WebhookService {
           'X-Webhook-Event': event,
           'X-Webhook-Timestamp': timestamp.toString(),
           'X-Webhook-Signature': signature || '',
+          'X-Webhook-Delivery': outboxId ? outboxId.toString() : '',
           'User-Agent': 'Mevo-Webhook/1.0'
         },
         body,
         signal: AbortSignal.timeout(10000) // 10 segundos timeout
       });
 
-      const responseText = await response.text();
+      statusCode = response.status;
+      responseText = await response.text();
+
+      if (!response.ok) {
+        throw new Error(`Resposta HTTP ${response.status}`);
+      }
 
       // Registrar no log
-      await this.logWebhook(webhook.id, event, body, response.status, responseText, 'success');
+      const log = await this.logWebhook(webhook.id, event, body, statusCode, responseText, 'success', null, attempt, outboxId, redeliveredFromId);
 
       // Atualizar estatísticas do webhook
       await prisma.webhook.update({
@@ -112,30 +148,23 @@ class WebhookService {
         }
       });
 
-      return { success: true, statusCode: response.status };
+      return { success: true, statusCode, log };
     } catch (error) {
-      console.error(`Erro ao enviar webhook para ${webhook.url}:`, error.message);
-
-      // Tentar novamente se ainda houver tentativas
-      if (attempt < this.maxRetries) {
-        console.log(`Tentando novamente em ${this.retryDelay / 1000}s... (tentativa ${attempt + 1}/${this.maxRetries})`);
-        await new Promise((resolve) => setTimeout(resolve, this.retryDelay * attempt));
-        return this.sendWebhook(webhook, event, payload, attempt + 1);
-      }
+      console.error(`Erro ao enviar webhook para ${webhook.url} (tentativa ${attempt}):`, error.message);
 
       // Registrar falha
-      await this.logWebhook(webhook.id, event, body, null, null, 'failed', error.message, attempt);
+      const log = await this.logWebhook(webhook.id, event, body, statusCode, responseText, 'failed', error.message, attempt, outboxId, redeliveredFromId);
 
       // Atualizar estatísticas
       await prisma.webhook.update({
         where: { id: webhook.id },
         data: {
           lastTriggeredAt: new Date(),
-          failureCount: { increment: 1 }
+          ...(final ? { failureCount: { increment: 1 } } : {})
         }
       });
 
-      return { success: false, error: error.message };
+      return { success: false, statusCode, error: error.message, log };
     }
   }
 
@@ -160,9 +189,9 @@ class WebhookService {
   /**
    * Registra webhook no log
    */
-  async logWebhook(webhookId, event, payload, statusCode, response, status, errorMessage = null, attempts = 1) {
+  async logWebhook(webhookId, event, payload, statusCode, response, status, errorMessage = null, attempts = 1, outboxId = null, redeliveredFromId = null) {
     try {
-      await prisma.webhookLog.create({
+      return await prisma.webhookLog.create({
         data: {
           webhookId,
           event,
@@ -171,11 +200,14 @@ class WebhookService {
           response: response ? response.substring(0, 5000) : null, // Limitar tamanho
           status,
           errorMessage,
-          attempts
+          attempts,
+          outboxId,
+          redeliveredFromId
         }
       });
     } catch (error) {
       console.error('Erro ao registrar log de webhook:', error);
+      return null;
     }
   }
 
@@ -286,6 +318,94 @@ class WebhookService {
     });
   }
 
+  /**
+   * Evento e dados originais de um log (o corpo enviado é { event, timestamp, data })
+   * @returns {{event: string, data: Object}}
+   */
+  parseLogPayload(log) {
+    let body = {};
+    try {
+      body = JSON.parse(log.payload);
+    } catch {
+      body = {};
+    }
+
+    return { event: body.event || log.event, data: body.data ?? {} };
+  }
+
+  /**
+   * Reenvia agora o payload de um log, com timestamp e assinatura novos
+   * A nova tentativa fica ligada ao log original (redeliveredFromId).
+   */
+  async redeliver(webhook, log) {
+    const { event, data } = this.parseLogPayload(log);
+
+    return this.sendWebhook(webhook, event, data, { redeliveredFromId: log.id });
+  }
+
+  /**
+   * Reenfileira no outbox as entregas que falharam de vez desde `since`
+   * Considera só tentativas originais (não reenvios), uma por entrega, e ignora
+   * as que ainda estão em nova tentativa ou que já foram reenviadas com sucesso.
+   * @returns {Promise<{queued: number, truncated: boolean}>}
+   */
+  async replayFailed(webhook, since, until = new Date()) {
+    const logs = await prisma.webhookLog.findMany({
+      where: {
+        webhookId: webhook.id,
+        status: 'failed',
+        event: { not: 'test' },
+        redeliveredFromId: null,
+        createdAt: { gte: since, lte: until },
+        OR: [
+          { outboxId: null },
+          { outbox: { status: { in: ['failed', 'cancelled'] } } }
+        ],
+        redeliveries: { none: { status: 'success' } }
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { id: true, event: true, payload: true, outboxId: true }
+    });
+
+    // Uma entrega com várias tentativas falhas é reenviada uma vez (a mais recente)
+    const seenOutbox = new Set();
+    const candidates = logs.filter(log => {
+      if (!log.outboxId) return true;
+      if (seenOutbox.has(log.outboxId)) return false;
+      seenOutbox.add(log.outboxId);
+      return true;
+    });
+
+    // Reenvios deste lote ainda na fila (chamada repetida)
+    const queuedReplays = await prisma.webhookOutbox.findMany({
+      where: {
+        redeliveredFromId: { in: candidates.map(log => log.id) },
+        status: { in: ['pending', 'delivering'] }
+      },
+      select: { redeliveredFromId: true }
+    });
+    const alreadyQueued = new Set(queuedReplays.map(entry => entry.redeliveredFromId));
+
+    const pending = candidates.filter(log => !alreadyQueued.has(log.id));
+    const selected = pending.slice(0, DEFAULTS.WEBHOOK_REPLAY_LIMIT).reverse(); // Mais antigas primeiro
+
+    if (selected.length > 0) {
+      await prisma.webhookOutbox.createMany({
+        data: selected.map(log => {
+          const { event, data } = this.parseLogPayload(log);
+          return {
+            event,
+            payload: JSON.stringify(data),
+            webhookId: webhook.id,
+            redeliveredFromId: log.id
+          };
+        })
+      });
+    }
+
+    return { queued: selected.length, truncated: pending.length > selected.length };
+  }
+
   /**
    * Regenera o secret de um webhook
    */
@@ -312,6 +432,7 @@ class WebhookService {
       { name: 'reservation.updated', description: 'Reserva atualizada' },
       { name: 'reservation.cancelled', description: 'Reserva cancelada' },
       { name: 'reservation.completed', description: 'Reserva concluída' },
+      { name: 'reservation.conflict', description: 'Reservas sobrepostas no mesmo imóvel' },
       { name: 'guest.created', description: 'Novo hóspede criado' },
       { name: 'guest.updated', description: 'Hóspede atualizado' },
       { name: 'message.sent', description: 'Mensagem enviada' },
@@ -319,6 +440,11 @@ class WebhookService {
       { name: 'property.created', description: 'Nova propriedade criada' },
       { name: 'property.updated', description: 'Propriedade atualizada' },
       { name: 'calendar.synced', description: 'Calendário sincronizado' },
+      { name: 'maintenance.created', description: 'Nova tarefa de manutenção' },
+      { name: 'maintenance.started', description: 'Manutenção em andamento' },
+      { name: 'maintenance.completed', description: 'Manutenção concluída' },
+      { name: 'maintenance.cancelled', description: 'Manutenção cancelada' },
+      { name: 'maintenance.reopened', description: 'Manutenção reaberta (voltou para pendente)' },
       { name: 'cleaning.scheduled', description: 'Limpeza agendada' }
     ];
   }
@@ -0,0 +1,197 @@
+/**
+ * Dispatcher de Webhooks (outbox)
+ *
+ * Entrega em segundo plano os eventos gravados em webhook_outbox por
+ * webhookService.trigger:
+ * - claim: reserva entregas prontas com FOR UPDATE SKIP LOCKED (roda em todas
+ *   as instâncias sem enviar a mesma entrega duas vezes)
+ * - cada tentativa é registrada em WebhookLog (ligada à entrega por outboxId)
+ * - falhas voltam para o outbox com backoff exponencial até WEBHOOK_MAX_ATTEMPTS,
+ *   espalhando as tentativas por algumas horas; como o estado fica no banco,
+ *   nada se perde em reinícios
+ */
+
+import os from 'os';
+import prisma from '../lib/prisma.js';
+import webhookService from './webhook.service.js';
+import { DEFAULTS } from '../utils/constants.js';
+
+class WebhookDispatcherService {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Reserva entregas prontas para este dispatcher (tentativa contabilizada)
+   * Compara com o relógio da aplicação, o mesmo usado para gravar nextAttemptAt.
+   * @returns {Promise<Object[]>} Entregas com o webhook
+   */
+  async claim(limit = DEFAULTS.WEBHOOK_BATCH_SIZE, now = new Date()) {
+    const rows = await prisma.$queryRaw`
+      UPDATE webhook_outbox
+      SET status = 'delivering',
+          locked_at = ${now},
+          locked_by = ${this.workerId},
+          attempts = attempts + 1,
+          updated_at = ${now}
+      WHERE id IN (
+        SELECT id FROM webhook_outbox
+        WHERE status = 'pending'
+          AND next_attempt_at <= ${now}
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `;
+
+    if (rows.length === 0) return [];
+
+    return prisma.webhookOutbox.findMany({
+      where: { id: { in: rows.map(row => row.id) } },
+      include: { webhook: true },
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  /**
+   * Atraso até a próxima tentativa (dobra a cada falha, com teto)
+   * @param {number} attempts - Tentativas já feitas
+   */
+  getBackoffMs(attempts) {
+    const seconds = DEFAULTS.WEBHOOK_RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(seconds, DEFAULTS.WEBHOOK_RETRY_MAX_SECONDS) * 1000;
+  }
+
+  /**
+   * Faz uma tentativa de entrega e atualiza o outbox
+   * @returns {Promise<{id: number, status: string}>}
+   */
+  async deliver(entry, now = new Date()) {
+    const unlock = { lockedAt: null, lockedBy: null };
+
+    // Webhook desativado depois do evento: não envia mais
+    if (!entry.webhook?.isActive) {
+      await prisma.webhookOutbox.update({
+        where: { id: entry.id },
+        data: { ...unlock, status: 'cancelled', lastError: 'Webhook desativado' }
+      });
+      return { id: entry.id, status: 'cancelled' };
+    }
+
+    const exhausted = entry.attempts >= DEFAULTS.WEBHOOK_MAX_ATTEMPTS;
+
+    let payload = {};
+    try {
+      payload = JSON.parse(entry.payload);
+    } catch {
+      payload = {};
+    }
+
+    const result = await webhookService.sendWebhook(entry.webhook, entry.event, payload, {
+      outboxId: entry.id,
+      attempt: entry.attempts,
+      final: exhausted,
+      redeliveredFromId: entry.redeliveredFromId
+    });
+
+    let data;
+    if (result.success) {
+      data = { ...unlock, status: 'delivered', deliveredAt: now, lastError: null };
+    } else if (exhausted) {
+      data = { ...unlock, status: 'failed', lastError: result.error };
+    } else {
+      data = {
+        ...unlock,
+        status: 'pending',
+        lastError: result.error,
+        nextAttemptAt: new Date(now.getTime() + this.getBackoffMs(entry.attempts))
+      };
+    }
+
+    await prisma.webhookOutbox.update({ where: { id: entry.id }, data });
+
+    return { id: entry.id, status: data.status };
+  }
+
+  /**
+   * Devolve ao outbox entregas presas em delivering (instância reiniciada no meio do envio)
+   * @returns {Promise<number>}
+   */
+  async recoverStale(now = new Date()) {
+    const cutoff = new Date(now.getTime() - DEFAULTS.JOB_LOCK_TIMEOUT_MINUTES * 60 * 1000);
+
+    const { count } = await prisma.webhookOutbox.updateMany({
+      where: { status: 'delivering', lockedAt: { lt: cutoff } },
+      data: { status: 'pending', lockedAt: null, lockedBy: null, nextAttemptAt: now }
+    });
+
+    if (count > 0) {
+      console.warn(`♻️ ${count} entrega(s) de webhook presas devolvidas ao outbox`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Entrega um lote do outbox
+   * @returns {Promise<Array<{id: number, status: string}>>}
+   */
+  async tick() {
+    if (this.isProcessing) return [];
+    this.isProcessing = true;
+
+    try {
+      await this.recoverStale();
+      const entries = await this.claim();
+      const results = [];
+
+      for (const entry of entries) {
+        results.push(await this.deliver(entry));
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Erro ao processar outbox de webhooks:', error.message);
+      return [];
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), DEFAULTS.WEBHOOK_DISPATCH_INTERVAL_SECONDS * 1000);
+    console.log(`✅ Dispatcher de webhooks iniciado (${this.workerId})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Quantidade de entregas por status
+   */
+  async getStats() {
+    const groups = await prisma.webhookOutbox.groupBy({
+      by: ['status'],
+      _count: true
+    });
+
+    return groups.reduce((acc, group) => {
+      acc[group.status] = group._count;
+      return acc;
+    }, { pending: 0, delivering: 0, delivered: 0, failed: 0, cancelled: 0 });
+  }
+}
+
+// Singleton
+const webhookDispatcherService = new WebhookDispatcherService();
+
+export default webhookDispatcherService;
@@ -5,12 +5,30 @@
  * Instância: mevo-user-{userId}
  */
 
+import crypto from 'crypto';
 import prisma from '../lib/prisma.js';
+import auditService from './audit.service.js';
+import { AUDIT_ACTIONS, MESSAGE_STATUS } from '../utils/constants.js';
+
+// Status de confirmação do WhatsApp (Baileys) => MESSAGE_STATUS
+// SERVER_ACK (2) apenas confirma o envio, que já é registrado como "sent"
+const MESSAGE_ACK_STATUS = {
+  ERROR: MESSAGE_STATUS.FAILED,
+  DELIVERY_ACK: MESSAGE_STATUS.DELIVERED,
+  READ: MESSAGE_STATUS.READ,
+  PLAYED: MESSAGE_STATUS.READ,
+  0: MESSAGE_STATUS.FAILED,
+  3: MESSAGE_STATUS.DELIVERED,
+  4: MESSAGE_STATUS.READ,
+  5: MESSAGE_STATUS.READ
+};
 
 class WhatsAppService {
   constructor() {
     this.baseUrl = process.env.EVOLUTION_API_URL || '';
     this.apiKey = process.env.EVOLUTION_API_KEY || '';
+    // Segredo enviado pela Evolution no header apikey dos webhooks (padrão: a própria API key)
+    this.webhookSecret = process.env.EVOLUTION_WEBHOOK_SECRET || this.apiKey;
     this.isConfigured = false;
     this.webhookUrl = process.env.WEBHOOK_URL || process.env.RAILWAY_PUBLIC_DOMAIN
       ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}/api/whatsapp/webhook`
@@ -43,6 +61,28 @@ class WhatsAppService {
     return `mevo-user-${userId}`;
   }
 
+  /**
+   * Extrai o userId do nome da instância (null se não for uma instância do Mevo)
+   */
+  getUserIdFromInstance(instanceName) {
+    const match = instanceName?.match(/^mevo-user-(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Confere o segredo de um webhook recebido (header apikey ou x-webhook-secret)
+   * Sem segredo configurado, nenhum webhook é aceito.
+   * @returns {boolean}
+   */
+  verifyWebhook(headers = {}) {
+    const received = headers.apikey || headers['x-webhook-secret'];
+    if (!this.webhookSecret || typeof received !== 'string') return false;
+
+    // Compara os hashes para ter o mesmo tamanho no timingSafeEqual
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(received), hash(this.webhookSecret));
+  }
+
   /**
    * Faz requisição para a Evolution API
    */
@@ -123,7 +163,8 @@ class WhatsAppService {
         await this.setWebhook(instanceName, this.webhookUrl, [
           'CONNECTION_UPDATE',
           'QRCODE_UPDATED',
-          'MESSAGES_UPSERT'
+          'MESSAGES_UPSERT',
+          'MESSAGES_UPDATE'
         ]);
       } catch (error) {
         console.warn(`⚠️ Não foi possível configurar webhook para ${instanceName}:`, error.message);
@@ -203,12 +244,18 @@ class WhatsAppService {
    */
   async handleConnectionWebhook(instanceName, data) {
     // Extrai userId do nome da instância
-    const match = instanceName.match(/^mevo-user-(\d+)$/);
-    if (!match) return;
+    const userId = this.getUserIdFromInstance(instanceName);
+    if (!userId) return;
 
-    const userId = parseInt(match[1]);
     const state = data.state || data.status;
 
+    // A Evolution repete o evento; auditoria só registra a troca de estado
+    const previous = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { whatsappConnected: true }
+    });
+    if (!previous) return;
+
     if (state === 'open') {
       // Conectado! Atualiza banco
       const phoneNumber = data.instance?.owner || data.ownerJid?.split('@')[0];
@@ -222,6 +269,16 @@ class WhatsAppService {
         }
       });
 
+      if (!previous.whatsappConnected) {
+        await auditService.log(null, {
+          action: AUDIT_ACTIONS.WHATSAPP_CONNECT,
+          entity: 'user',
+          entityId: userId,
+          userId,
+          data: { phone: phoneNumber, instanceName }
+        });
+      }
+
       console.log(`✅ WhatsApp conectado para usuário ${userId}: ${phoneNumber}`);
     } else if (state === 'close' || state === 'disconnected') {
       // Desconectado
@@ -232,6 +289,16 @@ class WhatsAppService {
         }
       });
 
+      if (previous.whatsappConnected) {
+        await auditService.log(null, {
+          action: AUDIT_ACTIONS.WHATSAPP_DISCONNECT,
+          entity: 'user',
+          entityId: userId,
+          userId,
+          data: { state, instanceName }
+        });
+      }
+
       console.log(`❌ WhatsApp desconectado para usuário ${userId}`);
     }
   }
@@ -314,6 +381,8 @@ class WhatsAppService {
 
   /**
    * Envia mensagem de texto
+   * Retorna a resposta da Evolution com `messageId` (key.id), usado para
+   * associar as confirmações de entrega/leitura (MESSAGES_UPDATE) ao log
    */
   async sendMessage(phone, message, instanceName) {
     const formattedPhone = this.formatPhoneNumber(phone);
@@ -325,7 +394,33 @@ class WhatsAppService {
 
     const result = await this.request('POST', `/message/sendText/${instanceName}`, data);
     console.log(`📤 Mensagem enviada para ${formattedPhone} via ${instanceName}`);
-    return result;
+    return { ...result, messageId: result?.key?.id || null };
+  }
+
+  /**
+   * Extrai as confirmações de um evento MESSAGES_UPDATE da Evolution
+   * Aceita o formato v2 ({ keyId, status: 'READ' }) e o v1 ([{ key, update: { status: 4 } }])
+   * @returns {Array<{ messageId: string, status: string }>} status em MESSAGE_STATUS
+   */
+  parseStatusUpdates(data) {
+    const items = Array.isArray(data) ? data : [data];
+    const updates = [];
+
+    for (const item of items) {
+      if (!item) continue;
+
+      const key = item.key || {};
+      if (key.fromMe === false || item.fromMe === false) continue;
+
+      const messageId = item.keyId || key.id || item.messageId;
+      const status = MESSAGE_ACK_STATUS[item.update?.status ?? item.status];
+
+      if (messageId && status) {
+        updates.push({ messageId, status });
+      }
+    }
+
+    return updates;
   }
 
   /**
@@ -399,10 +494,12 @@ class WhatsAppService {
         enabled: true,
         url: webhookUrl,
         webhookByEvents: true,
+        headers: { apikey: this.webhookSecret },
         events: events || [
           'QRCODE_UPDATED',
           'CONNECTION_UPDATE',
-          'MESSAGES_UPSERT'
+          'MESSAGES_UPSERT',
+          'MESSAGES_UPDATE'
         ]
       }
     };
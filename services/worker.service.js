@@ -159,7 +159,7 @@ class WorkerService {
           : this.buildMessage(data);
 
         try {
-          await whatsappService.sendMessage(phone, message);
+          const result = await whatsappService.sendMessage(phone, message);
 
           // Registra no log e marca como processado
           for (const checkout of data.checkouts) {
@@ -169,7 +169,8 @@ class WorkerService {
                 propertyId: checkout.propertyId,
                 employeePhone: phone,
                 message: message,
-                status: 'sent'
+                status: 'sent',
+                externalId: result.messageId
               }
             });
 
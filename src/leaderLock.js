@@ -0,0 +1,51 @@
+const { pool } = require('./databaseService');
+
+// Advisory lock shared by every replica of the legacy scheduler
+const LEADER_LOCK_KEY = 4242080001;
+
+let leaderClient = null;
+
+/**
+ * Ensures this process is the leader before running the daily cron.
+ *
+ * The first replica to call it takes a session-level advisory lock on a
+ * dedicated connection and keeps it for the life of the process. If that
+ * process dies, Postgres closes the connection, frees the lock and the next
+ * replica to run the cron takes over.
+ */
+const acquireLeadership = async () => {
+  if (leaderClient) {
+    return true;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LEADER_LOCK_KEY]);
+
+    if (!rows[0].locked) {
+      client.release();
+      return false;
+    }
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+
+  // Connection lost: the lock is gone too, so stop acting as leader
+  client.on('error', (error) => {
+    console.error('Leader lock connection lost:', error.message);
+    if (leaderClient === client) {
+      leaderClient = null;
+      client.release(error);
+    }
+  });
+
+  leaderClient = client;
+  console.log('This replica is now the scheduler leader');
+  return true;
+};
+
+module.exports = {
+  acquireLeadership,
+};
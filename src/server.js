@@ -17,6 +17,7 @@ const {
   updateMessageStatus,
 } = require('./databaseService');
 const { sendMessage, isConfigured: isWhatsAppConfigured } = require('./whatsappService');
+const { acquireLeadership } = require('./leaderLock');
 
 const app = express();
 app.use(express.json());
@@ -280,6 +281,12 @@ if (defaultClientId) {
     '0 8 * * *',
     async () => {
       try {
+        // With multiple replicas only the advisory-lock holder sends the messages
+        if (!(await acquireLeadership())) {
+          console.log('Skipping scheduled routine: another replica is the leader');
+          return;
+        }
+
         console.log('Running scheduled daily routine...');
         await runDailyRoutine(DateTime.now().setZone(timezone), defaultClientId);
         console.log('Scheduled routine completed successfully');
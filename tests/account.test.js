@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const prismaMock = vi.hoisted(() => ({
+  accountToken: { findFirst: vi.fn(), updateMany: vi.fn(), update: vi.fn(), create: vi.fn() },
+  user: { update: vi.fn() },
+  session: { updateMany: vi.fn() },
+  $transaction: vi.fn()
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: accountService } = await import('../services/account.service.js');
+
+describe('AccountService', () => {
+  const now = new Date('2030-01-01T12:00:00Z');
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.$transaction.mockResolvedValue([]);
+    prismaMock.session.updateMany.mockResolvedValue({ count: 2 });
+  });
+
+  it('should refuse to issue a new token right after the previous one', async () => {
+    prismaMock.accountToken.findFirst.mockResolvedValue({ createdAt: new Date(now.getTime() - 10 * 1000) });
+
+    const result = await accountService.issue(1, 'password_reset', { channel: 'email' }, now);
+
+    expect(result).toEqual({ error: 'too_soon' });
+    expect(prismaMock.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should accept a reset token only once and revoke all sessions', async () => {
+    const user = { id: 1, email: 'ana@mevo.app', emailVerifiedAt: null };
+    prismaMock.accountToken.findFirst.mockResolvedValue({ id: 9, userId: 1, channel: 'email', user });
+    prismaMock.accountToken.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    expect(await accountService.resetPassword('token', 'nova-senha')).toEqual(user);
+    expect(prismaMock.accountToken.findFirst.mock.calls[0][0].where.tokenHash).toBe(accountService.hashToken('token'));
+    expect(prismaMock.user.update.mock.calls[0][0].data.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(prismaMock.session.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 1, revokedAt: null }
+    }));
+
+    // Segunda requisição com o mesmo token (corrida): já marcado como usado
+    expect(await accountService.resetPassword('token', 'outra-senha')).toBeNull();
+    expect(prismaMock.user.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('should count wrong codes and expire the code after too many attempts', async () => {
+    const pending = {
+      id: 3,
+      tokenHash: accountService.hashToken('123456'),
+      target: '5511999990000',
+      attempts: 0,
+      expiresAt: new Date(now.getTime() + 60 * 1000)
+    };
+    prismaMock.accountToken.findFirst.mockResolvedValue(pending);
+
+    expect(await accountService.consumeCode(1, '000000', 'phone_verification', now)).toEqual({ error: 'invalid' });
+    expect(prismaMock.accountToken.update).toHaveBeenCalledWith({
+      where: { id: 3 },
+      data: { attempts: { increment: 1 } }
+    });
+
+    prismaMock.accountToken.findFirst.mockResolvedValue({ ...pending, attempts: 5 });
+    expect(await accountService.consumeCode(1, '123456', 'phone_verification', now)).toEqual({ error: 'expired' });
+    expect(prismaMock.accountToken.updateMany).not.toHaveBeenCalled();
+  });
+});
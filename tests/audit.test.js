@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const prismaMock = vi.hoisted(() => ({
+  auditLog: { create: vi.fn(), findMany: vi.fn(), count: vi.fn() },
+  user: { findUnique: vi.fn() },
+  session: { findFirst: vi.fn(), updateMany: vi.fn() },
+  organizationMember: { findUnique: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: auditService } = await import('../services/audit.service.js');
+const { default: auditRoutes } = await import('../routes/audit.js');
+const { JWT_SECRET } = await import('../middleware/auth.middleware.js');
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.auditLog.create.mockImplementation(({ data }) => Promise.resolve(data));
+  });
+
+  it('should keep only changed fields and mask secrets', () => {
+    const changes = auditService.diff(
+      { id: 1, name: 'Casa', wifiPassword: null, updatedAt: '2030-01-01' },
+      { id: 1, name: 'Casa Azul', wifiPassword: 'segredo', updatedAt: '2030-01-02', user: { id: 1 } }
+    );
+
+    expect(changes).toEqual({
+      before: { name: 'Casa', wifiPassword: null },
+      after: { name: 'Casa Azul', wifiPassword: '[oculto]' }
+    });
+  });
+
+  it('should mask hashes, secrets and recovery codes', () => {
+    const sanitized = auditService.sanitize({
+      id: 1,
+      email: 'ana@example.com',
+      tokenHash: 'abc',
+      keyHash: 'def',
+      refreshTokenHash: 'ghi',
+      twoFactorSecret: 'jkl',
+      twoFactorRecoveryCodes: ['a1', 'b2'],
+      passwordHash: 'mno',
+      twoFactorEnabledAt: null
+    });
+
+    expect(sanitized).toEqual({
+      id: 1,
+      email: 'ana@example.com',
+      tokenHash: '[oculto]',
+      keyHash: '[oculto]',
+      refreshTokenHash: '[oculto]',
+      twoFactorSecret: '[oculto]',
+      twoFactorRecoveryCodes: '[oculto]',
+      passwordHash: '[oculto]',
+      twoFactorEnabledAt: null
+    });
+  });
+
+  it('should skip updates without changes', async () => {
+    const record = { id: 1, name: 'Casa' };
+
+    expect(await auditService.log(null, { action: 'update', entity: 'property', before: record, after: record })).toBeNull();
+    expect(prismaMock.auditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('should record request metadata and the acting user', async () => {
+    const req = { ip: '10.0.0.1', userId: 7, organizationId: 10, get: () => 'vitest' };
+
+    const entry = await auditService.log(req, { action: 'delete', entity: 'guest', before: { id: 3, name: 'Ana' } });
+
+    expect(entry).toMatchObject({
+      action: 'delete',
+      entity: 'guest',
+      entityId: 3,
+      oldData: JSON.stringify({ id: 3, name: 'Ana' }),
+      newData: null,
+      ipAddress: '10.0.0.1',
+      userAgent: 'vitest',
+      userId: 7,
+      organizationId: 10
+    });
+  });
+});
+
+describe('GET /api/audit', () => {
+  const app = express();
+  app.use('/api/audit', auditRoutes);
+
+  const token = () => jwt.sign({ id: 2, sid: 1 }, JWT_SECRET);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.session.findFirst.mockResolvedValue({ id: 1, userId: 2 });
+    prismaMock.auditLog.findMany.mockResolvedValue([]);
+    prismaMock.auditLog.count.mockResolvedValue(0);
+  });
+
+  it('should show organization admins only what was done inside the organization', async () => {
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: 10, ownedOrganization: null, role: 'user' });
+    prismaMock.organizationMember.findUnique.mockResolvedValue({
+      role: 'admin',
+      organization: { id: 10, ownerId: 1 },
+      propertyGrants: []
+    });
+
+    const response = await request(app).get('/api/audit?userId=5').set('Authorization', `Bearer ${token()}`);
+
+    expect(response.status).toBe(200);
+    expect(prismaMock.auditLog.findMany.mock.calls[0][0].where).toEqual({ organizationId: 10, userId: 5 });
+  });
+
+  it('should show other members only their own actions', async () => {
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: 10, ownedOrganization: null, role: 'user' });
+    prismaMock.organizationMember.findUnique.mockResolvedValue({
+      role: 'agent',
+      organization: { id: 10, ownerId: 1 },
+      propertyGrants: []
+    });
+
+    await request(app).get('/api/audit').set('Authorization', `Bearer ${token()}`);
+
+    expect(prismaMock.auditLog.findMany.mock.calls[0][0].where).toEqual({ userId: 2 });
+  });
+
+  it('should include the whole day when the period ends on a date without time', async () => {
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: null, ownedOrganization: null, role: 'user' });
+
+    await request(app).get('/api/audit?from=2026-10-01&to=2026-10-19').set('Authorization', `Bearer ${token()}`);
+    await request(app).get('/api/audit?to=2026-10-19T12:00:00Z').set('Authorization', `Bearer ${token()}`);
+
+    expect(prismaMock.auditLog.findMany.mock.calls[0][0].where.createdAt).toEqual({
+      gte: new Date('2026-10-01T00:00:00Z'),
+      lt: new Date('2026-10-20T00:00:00Z')
+    });
+    expect(prismaMock.auditLog.findMany.mock.calls[1][0].where.createdAt).toEqual({
+      lte: new Date('2026-10-19T12:00:00Z')
+    });
+  });
+});
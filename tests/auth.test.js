@@ -1,8 +1,28 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import request from 'supertest';
 import express from 'express';
-import { authMiddleware, optionalAuth, requireAdmin } from '../middleware/auth.middleware.js';
+import {
+  authMiddleware,
+  optionalAuth,
+  requireAdmin,
+  requireOrgRole,
+  JWT_SECRET
+} from '../middleware/auth.middleware.js';
 import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import sessionService from '../services/session.service.js';
+
+const prismaMock = vi.hoisted(() => ({
+  user: { findUnique: vi.fn() },
+  session: { findFirst: vi.fn(), findUnique: vi.fn(), updateMany: vi.fn() },
+  organizationMember: { findUnique: vi.fn() },
+  apiKey: { findUnique: vi.fn(), update: vi.fn() },
+  auditLog: { create: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: authRoutes } = await import('../routes/auth.js');
 
 // Mock do JWT_SECRET para testes
 const TEST_SECRET = 'test-secret-key-for-vitest';
@@ -42,6 +62,269 @@ describe('Auth Middleware', () => {
       expect(response.status).toBe(401);
       expect(response.body.error).toBe('Token inválido');
     });
+
+    it('should ask for a refresh when the access token expired', async () => {
+      const app = express();
+      app.get('/test', authMiddleware, (req, res) => res.json({ success: true }));
+
+      const expired = jwt.sign({ id: 1, sid: 1, exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+      const response = await request(app)
+        .get('/test')
+        .set('Authorization', `Bearer ${expired}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('should reject tokens of revoked sessions', async () => {
+      prismaMock.session.findFirst.mockResolvedValueOnce(null);
+
+      const app = express();
+      app.get('/test', authMiddleware, (req, res) => res.json({ success: true }));
+
+      const response = await request(app)
+        .get('/test')
+        .set('Authorization', `Bearer ${jwt.sign({ id: 1, sid: 5 }, JWT_SECRET)}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SESSION_REVOKED');
+      expect(prismaMock.session.findFirst).toHaveBeenCalledWith({
+        where: expect.objectContaining({ id: 5, revokedAt: null })
+      });
+    });
+  });
+
+  describe('organization context', () => {
+    const token = () => jwt.sign({ id: 2, sid: 1 }, JWT_SECRET);
+
+    const buildApp = (...middlewares) => {
+      const app = express();
+      app.all('/test', authMiddleware, ...middlewares, (req, res) => {
+        res.json({ userId: req.userId, actorId: req.actorId, role: req.orgRole });
+      });
+      return app;
+    };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      prismaMock.session.findFirst.mockResolvedValue({ id: 1, userId: 2 });
+      prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: null, ownedOrganization: null });
+    });
+
+    it('should act on the own account as admin without an organization', async () => {
+      const response = await request(buildApp())
+        .get('/test')
+        .set('Authorization', `Bearer ${token()}`);
+
+      expect(response.body).toEqual({ userId: 2, actorId: 2, role: 'admin' });
+      expect(prismaMock.organizationMember.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should operate on the owner data of the requested organization', async () => {
+      prismaMock.organizationMember.findUnique.mockResolvedValue({
+        role: 'agent',
+        organization: { id: 10, ownerId: 1 }
+      });
+
+      const response = await request(buildApp())
+        .get('/test')
+        .set('Authorization', `Bearer ${token()}`)
+        .set('X-Organization-Id', '10');
+
+      expect(response.body).toEqual({ userId: 1, actorId: 2, role: 'agent' });
+    });
+
+    it('should return 403 for organizations the user does not belong to', async () => {
+      prismaMock.organizationMember.findUnique.mockResolvedValue(null);
+
+      const response = await request(buildApp())
+        .get('/test')
+        .set('Authorization', `Bearer ${token()}`)
+        .set('X-Organization-Id', '99');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should keep viewers read-only', async () => {
+      prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: 10, ownedOrganization: null });
+      prismaMock.organizationMember.findUnique.mockResolvedValue({
+        role: 'viewer',
+        organization: { id: 10, ownerId: 1 }
+      });
+
+      const app = buildApp();
+      const read = await request(app).get('/test').set('Authorization', `Bearer ${token()}`);
+      const write = await request(app).post('/test').set('Authorization', `Bearer ${token()}`);
+
+      expect(read.status).toBe(200);
+      expect(write.status).toBe(403);
+    });
+
+    it('should block agents from admin-only routes', async () => {
+      prismaMock.organizationMember.findUnique.mockResolvedValue({
+        role: 'agent',
+        organization: { id: 10, ownerId: 1 }
+      });
+
+      const response = await request(buildApp(requireOrgRole('admin')))
+        .post('/test')
+        .set('Authorization', `Bearer ${token()}`)
+        .set('X-Organization-Id', '10');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should block members without 2FA when the organization requires it', async () => {
+      prismaMock.organizationMember.findUnique.mockResolvedValue({
+        role: 'admin',
+        organization: { id: 10, ownerId: 1, requireTwoFactor: true }
+      });
+
+      const app = buildApp();
+      const blocked = await request(app)
+        .get('/test')
+        .set('Authorization', `Bearer ${token()}`)
+        .set('X-Organization-Id', '10');
+
+      prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: null, ownedOrganization: null, twoFactorEnabledAt: new Date() });
+      const allowed = await request(app)
+        .get('/test')
+        .set('Authorization', `Bearer ${token()}`)
+        .set('X-Organization-Id', '10');
+
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(allowed.status).toBe(200);
+    });
+  });
+
+  describe('property grants', () => {
+    const token = () => jwt.sign({ id: 3, sid: 2 }, JWT_SECRET);
+
+    const buildApp = () => {
+      const app = express();
+      const router = express.Router();
+      router.use(authMiddleware);
+      router.all('*', (req, res) => res.json({ propertyIds: req.propertyIds }));
+      app.use('/api/reservations', router);
+      app.use('/api/webhooks', router);
+      return app;
+    };
+
+    const grant = (role) => {
+      prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: 10, ownedOrganization: null });
+      prismaMock.organizationMember.findUnique.mockResolvedValue({
+        role,
+        organization: { id: 10, ownerId: 1 },
+        propertyGrants: [{ propertyId: 4 }, { propertyId: 7 }]
+      });
+    };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      prismaMock.session.findFirst.mockResolvedValue({ id: 2, userId: 3 });
+    });
+
+    it('should expose only the granted properties to owners', async () => {
+      grant('owner');
+      const app = buildApp();
+
+      const list = await request(app).get('/api/reservations').set('Authorization', `Bearer ${token()}`);
+      const webhooks = await request(app).get('/api/webhooks').set('Authorization', `Bearer ${token()}`);
+      const update = await request(app).put('/api/reservations/1').set('Authorization', `Bearer ${token()}`);
+
+      expect(list.body.propertyIds).toEqual([4, 7]);
+      expect(webhooks.status).toBe(403);
+      expect(update.status).toBe(403);
+    });
+
+    it('should let co-hosts send messages but not edit reservations', async () => {
+      grant('cohost');
+      const app = buildApp();
+
+      const send = await request(app)
+        .post('/api/reservations/1/send-notification')
+        .set('Authorization', `Bearer ${token()}`);
+      const update = await request(app).put('/api/reservations/1').set('Authorization', `Bearer ${token()}`);
+
+      expect(send.status).toBe(200);
+      expect(update.status).toBe(403);
+    });
+  });
+
+  describe('API keys', () => {
+    const key = 'mevo_ab12cd34_secret';
+
+    const buildApp = () => {
+      const app = express();
+      const router = express.Router();
+      router.use(authMiddleware);
+      router.all('*', (req, res) => res.json({ userId: req.userId, apiKeyId: req.apiKey?.id }));
+      app.use('/api/reservations', router);
+      app.use('/api/settings', router);
+      return app;
+    };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: 10, ownedOrganization: null });
+      prismaMock.apiKey.findUnique.mockResolvedValue({
+        id: 5,
+        userId: 2,
+        scopes: ['reservations:read', 'messages:send'],
+        organizationId: null,
+        revokedAt: null,
+        expiresAt: null,
+        lastUsedAt: null,
+        user: { isActive: true }
+      });
+    });
+
+    it('should authenticate with the key and record its use', async () => {
+      const response = await request(buildApp()).get('/api/reservations').set('X-API-Key', key);
+
+      expect(response.body).toEqual({ userId: 2, apiKeyId: 5 });
+      // Chave sem organização opera na conta própria, não na organização ativa
+      expect(prismaMock.organizationMember.findUnique).not.toHaveBeenCalled();
+      expect(prismaMock.apiKey.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 5 } }));
+    });
+
+    it('should enforce the key scopes per route', async () => {
+      const app = buildApp();
+
+      const update = await request(app).put('/api/reservations/1').set('X-API-Key', key);
+      const send = await request(app).post('/api/reservations/1/send-notification').set('X-API-Key', key);
+      const settings = await request(app).get('/api/settings').set('X-API-Key', key);
+
+      expect(update.status).toBe(403);
+      expect(update.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', requiredScope: 'reservations:write' });
+      expect(send.status).toBe(200);
+      expect(settings.status).toBe(403);
+    });
+
+    it('should reject revoked keys', async () => {
+      prismaMock.apiKey.findUnique.mockResolvedValue({ id: 5, userId: 2, scopes: [], revokedAt: new Date() });
+
+      const response = await request(buildApp()).get('/api/reservations').set('X-API-Key', key);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject keys of deactivated users', async () => {
+      prismaMock.apiKey.findUnique.mockResolvedValue({
+        id: 5,
+        userId: 2,
+        scopes: ['reservations:read'],
+        revokedAt: null,
+        expiresAt: null,
+        user: { isActive: false }
+      });
+
+      const response = await request(buildApp()).get('/api/reservations').set('X-API-Key', key);
+
+      expect(response.status).toBe(401);
+      expect(prismaMock.apiKey.update).not.toHaveBeenCalled();
+    });
   });
 
   describe('optionalAuth', () => {
@@ -101,6 +384,101 @@ describe('Auth Middleware', () => {
   });
 });
 
+describe('POST /api/auth/login', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const passwordHash = bcrypt.hashSync('senha-forte', 4);
+
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should not issue a session or a 2FA pending token to deactivated users', async () => {
+    const createSession = vi.spyOn(sessionService, 'createSession');
+    prismaMock.user.findUnique.mockResolvedValue({
+      id: 1,
+      email: 'ana@example.com',
+      passwordHash,
+      isActive: false,
+      twoFactorEnabledAt: new Date()
+    });
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ana@example.com', password: 'senha-forte' });
+
+    expect(response.status).toBe(403);
+    expect(response.body).not.toHaveProperty('pendingToken');
+    expect(response.body).not.toHaveProperty('token');
+    expect(createSession).not.toHaveBeenCalled();
+    expect(prismaMock.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'login_failed' })
+    });
+
+    createSession.mockRestore();
+  });
+});
+
+describe('SessionService.rotate', () => {
+  const now = new Date('2030-01-01T12:00:00Z');
+
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should swap the refresh token and keep the session', async () => {
+    prismaMock.session.findUnique.mockResolvedValue({
+      id: 4,
+      userId: 1,
+      revokedAt: null,
+      expiresAt: new Date('2030-01-10T00:00:00Z'),
+      user: { isActive: true }
+    });
+    prismaMock.session.updateMany.mockResolvedValue({ count: 1 });
+
+    const result = await sessionService.rotate('old-token', null, now);
+
+    expect(result.tokens.sessionId).toBe(4);
+    expect(result.tokens.refreshToken).not.toBe('old-token');
+    expect(jwt.verify(result.tokens.token, JWT_SECRET)).toMatchObject({ id: 1, sid: 4 });
+    expect(prismaMock.session.updateMany.mock.calls[0][0].data.previousTokenHash)
+      .toBe(sessionService.hashToken('old-token'));
+  });
+
+  it('should revoke the session of deactivated users', async () => {
+    prismaMock.session.findUnique.mockResolvedValue({
+      id: 4,
+      userId: 1,
+      revokedAt: null,
+      expiresAt: new Date('2030-01-10T00:00:00Z'),
+      user: { isActive: false }
+    });
+    prismaMock.session.updateMany.mockResolvedValue({ count: 1 });
+
+    const result = await sessionService.rotate('old-token', null, now);
+
+    expect(result.error).toBe('inactive');
+    expect(result.tokens).toBeUndefined();
+    expect(prismaMock.session.updateMany).toHaveBeenCalledTimes(1);
+    expect(prismaMock.session.updateMany).toHaveBeenCalledWith({
+      where: { id: 4, userId: 1, revokedAt: null },
+      data: { revokedAt: now }
+    });
+  });
+
+  it('should revoke the session when a rotated token is reused', async () => {
+    prismaMock.session.findUnique.mockResolvedValue(null);
+    prismaMock.session.findFirst.mockResolvedValue({ id: 4, userId: 1 });
+    prismaMock.session.updateMany.mockResolvedValue({ count: 1 });
+
+    const result = await sessionService.rotate('old-token', null, now);
+
+    expect(result.error).toBe('reused');
+    expect(prismaMock.session.updateMany).toHaveBeenCalledWith({
+      where: { id: 4, userId: 1, revokedAt: null },
+      data: { revokedAt: now }
+    });
+  });
+});
+
 describe('Validation', () => {
   it('should validate email format', () => {
     const validEmails = ['test@example.com', 'user.name@domain.co'];
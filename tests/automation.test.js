@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, afterEach, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const prismaMock = vi.hoisted(() => ({
+  reservation: { findMany: vi.fn(), findFirst: vi.fn() },
+  property: { findFirst: vi.fn() },
+  automationRule: { findMany: vi.fn(), update: vi.fn() },
+  automationRuleExecution: { create: vi.fn(async ({ data }) => data) },
+  scheduledJob: { count: vi.fn() },
+  auditLog: { create: vi.fn() },
+  user: { findUnique: vi.fn() },
+  session: { findFirst: vi.fn(), updateMany: vi.fn() },
+  organizationMember: { findUnique: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: automationService } = await import('../services/automation.service.js');
+const { default: notificationService } = await import('../services/notification.service.js');
+const { default: queueService } = await import('../services/queue.service.js');
+const { default: automationRoutes } = await import('../routes/automation.js');
+const { JWT_SECRET } = await import('../middleware/auth.middleware.js');
+
+const property = { id: 1, name: 'Casa', userId: 7, timezone: 'America/Sao_Paulo', checkinTime: '15:00', checkoutTime: '11:00' };
+
+const reservation = (overrides = {}) => ({
+  id: 10,
+  propertyId: 1,
+  checkinDate: new Date('2030-01-10T00:00:00Z'),
+  checkoutDate: new Date('2030-01-15T00:00:00Z'),
+  checkinTime: null,
+  checkoutTime: null,
+  adults: 2,
+  children: 0,
+  guest: { name: 'Ana', whatsapp: '5511999999999' },
+  property,
+  ...overrides
+});
+
+const rule = (overrides = {}) => ({
+  id: 3,
+  userId: 7,
+  trigger: 'before_checkin',
+  offsetHours: 24,
+  channel: 'whatsapp',
+  propertyIds: [],
+  quietHoursStart: null,
+  quietHoursEnd: null,
+  createdAt: new Date('2029-12-01T00:00:00Z'),
+  template: { type: 'checkin_reminder', content: 'Oi {{guest_name}}, check-in {{checkin_time}}', subject: null },
+  ...overrides
+});
+
+describe('AutomationService', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  describe('findDueReservations', () => {
+    it('should fire before_checkin rules once the offset is reached in the property timezone', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([reservation()]);
+
+      // Check-in 2030-01-10 15:00 em São Paulo = 18:00Z; 24h antes = 2030-01-09 18:00Z
+      const early = await automationService.findDueReservations(rule(), new Date('2030-01-09T17:59:00Z'));
+      const due = await automationService.findDueReservations(rule(), new Date('2030-01-09T18:00:00Z'));
+      const late = await automationService.findDueReservations(rule(), new Date('2030-01-10T18:00:00Z'));
+
+      expect(early).toHaveLength(0);
+      expect(due).toHaveLength(1);
+      expect(late).toHaveLength(0);
+    });
+
+    it('should only catch up after_checkout rules within 24 hours', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([reservation()]);
+      const afterCheckout = rule({ trigger: 'after_checkout', offsetHours: 6 });
+
+      // Checkout 2030-01-15 11:00 em São Paulo = 14:00Z; +6h = 20:00Z
+      expect(await automationService.findDueReservations(afterCheckout, new Date('2030-01-15T20:30:00Z'))).toHaveLength(1);
+      expect(await automationService.findDueReservations(afterCheckout, new Date('2030-01-16T20:30:00Z'))).toHaveLength(0);
+    });
+
+    it('should filter by the rule properties and skip executed reservations', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([]);
+
+      await automationService.findDueReservations(rule({ propertyIds: [1, 2] }), new Date('2030-01-09T18:00:00Z'));
+
+      const { where } = prismaMock.reservation.findMany.mock.calls[0][0];
+      expect(where.propertyId).toEqual({ in: [1, 2] });
+      expect(where.automationRuleExecutions).toEqual({ none: { ruleId: 3 } });
+    });
+  });
+
+  describe('getRuleCoverage', () => {
+    it('should only cover the trigger and properties of active rules', async () => {
+      prismaMock.automationRule.findMany.mockResolvedValue([
+        { userId: 7, propertyIds: [1] },
+        { userId: 7, propertyIds: [2] },
+        { userId: 8, propertyIds: [] }
+      ]);
+
+      const coverage = await automationService.getRuleCoverage('before_checkin');
+
+      expect(prismaMock.automationRule.findMany.mock.calls[0][0].where).toEqual({ isActive: true, trigger: 'before_checkin' });
+      expect(automationService.isCovered(coverage, 7, 2)).toBe(true);
+      expect(automationService.isCovered(coverage, 7, 3)).toBe(false);
+      expect(automationService.isCovered(coverage, 8, 99)).toBe(true);
+      expect(automationService.isCovered(coverage, 9, 1)).toBe(false);
+    });
+
+    it('should let a rule for all properties override scoped rules', async () => {
+      prismaMock.automationRule.findMany.mockResolvedValue([
+        { userId: 7, propertyIds: [] },
+        { userId: 7, propertyIds: [1] }
+      ]);
+
+      expect(await automationService.hasActiveRule(7, 'booking_created', 5)).toBe(true);
+      expect(prismaMock.automationRule.findMany.mock.calls[0][0].where).toEqual({
+        isActive: true,
+        trigger: 'booking_created',
+        userId: 7
+      });
+    });
+  });
+
+  describe('evaluateUserRules', () => {
+    it('should defer sends during quiet hours', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([reservation()]);
+      const sendSpy = vi.spyOn(notificationService, 'send').mockResolvedValue({ success: true });
+
+      // 2030-01-10 02:00Z = 23:00 em São Paulo
+      const result = await automationService.evaluateUserRules(
+        [rule({ quietHoursStart: '22:00', quietHoursEnd: '08:00' })],
+        new Date('2030-01-10T02:00:00Z')
+      );
+
+      expect(result).toEqual({ sent: 0, failed: 0, deferred: 1 });
+      expect(sendSpy).not.toHaveBeenCalled();
+    });
+
+    it('should render the template and record the execution', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([reservation()]);
+      const sendSpy = vi.spyOn(notificationService, 'send').mockResolvedValue({ success: true });
+
+      const result = await automationService.evaluateUserRules([rule()], new Date('2030-01-10T12:00:00Z'));
+
+      expect(result.sent).toBe(1);
+      expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'whatsapp',
+        recipient: '5511999999999',
+        message: 'Oi Ana, check-in 15:00',
+        type: 'checkin_reminder'
+      }));
+      expect(prismaMock.automationRuleExecution.create).toHaveBeenCalledWith({
+        data: { ruleId: 3, reservationId: 10, status: 'sent', errorMessage: null }
+      });
+    });
+  });
+});
+
+describe('POST /api/automation/schedule', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/automation', automationRoutes);
+
+  const schedule = (body) => request(app)
+    .post('/api/automation/schedule')
+    .set('Authorization', `Bearer ${jwt.sign({ id: 7, sid: 1 }, JWT_SECRET)}`)
+    .send(body);
+
+  beforeEach(() => {
+    prismaMock.session.findFirst.mockResolvedValue({ id: 1, userId: 7 });
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: null, ownedOrganization: null });
+    prismaMock.scheduledJob.count.mockResolvedValue(0);
+    vi.spyOn(queueService, 'scheduleJob').mockImplementation(async (queue, data) => ({ id: 1, ...data }));
+    vi.spyOn(queueService, 'scheduleRecurringJob').mockImplementation(async (queue, data) => ({ id: 2, ...data }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it('should reject unknown types and reservation reminders as recurring jobs', async () => {
+    const unknown = await schedule({ type: 'anything', data: {}, runAt: '2099-01-01T00:00:00Z' });
+    const recurring = await schedule({ type: 'welcome', data: { reservationId: 1 }, cronExpression: '0 9 * * *' });
+
+    expect(unknown.status).toBe(400);
+    expect(recurring.status).toBe(400);
+    expect(queueService.scheduleJob).not.toHaveBeenCalled();
+  });
+
+  it('should reject reservations and properties of other accounts', async () => {
+    prismaMock.reservation.findFirst.mockResolvedValue(null);
+    prismaMock.property.findFirst.mockResolvedValue(null);
+
+    const reservation = await schedule({ type: 'welcome', data: { reservationId: 99 }, runAt: '2099-01-01T00:00:00Z' });
+    const property = await schedule({ type: 'custom', data: { propertyId: 99 }, runAt: '2099-01-01T00:00:00Z' });
+
+    expect(reservation.status).toBe(404);
+    expect(property.status).toBe(404);
+    expect(prismaMock.reservation.findFirst.mock.calls[0][0].where).toMatchObject({ id: 99, userId: 7 });
+    expect(prismaMock.property.findFirst.mock.calls[0][0].where).toMatchObject({ id: 99, userId: 7 });
+  });
+
+  it('should reject recurring jobs that run more than once an hour', async () => {
+    const response = await schedule({ type: 'custom', data: { message: 'Oi' }, cronExpression: '* * * * *' });
+
+    expect(response.status).toBe(400);
+    expect(queueService.scheduleRecurringJob).not.toHaveBeenCalled();
+  });
+
+  it('should always send on behalf of the logged account', async () => {
+    const response = await schedule({
+      type: 'custom',
+      data: { recipient: '5511999999999', message: 'Oi', userId: 1 },
+      cronExpression: '0 9 * * FRI'
+    });
+
+    expect(response.status).toBe(201);
+    expect(queueService.scheduleRecurringJob).toHaveBeenCalledWith(
+      'notification',
+      { type: 'custom', data: { recipient: '5511999999999', message: 'Oi', userId: 7 } },
+      '0 9 * * FRI',
+      expect.objectContaining({ userId: 7 })
+    );
+  });
+});
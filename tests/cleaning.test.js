@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const prismaMock = vi.hoisted(() => ({
+  property: { findMany: vi.fn() },
+  processedEvent: { findFirst: vi.fn(), upsert: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: cleaningService } = await import('../services/cleaning.service.js');
+const { default: schedulerService } = await import('../services/scheduler.service.js');
+const { default: queueService } = await import('../services/queue.service.js');
+const { default: whatsappService } = await import('../services/whatsapp.service.js');
+
+describe('CleaningService.parseReply', () => {
+  it('should read plain and numbered replies', () => {
+    expect(cleaningService.parseReply('ok')).toEqual([{ position: null, action: 'confirm' }]);
+    expect(cleaningService.parseReply('1 ok 2- feito 3.pronto')).toEqual([
+      { position: 1, action: 'confirm' },
+      { position: 2, action: 'complete' },
+      { position: 3, action: 'complete' }
+    ]);
+    expect(cleaningService.parseReply('👍')).toEqual([{ position: null, action: 'confirm' }]);
+  });
+
+  it('should ignore negated keywords', () => {
+    expect(cleaningService.parseReply('não ok')).toEqual([]);
+    expect(cleaningService.parseReply('N ok')).toEqual([]);
+    expect(cleaningService.parseReply('não 👍')).toEqual([]);
+    expect(cleaningService.parseReply('ainda não terminei')).toEqual([]);
+    expect(cleaningService.parseReply('Não está pronto')).toEqual([]);
+    expect(cleaningService.parseReply('nem terminei')).toEqual([]);
+  });
+
+  it('should keep the other actions of a message with a negation', () => {
+    expect(cleaningService.parseReply('1 ok, 2 não feito')).toEqual([{ position: 1, action: 'confirm' }]);
+    expect(cleaningService.parseReply('não consigo hoje, 2 ok')).toEqual([{ position: 2, action: 'confirm' }]);
+  });
+});
+
+describe('SchedulerService.sendCleaningNotifications', () => {
+  const today = new Date('2030-01-10T03:00:00Z');
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it('should not create tasks or mark the day for hosts with WhatsApp disconnected', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(schedulerService, 'getLocalDayWindows').mockResolvedValue([
+      { propertyIds: [1, 2], start: today, end: new Date('2030-01-11T03:00:00Z') }
+    ]);
+    prismaMock.property.findMany.mockResolvedValue([
+      { id: 1, userId: 7, name: 'Casa', employeePhone: '5511988880000', reservations: [{ id: 10 }] },
+      { id: 2, userId: 8, name: 'Loft', employeePhone: '5511977770000', reservations: [{ id: 20 }] }
+    ]);
+    prismaMock.processedEvent.findFirst.mockResolvedValue(null);
+    const statusSpy = vi.spyOn(whatsappService, 'getUserStatus')
+      .mockImplementation(async (userId) => ({ connected: userId === 8 }));
+    const createSpy = vi.spyOn(cleaningService, 'createTasks').mockResolvedValue([{ id: 30, position: 1 }]);
+    const jobSpy = vi.spyOn(queueService, 'addNotificationJob').mockResolvedValue({});
+
+    const result = await schedulerService.sendCleaningNotifications();
+
+    expect(result).toEqual({ sent: 1, skipped: 1 });
+    expect(statusSpy).toHaveBeenCalledTimes(2);
+    expect(createSpy).toHaveBeenCalledTimes(1);
+    expect(createSpy.mock.calls[0][1]).toEqual({ phone: '5511977770000', employeeName: undefined });
+    expect(jobSpy).toHaveBeenCalledTimes(1);
+    expect(prismaMock.processedEvent.upsert).toHaveBeenCalledTimes(1);
+    expect(prismaMock.processedEvent.upsert.mock.calls[0][0].create.propertyId).toBe(2);
+  });
+});
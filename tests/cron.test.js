@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { parseCronExpression, getNextCronRun, getMinCronIntervalMinutes, isValidCronExpression } from '../utils/cron.js';
+
+// 2030-01-10 (quinta-feira) 12:00 UTC = 09:00 em São Paulo
+const NOW = new Date('2030-01-10T12:00:00Z');
+
+describe('Cron utils', () => {
+  describe('parseCronExpression', () => {
+    it('should expand lists, ranges, steps and names', () => {
+      const schedule = parseCronExpression('*/20 8-18/5 1,15 JAN-MAR mon,7');
+
+      expect([...schedule.minutes]).toEqual([0, 20, 40]);
+      expect([...schedule.hours]).toEqual([8, 13, 18]);
+      expect([...schedule.days]).toEqual([1, 15]);
+      expect([...schedule.months]).toEqual([1, 2, 3]);
+      expect([...schedule.weekdays].sort()).toEqual([0, 1]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCronExpression('0 8 * *')).toThrow('5 campos');
+      expect(() => parseCronExpression('60 8 * * *')).toThrow('minuto');
+      expect(() => parseCronExpression('0 8 * * */0')).toThrow('Passo');
+      expect(() => parseCronExpression('0 18-8 * * *')).toThrow('Intervalo');
+      expect(isValidCronExpression('0 0 30 2 *')).toBe(false);
+      expect(isValidCronExpression('0 9 * * FRI')).toBe(true);
+    });
+  });
+
+  describe('getNextCronRun', () => {
+    it('should find the next occurrence in the given zone', () => {
+      // Próxima sexta às 09:00 em São Paulo (UTC-3)
+      expect(getNextCronRun('0 9 * * FRI', NOW, 'America/Sao_Paulo')).toEqual(new Date('2030-01-11T12:00:00Z'));
+      expect(getNextCronRun('0 9 * * FRI', NOW, 'Asia/Tokyo')).toEqual(new Date('2030-01-11T00:00:00Z'));
+    });
+
+    it('should be strictly after the reference time', () => {
+      expect(getNextCronRun('0 9 * * *', NOW, 'America/Sao_Paulo')).toEqual(new Date('2030-01-11T12:00:00Z'));
+      expect(getNextCronRun('*/15 * * * *', new Date('2030-01-10T12:07:30Z'))).toEqual(new Date('2030-01-10T12:15:00Z'));
+    });
+
+    it('should match day of month or weekday when both are restricted', () => {
+      // Dia 20 ou segunda-feira: segunda 14/01 vem antes
+      expect(getNextCronRun('0 0 20 * MON', NOW, 'UTC')).toEqual(new Date('2030-01-14T00:00:00Z'));
+      // Só dia 31: pula fevereiro
+      expect(getNextCronRun('0 0 31 * *', new Date('2030-02-01T00:00:00Z'), 'UTC')).toEqual(new Date('2030-03-31T00:00:00Z'));
+    });
+  });
+
+  describe('getMinCronIntervalMinutes', () => {
+    it('should return the shortest gap between runs', () => {
+      expect(getMinCronIntervalMinutes('* * * * *')).toBe(1);
+      expect(getMinCronIntervalMinutes('0,50 9 * * *')).toBe(10);
+      expect(getMinCronIntervalMinutes('0 */2 * * *')).toBe(120);
+      expect(getMinCronIntervalMinutes('30 8,23 * * *')).toBe(9 * 60);
+      expect(getMinCronIntervalMinutes('0 9 * * FRI')).toBe(24 * 60);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const prismaMock = vi.hoisted(() => ({
+  user: { findUnique: vi.fn() },
+  session: { findFirst: vi.fn(), updateMany: vi.fn() },
+  organizationMember: { findUnique: vi.fn() },
+  property: { findMany: vi.fn(), count: vi.fn() },
+  messageLog: { count: vi.fn(), groupBy: vi.fn() },
+  notificationLog: { groupBy: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { JWT_SECRET } = await import('../middleware/auth.middleware.js');
+const { default: dashboardRoutes } = await import('../routes/dashboard.js');
+
+describe('GET /api/dashboard/stats', () => {
+  const app = express();
+  app.use('/api/dashboard', dashboardRoutes);
+
+  const token = () => jwt.sign({ id: 3, sid: 2 }, JWT_SECRET);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.session.findFirst.mockResolvedValue({ id: 2, userId: 3 });
+    prismaMock.property.findMany.mockResolvedValue([{ id: 4 }, { id: 7 }]);
+    prismaMock.property.count.mockResolvedValue(2);
+    prismaMock.messageLog.count.mockResolvedValue(0);
+    prismaMock.messageLog.groupBy.mockResolvedValue([]);
+    prismaMock.notificationLog.groupBy.mockResolvedValue([{ status: 'read', _count: { _all: 2 } }]);
+  });
+
+  it('should scope notification stats of co-hosts through the reservation', async () => {
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: 10, ownedOrganization: null });
+    prismaMock.organizationMember.findUnique.mockResolvedValue({
+      role: 'cohost',
+      organization: { id: 10, ownerId: 1 },
+      propertyGrants: [{ propertyId: 4 }, { propertyId: 7 }]
+    });
+
+    const response = await request(app).get('/api/dashboard/stats').set('Authorization', `Bearer ${token()}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.whatsappThisMonth).toEqual({ sent: 2, delivered: 2, read: 2 });
+
+    const { where } = prismaMock.notificationLog.groupBy.mock.calls[0][0];
+    expect(where).toMatchObject({ userId: 1, reservation: { propertyId: { in: [4, 7] } } });
+    expect(where).not.toHaveProperty('propertyId');
+  });
+
+  it('should not filter by property for full members', async () => {
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: null, ownedOrganization: null });
+
+    const response = await request(app).get('/api/dashboard/stats').set('Authorization', `Bearer ${token()}`);
+
+    expect(response.status).toBe(200);
+
+    const { where } = prismaMock.notificationLog.groupBy.mock.calls[0][0];
+    expect(where.userId).toBe(3);
+    expect(where).not.toHaveProperty('reservation');
+    expect(where).not.toHaveProperty('propertyId');
+  });
+});
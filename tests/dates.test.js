@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidTimeZone,
+  resolveTimeZone,
+  getLocalHour,
+  getLocalDayWindow,
+  getLocalDateTime,
+  isWithinQuietHours
+} from '../utils/dates.js';
+
+// 2030-01-10 02:30 UTC = 2030-01-09 23:30 em São Paulo
+const NOW = new Date('2030-01-10T02:30:00Z');
+
+describe('Date utils', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA zones and reject anything else', () => {
+      expect(isValidTimeZone('America/Manaus')).toBe(true);
+      expect(isValidTimeZone('Europe/Lisbon')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+
+    it('should fall back to the default zone', () => {
+      expect(resolveTimeZone('Mars/Olympus')).toBe('America/Sao_Paulo');
+      expect(resolveTimeZone('Asia/Tokyo')).toBe('Asia/Tokyo');
+    });
+  });
+
+  describe('getLocalHour', () => {
+    it('should return the hour in the given zone', () => {
+      expect(getLocalHour('America/Sao_Paulo', NOW)).toBe(23);
+      expect(getLocalHour('Europe/Lisbon', NOW)).toBe(2);
+    });
+  });
+
+  describe('getLocalDayWindow', () => {
+    it('should use the local calendar date as a UTC day window', () => {
+      const window = getLocalDayWindow('America/Sao_Paulo', 0, NOW);
+
+      expect(window.date).toBe('2030-01-09');
+      expect(window.start.toISOString()).toBe('2030-01-09T00:00:00.000Z');
+      expect(window.end.toISOString()).toBe('2030-01-10T00:00:00.000Z');
+    });
+
+    it('should shift by dayOffset from the local date', () => {
+      expect(getLocalDayWindow('America/Sao_Paulo', 1, NOW).date).toBe('2030-01-10');
+      expect(getLocalDayWindow('Europe/Lisbon', 1, NOW).date).toBe('2030-01-11');
+      expect(getLocalDayWindow('Europe/Lisbon', -1, NOW).date).toBe('2030-01-09');
+    });
+  });
+
+  describe('getLocalDateTime', () => {
+    it('should combine the stay date with a local time', () => {
+      const checkinAt = getLocalDateTime(new Date('2030-01-10T00:00:00Z'), '15:00', 'America/Sao_Paulo');
+
+      expect(checkinAt.toISOString()).toBe('2030-01-10T18:00:00.000Z');
+    });
+  });
+
+  describe('isWithinQuietHours', () => {
+    it('should handle ranges crossing midnight', () => {
+      expect(isWithinQuietHours('22:00', '08:00', 'America/Sao_Paulo', NOW)).toBe(true);
+      expect(isWithinQuietHours('22:00', '08:00', 'Asia/Tokyo', NOW)).toBe(false);
+    });
+
+    it('should ignore incomplete or invalid ranges', () => {
+      expect(isWithinQuietHours(null, '08:00', 'America/Sao_Paulo', NOW)).toBe(false);
+      expect(isWithinQuietHours('25:00', '08:00', 'America/Sao_Paulo', NOW)).toBe(false);
+    });
+  });
+});
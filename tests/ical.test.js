@@ -0,0 +1,435 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+const prismaMock = vi.hoisted(() => ({
+  $transaction: vi.fn(),
+  reservation: { findMany: vi.fn(), findFirst: vi.fn(), create: vi.fn(), update: vi.fn() },
+  guest: { findFirst: vi.fn() },
+  propertyCalendar: { update: vi.fn() },
+  setting: { findUnique: vi.fn() },
+  property: { findUnique: vi.fn() },
+  user: { findUnique: vi.fn() },
+  maintenanceTask: { findMany: vi.fn() },
+  reservationConflict: { findMany: vi.fn(), findUnique: vi.fn(), create: vi.fn(), update: vi.fn(), updateMany: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+prismaMock.$transaction.mockImplementation(async (fn) => fn(prismaMock));
+
+const { default: icalService } = await import('../services/ical.service.js');
+const { default: icalRoutes } = await import('../routes/ical.js');
+const { default: webhookService } = await import('../services/webhook.service.js');
+const { default: queueService } = await import('../services/queue.service.js');
+
+const SAMPLE_ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:abc-123@vrbo.com',
+  'DTSTART;VALUE=DATE:20300110',
+  'DTEND;VALUE=DATE:20300115',
+  'SUMMARY:Reserved - Maria Souza',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+function mockFetch(status, body = '', headers = {}) {
+  const fetchMock = vi.fn().mockResolvedValue(new Response(status === 304 ? null : body, { status, headers }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+describe('ICalService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  describe('fetchFeed', () => {
+    it('should parse events and return cache headers on first fetch', async () => {
+      mockFetch(200, SAMPLE_ICS, { etag: '"v1"', 'last-modified': 'Wed, 01 Jan 2030 00:00:00 GMT' });
+
+      const feed = await icalService.fetchFeed('https://example.com/feed.ics');
+
+      expect(feed.status).toBe('updated');
+      expect(feed.events).toHaveLength(1);
+      expect(feed.etag).toBe('"v1"');
+      expect(feed.lastModified).toBe('Wed, 01 Jan 2030 00:00:00 GMT');
+      expect(feed.contentHash).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should send conditional headers and skip parsing on 304', async () => {
+      const fetchMock = mockFetch(304);
+
+      const feed = await icalService.fetchFeed('https://example.com/feed.ics', {
+        etag: '"v1"',
+        lastModified: 'Wed, 01 Jan 2030 00:00:00 GMT',
+        contentHash: 'hash'
+      });
+
+      const [, options] = fetchMock.mock.calls[0];
+      expect(options.headers['If-None-Match']).toBe('"v1"');
+      expect(options.headers['If-Modified-Since']).toBe('Wed, 01 Jan 2030 00:00:00 GMT');
+      expect(feed.status).toBe('not_modified');
+      expect(feed.events).toHaveLength(0);
+      expect(feed.contentHash).toBe('hash');
+    });
+
+    it('should report unchanged when body hash matches the cache', async () => {
+      mockFetch(200, SAMPLE_ICS);
+      const first = await icalService.fetchFeed('https://example.com/feed.ics');
+
+      mockFetch(200, SAMPLE_ICS);
+      const second = await icalService.fetchFeed('https://example.com/feed.ics', { contentHash: first.contentHash });
+
+      expect(second.status).toBe('unchanged');
+      expect(second.events).toHaveLength(0);
+    });
+
+    it('should throw on HTTP errors', async () => {
+      mockFetch(500, 'erro');
+
+      await expect(icalService.fetchFeed('https://example.com/feed.ics')).rejects.toThrow('HTTP 500');
+    });
+  });
+
+  describe('parseEvent', () => {
+    it('should extract guest name from VRBO summaries', () => {
+      const parsed = icalService.parseEvent({
+        uid: 'abc',
+        summary: 'Reserved - Maria Souza',
+        start: new Date('2030-01-10T12:00:00Z'),
+        end: new Date('2030-01-15T12:00:00Z')
+      }, 'vrbo');
+
+      expect(parsed.guestName).toBe('Maria Souza');
+      expect(parsed.isBlocked).toBe(false);
+    });
+
+    it('should treat nameless reservations on extra feeds as bookings', () => {
+      const parsed = icalService.parseEvent({ uid: 'abc', summary: 'Reserved' }, 'other');
+
+      expect(parsed.isBlocked).toBe(false);
+    });
+
+    it('should still skip nameless Airbnb events and explicit blocks', () => {
+      expect(icalService.parseEvent({ uid: 'a', summary: 'Reserved' }, 'airbnb').isBlocked).toBe(true);
+      expect(icalService.parseEvent({ uid: 'b', summary: 'Blocked' }, 'vrbo').isBlocked).toBe(true);
+    });
+
+    it('should flag events cancelled in the feed', () => {
+      const parsed = icalService.parseEvent({ uid: 'c', summary: 'Reserved - Ana', status: 'CANCELLED' }, 'vrbo');
+
+      expect(parsed.isCancelled).toBe(true);
+    });
+  });
+
+  describe('syncProperty', () => {
+    it('should write calendar.synced in the same transaction as the feed state', async () => {
+      const calendar = { id: 10, platform: 'vrbo', url: 'https://example.com/feed.ics', isEnabled: true };
+      mockFetch(200, SAMPLE_ICS);
+      vi.spyOn(icalService, 'ensureLegacyCalendars').mockResolvedValue([calendar]);
+      vi.spyOn(icalService, 'reconcileMissingReservations').mockResolvedValue(0);
+      vi.spyOn(icalService, 'detectConflicts').mockResolvedValue(0);
+      const triggerSpy = vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+      prismaMock.reservation.findFirst.mockResolvedValue(null);
+      prismaMock.guest.findFirst.mockResolvedValue({ id: 3 });
+
+      const result = await icalService.syncProperty({ id: 1, name: 'Casa', userId: 7 });
+
+      expect(result.created).toBe(1);
+      expect(prismaMock.$transaction).toHaveBeenCalledTimes(1);
+      expect(prismaMock.propertyCalendar.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 10 } }));
+      expect(triggerSpy).toHaveBeenCalledWith(
+        'calendar.synced',
+        { propertyId: 1, propertyName: 'Casa', calendarId: 10, source: 'vrbo', imported: 1 },
+        7,
+        prismaMock
+      );
+    });
+  });
+
+  describe('syncProperty with existing reservations', () => {
+    const timezone = process.env.TZ;
+
+    afterEach(() => {
+      process.env.TZ = timezone;
+    });
+
+    it('should not update reservations with the same dates on servers behind UTC', async () => {
+      process.env.TZ = 'America/Sao_Paulo';
+      const calendar = { id: 10, platform: 'vrbo', url: 'https://example.com/feed.ics', isEnabled: true };
+      mockFetch(200, SAMPLE_ICS);
+      vi.spyOn(icalService, 'ensureLegacyCalendars').mockResolvedValue([calendar]);
+      vi.spyOn(icalService, 'reconcileMissingReservations').mockResolvedValue(0);
+      vi.spyOn(icalService, 'detectConflicts').mockResolvedValue(0);
+      prismaMock.reservation.findFirst.mockResolvedValue({
+        id: 5,
+        calendarId: 10,
+        missingSyncCount: 0,
+        checkinDate: new Date('2030-01-10'),
+        checkoutDate: new Date('2030-01-15')
+      });
+
+      const result = await icalService.syncProperty({ id: 1, name: 'Casa', userId: 7 });
+
+      expect(result.updated).toBe(0);
+      expect(result.skipped).toBe(1);
+      expect(prismaMock.reservation.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncProperty with unchanged feeds', () => {
+    it('should keep counting a removed booking while the feed answers 304', async () => {
+      const calendar = { id: 10, platform: 'vrbo', url: 'https://example.com/feed.ics', isEnabled: true };
+      const reservation = {
+        id: 5,
+        propertyId: 1,
+        calendarId: 10,
+        externalId: 'abc-123@vrbo.com',
+        source: 'vrbo',
+        status: 'confirmed',
+        missingSyncCount: 0,
+        internalNotes: null
+      };
+      const emptyFeed = SAMPLE_ICS.split('\r\n').filter((line, index) => index < 2 || index > 7).join('\r\n');
+
+      vi.stubGlobal('fetch', vi.fn()
+        .mockResolvedValueOnce(new Response(emptyFeed, { status: 200, headers: { etag: '"v2"' } }))
+        .mockResolvedValue(new Response(null, { status: 304 })));
+      vi.spyOn(icalService, 'ensureLegacyCalendars').mockResolvedValue([calendar]);
+      vi.spyOn(icalService, 'detectConflicts').mockResolvedValue(0);
+      vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+      vi.spyOn(queueService, 'cancelReservationJobs').mockResolvedValue({ removed: 0, scheduledCancelled: 0 });
+      prismaMock.setting.findUnique.mockResolvedValue(null);
+      prismaMock.reservation.findMany.mockImplementation(async ({ where }) => {
+        const missing = reservation.status === 'confirmed' &&
+          (!where.missingSyncCount || reservation.missingSyncCount > where.missingSyncCount.gt);
+        return missing ? [{ ...reservation }] : [];
+      });
+      prismaMock.reservation.update.mockImplementation(async ({ data }) => Object.assign(reservation, data));
+
+      const property = { id: 1, name: 'Casa', userId: 7 };
+
+      expect((await icalService.syncProperty(property)).cancelled).toBe(0);
+      expect(reservation.missingSyncCount).toBe(1);
+
+      expect((await icalService.syncProperty(property)).cancelled).toBe(0);
+      expect(reservation.missingSyncCount).toBe(2);
+
+      const result = await icalService.syncProperty(property);
+
+      expect(result.notModified).toBe(1);
+      expect(result.cancelled).toBe(1);
+      expect(reservation.status).toBe('cancelled');
+      expect(reservation.missingSyncCount).toBe(3);
+    });
+
+    it('should not count bookings still present when the feed is unchanged', async () => {
+      const calendar = { id: 10, platform: 'vrbo' };
+      prismaMock.reservation.findMany.mockResolvedValue([]);
+
+      const cancelled = await icalService.reconcileMissingReservations(
+        { id: 1 }, calendar, 'vrbo', null, [{ calendar, source: 'vrbo' }]
+      );
+
+      expect(cancelled).toBe(0);
+      expect(prismaMock.reservation.findMany.mock.calls[0][0].where).toMatchObject({
+        externalId: { not: null },
+        missingSyncCount: { gt: 0 }
+      });
+    });
+  });
+
+  describe('reconcileMissingReservations', () => {
+    const property = { id: 1, name: 'Casa', userId: 7 };
+    const calendar = { id: 10, platform: 'vrbo' };
+    const feeds = [{ calendar, source: 'vrbo' }];
+
+    it('should count missing syncs below the threshold', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([{ id: 5, missingSyncCount: 0 }]);
+      prismaMock.setting.findUnique.mockResolvedValue({ value: '3' });
+      const cancelSpy = vi.spyOn(icalService, 'cancelImportedReservation').mockResolvedValue();
+
+      const cancelled = await icalService.reconcileMissingReservations(property, calendar, 'vrbo', new Set(['x']), feeds);
+
+      expect(cancelled).toBe(0);
+      expect(cancelSpy).not.toHaveBeenCalled();
+      expect(prismaMock.reservation.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { missingSyncCount: 1 }
+      });
+    });
+
+    it('should cancel reservations missing for the configured number of syncs', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([{ id: 5, missingSyncCount: 2 }]);
+      prismaMock.setting.findUnique.mockResolvedValue(null);
+      const cancelSpy = vi.spyOn(icalService, 'cancelImportedReservation').mockResolvedValue();
+
+      const cancelled = await icalService.reconcileMissingReservations(property, calendar, 'vrbo', new Set(), feeds);
+
+      expect(cancelled).toBe(1);
+      expect(cancelSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 5, missingSyncCount: 3 }),
+        property,
+        expect.stringContaining('vrbo')
+      );
+    });
+  });
+
+  describe('cancelImportedReservation', () => {
+    it('should cancel the reservation and drop its queued jobs', async () => {
+      vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+      const cancelJobs = vi.spyOn(queueService, 'cancelReservationJobs').mockResolvedValue({ removed: 2, scheduledCancelled: 1 });
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      await icalService.cancelImportedReservation(
+        { id: 5, source: 'vrbo', externalId: 'abc', missingSyncCount: 3, internalNotes: null },
+        { id: 1, name: 'Casa', userId: 7 },
+        'Removida do feed'
+      );
+
+      expect(prismaMock.reservation.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 5 },
+        data: expect.objectContaining({ status: 'cancelled' })
+      }));
+      expect(cancelJobs).toHaveBeenCalledWith(5);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should render all-day events with escaped and folded text', () => {
+      const body = icalService.buildCalendar('Casa; Praia', [{
+        uid: 'reservation-1@mevo',
+        start: new Date('2030-01-10T00:00:00Z'),
+        end: new Date('2030-01-15T00:00:00Z'),
+        summary: `Reservado, ${'x'.repeat(80)}`
+      }]);
+
+      expect(body.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(body.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(body).toContain('X-WR-CALNAME:Casa\\; Praia');
+      expect(body).toContain('DTSTART;VALUE=DATE:20300110');
+      expect(body).toContain('DTEND;VALUE=DATE:20300115');
+      expect(body).toContain('SUMMARY:Reservado\\, ');
+      expect(body.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    });
+  });
+
+  describe('GET /ical/:token.ics', () => {
+    const app = express();
+    app.use('/ical', icalRoutes);
+
+    it('should export the property feed including maintenance blocks', async () => {
+      prismaMock.property.findUnique.mockResolvedValue({
+        id: 1,
+        name: 'Casa',
+        icalExportMaintenance: true,
+        isActive: true,
+        user: { isActive: true }
+      });
+      prismaMock.reservation.findMany.mockResolvedValue([{
+        id: 9,
+        propertyId: 1,
+        checkinDate: new Date('2030-01-10T00:00:00Z'),
+        checkoutDate: new Date('2030-01-15T00:00:00Z')
+      }]);
+      prismaMock.maintenanceTask.findMany.mockResolvedValue([{
+        id: 4,
+        propertyId: 1,
+        dueDate: new Date('2030-01-20T00:00:00Z')
+      }]);
+
+      const response = await request(app).get('/ical/abc123.ics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(prismaMock.property.findUnique).toHaveBeenCalledWith({
+        where: { icalExportToken: 'abc123' },
+        include: { user: { select: { isActive: true } } }
+      });
+      expect(response.text).toContain('UID:reservation-9@mevo');
+      expect(response.text).toContain('UID:maintenance-4@mevo');
+      expect(response.text).toContain('DTEND;VALUE=DATE:20300121');
+    });
+
+    it('should return 404 for unknown or revoked tokens', async () => {
+      prismaMock.property.findUnique.mockResolvedValue(null);
+      prismaMock.user.findUnique.mockResolvedValue(null);
+
+      const response = await request(app).get('/ical/revoked.ics');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 for inactive properties or owners', async () => {
+      prismaMock.property.findUnique.mockResolvedValueOnce({ id: 1, name: 'Casa', isActive: false, user: { isActive: true } });
+      const inactiveProperty = await request(app).get('/ical/abc123.ics');
+
+      prismaMock.property.findUnique.mockResolvedValueOnce({ id: 1, name: 'Casa', isActive: true, user: { isActive: false } });
+      const inactiveOwner = await request(app).get('/ical/abc123.ics');
+
+      expect(inactiveProperty.status).toBe(404);
+      expect(inactiveOwner.status).toBe(404);
+      expect(prismaMock.reservation.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('detectConflicts', () => {
+    const property = { id: 1, name: 'Casa', userId: 7 };
+    const stay = (id, checkin, checkout, source) => ({
+      id,
+      source,
+      checkinDate: new Date(`${checkin}T00:00:00Z`),
+      checkoutDate: new Date(`${checkout}T00:00:00Z`)
+    });
+
+    it('should record overlapping stays and fire reservation.conflict', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([
+        stay(2, '2030-01-10', '2030-01-15', 'airbnb'),
+        stay(1, '2030-01-13', '2030-01-18', 'booking'),
+        stay(3, '2030-01-18', '2030-01-20', 'vrbo')
+      ]);
+      prismaMock.reservationConflict.findMany.mockResolvedValue([
+        { id: 50, reservationId: 3, conflictingReservationId: 4 }
+      ]);
+      prismaMock.reservationConflict.findUnique.mockResolvedValue(null);
+      prismaMock.reservationConflict.create.mockResolvedValue({ id: 99 });
+      const triggerSpy = vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+
+      const created = await icalService.detectConflicts(property);
+
+      expect(created).toBe(1);
+      expect(prismaMock.reservationConflict.create).toHaveBeenCalledWith({
+        data: {
+          propertyId: 1,
+          reservationId: 1,
+          conflictingReservationId: 2,
+          overlapStart: new Date('2030-01-13T00:00:00Z'),
+          overlapEnd: new Date('2030-01-15T00:00:00Z')
+        }
+      });
+      // Mesmo cliente (transação) que gravou o conflito
+      expect(triggerSpy).toHaveBeenCalledWith('reservation.conflict', expect.objectContaining({ conflictId: 99 }), 7, prismaMock);
+      expect(prismaMock.reservationConflict.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: { in: [50] } }
+      }));
+    });
+
+    it('should not reopen conflicts ignored by the host', async () => {
+      prismaMock.reservation.findMany.mockResolvedValue([
+        stay(1, '2030-01-10', '2030-01-15', 'airbnb'),
+        stay(2, '2030-01-12', '2030-01-14', 'booking')
+      ]);
+      prismaMock.reservationConflict.findMany.mockResolvedValue([]);
+      prismaMock.reservationConflict.findUnique.mockResolvedValue({ id: 5, status: 'resolved', resolution: 'ignored' });
+      const triggerSpy = vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+
+      expect(await icalService.detectConflicts(property)).toBe(0);
+      expect(triggerSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const prismaMock = vi.hoisted(() => ({
+  guest: { findMany: vi.fn(), findFirst: vi.fn(), update: vi.fn() },
+  property: { findMany: vi.fn(), findFirst: vi.fn(), update: vi.fn() },
+  conversation: { findUnique: vi.fn(), create: vi.fn(), update: vi.fn() },
+  inboxMessage: { create: vi.fn() },
+  notificationLog: { updateMany: vi.fn() },
+  messageLog: { updateMany: vi.fn() },
+  cleaningTask: { findMany: vi.fn(), update: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: inboxService } = await import('../services/inbox.service.js');
+const { default: notificationService } = await import('../services/notification.service.js');
+const { default: cleaningService } = await import('../services/cleaning.service.js');
+
+const upsert = (overrides = {}) => ({
+  key: { remoteJid: '5511988887777@s.whatsapp.net', fromMe: false, id: 'MSG1' },
+  pushName: 'Ana',
+  message: { conversation: 'Qual a senha do wifi?' },
+  messageTimestamp: 1893456000,
+  ...overrides
+});
+
+describe('InboxService', () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('matchContact', () => {
+    it('should look guests up by the normalized phone columns', async () => {
+      prismaMock.guest.findFirst.mockResolvedValue({ id: 4 });
+
+      const match = await inboxService.matchContact(1, '5511988887777');
+
+      expect(match).toEqual({ contactType: 'guest', guestId: 4, propertyId: null });
+      expect(prismaMock.guest.findFirst.mock.calls[0][0].where).toEqual({
+        userId: 1,
+        OR: [{ whatsappNormalized: '5511988887777' }, { phoneNormalized: '5511988887777' }]
+      });
+      expect(prismaMock.guest.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the property cleaner', async () => {
+      prismaMock.guest.findFirst.mockResolvedValue(null);
+      prismaMock.property.findFirst.mockResolvedValue({ id: 9 });
+
+      const match = await inboxService.matchContact(1, '5511988887777');
+
+      expect(match).toEqual({ contactType: 'cleaner', guestId: null, propertyId: 9 });
+      expect(prismaMock.property.findFirst.mock.calls[0][0].where).toEqual({
+        userId: 1,
+        employeePhoneNormalized: '5511988887777'
+      });
+    });
+  });
+
+  describe('backfillNormalizedPhones', () => {
+    it('should normalize phones of records created before the columns', async () => {
+      prismaMock.guest.findMany.mockResolvedValue([
+        { id: 4, phone: null, whatsapp: '(11) 98888-7777' },
+        { id: 5, phone: '123', whatsapp: null }
+      ]);
+      prismaMock.property.findMany.mockResolvedValue([{ id: 9, employeePhone: '11 98888-7777' }]);
+
+      const result = await inboxService.backfillNormalizedPhones();
+
+      expect(result).toEqual({ guests: 1, properties: 1 });
+      expect(prismaMock.guest.update).toHaveBeenCalledWith({
+        where: { id: 4 },
+        data: { phoneNormalized: null, whatsappNormalized: '5511988887777' }
+      });
+      expect(prismaMock.property.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { employeePhoneNormalized: '5511988887777' }
+      });
+    });
+  });
+
+  describe('handleMessagesUpsert', () => {
+    it('should store inbound text messages in the contact conversation', async () => {
+      prismaMock.conversation.findUnique.mockResolvedValue({ id: 3, contactType: 'guest', contactName: null });
+
+      const stored = await inboxService.handleMessagesUpsert('mevo-user-1', upsert());
+
+      expect(stored).toBe(1);
+      expect(prismaMock.conversation.findUnique).toHaveBeenCalledWith({
+        where: { userId_phone: { userId: 1, phone: '5511988887777' } }
+      });
+      expect(prismaMock.inboxMessage.create).toHaveBeenCalledWith({
+        data: {
+          conversationId: 3,
+          externalId: 'MSG1',
+          messageType: 'text',
+          body: 'Qual a senha do wifi?',
+          receivedAt: new Date(1893456000 * 1000)
+        }
+      });
+      expect(prismaMock.conversation.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ unreadCount: { increment: 1 }, contactName: 'Ana' })
+      }));
+    });
+
+    it('should ignore own messages, groups and unknown instances', async () => {
+      const ownMessage = upsert({ key: { remoteJid: '5511988887777@s.whatsapp.net', fromMe: true, id: 'A' } });
+      const groupMessage = upsert({ key: { remoteJid: '1203630@g.us', fromMe: false, id: 'B' } });
+
+      expect(await inboxService.handleMessagesUpsert('mevo-user-1', [ownMessage, groupMessage])).toBe(0);
+      expect(await inboxService.handleMessagesUpsert('other-instance', upsert())).toBe(0);
+      expect(prismaMock.inboxMessage.create).not.toHaveBeenCalled();
+    });
+
+    it('should skip duplicate deliveries', async () => {
+      prismaMock.conversation.findUnique.mockResolvedValue({ id: 3, contactType: 'guest' });
+      prismaMock.inboxMessage.create.mockRejectedValueOnce(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+      expect(await inboxService.handleMessagesUpsert('mevo-user-1', { messages: [upsert()] })).toBe(0);
+      expect(prismaMock.conversation.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('extractContent', () => {
+    it('should read captions and fall back to the media type', () => {
+      expect(inboxService.extractContent({ imageMessage: { caption: 'Foto da porta' } }))
+        .toEqual({ messageType: 'image', body: 'Foto da porta' });
+      expect(inboxService.extractContent({ audioMessage: {} })).toEqual({ messageType: 'audio', body: null });
+      expect(inboxService.buildPreview(null, 'audio')).toBe('[audio]');
+    });
+  });
+
+  describe('handleDeliveryReceipts', () => {
+    it('should move logs forward on delivery and read receipts', async () => {
+      prismaMock.notificationLog.updateMany.mockResolvedValue({ count: 1 });
+      prismaMock.messageLog.updateMany.mockResolvedValue({ count: 0 });
+
+      const updated = await notificationService.handleDeliveryReceipts('mevo-user-3', [
+        { keyId: 'OUT1', fromMe: true, status: 'DELIVERY_ACK' },
+        { key: { id: 'OUT1', fromMe: true }, update: { status: 4 } },
+        { keyId: 'IN1', fromMe: false, status: 'READ' }
+      ]);
+
+      expect(updated).toBe(3);
+      expect(prismaMock.notificationLog.updateMany).toHaveBeenNthCalledWith(1, {
+        where: { externalId: 'OUT1', status: { in: ['pending', 'sent'] }, userId: 3 },
+        data: { status: 'delivered', deliveredAt: expect.any(Date) }
+      });
+      expect(prismaMock.notificationLog.updateMany).toHaveBeenNthCalledWith(3, {
+        where: { externalId: 'OUT1', status: { in: ['delivered'] }, userId: 3 },
+        data: { status: 'read', readAt: expect.any(Date) }
+      });
+      expect(prismaMock.messageLog.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ property: { userId: 3 } })
+      }));
+    });
+
+    it('should ignore server acks', async () => {
+      const updated = await notificationService.handleDeliveryReceipts('mevo-user-3', { keyId: 'OUT1', status: 'SERVER_ACK' });
+
+      expect(updated).toBe(0);
+      expect(prismaMock.notificationLog.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cleaner replies', () => {
+    const task = (id, position, status = 'notified') => ({
+      id,
+      position,
+      status,
+      date: new Date('2030-01-10T00:00:00Z'),
+      employeePhone: '(11) 98888-7777',
+      confirmedAt: null,
+      completedAt: null,
+      property: { id, name: `Casa ${id}` }
+    });
+
+    it('should parse numbered and bare replies', () => {
+      expect(cleaningService.parseReply('1 ok, 2- Feito')).toEqual([
+        { position: 1, action: 'confirm' },
+        { position: 2, action: 'complete' }
+      ]);
+      expect(cleaningService.parseReply('Concluído 👍')).toEqual([
+        { position: null, action: 'complete' },
+        { position: null, action: 'confirm' }
+      ]);
+      expect(cleaningService.parseReply('vou no book assim que der')).toEqual([]);
+    });
+
+    it('should update the numbered task and build the acknowledgement', async () => {
+      prismaMock.cleaningTask.findMany.mockResolvedValue([task(1, 1), task(2, 2, 'confirmed')]);
+      prismaMock.cleaningTask.update.mockImplementation(({ where, data }) => ({ id: where.id, ...data }));
+
+      const result = await cleaningService.handleCleanerReply(1, '5511988887777', '2 feito, 3 ok', new Date('2030-01-10T14:00:00Z'));
+
+      expect(prismaMock.cleaningTask.update).toHaveBeenCalledTimes(1);
+      expect(prismaMock.cleaningTask.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: expect.objectContaining({ status: 'completed', statusSource: 'whatsapp', completedAt: expect.any(Date) })
+      });
+      expect(result.reply).toBe('🧹 Concluída: Casa 2\n❓ Limpeza 3 não encontrada');
+    });
+
+    it('should ask for the number when "feito" is ambiguous', async () => {
+      prismaMock.cleaningTask.findMany.mockResolvedValue([task(1, 1), task(2, 2)]);
+
+      const result = await cleaningService.handleCleanerReply(1, '5511988887777', 'feito');
+
+      expect(prismaMock.cleaningTask.update).not.toHaveBeenCalled();
+      expect(result.reply).toContain('Responda com o número');
+    });
+  });
+});
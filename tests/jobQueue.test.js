@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const prismaMock = vi.hoisted(() => ({
+  $queryRaw: vi.fn(),
+  scheduledJob: { create: vi.fn(), findMany: vi.fn(), update: vi.fn(), updateMany: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: jobQueueService } = await import('../services/jobQueue.service.js');
+
+const job = (overrides = {}) => ({
+  id: 1,
+  type: 'send_notification',
+  payload: JSON.stringify({ type: 'welcome', reservationId: 5 }),
+  attempts: 1,
+  maxAttempts: 3,
+  ...overrides
+});
+
+describe('JobQueueService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.scheduledJob.update.mockImplementation(async ({ data }) => data);
+    prismaMock.scheduledJob.updateMany.mockResolvedValue({ count: 0 });
+    jobQueueService.handler = null;
+    jobQueueService.onFailed = null;
+  });
+
+  it('should retry failed jobs with exponential backoff', async () => {
+    const now = new Date('2030-01-01T12:00:00Z');
+
+    await jobQueueService.fail(job({ attempts: 2 }), new Error('WhatsApp offline'), now);
+
+    expect(prismaMock.scheduledJob.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: {
+        status: 'pending',
+        errorMessage: 'WhatsApp offline',
+        attemptHistory: JSON.stringify([{ attempt: 2, error: 'WhatsApp offline', at: '2030-01-01T12:00:00.000Z' }]),
+        lockedAt: null,
+        lockedBy: null,
+        nextRunAt: new Date('2030-01-01T12:01:00Z')
+      }
+    });
+    expect(jobQueueService.getBackoffMs(20)).toBe(3600 * 1000);
+  });
+
+  it('should mark the job as failed after maxAttempts', async () => {
+    const updated = await jobQueueService.fail(job({ attempts: 3 }), new Error('Reserva não encontrada'));
+
+    expect(updated).toMatchObject({ status: 'failed', nextRunAt: null });
+  });
+
+  it('should run claimed jobs and write the result back', async () => {
+    prismaMock.$queryRaw.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+    prismaMock.scheduledJob.findMany.mockResolvedValue([job(), job({ id: 2, payload: '{"type":"unknown"}' })]);
+
+    jobQueueService.handler = vi.fn(async (claimed, payload) => {
+      if (payload.type === 'unknown') throw new Error('Tipo desconhecido');
+      return { success: true };
+    });
+
+    const results = await jobQueueService.tick();
+
+    expect(results).toEqual([{ id: 1, status: 'completed' }, { id: 2, status: 'pending' }]);
+    expect(jobQueueService.handler).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), { type: 'welcome', reservationId: 5 });
+    expect(prismaMock.scheduledJob.update.mock.calls[0][0].data).toMatchObject({
+      status: 'completed',
+      result: '{"success":true}'
+    });
+  });
+
+  it('should hand exhausted jobs to onFailed with the attempt history', async () => {
+    const history = [
+      { attempt: 1, error: 'Timeout', at: '2030-01-01T12:00:00.000Z' },
+      { attempt: 2, error: 'Timeout', at: '2030-01-01T12:00:30.000Z' }
+    ];
+
+    jobQueueService.handler = vi.fn().mockRejectedValue(new Error('Reserva não encontrada'));
+    jobQueueService.onFailed = vi.fn();
+
+    const result = await jobQueueService.run(job({ attempts: 3, attemptHistory: JSON.stringify(history) }));
+
+    expect(result).toEqual({ id: 1, status: 'failed' });
+    const [failedJob, error] = jobQueueService.onFailed.mock.calls[0];
+    expect(error.message).toBe('Reserva não encontrada');
+    expect(JSON.parse(failedJob.attemptHistory)).toEqual([
+      ...history,
+      expect.objectContaining({ attempt: 3, error: 'Reserva não encontrada' })
+    ]);
+  });
+
+  it('should not call onFailed while retries remain', async () => {
+    jobQueueService.handler = vi.fn().mockRejectedValue(new Error('Timeout'));
+    jobQueueService.onFailed = vi.fn();
+
+    await jobQueueService.run(job({ attempts: 1 }));
+
+    expect(jobQueueService.onFailed).not.toHaveBeenCalled();
+  });
+
+  it('should put recurring jobs back in the queue at the next occurrence', async () => {
+    const now = new Date('2030-01-10T12:00:00Z');
+    const recurring = job({ attempts: 3, cronExpression: '0 9 * * FRI', timezone: 'America/Sao_Paulo' });
+
+    const completed = await jobQueueService.complete(recurring, { sent: 10 }, now);
+    expect(completed).toMatchObject({ status: 'pending', attempts: 0, nextRunAt: new Date('2030-01-11T12:00:00Z') });
+
+    // Falha definitiva: registra o erro, mas a recorrência continua
+    const failed = await jobQueueService.fail(recurring, new Error('Timeout'), now);
+    expect(failed).toMatchObject({ status: 'pending', attempts: 0, errorMessage: 'Timeout', nextRunAt: new Date('2030-01-11T12:00:00Z') });
+  });
+
+  it('should claim jobs using the application clock', async () => {
+    const now = new Date('2030-01-10T12:00:00Z');
+    prismaMock.$queryRaw.mockResolvedValue([]);
+
+    expect(await jobQueueService.claim(5, now)).toEqual([]);
+
+    const [sql, ...values] = prismaMock.$queryRaw.mock.calls[0];
+    expect(sql.join('?')).not.toContain('NOW()');
+    expect(values.filter(value => value === now)).toHaveLength(4);
+  });
+
+  it('should cancel reservation jobs through the reservationId column', async () => {
+    prismaMock.scheduledJob.create.mockImplementation(async ({ data }) => data);
+    prismaMock.scheduledJob.updateMany.mockResolvedValue({ count: 2 });
+
+    const created = await jobQueueService.enqueue('send_notification', { type: 'welcome', reservationId: 5 });
+    const cancelled = await jobQueueService.cancelReservationJobs(5);
+
+    expect(created.reservationId).toBe(5);
+    expect(cancelled).toBe(2);
+    expect(prismaMock.scheduledJob.updateMany).toHaveBeenCalledWith({
+      where: { reservationId: 5, status: { in: ['pending', 'paused'] } },
+      data: { status: 'cancelled', nextRunAt: null }
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import cron from 'node-cron';
+
+const prismaMock = vi.hoisted(() => ({
+  $queryRaw: vi.fn(),
+  leaderLease: { findUnique: vi.fn(), deleteMany: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: leaderService } = await import('../services/leader.service.js');
+const { default: schedulerService } = await import('../services/scheduler.service.js');
+
+describe('LeaderService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    leaderService.isLeader = false;
+    leaderService.onElected = vi.fn();
+    leaderService.onDemoted = vi.fn();
+  });
+
+  it('should become leader only when the lease is returned for this node', async () => {
+    prismaMock.$queryRaw.mockResolvedValueOnce([]);
+    expect(await leaderService.tick()).toBe(false);
+    expect(leaderService.onElected).not.toHaveBeenCalled();
+
+    prismaMock.$queryRaw.mockResolvedValue([{ holder: leaderService.nodeId }]);
+    expect(await leaderService.tick()).toBe(true);
+    expect(await leaderService.tick()).toBe(true);
+    expect(leaderService.onElected).toHaveBeenCalledTimes(1);
+  });
+
+  it('should step down when the renewal fails', async () => {
+    leaderService.isLeader = true;
+    prismaMock.$queryRaw.mockRejectedValue(new Error('connection refused'));
+
+    expect(await leaderService.tick()).toBe(false);
+    expect(leaderService.onDemoted).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the lease on shutdown', async () => {
+    leaderService.isLeader = true;
+    prismaMock.leaderLease.deleteMany.mockResolvedValue({ count: 1 });
+
+    await leaderService.stop();
+
+    expect(leaderService.onDemoted).toHaveBeenCalled();
+    expect(prismaMock.leaderLease.deleteMany).toHaveBeenCalledWith({
+      where: { name: 'scheduler', holder: leaderService.nodeId }
+    });
+  });
+
+  it('should report the current lease holder', async () => {
+    const now = new Date('2030-01-10T12:00:00Z');
+    prismaMock.leaderLease.findUnique.mockResolvedValue({
+      holder: 'web-2-41',
+      acquiredAt: new Date('2030-01-10T11:00:00Z'),
+      renewedAt: new Date('2030-01-10T11:59:55Z'),
+      expiresAt: new Date('2030-01-10T12:00:25Z')
+    });
+
+    const status = await leaderService.getStatus(now);
+
+    expect(status).toMatchObject({ isLeader: false, lease: { holder: 'web-2-41', active: true } });
+  });
+});
+
+describe('SchedulerService leadership', () => {
+  it('should skip cron ticks after the instance loses the lease', async () => {
+    let tick;
+    vi.spyOn(cron, 'schedule').mockImplementation((schedule, callback) => {
+      tick = callback;
+      return { stop: vi.fn() };
+    });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const handler = vi.fn().mockResolvedValue();
+
+    schedulerService.addJob('teste', '* * * * *', handler);
+
+    leaderService.isLeader = true;
+    await tick();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    leaderService.isLeader = false;
+    await tick();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    schedulerService.stop();
+    vi.restoreAllMocks();
+  });
+});
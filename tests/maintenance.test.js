@@ -0,0 +1,294 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const prismaMock = vi.hoisted(() => ({
+  $transaction: vi.fn(),
+  user: { findUnique: vi.fn() },
+  session: { findFirst: vi.fn(), updateMany: vi.fn() },
+  organizationMember: { findUnique: vi.fn() },
+  property: { findFirst: vi.fn() },
+  maintenanceTask: { findMany: vi.fn(), findFirst: vi.fn(), count: vi.fn(), create: vi.fn(), update: vi.fn() },
+  auditLog: { create: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: maintenanceService } = await import('../services/maintenance.service.js');
+const { default: notificationService } = await import('../services/notification.service.js');
+const { default: webhookService } = await import('../services/webhook.service.js');
+const { default: maintenanceRoutes } = await import('../routes/maintenance.js');
+const { JWT_SECRET } = await import('../middleware/auth.middleware.js');
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+const iso = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('MaintenanceService schedules', () => {
+  describe('getOccurrences', () => {
+    it('should keep interval occurrences anchored to the start date', () => {
+      const schedule = { recurrence: 'interval', intervalDays: 90, startDate: day('2030-01-01') };
+
+      const occurrences = maintenanceService.getOccurrences(schedule, { from: day('2030-03-15'), count: 3 });
+
+      expect(iso(occurrences)).toEqual(['2030-04-01', '2030-06-30', '2030-09-28']);
+    });
+
+    it('should list weekly occurrences until the given day', () => {
+      const schedule = { recurrence: 'weekly', weekdays: [1], startDate: day('2030-01-01') };
+
+      const occurrences = maintenanceService.getOccurrences(schedule, { from: day('2030-01-01'), until: day('2030-01-21') });
+
+      expect(iso(occurrences)).toEqual(['2030-01-07', '2030-01-14', '2030-01-21']);
+    });
+
+    it('should use the last day of short months', () => {
+      const schedule = { recurrence: 'monthly', dayOfMonth: 31, startDate: day('2030-01-01') };
+
+      const occurrences = maintenanceService.getOccurrences(schedule, { from: day('2030-01-01'), count: 3 });
+
+      expect(iso(occurrences)).toEqual(['2030-01-31', '2030-02-28', '2030-03-31']);
+    });
+  });
+
+  describe('resolveOccurrence', () => {
+    const reservations = [
+      { id: 1, checkinDate: day('2030-01-05'), checkoutDate: day('2030-01-10') },
+      { id: 2, checkinDate: day('2030-01-10'), checkoutDate: day('2030-01-12') }
+    ];
+
+    it('should shift past back-to-back reservations to the first free checkout day', () => {
+      const resolved = maintenanceService.resolveOccurrence(day('2030-01-07'), reservations, 'shift');
+
+      expect(resolved).toEqual({
+        scheduledFor: day('2030-01-07'),
+        dueDate: day('2030-01-12'),
+        shifted: true,
+        skipped: false,
+        reservationId: 1
+      });
+    });
+
+    it('should skip occupied days or keep them when the policy says so', () => {
+      expect(maintenanceService.resolveOccurrence(day('2030-01-07'), reservations, 'skip').skipped).toBe(true);
+      expect(maintenanceService.resolveOccurrence(day('2030-01-07'), reservations, 'ignore').dueDate).toEqual(day('2030-01-07'));
+    });
+
+    it('should treat the checkout day as free', () => {
+      const resolved = maintenanceService.resolveOccurrence(day('2030-01-12'), reservations, 'shift');
+
+      expect(resolved.shifted).toBe(false);
+      expect(resolved.dueDate).toEqual(day('2030-01-12'));
+    });
+  });
+});
+
+describe('MaintenanceService tasks', () => {
+  const property = { id: 4, userId: 7, name: 'Casa Azul', address: 'Rua A, 10' };
+  const task = {
+    id: 9,
+    propertyId: 4,
+    title: 'Trocar chuveiro',
+    status: 'pending',
+    priority: 'urgent',
+    dueDate: day('2030-01-15'),
+    assigneeName: 'João',
+    assigneePhone: '5511999990000'
+  };
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it('should message the assignee and record the assignment', async () => {
+    const sendSpy = vi.spyOn(notificationService, 'send').mockResolvedValue({ success: true });
+
+    const result = await maintenanceService.notifyAssignment(task, property);
+
+    expect(result.success).toBe(true);
+    expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'whatsapp',
+      recipient: '5511999990000',
+      type: 'maintenance_assigned',
+      userId: 7
+    }));
+    expect(sendSpy.mock.calls[0][0].message).toContain('Prazo: 15/01/2030');
+    expect(prismaMock.maintenanceTask.update).toHaveBeenCalledWith({
+      where: { id: 9 },
+      data: { assignedAt: expect.any(Date) }
+    });
+  });
+
+  it('should not record the assignment when sending fails', async () => {
+    vi.spyOn(notificationService, 'send').mockResolvedValue({ success: false, error: 'WhatsApp desconectado' });
+
+    const result = await maintenanceService.notifyAssignment(task, property);
+
+    expect(result.success).toBe(false);
+    expect(prismaMock.maintenanceTask.update).not.toHaveBeenCalled();
+  });
+
+  it('should remind open tasks due in the day only once', async () => {
+    prismaMock.maintenanceTask.findMany.mockResolvedValue([{ ...task, property }]);
+    vi.spyOn(notificationService, 'send').mockResolvedValue({ success: true });
+
+    const result = await maintenanceService.sendDueReminders({
+      propertyIds: [4],
+      start: day('2030-01-15'),
+      end: day('2030-01-16')
+    });
+
+    expect(result).toEqual({ sent: 1, total: 1 });
+
+    const { where } = prismaMock.maintenanceTask.findMany.mock.calls[0][0];
+    expect(where).toMatchObject({
+      propertyId: { in: [4] },
+      status: { in: ['pending', 'in_progress'] },
+      reminderSentAt: null,
+      dueDate: { gte: day('2030-01-15'), lt: day('2030-01-16') }
+    });
+    expect(prismaMock.maintenanceTask.update).toHaveBeenCalledWith({
+      where: { id: 9 },
+      data: { reminderSentAt: expect.any(Date) }
+    });
+  });
+
+  it('should fire the webhook of the new status only when it changes', async () => {
+    const triggerSpy = vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+
+    await maintenanceService.triggerStatusChange({ ...task, status: 'completed' }, 'in_progress', property);
+    await maintenanceService.triggerStatusChange(task, 'pending', property);
+
+    expect(triggerSpy).toHaveBeenCalledTimes(1);
+    expect(triggerSpy).toHaveBeenCalledWith(
+      'maintenance.completed',
+      expect.objectContaining({ id: 9, status: 'completed', previousStatus: 'in_progress', propertyName: 'Casa Azul' }),
+      7,
+      prismaMock
+    );
+  });
+});
+
+describe('Maintenance task routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/maintenance', maintenanceRoutes);
+
+  const auth = () => `Bearer ${jwt.sign({ id: 7, sid: 1 }, JWT_SECRET)}`;
+  const property = { id: 4, userId: 7, name: 'Casa Azul' };
+  const existing = {
+    id: 9,
+    propertyId: 4,
+    title: 'Trocar chuveiro',
+    status: 'pending',
+    priority: 'normal',
+    dueDate: null,
+    completedAt: null,
+    assigneeName: null,
+    assigneePhone: null,
+    reminderSentAt: null,
+    property
+  };
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+    prismaMock.session.findFirst.mockResolvedValue({ id: 1, userId: 7 });
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: null, ownedOrganization: null });
+    prismaMock.$transaction.mockImplementation(async (fn) => fn(prismaMock));
+    prismaMock.maintenanceTask.findMany.mockResolvedValue([]);
+    prismaMock.maintenanceTask.count.mockResolvedValue(0);
+  });
+
+  it('should list only tasks of the user properties with the given filters', async () => {
+    const response = await request(app)
+      .get('/api/maintenance?propertyId=4&status=pending&priority=urgent')
+      .set('Authorization', auth());
+
+    expect(response.status).toBe(200);
+
+    const { where } = prismaMock.maintenanceTask.findMany.mock.calls[0][0];
+    expect(where).toEqual({ property: { userId: 7 }, propertyId: 4, status: 'pending', priority: 'urgent' });
+  });
+
+  it('should reject invalid priorities', async () => {
+    const response = await request(app)
+      .post('/api/maintenance')
+      .set('Authorization', auth())
+      .send({ propertyId: 4, title: 'Pintura', priority: 'maxima' });
+
+    expect(response.status).toBe(400);
+    expect(prismaMock.maintenanceTask.create).not.toHaveBeenCalled();
+  });
+
+  it('should not create tasks on properties of other users', async () => {
+    prismaMock.property.findFirst.mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/maintenance')
+      .set('Authorization', auth())
+      .send({ propertyId: 99, title: 'Pintura' });
+
+    expect(response.status).toBe(404);
+    expect(prismaMock.property.findFirst).toHaveBeenCalledWith({ where: { id: 99, userId: 7 } });
+    expect(prismaMock.maintenanceTask.create).not.toHaveBeenCalled();
+  });
+
+  it('should create the task, fire maintenance.created and notify the assignee', async () => {
+    prismaMock.property.findFirst.mockResolvedValue(property);
+    prismaMock.maintenanceTask.create.mockImplementation(async ({ data }) => ({ id: 10, ...data }));
+    const triggerSpy = vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+    const notifySpy = vi.spyOn(maintenanceService, 'notifyAssignment').mockResolvedValue({ success: true });
+
+    const response = await request(app)
+      .post('/api/maintenance')
+      .set('Authorization', auth())
+      .send({ propertyId: 4, title: 'Pintura', assigneePhone: '5511999990000' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.assigneeNotification).toEqual({ success: true });
+    expect(triggerSpy).toHaveBeenCalledWith('maintenance.created', expect.objectContaining({ id: 10 }), 7, prismaMock);
+    expect(notifySpy).toHaveBeenCalledWith(expect.objectContaining({ id: 10 }), property);
+  });
+
+  it('should fire the status webhook and notify a new assignee on update', async () => {
+    prismaMock.maintenanceTask.findFirst.mockResolvedValue(existing);
+    prismaMock.maintenanceTask.update.mockImplementation(async ({ data }) => ({ id: 9, propertyId: 4, ...data }));
+    const triggerSpy = vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+    const notifySpy = vi.spyOn(maintenanceService, 'notifyAssignment').mockResolvedValue({ success: true });
+
+    const response = await request(app)
+      .put('/api/maintenance/9')
+      .set('Authorization', auth())
+      .send({ status: 'in_progress', assigneePhone: '5511999990000' });
+
+    expect(response.status).toBe(200);
+    expect(prismaMock.maintenanceTask.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 9, property: { userId: 7 } }
+    }));
+    expect(triggerSpy).toHaveBeenCalledWith(
+      'maintenance.started',
+      expect.objectContaining({ status: 'in_progress', previousStatus: 'pending' }),
+      7,
+      prismaMock
+    );
+    expect(notifySpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should set completedAt and not notify when the task is completed', async () => {
+    prismaMock.maintenanceTask.findFirst.mockResolvedValue({ ...existing, assigneePhone: '5511999990000' });
+    prismaMock.maintenanceTask.update.mockImplementation(async ({ data }) => ({ id: 9, propertyId: 4, ...data }));
+    vi.spyOn(webhookService, 'trigger').mockResolvedValue();
+    const notifySpy = vi.spyOn(maintenanceService, 'notifyAssignment');
+
+    const response = await request(app)
+      .put('/api/maintenance/9')
+      .set('Authorization', auth())
+      .send({ status: 'completed' });
+
+    expect(response.status).toBe(200);
+    expect(prismaMock.maintenanceTask.update.mock.calls[0][0].data.completedAt).toEqual(expect.any(Date));
+    expect(notifySpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const prismaMock = vi.hoisted(() => ({
+  $transaction: vi.fn(),
+  user: { findUnique: vi.fn() },
+  session: { findFirst: vi.fn(), updateMany: vi.fn() },
+  organizationMember: { findUnique: vi.fn() },
+  property: { findFirst: vi.fn(), update: vi.fn() },
+  propertyCalendar: { findFirst: vi.fn(), create: vi.fn(), update: vi.fn(), delete: vi.fn() },
+  auditLog: { create: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: propertiesRoutes } = await import('../routes/properties.js');
+const { JWT_SECRET } = await import('../middleware/auth.middleware.js');
+
+describe('Property calendars', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/properties', propertiesRoutes);
+
+  const auth = () => `Bearer ${jwt.sign({ id: 7, sid: 1 }, JWT_SECRET)}`;
+  const existing = {
+    id: 3,
+    propertyId: 1,
+    platform: 'airbnb',
+    url: 'https://www.airbnb.com/calendar/ical/1.ics',
+    property: { icalAirbnb: null, icalBooking: null, icalOther: null }
+  };
+  const legacyMirror = {
+    ...existing,
+    legacySource: 'icalAirbnb',
+    property: { icalAirbnb: existing.url, icalBooking: null, icalOther: null }
+  };
+  const otherUrl = 'https://www.airbnb.com/calendar/ical/2.ics';
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.session.findFirst.mockResolvedValue({ id: 1, userId: 7 });
+    prismaMock.user.findUnique.mockResolvedValue({ activeOrganizationId: null, ownedOrganization: null });
+    prismaMock.property.findFirst.mockResolvedValue({ id: 1, userId: 7 });
+    prismaMock.propertyCalendar.findFirst.mockResolvedValue(null);
+    prismaMock.$transaction.mockImplementation(async (fn) => fn(prismaMock));
+  });
+
+  it('should return 409 when adding a URL already registered for the property', async () => {
+    prismaMock.propertyCalendar.findFirst.mockResolvedValue(existing);
+
+    const response = await request(app)
+      .post('/api/properties/1/calendars')
+      .set('Authorization', auth())
+      .send({ platform: 'airbnb', url: existing.url });
+
+    expect(response.status).toBe(409);
+    expect(prismaMock.propertyCalendar.create).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 when changing a calendar to a URL already registered', async () => {
+    prismaMock.propertyCalendar.findFirst
+      .mockResolvedValueOnce(existing)
+      .mockResolvedValueOnce({ id: 4, propertyId: 1, url: otherUrl });
+
+    const response = await request(app)
+      .put('/api/properties/1/calendars/3')
+      .set('Authorization', auth())
+      .send({ url: otherUrl });
+
+    expect(response.status).toBe(409);
+    expect(prismaMock.propertyCalendar.update).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 when the unique constraint catches a concurrent duplicate', async () => {
+    prismaMock.propertyCalendar.findFirst.mockResolvedValueOnce(existing).mockResolvedValueOnce(null);
+    prismaMock.propertyCalendar.update.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+    const response = await request(app)
+      .put('/api/properties/1/calendars/3')
+      .set('Authorization', auth())
+      .send({ url: otherUrl });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should clear the legacy column when its mirror calendar is deleted', async () => {
+    prismaMock.propertyCalendar.findFirst.mockResolvedValue(legacyMirror);
+
+    const response = await request(app)
+      .delete('/api/properties/1/calendars/3')
+      .set('Authorization', auth());
+
+    expect(response.status).toBe(200);
+    expect(prismaMock.property.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { icalAirbnb: null } });
+    expect(prismaMock.propertyCalendar.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+  });
+
+  it('should keep legacy columns when deleting a regular calendar', async () => {
+    prismaMock.propertyCalendar.findFirst.mockResolvedValue(existing);
+
+    const response = await request(app)
+      .delete('/api/properties/1/calendars/3')
+      .set('Authorization', auth());
+
+    expect(response.status).toBe(200);
+    expect(prismaMock.property.update).not.toHaveBeenCalled();
+  });
+
+  it('should clear the legacy column when the URL of its mirror changes', async () => {
+    prismaMock.propertyCalendar.findFirst.mockResolvedValueOnce(legacyMirror).mockResolvedValueOnce(null);
+    prismaMock.propertyCalendar.update.mockImplementation(async ({ data }) => ({ id: 3, ...data }));
+
+    const response = await request(app)
+      .put('/api/properties/1/calendars/3')
+      .set('Authorization', auth())
+      .send({ url: otherUrl });
+
+    expect(response.status).toBe(200);
+    expect(prismaMock.property.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { icalAirbnb: null } });
+    expect(response.body.legacySource).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const prismaMock = vi.hoisted(() => ({
+  user: { update: vi.fn(), updateMany: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: twoFactorService } = await import('../services/twoFactor.service.js');
+
+// Segredo do RFC 6238 ("12345678901234567890") em base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TwoFactorService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.user.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('should generate the RFC 6238 reference codes', () => {
+    expect(twoFactorService.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(twoFactorService.generateCode(RFC_SECRET, twoFactorService.getStep(new Date(59 * 1000)))).toBe('287082');
+    expect(twoFactorService.generateCode(RFC_SECRET, twoFactorService.getStep(new Date(1111111109 * 1000)))).toBe('081804');
+  });
+
+  it('should accept neighbouring steps but not codes already used', () => {
+    const now = new Date(1111111109 * 1000);
+    const step = twoFactorService.getStep(now);
+    const previous = twoFactorService.generateCode(RFC_SECRET, step - 1);
+
+    expect(twoFactorService.verifyCode(RFC_SECRET, previous, null, now)).toBe(step - 1);
+    expect(twoFactorService.verifyCode(RFC_SECRET, previous, step - 1, now)).toBeNull();
+    expect(twoFactorService.verifyCode(RFC_SECRET, '12345', null, now)).toBeNull();
+  });
+
+  it('should keep the secret encrypted and consume recovery codes once', async () => {
+    const encrypted = twoFactorService.encryptSecret(RFC_SECRET);
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(twoFactorService.decryptSecret(encrypted)).toBe(RFC_SECRET);
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    const user = { id: 1, twoFactorEnabledAt: new Date(), twoFactorSecret: encrypted, twoFactorRecoveryCodes: hashes };
+
+    const result = await twoFactorService.verify(user, { recoveryCode: codes[0].toUpperCase() });
+
+    expect(result).toEqual({ method: 'recovery_code', remainingRecoveryCodes: hashes.length - 1 });
+    expect(prismaMock.user.updateMany.mock.calls[0][0].data.twoFactorRecoveryCodes).not.toContain(hashes[0]);
+  });
+
+  it('should only accept pending tokens issued for the second login step', () => {
+    expect(twoFactorService.verifyPendingToken(twoFactorService.signPendingToken(5))).toBe(5);
+    expect(twoFactorService.verifyPendingToken('invalid')).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const prismaMock = vi.hoisted(() => ({
+  $queryRaw: vi.fn(),
+  webhook: { findMany: vi.fn(), update: vi.fn() },
+  webhookLog: { create: vi.fn(), findMany: vi.fn() },
+  webhookOutbox: { createMany: vi.fn(), update: vi.fn(), findMany: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: webhookService } = await import('../services/webhook.service.js');
+const { default: webhookDispatcherService } = await import('../services/webhookDispatcher.service.js');
+
+const NOW = new Date('2030-01-10T12:00:00Z');
+
+const entry = (overrides = {}) => ({
+  id: 10,
+  event: 'reservation.created',
+  payload: JSON.stringify({ id: 5 }),
+  attempts: 1,
+  webhook: { id: 3, url: 'https://example.com/hook', secret: 'segredo', isActive: true },
+  ...overrides
+});
+
+function mockFetch(status) {
+  const fetchMock = vi.fn().mockResolvedValue(new Response('ok', { status }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+describe('Webhook outbox', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prismaMock.webhookOutbox.update.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should write one outbox row per webhook instead of calling the receiver', async () => {
+    const fetchMock = mockFetch(200);
+    prismaMock.webhook.findMany.mockResolvedValue([{ id: 3 }, { id: 4 }]);
+
+    const result = await webhookService.trigger('reservation.created', { id: 5 }, 7);
+
+    expect(result).toEqual({ queued: 2 });
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(prismaMock.webhookOutbox.createMany).toHaveBeenCalledWith({
+      data: [
+        { event: 'reservation.created', payload: '{"id":5}', webhookId: 3 },
+        { event: 'reservation.created', payload: '{"id":5}', webhookId: 4 }
+      ]
+    });
+  });
+
+  it('should rethrow inside a transaction so the domain change rolls back', async () => {
+    const tx = {
+      webhook: { findMany: vi.fn().mockResolvedValue([{ id: 3 }]) },
+      webhookOutbox: { createMany: vi.fn().mockRejectedValue(new Error('deadlock')) }
+    };
+
+    await expect(webhookService.trigger('guest.created', { id: 1 }, 7, tx)).rejects.toThrow('deadlock');
+  });
+
+  it('should mark the delivery as delivered and log the attempt', async () => {
+    const fetchMock = mockFetch(200);
+
+    const result = await webhookDispatcherService.deliver(entry(), NOW);
+
+    expect(result).toEqual({ id: 10, status: 'delivered' });
+    expect(fetchMock.mock.calls[0][1].headers['X-Webhook-Delivery']).toBe('10');
+    expect(prismaMock.webhookLog.create.mock.calls[0][0].data).toMatchObject({ status: 'success', attempts: 1, outboxId: 10 });
+  });
+
+  it('should schedule a retry with exponential backoff on non-2xx responses', async () => {
+    mockFetch(503);
+
+    const result = await webhookDispatcherService.deliver(entry({ attempts: 3 }), NOW);
+
+    expect(result.status).toBe('pending');
+    expect(prismaMock.webhookOutbox.update).toHaveBeenCalledWith({
+      where: { id: 10 },
+      data: expect.objectContaining({
+        status: 'pending',
+        lastError: 'Resposta HTTP 503',
+        nextAttemptAt: new Date('2030-01-10T12:02:00Z')
+      })
+    });
+    // Ainda não é a última tentativa: failureCount não muda
+    expect(prismaMock.webhook.update.mock.calls[0][0].data.failureCount).toBeUndefined();
+  });
+
+  it('should give up after the last attempt', async () => {
+    mockFetch(500);
+
+    const result = await webhookDispatcherService.deliver(entry({ attempts: 10 }), NOW);
+
+    expect(result.status).toBe('failed');
+    expect(prismaMock.webhook.update.mock.calls[0][0].data.failureCount).toEqual({ increment: 1 });
+    expect(webhookDispatcherService.getBackoffMs(20)).toBe(7200 * 1000);
+  });
+
+  it('should claim deliveries using the application clock', async () => {
+    prismaMock.$queryRaw.mockResolvedValue([]);
+
+    await webhookDispatcherService.claim(5, NOW);
+
+    const [sql, ...values] = prismaMock.$queryRaw.mock.calls[0];
+    expect(sql.join('?')).not.toContain('NOW()');
+    expect(values.filter(value => value === NOW)).toHaveLength(3);
+  });
+
+  describe('redelivery', () => {
+    const webhook = { id: 3, url: 'https://example.com/hook', secret: 'segredo', isActive: true };
+    const originalBody = JSON.stringify({ event: 'guest.created', timestamp: 1893456000000, data: { id: 1 } });
+
+    it('should resend the stored payload with a fresh signature linked to the original log', async () => {
+      const fetchMock = mockFetch(200);
+      prismaMock.webhookLog.create.mockImplementation(async ({ data }) => ({ id: 77, ...data }));
+
+      const result = await webhookService.redeliver(webhook, { id: 40, event: 'guest.created', payload: originalBody });
+
+      const sent = fetchMock.mock.calls[0][1];
+      expect(JSON.parse(sent.body)).toMatchObject({ event: 'guest.created', data: { id: 1 } });
+      expect(JSON.parse(sent.body).timestamp).not.toBe(1893456000000);
+      expect(sent.headers['X-Webhook-Signature']).toBe(webhookService.calculateSignature(sent.body, 'segredo'));
+      expect(result).toMatchObject({ success: true, log: { id: 77, redeliveredFromId: 40 } });
+    });
+
+    it('should replay each failed delivery once, skipping ones already queued', async () => {
+      prismaMock.webhookLog.findMany.mockResolvedValue([
+        { id: 12, event: 'guest.created', payload: originalBody, outboxId: 5 },
+        { id: 11, event: 'guest.created', payload: originalBody, outboxId: 5 },
+        { id: 9, event: 'guest.updated', payload: '{"event":"guest.updated","data":{"id":2}}', outboxId: null },
+        { id: 8, event: 'guest.updated', payload: '{"event":"guest.updated","data":{"id":3}}', outboxId: 4 }
+      ]);
+      prismaMock.webhookOutbox.findMany.mockResolvedValue([{ redeliveredFromId: 8 }]);
+
+      const result = await webhookService.replayFailed(webhook, new Date('2030-01-01T00:00:00Z'));
+
+      expect(result).toEqual({ queued: 2, truncated: false });
+      expect(prismaMock.webhookOutbox.createMany).toHaveBeenCalledWith({
+        data: [
+          { event: 'guest.updated', payload: '{"id":2}', webhookId: 3, redeliveredFromId: 9 },
+          { event: 'guest.created', payload: '{"id":1}', webhookId: 3, redeliveredFromId: 12 }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+const prismaMock = vi.hoisted(() => ({
+  user: { findUnique: vi.fn(), update: vi.fn() }
+}));
+
+vi.mock('../lib/prisma.js', () => ({ default: prismaMock }));
+
+const { default: whatsappService } = await import('../services/whatsapp.service.js');
+const { default: whatsappRoutes } = await import('../routes/whatsapp.js');
+
+describe('POST /api/whatsapp/webhook', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/whatsapp', whatsappRoutes);
+
+  const event = { event: 'connection.update', instance: 'mevo-user-1', data: { state: 'open' } };
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    whatsappService.webhookSecret = 'segredo-evolution';
+  });
+
+  it('should reject events without the webhook secret before any write', async () => {
+    const handle = vi.spyOn(whatsappService, 'handleConnectionWebhook');
+
+    const missing = await request(app).post('/api/whatsapp/webhook').send(event);
+    const wrong = await request(app).post('/api/whatsapp/webhook').set('apikey', 'outro').send(event);
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  it('should reject every event when no secret is configured', async () => {
+    whatsappService.webhookSecret = '';
+
+    const response = await request(app).post('/api/whatsapp/webhook').set('apikey', '').send(event);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should process events signed with the apikey header', async () => {
+    const handle = vi.spyOn(whatsappService, 'handleConnectionWebhook').mockResolvedValue();
+
+    const response = await request(app)
+      .post('/api/whatsapp/webhook')
+      .set('apikey', 'segredo-evolution')
+      .send(event);
+
+    expect(response.status).toBe(200);
+    expect(handle).toHaveBeenCalledWith('mevo-user-1', { state: 'open' });
+  });
+});
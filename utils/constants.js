@@ -14,6 +14,11 @@ export const BOOKING_SOURCES = {
 
 export const BOOKING_SOURCE_LIST = Object.values(BOOKING_SOURCES);
 
+// Plataformas aceitas em calendários iCal (toda fonte exceto reservas manuais)
+export const CALENDAR_PLATFORM_LIST = BOOKING_SOURCE_LIST.filter(
+  (source) => source !== BOOKING_SOURCES.MANUAL
+);
+
 // Status de reserva
 export const RESERVATION_STATUS = {
   PENDING: 'pending',
@@ -45,6 +50,12 @@ export const NOTIFICATION_CHANNELS = {
 
 export const NOTIFICATION_CHANNEL_LIST = Object.values(NOTIFICATION_CHANNELS);
 
+// Notificações que podem ser agendadas em /api/automation/schedule
+export const SCHEDULED_NOTIFICATION_TYPES = ['welcome', 'checkin_reminder', 'checkout_reminder', 'review_request', 'custom'];
+
+// Apenas mensagens avulsas podem se repetir (lembretes de reserva são enviados uma vez)
+export const RECURRING_NOTIFICATION_TYPES = ['custom'];
+
 // Status de notificação/mensagem
 export const MESSAGE_STATUS = {
   PENDING: 'pending',
@@ -66,10 +77,51 @@ export const MAINTENANCE_PRIORITY = {
 
 export const MAINTENANCE_PRIORITY_LIST = Object.values(MAINTENANCE_PRIORITY);
 
+// Status de manutenção
+export const MAINTENANCE_STATUS = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+export const MAINTENANCE_STATUS_LIST = Object.values(MAINTENANCE_STATUS);
+
+// Recorrência das agendas de manutenção preventiva
+export const MAINTENANCE_RECURRENCES = {
+  INTERVAL: 'interval',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+export const MAINTENANCE_RECURRENCE_LIST = Object.values(MAINTENANCE_RECURRENCES);
+
+// O que fazer quando a ocorrência cai em dia ocupado por reserva
+export const MAINTENANCE_OCCUPANCY_POLICIES = {
+  SHIFT: 'shift',
+  SKIP: 'skip',
+  IGNORE: 'ignore',
+};
+
+export const MAINTENANCE_OCCUPANCY_POLICY_LIST = Object.values(MAINTENANCE_OCCUPANCY_POLICIES);
+
+// Status das tarefas de limpeza
+export const CLEANING_STATUS = {
+  PENDING: 'pending',
+  NOTIFIED: 'notified',
+  CONFIRMED: 'confirmed',
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled',
+};
+
+export const CLEANING_STATUS_LIST = Object.values(CLEANING_STATUS);
+
 // Status de tarefas/jobs
 export const JOB_STATUS = {
   PENDING: 'pending',
   RUNNING: 'running',
+  PAUSED: 'paused',
   COMPLETED: 'completed',
   FAILED: 'failed',
   CANCELLED: 'cancelled',
@@ -85,29 +137,118 @@ export const USER_ROLES = {
 
 export const USER_ROLE_LIST = Object.values(USER_ROLES);
 
+// Papéis dos membros de uma organização
+export const ORGANIZATION_ROLES = {
+  ADMIN: 'admin',     // Tudo, inclusive equipe, webhooks e configurações
+  AGENT: 'agent',     // Opera reservas e mensagens
+  VIEWER: 'viewer',   // Somente leitura
+  OWNER: 'owner',     // Proprietário do imóvel: leitura dos imóveis liberados
+  COHOST: 'cohost',   // Coanfitrião: leitura e mensagens dos imóveis liberados
+};
+
+export const ORGANIZATION_ROLE_LIST = Object.values(ORGANIZATION_ROLES);
+
+// Papéis que só enxergam os imóveis liberados (PropertyGrant)
+export const PROPERTY_SCOPED_ROLES = [ORGANIZATION_ROLES.OWNER, ORGANIZATION_ROLES.COHOST];
+
+// Escopos das chaves de API (área:leitura/escrita; messages:send cobre os envios ao hóspede)
+export const API_KEY_SCOPES = {
+  PROPERTIES_READ: 'properties:read',
+  PROPERTIES_WRITE: 'properties:write',
+  RESERVATIONS_READ: 'reservations:read',
+  RESERVATIONS_WRITE: 'reservations:write',
+  GUESTS_READ: 'guests:read',
+  GUESTS_WRITE: 'guests:write',
+  MESSAGES_SEND: 'messages:send',
+  INBOX_READ: 'inbox:read',
+  TEMPLATES_READ: 'templates:read',
+  TEMPLATES_WRITE: 'templates:write',
+  CLEANINGS_READ: 'cleanings:read',
+  CLEANINGS_WRITE: 'cleanings:write',
+  MAINTENANCE_READ: 'maintenance:read',
+  MAINTENANCE_WRITE: 'maintenance:write',
+  AUTOMATION_READ: 'automation:read',
+  AUTOMATION_WRITE: 'automation:write',
+  WEBHOOKS_READ: 'webhooks:read',
+  WEBHOOKS_WRITE: 'webhooks:write',
+  DASHBOARD_READ: 'dashboard:read',
+  AUDIT_READ: 'audit:read',
+};
+
+export const API_KEY_SCOPE_LIST = Object.values(API_KEY_SCOPES);
+
 // Configurações padrão
 export const DEFAULTS = {
   CHECKOUT_TIME: '11:00',
   CHECKIN_TIME: '15:00',
   CLEANING_MINUTES: 120,
+  TIMEZONE: 'America/Sao_Paulo', // Fuso padrão dos imóveis
   LOG_RETENTION_DAYS: 90,
-  TOKEN_EXPIRY: '24h',
-  REFRESH_TOKEN_EXPIRY: '7d',
+  TOKEN_EXPIRY: '15m', // Access token (JWT); renovado via refresh token
+  REFRESH_TOKEN_EXPIRY_DAYS: 30, // Sessão expira após N dias sem renovar
   MAX_PROPERTIES_PER_USER: 50,
   MAX_TEMPLATES_PER_USER: 20,
+  ICAL_MISSING_SYNCS_TO_CANCEL: 3, // Sincronizações sem o UID antes de cancelar a reserva
+  CLEANING_CONFIRMATION_MINUTES: 60, // Confirmação exigida até N minutos antes do checkout
+  INVITATION_EXPIRY_DAYS: 7,
+  PASSWORD_RESET_EXPIRY_MINUTES: 30,
+  EMAIL_VERIFICATION_EXPIRY_HOURS: 48,
+  PHONE_VERIFICATION_EXPIRY_MINUTES: 10,
+  ACCOUNT_TOKEN_RESEND_SECONDS: 60, // Intervalo mínimo entre envios para a mesma conta
+  ACCOUNT_TOKEN_MAX_ATTEMPTS: 5, // Tentativas de código antes de invalidar
+  TWO_FACTOR_PENDING_EXPIRY: '5m', // Prazo para informar o código após a senha
+  TWO_FACTOR_RECOVERY_CODES: 10,
+  MAX_API_KEYS_PER_USER: 20,
+  JOB_POLL_INTERVAL_SECONDS: 5, // Fila no banco: intervalo entre buscas por jobs prontos
+  JOB_BATCH_SIZE: 5,
+  JOB_RETRY_BASE_SECONDS: 30, // Nova tentativa após 30s, 60s, 120s... (dobra a cada falha)
+  JOB_RETRY_MAX_SECONDS: 3600,
+  JOB_LOCK_TIMEOUT_MINUTES: 10, // Job "running" há mais tempo volta para a fila (worker caiu)
+  MAX_RECURRING_JOBS_PER_USER: 20,
+  MIN_RECURRING_INTERVAL_MINUTES: 60, // Jobs recorrentes rodam no máximo de hora em hora
+  LEADER_LEASE_SECONDS: 30, // Líder que parar de renovar perde o posto após 30s
+  LEADER_RENEW_SECONDS: 10,
+  WEBHOOK_DISPATCH_INTERVAL_SECONDS: 5,
+  WEBHOOK_BATCH_SIZE: 10,
+  WEBHOOK_MAX_ATTEMPTS: 10, // 30s, 1min, 2min... até ~4h desde o evento
+  WEBHOOK_RETRY_BASE_SECONDS: 30,
+  WEBHOOK_RETRY_MAX_SECONDS: 7200,
+  WEBHOOK_REPLAY_LIMIT: 500, // Entregas reenviadas por chamada do reenvio em lote
+};
+
+// Finalidades dos tokens de conta
+export const ACCOUNT_TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  PHONE_VERIFICATION: 'phone_verification',
+};
+
+// Gatilhos de regras de automação
+export const AUTOMATION_TRIGGERS = {
+  BOOKING_CREATED: 'booking_created',
+  BEFORE_CHECKIN: 'before_checkin',
+  AFTER_CHECKOUT: 'after_checkout',
 };
 
+export const AUTOMATION_TRIGGER_LIST = Object.values(AUTOMATION_TRIGGERS);
+
 // Eventos de webhook
 export const WEBHOOK_EVENTS = {
   RESERVATION_CREATED: 'reservation.created',
   RESERVATION_UPDATED: 'reservation.updated',
   RESERVATION_CANCELLED: 'reservation.cancelled',
+  RESERVATION_CONFLICT: 'reservation.conflict',
   MESSAGE_SENT: 'message.sent',
   MESSAGE_DELIVERED: 'message.delivered',
   MESSAGE_FAILED: 'message.failed',
   PROPERTY_CREATED: 'property.created',
   PROPERTY_UPDATED: 'property.updated',
   CALENDAR_SYNCED: 'calendar.synced',
+  MAINTENANCE_CREATED: 'maintenance.created',
+  MAINTENANCE_STARTED: 'maintenance.started',
+  MAINTENANCE_COMPLETED: 'maintenance.completed',
+  MAINTENANCE_CANCELLED: 'maintenance.cancelled',
+  MAINTENANCE_REOPENED: 'maintenance.reopened',
 };
 
 export const WEBHOOK_EVENT_LIST = Object.values(WEBHOOK_EVENTS);
@@ -144,7 +285,16 @@ export const AUDIT_ACTIONS = {
   UPDATE: 'update',
   DELETE: 'delete',
   LOGIN: 'login',
+  LOGIN_FAILED: 'login_failed',
   LOGOUT: 'logout',
   SEND_MESSAGE: 'send_message',
   SYNC_CALENDAR: 'sync_calendar',
+  WHATSAPP_CONNECT: 'whatsapp_connect',
+  WHATSAPP_DISCONNECT: 'whatsapp_disconnect',
+  PASSWORD_RESET_REQUEST: 'password_reset_request',
+  PASSWORD_RESET: 'password_reset',
+  VERIFY_EMAIL: 'verify_email',
+  VERIFY_PHONE: 'verify_phone',
+  TWO_FACTOR_ENABLE: 'two_factor_enable',
+  TWO_FACTOR_DISABLE: 'two_factor_disable',
 };
@@ -0,0 +1,171 @@
+/**
+ * Expressões cron dos jobs recorrentes (ScheduledJob.cronExpression)
+ *
+ * Cinco campos: minuto hora dia-do-mês mês dia-da-semana, com *, listas (1,15),
+ * intervalos (1-5), passos (*\/15, 8-18/2) e nomes (JAN, FRI). Quando dia do mês
+ * e dia da semana são restritos, basta um dos dois coincidir (como no cron).
+ *
+ * Uso:
+ *   getNextCronRun('0 9 * * FRI', new Date(), 'America/Sao_Paulo'); // próxima sexta, 09:00 locais
+ */
+
+import { DateTime } from 'luxon';
+import { resolveTimeZone } from './dates.js';
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia do mês', min: 1, max: 31 },
+  { name: 'mês', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'dia da semana', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Limite da busca pela próxima execução (expressões como "0 0 30 2 *" nunca ocorrem)
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = index >= 0 ? index + field.offset : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Valor inválido para ${field.name}: ${value}`);
+  }
+
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Passo inválido para ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Intervalo inválido para ${field.name}: ${range}`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Interpreta a expressão
+ * @returns {{minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} Expressão inválida (mensagem em português)
+ */
+export function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Expressão cron deve ter 5 campos: minuto hora dia mês dia-da-semana');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 também é domingo
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function matchesDay(schedule, local) {
+  const dayMatch = schedule.days.has(local.day);
+  const weekdayMatch = schedule.weekdays.has(local.weekday % 7);
+
+  if (schedule.anyDay) return weekdayMatch;
+  if (schedule.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * Próxima execução estritamente depois de `after`, no fuso informado
+ * @returns {Date|null} null se a expressão nunca ocorre
+ */
+export function getNextCronRun(expression, after = new Date(), zone = null) {
+  const schedule = parseCronExpression(expression);
+  const timeZone = resolveTimeZone(zone);
+
+  let local = DateTime.fromJSDate(after).setZone(timeZone).startOf('minute').plus({ minutes: 1 });
+  const limit = local.plus({ years: MAX_SEARCH_YEARS });
+
+  while (local < limit) {
+    if (!schedule.months.has(local.month)) {
+      local = local.plus({ months: 1 }).startOf('month');
+    } else if (!matchesDay(schedule, local)) {
+      local = local.plus({ days: 1 }).startOf('day');
+    } else if (!schedule.hours.has(local.hour)) {
+      local = local.plus({ hours: 1 }).startOf('hour');
+    } else if (!schedule.minutes.has(local.minute)) {
+      local = local.plus({ minutes: 1 });
+    } else {
+      return local.toJSDate();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Menor intervalo possível entre duas execuções, em minutos
+ * Estimativa conservadora: considera que horas e dias permitidos podem ser consecutivos.
+ * @throws {Error} Expressão inválida
+ */
+export function getMinCronIntervalMinutes(expression) {
+  const { minutes, hours } = parseCronExpression(expression);
+
+  const minGap = (values, period) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    if (sorted.length === 1) return period;
+
+    let gap = period - sorted[sorted.length - 1] + sorted[0];
+    for (let i = 1; i < sorted.length; i++) {
+      gap = Math.min(gap, sorted[i] - sorted[i - 1]);
+    }
+    return gap;
+  };
+
+  if (minutes.size > 1) return minGap(minutes, 60);
+  return minGap(hours, 24) * 60;
+}
+
+/**
+ * Verifica se a expressão é válida e ocorre ao menos uma vez
+ */
+export function isValidCronExpression(expression) {
+  try {
+    return getNextCronRun(expression) !== null;
+  } catch {
+    return false;
+  }
+}
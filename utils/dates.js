@@ -0,0 +1,83 @@
+/**
+ * Utilitários de data com fuso horário
+ *
+ * Datas de reserva (checkinDate/checkoutDate) são gravadas como dia civil à
+ * meia-noite UTC. Por isso a janela de um "dia local" de um imóvel é
+ * [YYYY-MM-DDT00:00Z, +1 dia), onde YYYY-MM-DD é a data atual no fuso dele.
+ *
+ * Uso:
+ *   const { start, end } = getLocalDayWindow('America/Manaus', 1); // amanhã em Manaus
+ */
+
+import { DateTime } from 'luxon';
+import { DEFAULTS } from './constants.js';
+
+/**
+ * Verifica se o fuso é um identificador IANA válido (ex: America/Sao_Paulo)
+ */
+export function isValidTimeZone(zone) {
+  return typeof zone === 'string' && zone.length > 0 && DateTime.local().setZone(zone).isValid;
+}
+
+/**
+ * Retorna o fuso informado ou o padrão, se for inválido
+ */
+export function resolveTimeZone(zone) {
+  return isValidTimeZone(zone) ? zone : DEFAULTS.TIMEZONE;
+}
+
+/**
+ * Hora local (0-23) no fuso
+ */
+export function getLocalHour(zone, now = new Date()) {
+  return DateTime.fromJSDate(now).setZone(resolveTimeZone(zone)).hour;
+}
+
+/**
+ * Janela [start, end) do dia local, deslocada por dayOffset dias
+ * @returns {{ date: string, start: Date, end: Date }}
+ */
+export function getLocalDayWindow(zone, dayOffset = 0, now = new Date()) {
+  const date = DateTime.fromJSDate(now)
+    .setZone(resolveTimeZone(zone))
+    .plus({ days: dayOffset })
+    .toISODate();
+
+  const start = new Date(`${date}T00:00:00.000Z`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  return { date, start, end };
+}
+
+/**
+ * Verifica se o valor é um horário HH:mm válido
+ */
+export function isValidTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Combina o dia civil de uma data de reserva com um horário HH:mm no fuso do imóvel
+ * Ex: checkinDate 2030-01-10 + '15:00' em America/Sao_Paulo => 2030-01-10T18:00:00Z
+ */
+export function getLocalDateTime(date, time, zone) {
+  const day = new Date(date).toISOString().slice(0, 10);
+  const hour = isValidTime(time) ? time : '00:00';
+
+  return DateTime.fromISO(`${day}T${hour}`, { zone: resolveTimeZone(zone) }).toJSDate();
+}
+
+/**
+ * Verifica se o horário local está dentro do intervalo de silêncio [start, end)
+ * Intervalos que cruzam a meia-noite (ex: 22:00-08:00) são suportados
+ */
+export function isWithinQuietHours(start, end, zone, now = new Date()) {
+  if (!isValidTime(start) || !isValidTime(end) || start === end) return false;
+
+  const local = DateTime.fromJSDate(now).setZone(resolveTimeZone(zone));
+  const current = local.toFormat('HH:mm');
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}